@@ -1,901 +1,1890 @@
-// Building system for tile game
-// Manages building placement, resource generation, and building types
-
-// ============================================================================
-// BUILDING CONFIGURATION - Edit costs and properties here
-// ============================================================================
-export const BUILDING_CONFIGS = {
-  house: {
-    type: 'house',
-    name: 'House',
-    description: 'Provides workers for your settlement',
-
-    // Resource costs to build
-    costs: {
-      wood: 15,
-    },
-
-    // Effects when placed/removed
-    effects: {
-      onPlaced: {
-        worker: 2  // Adds 2 workers when built
-      },
-      onRemoved: {
-        worker: -2  // Removes 2 workers when demolished
-      }
-    },
-
-    // Visual properties
-    display: {
-      color: '#8B4513',  // Brown
-      icon: '🏠'
-    }
-  },
-
-  farm: {
-    type: 'farm',
-    name: 'Farm',
-    description: 'Generates food over time',
-
-    // Resource costs to build
-    costs: {
-      worker: 4,
-      wood: 15
-    },
-
-    // Resource generation
-    generation: {
-      food: 0.25  // Generates 1 food per second
-    },
-
-    // Visual properties
-    display: {
-      color: '#228B22',  // Forest green
-      icon: '🌾'
-    }
-  },
-
-  lumberyard: {
-    type: 'lumberyard',
-    name: 'Lumberyard',
-    description: 'Processes wood from the forest',
-
-    // Resource costs to build
-    costs: {
-      worker: 2
-    },
-    generation: {
-      wood: 0.075  // Generates 0.05 wood per second
-    },
-    // Visual properties
-    display: {
-      color: '#654321',  // Wood brown
-      icon: '🪵'
-    }
-  },
-
-  cobblepath: {
-    type: 'cobblepath',
-    name: 'Cobble Path',
-    description: 'Decorative cobblestone path',
-
-    // No costs - purely cosmetic
-    costs: {},
-
-    // Visual properties
-    display: {
-      color: '#808080',  // Gray
-      icon: '🛤️'
-    }
-  },
-
-  stonequarry: {
-    type: 'stonequarry',
-    name: 'Stone Quarry',
-    description: 'Extracts stone from the earth',
-
-    // Resource costs to build
-    costs: {
-      worker: 8,
-      wood:50
-    },
-
-    generation: {
-      stone: 0.05  // Generates 0.05 stone per second
-    },
-
-    // Visual properties
-    display: {
-      color: '#696969',  // Dim gray
-      icon: '⛏️'
-    }
-  },
-
-  warehouse: {
-    type: 'warehouse',
-    name: 'Warehouse',
-    description: 'Increases resource storage capacity',
-
-    // Resource costs to build
-    costs: {
-      wood: 25,
-      stone: 10,
-      worker: 1
-    },
-
-    // Effects when placed/removed
-    effects: {
-      onPlaced: {
-        foodCap: 100,    // Adds 100 to food cap
-        woodCap: 100,    // Adds 100 to wood cap
-        stoneCap: 150    // Adds 150 to stone cap
-      },
-      onRemoved: {
-        foodCap: -100,   // Removes 100 from food cap
-        woodCap: -100,   // Removes 100 from wood cap
-        stoneCap: -150   // Removes 150 from stone cap
-      }
-    },
-
-    // Visual properties
-    display: {
-      color: '#8B7355',  // Wood brown
-      icon: '📦'
-    }
-  },
-
-  researchLab: {
-    type: 'researchLab',
-    name: 'Research Lab',
-    description: 'Unlocks research and upgrades for your settlement',
-
-    // No resource costs - free to place
-    costs: {
-      food: 25,
-      wood: 50,
-      worker: 10
-    },
-
-    // No resource generation
-    generation: {},
-
-    // Visual properties
-    display: {
-      color: '#4169E1',  // Royal blue
-      icon: '🔬'
-    }
-  }
-};
-
-// Base Building class
-export class Building {
-  constructor(x, y, type) {
-    this.x = x;
-    this.y = y;
-    this.type = type;
-    this.createdAt = Date.now();
-  }
-
-  // Override in subclasses
-  onPlaced(resourceManager) {
-    // Called when building is placed on the grid
-  }
-
-  onRemoved(resourceManager) {
-    // Called when building is removed from the grid
-  }
-
-  // Called every generation tick (for buildings that produce resources)
-  generateResources(resourceManager) {
-    // Generic implementation that works for all buildings with generation config
-    const generation = this.config?.generation || {};
-    for (const [resourceType, amount] of Object.entries(generation)) {
-      if (amount > 0) {
-        resourceManager.addResource(resourceType, amount);
-      }
-    }
-  }
-
-  getDisplayColor() {
-    return '#cccccc'; // Default gray
-  }
-
-  getInfo() {
-    return {
-      type: this.type,
-      position: { x: this.x, y: this.y },
-      createdAt: this.createdAt
-    };
-  }
-}
-
-// House building - adds workers when placed
-export class House extends Building {
-  constructor(x, y) {
-    super(x, y, 'house');
-    this.config = BUILDING_CONFIGS.house;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.house;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    // Apply onPlaced effects from config
-    const effects = this.config.effects?.onPlaced || {};
-    for (const [resourceType, amount] of Object.entries(effects)) {
-      resourceManager.addResource(resourceType, amount);
-    }
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    // Apply onRemoved effects from config
-    const effects = this.config.effects?.onRemoved || {};
-    for (const [resourceType, amount] of Object.entries(effects)) {
-      if (amount < 0) {
-        resourceManager.removeResource(resourceType, Math.abs(amount));
-      } else {
-        resourceManager.addResource(resourceType, amount);
-      }
-    }
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    const workerBonus = this.config.effects?.onPlaced?.worker || 0;
-    return {
-      ...super.getInfo(),
-      workerBonus: workerBonus,
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// Farm building - generates food over time
-export class Farm extends Building {
-  constructor(x, y) {
-    super(x, y, 'farm');
-    this.config = BUILDING_CONFIGS.farm;
-    this.farmlandTiles = []; // Track farmland tile positions
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.farm;
-  }
-
-  // Calculate 1-tile radius positions around the barn (8 surrounding tiles)
-  getFarmlandPositions() {
-    const offsets = [
-      [-1, -1], [0, -1], [1, -1],  // top row
-      [-1,  0],          [1,  0],  // middle row (excluding center)
-      [-1,  1], [0,  1], [1,  1]   // bottom row
-    ];
-
-    return offsets.map(([dx, dy]) => ({
-      x: this.x + dx,
-      y: this.y + dy
-    }));
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    const foodPerSecond = this.config.generation?.food || 0;
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Generates ${foodPerSecond} food/second`);
-
-    // Store farmland positions for later cleanup
-    const potentialFarmland = this.getFarmlandPositions();
-
-    // Filter out positions that already have buildings
-    if (buildingManager) {
-      this.farmlandTiles = potentialFarmland.filter(pos => {
-        return !buildingManager.getBuilding(pos.x, pos.y);
-      });
-    } else {
-      this.farmlandTiles = potentialFarmland;
-    }
-
-    console.log(`${this.config.display.icon} Farm will have ${this.farmlandTiles.length} farmland tiles`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-    // Farmland cleanup is handled by the grid system
-    this.farmlandTiles = [];
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    const foodPerSecond = this.config.generation?.food || 0;
-    return {
-      ...super.getInfo(),
-      foodPerSecond: foodPerSecond,
-      farmlandTiles: this.farmlandTiles.length,
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// Lumberyard building - processes wood from forests
-export class Lumberyard extends Building {
-  constructor(x, y) {
-    super(x, y, 'lumberyard');
-    this.config = BUILDING_CONFIGS.lumberyard;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.lumberyard;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    return {
-      ...super.getInfo(),
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// CobblePath building - purely decorative, no costs or effects
-export class CobblePath extends Building {
-  constructor(x, y) {
-    super(x, y, 'cobblepath');
-    this.config = BUILDING_CONFIGS.cobblepath;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.cobblepath;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} placed at (${this.x}, ${this.y})`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    return {
-      ...super.getInfo(),
-      description: this.config.description
-    };
-  }
-}
-
-// StoneQuarry building - extracts stone from the earth
-export class StoneQuarry extends Building {
-  constructor(x, y) {
-    super(x, y, 'stonequarry');
-    this.config = BUILDING_CONFIGS.stonequarry;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.stonequarry;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    return {
-      ...super.getInfo(),
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// Warehouse building - increases resource storage capacity
-export class Warehouse extends Building {
-  constructor(x, y) {
-    super(x, y, 'warehouse');
-    this.config = BUILDING_CONFIGS.warehouse;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.warehouse;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    // Apply cap increases from config
-    const effects = this.config.effects?.onPlaced || {};
-
-    // Increase resource caps
-    if (effects.foodCap) {
-      const currentCap = resourceManager.getResourceCap('food');
-      resourceManager.setResourceCap('food', currentCap + effects.foodCap);
-    }
-    if (effects.woodCap) {
-      const currentCap = resourceManager.getResourceCap('wood');
-      resourceManager.setResourceCap('wood', currentCap + effects.woodCap);
-    }
-    if (effects.stoneCap) {
-      const currentCap = resourceManager.getResourceCap('stone');
-      resourceManager.setResourceCap('stone', currentCap + effects.stoneCap);
-    }
-
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Storage increased!`);
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    // Apply cap decreases from config
-    const effects = this.config.effects?.onRemoved || {};
-
-    // Decrease resource caps (effects are negative values)
-    if (effects.foodCap) {
-      const currentCap = resourceManager.getResourceCap('food');
-      resourceManager.setResourceCap('food', Math.max(0, currentCap + effects.foodCap));
-    }
-    if (effects.woodCap) {
-      const currentCap = resourceManager.getResourceCap('wood');
-      resourceManager.setResourceCap('wood', Math.max(0, currentCap + effects.woodCap));
-    }
-    if (effects.stoneCap) {
-      const currentCap = resourceManager.getResourceCap('stone');
-      resourceManager.setResourceCap('stone', Math.max(0, currentCap + effects.stoneCap));
-    }
-
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y}) - Storage decreased`);
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    const capBonuses = this.config.effects?.onPlaced || {};
-    return {
-      ...super.getInfo(),
-      capBonuses: capBonuses,
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// ResearchLab building - unlocks research and upgrades
-export class ResearchLab extends Building {
-  constructor(x, y) {
-    super(x, y, 'researchLab');
-    this.config = BUILDING_CONFIGS.researchLab;
-  }
-
-  static getConfig() {
-    return BUILDING_CONFIGS.researchLab;
-  }
-
-  onPlaced(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Research unlocked!`);
-
-    // Trigger Research tab visibility
-    if (buildingManager && typeof buildingManager.onResearchLabPlaced === 'function') {
-      buildingManager.onResearchLabPlaced();
-    }
-  }
-
-  onRemoved(resourceManager, buildingManager) {
-    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
-
-    // Check if any other research labs exist
-    if (buildingManager && typeof buildingManager.onResearchLabRemoved === 'function') {
-      buildingManager.onResearchLabRemoved();
-    }
-  }
-
-  getDisplayColor() {
-    return this.config.display.color;
-  }
-
-  getInfo() {
-    return {
-      ...super.getInfo(),
-      description: this.config.description,
-      costs: this.config.costs
-    };
-  }
-}
-
-// Building Manager - coordinates all buildings and resource generation
-export class BuildingManager {
-  constructor(resourceManager, eventQueue = null) {
-    this.resourceManager = resourceManager;
-    this.eventQueue = eventQueue; // Optional event queue for displaying messages
-    this.researchManager = null; // Will be set after research manager is created
-    this.buildings = new Map(); // Map<"x,y", Building>
-    this.generationInterval = null;
-    this.generationRate = 1000; // Generate resources every 1000ms (1 second)
-  }
-
-  /**
-   * Set the research manager reference (called after initialization)
-   * @param {ResearchManager} researchManager
-   */
-  setResearchManager(researchManager) {
-    this.researchManager = researchManager;
-  }
-
-  // Create building instance based on type
-  createBuilding(x, y, type) {
-    switch (type) {
-      case 'house':
-        return new House(x, y);
-      case 'farm':
-        return new Farm(x, y);
-      case 'lumberyard':
-        return new Lumberyard(x, y);
-      case 'cobblepath':
-        return new CobblePath(x, y);
-      case 'stonequarry':
-        return new StoneQuarry(x, y);
-      case 'warehouse':
-        return new Warehouse(x, y);
-      case 'researchLab':
-        return new ResearchLab(x, y);
-      default:
-        console.warn(`Unknown building type: ${type}`);
-        return null;
-    }
-  }
-
-  // Place a building at the specified position
-  // Returns { success: boolean, building: Building|null, error: string|null }
-  // @param {boolean} skipCosts - If true, skip resource cost checks (used when loading saved buildings)
-  placeBuilding(x, y, type, tile = null, skipCosts = false) {
-    const key = `${x},${y}`;
-
-    // Get building configuration
-    const config = BUILDING_CONFIGS[type];
-    if (!config) {
-      return {
-        success: false,
-        building: null,
-        error: `Unknown building type: ${type}`
-      };
-    }
-
-    // Check if building is unlocked via research (skip when loading saved buildings)
-    if (!skipCosts && this.researchManager) {
-      const isUnlocked = this.researchManager.isBuildingUnlocked(type);
-      if (!isUnlocked) {
-        const errorMsg = `Building locked - requires research`;
-
-        // Send event message if eventQueue is available
-        if (this.eventQueue) {
-          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
-        }
-
-        return {
-          success: false,
-          building: null,
-          error: errorMsg
-        };
-      }
-    }
-
-    // Check resource costs (skip when loading saved buildings)
-    if (!skipCosts && config.costs) {
-      const canAfford = this.resourceManager.canAfford(config.costs);
-      if (!canAfford) {
-        // Build detailed error message showing what's needed
-        const missingResources = [];
-        for (const [resourceType, cost] of Object.entries(config.costs)) {
-          const current = this.resourceManager.getResource(resourceType);
-          if (current < cost) {
-            missingResources.push(`${resourceType}: ${current}/${cost}`);
-          }
-        }
-        const errorMsg = `Insufficient resources - ${missingResources.join(', ')}`;
-
-        // Send event message if eventQueue is available
-        if (this.eventQueue) {
-          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
-        }
-
-        return {
-          success: false,
-          building: null,
-          error: errorMsg
-        };
-      }
-    }
-
-    // Validate terrain compatibility if tile is provided
-    if (tile && typeof tile.canPlaceBuilding === 'function') {
-      const validation = tile.canPlaceBuilding(type);
-      if (!validation.allowed) {
-        const errorMsg = validation.reason || 'Building cannot be placed on this terrain';
-
-        // Send event message if eventQueue is available
-        if (this.eventQueue) {
-          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
-        }
-
-        return {
-          success: false,
-          building: null,
-          error: errorMsg
-        };
-      }
-    }
-
-    // Remove existing building if present (don't refund costs since player is intentionally replacing)
-    if (this.buildings.has(key)) {
-      this.removeBuilding(x, y, false);
-    }
-
-    // Deduct resources (skip when loading saved buildings)
-    if (!skipCosts && config.costs) {
-      const spent = this.resourceManager.spend(config.costs);
-      if (!spent) {
-        return {
-          success: false,
-          building: null,
-          error: 'Failed to deduct resources (this should not happen)'
-        };
-      }
-    }
-
-    // Create and place new building
-    const building = this.createBuilding(x, y, type);
-    if (building) {
-      this.buildings.set(key, building);
-      building.onPlaced(this.resourceManager, this);
-      console.log(`✅ ${config.name} built successfully at (${x}, ${y})`);
-
-      // Send event message if eventQueue is available
-      if (this.eventQueue) {
-        this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, true, null, config);
-      }
-
-      return {
-        success: true,
-        building: building,
-        error: null
-      };
-    }
-
-    // If building creation failed, refund resources
-    if (config.costs) {
-      for (const [resourceType, amount] of Object.entries(config.costs)) {
-        this.resourceManager.addResource(resourceType, amount);
-      }
-    }
-
-    return {
-      success: false,
-      building: null,
-      error: 'Failed to create building'
-    };
-  }
-
-  // Remove a building at the specified position
-  // @param {boolean} shouldRefundCosts - If true, refund construction costs (default: true)
-  removeBuilding(x, y, shouldRefundCosts = true) {
-    const key = `${x},${y}`;
-    const building = this.buildings.get(key);
-
-    if (building) {
-      // Get config before removing
-      const config = BUILDING_CONFIGS[building.type];
-
-      // Refund construction costs if requested (not when replacing buildings)
-      if (shouldRefundCosts && config && config.costs) {
-        for (const [resourceType, amount] of Object.entries(config.costs)) {
-          this.resourceManager.addResource(resourceType, amount);
-          console.log(`💰 Refunded ${amount} ${resourceType} from ${config.name} demolition`);
-        }
-      }
-
-      // Execute building-specific onRemoved effects (e.g., House worker reduction)
-      building.onRemoved(this.resourceManager, this);
-      this.buildings.delete(key);
-
-      // Send event message if eventQueue is available
-      if (this.eventQueue && config) {
-        this.eventQueue._addBuildingMessageWithConfig('removed', building.type, x, y, true, null, config);
-      }
-
-      return true;
-    }
-
-    return false;
-  }
-
-  // Get building at position
-  getBuilding(x, y) {
-    const key = `${x},${y}`;
-    return this.buildings.get(key) || null;
-  }
-
-  // Get all buildings of a specific type
-  getBuildingsByType(type) {
-    const buildingsOfType = [];
-    for (const building of this.buildings.values()) {
-      if (building.type === type) {
-        buildingsOfType.push(building);
-      }
-    }
-    return buildingsOfType;
-  }
-
-  // Count buildings by type
-  getBuildingCount(type = null) {
-    if (type === null) {
-      return this.buildings.size;
-    }
-    return this.getBuildingsByType(type).length;
-  }
-
-  // Start resource generation interval
-  startGeneration() {
-    if (this.generationInterval) {
-      console.warn('Generation already started');
-      return;
-    }
-
-    this.generationInterval = setInterval(() => {
-      this.tickGeneration();
-    }, this.generationRate);
-
-    console.log('🔄 Building resource generation started');
-  }
-
-  // Stop resource generation interval
-  stopGeneration() {
-    if (this.generationInterval) {
-      clearInterval(this.generationInterval);
-      this.generationInterval = null;
-      console.log('⏸️ Building resource generation stopped');
-    }
-  }
-
-  // Generate resources for all buildings (called every tick)
-  tickGeneration() {
-    for (const building of this.buildings.values()) {
-      if (typeof building.generateResources === 'function') {
-        building.generateResources(this.resourceManager);
-      }
-    }
-  }
-
-  // Clear all buildings
-  clearAll() {
-    // Remove all buildings and trigger their onRemoved callbacks
-    const buildingsCopy = Array.from(this.buildings.values());
-    for (const building of buildingsCopy) {
-      this.removeBuilding(building.x, building.y);
-    }
-  }
-
-  // Get statistics about all buildings
-  getStats() {
-    const houseCount = this.getBuildingCount('house');
-    const stats = {
-      total: this.buildings.size,
-      houses: houseCount,
-      farms: this.getBuildingCount('farm'),
-      lumberyards: this.getBuildingCount('lumberyard'),
-      cobblepaths: this.getBuildingCount('cobblepath'),
-      population: houseCount * 2, // Each house provides 2 population
-      generationActive: this.generationInterval !== null
-    };
-    return stats;
-  }
-
-  // Check if any research labs exist
-  hasResearchLab() {
-    return this.getBuildingCount('researchLab') > 0;
-  }
-
-  // Called when a research lab is placed
-  onResearchLabPlaced() {
-    // Show Research tab in UI
-    const researchTab = document.querySelector('[data-window="researchControls"]');
-    if (researchTab) {
-      researchTab.style.display = 'block';
-    }
-  }
-
-  // Called when a research lab is removed
-  onResearchLabRemoved() {
-    // Hide Research tab if no more research labs exist
-    if (!this.hasResearchLab()) {
-      const researchTab = document.querySelector('[data-window="researchControls"]');
-      if (researchTab) {
-        researchTab.style.display = 'none';
-      }
-
-      // Close Research window if it's currently open
-      const researchWindow = document.getElementById('researchControls');
-      if (researchWindow && researchWindow.classList.contains('active')) {
-        researchWindow.classList.remove('active');
-        const researchNavItem = document.querySelector('[data-window="researchControls"]');
-        if (researchNavItem) {
-          researchNavItem.classList.remove('active');
-        }
-      }
-    }
-  }
-
-  // Export building data for saving
-  exportData() {
-    const data = [];
-    for (const building of this.buildings.values()) {
-      data.push({
-        x: building.x,
-        y: building.y,
-        type: building.type,
-        createdAt: building.createdAt
-      });
-    }
-    return data;
-  }
-
-  // Import building data for loading
-  importData(data) {
-    this.clearAll();
-    for (const buildingData of data) {
-      // Skip resource costs when loading saved buildings (resources were already spent when originally built)
-      this.placeBuilding(buildingData.x, buildingData.y, buildingData.type, null, true);
-    }
-  }
-
-  // Get building configuration by type
-  getBuildingConfig(type) {
-    return BUILDING_CONFIGS[type] || null;
-  }
-
-  // Check if player can afford a building
-  canAffordBuilding(type) {
-    const config = BUILDING_CONFIGS[type];
-    if (!config || !config.costs) {
-      return true; // No costs, can always afford
-    }
-    return this.resourceManager.canAfford(config.costs);
-  }
-
-  // Get all building types
-  static getBuildingTypes() {
-    return Object.keys(BUILDING_CONFIGS);
-  }
-
-  // Cleanup
-  destroy() {
-    this.stopGeneration();
-    this.clearAll();
-  }
-}
+// Building system for tile game
+// Manages building placement, resource generation, and building types
+
+// ============================================================================
+// BUILDING CONFIGURATION - Edit costs and properties here
+// ============================================================================
+export const BUILDING_CONFIGS = {
+  house: {
+    type: 'house',
+    name: 'House',
+    description: 'Provides workers for your settlement',
+
+    // Resource costs to build
+    costs: {
+      wood: 15,
+    },
+
+    // Effects when placed/removed
+    effects: {
+      onPlaced: {
+        worker: 2  // Adds 2 workers when built
+      },
+      onRemoved: {
+        worker: -2  // Removes 2 workers when demolished
+      }
+    },
+
+    // Upkeep paid by each resident every generation tick
+    upkeep: {
+      food: 0.025  // Each resident eats 0.025 food per second
+    },
+
+    // Terrain restrictions (omit to allow any terrain)
+    terrain: {
+      blocked: ['deep_water', 'water', 'river', 'hills', 'mountains'],
+      description: 'water or mountains'
+    },
+
+    // Visual properties
+    display: {
+      color: '#8B4513',  // Brown
+      icon: '🏠'
+    }
+  },
+
+  farm: {
+    type: 'farm',
+    name: 'Farm',
+    description: 'Generates food over time',
+
+    // Resource costs to build
+    costs: {
+      wood: 15
+    },
+
+    // Workers that must be assigned for full output
+    workers: 4,
+
+    // Resource generation
+    generation: {
+      food: 0.25  // Generates 0.25 food per second
+    },
+
+    // Terrain restrictions (omit to allow any terrain)
+    terrain: {
+      allowed: ['grass'],
+      description: 'grass'
+    },
+
+    // Visual properties
+    display: {
+      color: '#228B22',  // Forest green
+      icon: '🌾'
+    }
+  },
+
+  lumberyard: {
+    type: 'lumberyard',
+    name: 'Lumberyard',
+    description: 'Processes wood from the forest',
+
+    // Resource costs to build
+    costs: {},
+
+    // Workers that must be assigned for full output
+    workers: 2,
+
+    generation: {
+      wood: 0.075  // Generates 0.075 wood per second
+    },
+
+    // Terrain restrictions (omit to allow any terrain)
+    terrain: {
+      allowed: ['forest'],
+      description: 'forest'
+    },
+
+    // Visual properties
+    display: {
+      color: '#654321',  // Wood brown
+      icon: '🪵'
+    }
+  },
+
+  cobblepath: {
+    type: 'cobblepath',
+    name: 'Cobble Path',
+    description: 'Decorative cobblestone path',
+
+    // No costs - purely cosmetic
+    costs: {},
+
+    // Paths are never refunded when demolished
+    refundRate: 0,
+
+    // Visual properties
+    display: {
+      color: '#808080',  // Gray
+      icon: '🛤️'
+    }
+  },
+
+  stonequarry: {
+    type: 'stonequarry',
+    name: 'Stone Quarry',
+    description: 'Extracts stone from the earth',
+
+    // Resource costs to build
+    costs: {
+      wood: 50
+    },
+
+    // Workers that must be assigned for full output
+    workers: 8,
+
+    generation: {
+      stone: 0.05  // Generates 0.05 stone per second
+    },
+
+    // Terrain restrictions (omit to allow any terrain)
+    terrain: {
+      allowed: ['hills', 'mountains'],
+      description: 'stone'
+    },
+
+    // Visual properties
+    display: {
+      color: '#696969',  // Dim gray
+      icon: '⛏️'
+    }
+  },
+
+  warehouse: {
+    type: 'warehouse',
+    name: 'Warehouse',
+    description: 'Increases resource storage capacity',
+
+    // Resource costs to build
+    costs: {
+      wood: 25,
+      stone: 10
+    },
+
+    // Workers that must be assigned to run
+    workers: 1,
+
+    // Effects when placed/removed
+    effects: {
+      onPlaced: {
+        foodCap: 100,    // Adds 100 to food cap
+        woodCap: 100,    // Adds 100 to wood cap
+        stoneCap: 150,   // Adds 150 to stone cap
+        planksCap: 50,   // Adds 50 to planks cap
+        bricksCap: 50    // Adds 50 to bricks cap
+      },
+      onRemoved: {
+        foodCap: -100,   // Removes 100 from food cap
+        woodCap: -100,   // Removes 100 from wood cap
+        stoneCap: -150,  // Removes 150 from stone cap
+        planksCap: -50,  // Removes 50 from planks cap
+        bricksCap: -50   // Removes 50 from bricks cap
+      }
+    },
+
+    // Visual properties
+    display: {
+      color: '#8B7355',  // Wood brown
+      icon: '📦'
+    }
+  },
+
+  sawmill: {
+    type: 'sawmill',
+    name: 'Sawmill',
+    description: 'Saws wood into planks',
+
+    // Resource costs to build
+    costs: {
+      wood: 40,
+      stone: 10
+    },
+
+    // Workers that must be assigned for full output
+    workers: 2,
+
+    // Resources consumed each tick - nothing is produced unless all are available
+    inputs: {
+      wood: 0.1  // Consumes 0.1 wood per second
+    },
+
+    // Resource generation
+    generation: {
+      planks: 0.05  // Generates 0.05 planks per second
+    },
+
+    // Visual properties
+    display: {
+      color: '#A0522D',  // Sienna
+      icon: '🪚'
+    }
+  },
+
+  mason: {
+    type: 'mason',
+    name: 'Mason',
+    description: 'Shapes stone into bricks',
+
+    // Resource costs to build
+    costs: {
+      planks: 20,
+      stone: 30
+    },
+
+    // Workers that must be assigned for full output
+    workers: 3,
+
+    // Resources consumed each tick - nothing is produced unless all are available
+    inputs: {
+      stone: 0.1  // Consumes 0.1 stone per second
+    },
+
+    // Resource generation
+    generation: {
+      bricks: 0.04  // Generates 0.04 bricks per second
+    },
+
+    // Visual properties
+    display: {
+      color: '#B22222',  // Brick red
+      icon: '🧱'
+    }
+  },
+
+  researchLab: {
+    type: 'researchLab',
+    name: 'Research Lab',
+    description: 'Unlocks research and upgrades for your settlement',
+
+    // Resource costs to build
+    costs: {
+      food: 25,
+      wood: 50
+    },
+
+    // Workers that must be assigned to run
+    workers: 10,
+
+    // No resource generation
+    generation: {},
+
+    // Visual properties
+    display: {
+      color: '#4169E1',  // Royal blue
+      icon: '🔬'
+    }
+  }
+};
+
+// ============================================================================
+// POPULATION CONFIGURATION - Edit starvation and recovery rules here
+// ============================================================================
+export const POPULATION_CONFIG = {
+  residentLossTicks: 5,       // While starving, one resident leaves every 5 ticks
+  residentRegrowTicks: 15,    // While fed, each house regains a resident every 15 ticks
+  starvingProductivity: 0.5   // Staffed buildings produce at 50% while starving
+};
+
+// ============================================================================
+// DEMOLITION CONFIGURATION - Edit refund policy here
+// ============================================================================
+// A building config can override the rate with its own refundRate (e.g. paths refund nothing)
+export const DEMOLITION_CONFIG = {
+  refundRate: 0.5   // Demolishing returns 50% of construction costs
+};
+
+// Base Building class
+export class Building {
+  constructor(x, y, type) {
+    this.x = x;
+    this.y = y;
+    this.type = type;
+    this.createdAt = Date.now();
+    this.assignedWorkers = 0; // Workers employed here from the labor pool
+    this.autoStaff = true; // Take idle workers automatically until fully staffed
+    this.inputsAvailable = true; // False when a recipe building is waiting on inputs
+    this.paidCosts = null; // Resources paid to build it - refunds are a share of these (null = not recorded)
+  }
+
+  // Override in subclasses
+  onPlaced(resourceManager) {
+    // Called when building is placed on the grid
+  }
+
+  onRemoved(resourceManager) {
+    // Called when building is removed from the grid
+  }
+
+  // Re-apply lasting effects (e.g. storage caps) when rebuilt from a save
+  // One-off placement effects such as new residents are restored from saved state instead
+  restoreEffects(resourceManager) {
+  }
+
+  // Called every generation tick (for buildings that produce resources)
+  // productivity scales output for settlement-wide effects such as starvation
+  // @param {Object} modifiers - Optional source of research modifiers (ResearchManager)
+  generateResources(resourceManager, productivity = 1, modifiers = null) {
+    // Generic implementation that works for all buildings with generation config
+    // Output scales with how well the building is staffed
+    let efficiency = this.getStaffingRatio();
+    if (efficiency <= 0) {
+      return;
+    }
+
+    // Hungry workers slow down, unstaffed buildings are unaffected
+    if (this.getRequiredWorkers() > 0) {
+      efficiency *= productivity;
+    }
+
+    const generation = this.config?.generation || {};
+
+    // Recipe buildings consume inputs and only produce when all of them are in stock
+    const inputs = this.config?.inputs || {};
+    if (Object.keys(inputs).length > 0) {
+      // Don't burn inputs if there's no room for the output
+      const outputTypes = Object.keys(generation);
+      if (outputTypes.length > 0 && outputTypes.every(type => resourceManager.isAtCap(type))) {
+        return;
+      }
+
+      const consumed = {};
+      for (const [resourceType, amount] of Object.entries(inputs)) {
+        consumed[resourceType] = amount * efficiency;
+      }
+
+      this.inputsAvailable = resourceManager.spend(consumed);
+      if (!this.inputsAvailable) {
+        return;
+      }
+    }
+
+    for (const [resourceType, amount] of Object.entries(generation)) {
+      if (amount > 0) {
+        const multiplier = modifiers ? modifiers.getGenerationMultiplier(this.type, resourceType) : 1;
+        resourceManager.addResource(resourceType, amount * efficiency * multiplier);
+      }
+    }
+  }
+
+  // Number of workers needed for full output (0 means the building runs unstaffed)
+  getRequiredWorkers() {
+    return this.config?.workers || 0;
+  }
+
+  // Fraction of required workers currently assigned (1 for buildings that need none)
+  getStaffingRatio() {
+    const required = this.getRequiredWorkers();
+    if (required <= 0) {
+      return 1;
+    }
+    return Math.min(1, this.assignedWorkers / required);
+  }
+
+  getDisplayColor() {
+    return '#cccccc'; // Default gray
+  }
+
+  getInfo() {
+    return {
+      type: this.type,
+      position: { x: this.x, y: this.y },
+      createdAt: this.createdAt,
+      assignedWorkers: this.assignedWorkers,
+      requiredWorkers: this.getRequiredWorkers(),
+      inputsAvailable: this.inputsAvailable
+    };
+  }
+}
+
+// House building - adds workers when placed
+export class House extends Building {
+  constructor(x, y) {
+    super(x, y, 'house');
+    this.config = BUILDING_CONFIGS.house;
+    this.residents = 0; // Each resident provides one worker
+    this.regrowTicks = 0; // Fed ticks since the last resident moved in
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.house;
+  }
+
+  // Maximum residents this house can hold
+  getCapacity() {
+    return this.config.effects?.onPlaced?.worker || 0;
+  }
+
+  // Food eaten by this house's residents each tick
+  getFoodUpkeep() {
+    return this.residents * (this.config.upkeep?.food || 0);
+  }
+
+  // Remove one resident (and their worker) - returns true if someone left
+  loseResident(resourceManager) {
+    if (this.residents <= 0) {
+      return false;
+    }
+    this.residents--;
+    this.regrowTicks = 0;
+    resourceManager.removeResource('worker', 1);
+    return true;
+  }
+
+  // Add one resident (and their worker) - returns true if someone moved in
+  gainResident(resourceManager) {
+    if (this.residents >= this.getCapacity()) {
+      return false;
+    }
+    this.residents++;
+    resourceManager.addResource('worker', 1);
+    return true;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    // Apply onPlaced effects from config
+    const effects = this.config.effects?.onPlaced || {};
+    for (const [resourceType, amount] of Object.entries(effects)) {
+      resourceManager.addResource(resourceType, amount);
+    }
+    this.residents = this.getCapacity();
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    // Apply onRemoved effects from config
+    const effects = this.config.effects?.onRemoved || {};
+    for (const [resourceType, configAmount] of Object.entries(effects)) {
+      // Only residents still living here leave with the house
+      const amount = resourceType === 'worker' ? -this.residents : configAmount;
+      if (amount < 0) {
+        resourceManager.removeResource(resourceType, Math.abs(amount));
+      } else {
+        resourceManager.addResource(resourceType, amount);
+      }
+    }
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    const workerBonus = this.config.effects?.onPlaced?.worker || 0;
+    return {
+      ...super.getInfo(),
+      workerBonus: workerBonus,
+      residents: this.residents,
+      foodUpkeep: this.getFoodUpkeep(),
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// Farm building - generates food over time
+export class Farm extends Building {
+  constructor(x, y) {
+    super(x, y, 'farm');
+    this.config = BUILDING_CONFIGS.farm;
+    this.farmlandTiles = []; // Track farmland tile positions
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.farm;
+  }
+
+  // Calculate 1-tile radius positions around the barn (8 surrounding tiles)
+  getFarmlandPositions() {
+    const offsets = [
+      [-1, -1], [0, -1], [1, -1],  // top row
+      [-1,  0],          [1,  0],  // middle row (excluding center)
+      [-1,  1], [0,  1], [1,  1]   // bottom row
+    ];
+
+    return offsets.map(([dx, dy]) => ({
+      x: this.x + dx,
+      y: this.y + dy
+    }));
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    const foodPerSecond = this.config.generation?.food || 0;
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Generates ${foodPerSecond} food/second`);
+
+    this.layOutFarmland(buildingManager);
+    console.log(`${this.config.display.icon} Farm will have ${this.farmlandTiles.length} farmland tiles`);
+  }
+
+  // Pick the surrounding tiles that become fields (stored for later cleanup)
+  layOutFarmland(buildingManager) {
+    const potentialFarmland = this.getFarmlandPositions();
+
+    // Filter out positions that already have buildings
+    if (buildingManager) {
+      this.farmlandTiles = potentialFarmland.filter(pos => {
+        return !buildingManager.getBuilding(pos.x, pos.y);
+      });
+    } else {
+      this.farmlandTiles = potentialFarmland;
+    }
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+    // Farmland cleanup is handled by the grid system
+    this.farmlandTiles = [];
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    const foodPerSecond = this.config.generation?.food || 0;
+    return {
+      ...super.getInfo(),
+      foodPerSecond: foodPerSecond,
+      farmlandTiles: this.farmlandTiles.length,
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// Lumberyard building - processes wood from forests
+export class Lumberyard extends Building {
+  constructor(x, y) {
+    super(x, y, 'lumberyard');
+    this.config = BUILDING_CONFIGS.lumberyard;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.lumberyard;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// CobblePath building - purely decorative, no costs or effects
+export class CobblePath extends Building {
+  constructor(x, y) {
+    super(x, y, 'cobblepath');
+    this.config = BUILDING_CONFIGS.cobblepath;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.cobblepath;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} placed at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description
+    };
+  }
+}
+
+// StoneQuarry building - extracts stone from the earth
+export class StoneQuarry extends Building {
+  constructor(x, y) {
+    super(x, y, 'stonequarry');
+    this.config = BUILDING_CONFIGS.stonequarry;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.stonequarry;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// Warehouse building - increases resource storage capacity
+export class Warehouse extends Building {
+  constructor(x, y) {
+    super(x, y, 'warehouse');
+    this.config = BUILDING_CONFIGS.warehouse;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.warehouse;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    this.restoreEffects(resourceManager);
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Storage increased!`);
+  }
+
+  restoreEffects(resourceManager) {
+    // Apply cap increases from config
+    const effects = this.config.effects?.onPlaced || {};
+
+    // Increase resource caps (effect keys are "<resource>Cap")
+    for (const [effectType, amount] of Object.entries(effects)) {
+      if (effectType.endsWith('Cap')) {
+        const resourceType = effectType.replace('Cap', '');
+        const currentCap = resourceManager.getResourceCap(resourceType);
+        resourceManager.setResourceCap(resourceType, currentCap + amount);
+      }
+    }
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    // Apply cap decreases from config
+    const effects = this.config.effects?.onRemoved || {};
+
+    // Decrease resource caps (effects are negative values)
+    for (const [effectType, amount] of Object.entries(effects)) {
+      if (effectType.endsWith('Cap')) {
+        const resourceType = effectType.replace('Cap', '');
+        const currentCap = resourceManager.getResourceCap(resourceType);
+        resourceManager.setResourceCap(resourceType, Math.max(0, currentCap + amount));
+      }
+    }
+
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y}) - Storage decreased`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    const capBonuses = this.config.effects?.onPlaced || {};
+    return {
+      ...super.getInfo(),
+      capBonuses: capBonuses,
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// Sawmill building - turns wood into planks
+export class Sawmill extends Building {
+  constructor(x, y) {
+    super(x, y, 'sawmill');
+    this.config = BUILDING_CONFIGS.sawmill;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.sawmill;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description,
+      costs: this.config.costs,
+      inputs: this.config.inputs
+    };
+  }
+}
+
+// Mason building - turns stone into bricks
+export class Mason extends Building {
+  constructor(x, y) {
+    super(x, y, 'mason');
+    this.config = BUILDING_CONFIGS.mason;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.mason;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y})`);
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description,
+      costs: this.config.costs,
+      inputs: this.config.inputs
+    };
+  }
+}
+
+// ResearchLab building - unlocks research and upgrades
+export class ResearchLab extends Building {
+  constructor(x, y) {
+    super(x, y, 'researchLab');
+    this.config = BUILDING_CONFIGS.researchLab;
+  }
+
+  static getConfig() {
+    return BUILDING_CONFIGS.researchLab;
+  }
+
+  onPlaced(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} built at (${this.x}, ${this.y}) - Research unlocked!`);
+
+    // Trigger Research tab visibility
+    if (buildingManager && typeof buildingManager.onResearchLabPlaced === 'function') {
+      buildingManager.onResearchLabPlaced();
+    }
+  }
+
+  onRemoved(resourceManager, buildingManager) {
+    console.log(`${this.config.display.icon} ${this.config.name} removed at (${this.x}, ${this.y})`);
+
+    // Check if any other research labs exist
+    if (buildingManager && typeof buildingManager.onResearchLabRemoved === 'function') {
+      buildingManager.onResearchLabRemoved();
+    }
+  }
+
+  getDisplayColor() {
+    return this.config.display.color;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      description: this.config.description,
+      costs: this.config.costs
+    };
+  }
+}
+
+// Building Manager - coordinates all buildings and resource generation
+export class BuildingManager {
+  constructor(resourceManager, eventQueue = null) {
+    this.resourceManager = resourceManager;
+    this.eventQueue = eventQueue; // Optional event queue for displaying messages
+    this.researchManager = null; // Will be set after research manager is created
+    this.buildings = new Map(); // Map<"x,y", Building>
+    this.gameClock = null; // Clock driving generation while it runs
+    this.generationRate = 1000; // Generate resources every 1000ms (1 second)
+    this.starving = false; // True while residents can't be fed
+    this.starvationTicks = 0; // Consecutive ticks without enough food
+    this.staffingState = new Map(); // Map<"x,y", boolean> - true while an auto-staffed building is short of workers
+
+    // Event listeners for building changes (the UI reacts to these; the manager itself never touches the DOM)
+    this.listeners = [];
+  }
+
+  /**
+   * Set the research manager reference (called after initialization)
+   * @param {ResearchManager} researchManager
+   */
+  setResearchManager(researchManager) {
+    this.researchManager = researchManager;
+  }
+
+  // Create building instance based on type
+  createBuilding(x, y, type) {
+    switch (type) {
+      case 'house':
+        return new House(x, y);
+      case 'farm':
+        return new Farm(x, y);
+      case 'lumberyard':
+        return new Lumberyard(x, y);
+      case 'cobblepath':
+        return new CobblePath(x, y);
+      case 'stonequarry':
+        return new StoneQuarry(x, y);
+      case 'warehouse':
+        return new Warehouse(x, y);
+      case 'sawmill':
+        return new Sawmill(x, y);
+      case 'mason':
+        return new Mason(x, y);
+      case 'researchLab':
+        return new ResearchLab(x, y);
+      default:
+        console.warn(`Unknown building type: ${type}`);
+        return null;
+    }
+  }
+
+  // Place a building at the specified position
+  // Returns { success: boolean, building: Building|null, error: string|null }
+  // @param {boolean} skipCosts - If true, skip resource cost checks (used when loading saved buildings)
+  // @param {boolean} silent - If true, don't post success messages (batch placement posts one summary)
+  placeBuilding(x, y, type, tile = null, skipCosts = false, silent = false) {
+    const key = `${x},${y}`;
+
+    // Get building configuration
+    const config = BUILDING_CONFIGS[type];
+    if (!config) {
+      return {
+        success: false,
+        building: null,
+        error: `Unknown building type: ${type}`
+      };
+    }
+
+    // Check if building is unlocked via research (skip when loading saved buildings)
+    if (!skipCosts && this.researchManager) {
+      const isUnlocked = this.researchManager.isBuildingUnlocked(type);
+      if (!isUnlocked) {
+        const errorMsg = `Building locked - requires research`;
+
+        // Send event message if eventQueue is available
+        if (this.eventQueue) {
+          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
+        }
+
+        return {
+          success: false,
+          building: null,
+          error: errorMsg
+        };
+      }
+    }
+
+    // Never build over an existing building - it has to be demolished (and refunded) first
+    const existing = this.buildings.get(key);
+    if (existing) {
+      const errorMsg = `Tile already has a ${BUILDING_CONFIGS[existing.type]?.name || existing.type} - demolish it first`;
+
+      // Send event message if eventQueue is available
+      if (this.eventQueue) {
+        this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
+      }
+
+      return {
+        success: false,
+        building: null,
+        error: errorMsg
+      };
+    }
+
+    // Check resource costs (skip when loading saved buildings)
+    const costs = this.getBuildingCosts(type);
+    if (!skipCosts) {
+      const canAfford = this.resourceManager.canAfford(costs);
+      if (!canAfford) {
+        // Build detailed error message showing what's needed
+        const missingResources = [];
+        for (const [resourceType, cost] of Object.entries(costs)) {
+          const current = this.resourceManager.getResource(resourceType);
+          if (current < cost) {
+            missingResources.push(`${resourceType}: ${current}/${cost}`);
+          }
+        }
+        const errorMsg = `Insufficient resources - ${missingResources.join(', ')}`;
+
+        // Send event message if eventQueue is available
+        if (this.eventQueue) {
+          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
+        }
+
+        return {
+          success: false,
+          building: null,
+          error: errorMsg
+        };
+      }
+    }
+
+    // Validate terrain compatibility if tile is provided
+    if (tile && typeof tile.canPlaceBuilding === 'function') {
+      const validation = tile.canPlaceBuilding(type, this.getTerrainPermissions(type));
+      if (!validation.allowed) {
+        const errorMsg = validation.reason || 'Building cannot be placed on this terrain';
+
+        // Send event message if eventQueue is available
+        if (this.eventQueue) {
+          this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, false, errorMsg, config);
+        }
+
+        return {
+          success: false,
+          building: null,
+          error: errorMsg
+        };
+      }
+    }
+
+    // Deduct resources (skip when loading saved buildings)
+    if (!skipCosts) {
+      const spent = this.resourceManager.spend(costs);
+      if (!spent) {
+        return {
+          success: false,
+          building: null,
+          error: 'Failed to deduct resources (this should not happen)'
+        };
+      }
+    }
+
+    // Create and place new building
+    const building = this.createBuilding(x, y, type);
+    if (building) {
+      building.paidCosts = skipCosts ? {} : { ...costs };
+      this.buildings.set(key, building);
+      building.onPlaced(this.resourceManager, this);
+      console.log(`✅ ${config.name} built successfully at (${x}, ${y})`);
+
+      // Staff the new building (or put new residents to work) from the idle pool
+      this.fillVacancies();
+
+      // Send event message if eventQueue is available
+      if (this.eventQueue && !silent) {
+        this.eventQueue._addBuildingMessageWithConfig('placed', type, x, y, true, null, config);
+
+        const missingWorkers = building.getRequiredWorkers() - building.assignedWorkers;
+        if (missingWorkers > 0 && !skipCosts) {
+          this.eventQueue.addMessage(`⚠️ ${config.name} needs ${missingWorkers} more worker${missingWorkers === 1 ? '' : 's'} - build houses to staff it`, 'warning');
+        }
+      }
+
+      return {
+        success: true,
+        building: building,
+        error: null
+      };
+    }
+
+    // If building creation failed, refund resources
+    if (!skipCosts) {
+      for (const [resourceType, amount] of Object.entries(costs)) {
+        this.resourceManager.addResource(resourceType, amount);
+      }
+    }
+
+    return {
+      success: false,
+      building: null,
+      error: 'Failed to create building'
+    };
+  }
+  // Check whether a building could go on a tile as part of a batch (ignores costs)
+  // Returns { allowed: boolean, reason: string|null }
+  validatePlacement(x, y, type, tile = null) {
+    const config = BUILDING_CONFIGS[type];
+    if (!config) {
+      return { allowed: false, reason: `Unknown building type: ${type}` };
+    }
+
+    if (this.researchManager && !this.researchManager.isBuildingUnlocked(type)) {
+      return { allowed: false, reason: 'Building locked - requires research' };
+    }
+
+    // Batches never replace existing buildings
+    if (this.buildings.has(`${x},${y}`)) {
+      return { allowed: false, reason: 'Tile already has a building' };
+    }
+
+    if (tile && typeof tile.canPlaceBuilding === 'function') {
+      const validation = tile.canPlaceBuilding(type, this.getTerrainPermissions(type));
+      if (!validation.allowed) {
+        return { allowed: false, reason: validation.reason || 'Building cannot be placed on this terrain' };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  // Check whether a single building could be placed right now (mirrors placeBuilding's checks)
+  // Returns { allowed: boolean, reason: string|null }
+  checkPlacement(x, y, type, tile = null) {
+    const config = BUILDING_CONFIGS[type];
+    if (!config) {
+      return { allowed: false, reason: `Unknown building type: ${type}` };
+    }
+
+    if (this.researchManager && !this.researchManager.isBuildingUnlocked(type)) {
+      return { allowed: false, reason: 'Building locked - requires research' };
+    }
+
+    if (this.buildings.has(`${x},${y}`)) {
+      return { allowed: false, reason: 'Tile already has a building' };
+    }
+
+    if (!this.resourceManager.canAfford(this.getBuildingCosts(type))) {
+      return { allowed: false, reason: 'Insufficient resources' };
+    }
+
+    if (tile && typeof tile.canPlaceBuilding === 'function') {
+      const validation = tile.canPlaceBuilding(type, this.getTerrainPermissions(type));
+      if (!validation.allowed) {
+        return { allowed: false, reason: validation.reason || 'Building cannot be placed on this terrain' };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  // Get extra tiles a building would claim if placed here (e.g. a farm's fields)
+  getPlacementFootprint(x, y, type) {
+    const building = this.createBuilding(x, y, type);
+    if (!building || typeof building.getFarmlandPositions !== 'function') {
+      return [];
+    }
+    return building.getFarmlandPositions().filter(pos => !this.getBuilding(pos.x, pos.y));
+  }
+
+  // Get the construction costs of a building after research cost modifiers
+  getBuildingCosts(type) {
+    const config = BUILDING_CONFIGS[type];
+    const costs = {};
+    if (!config || !config.costs) {
+      return costs;
+    }
+
+    for (const [resourceType, amount] of Object.entries(config.costs)) {
+      const multiplier = this.researchManager ? this.researchManager.getCostMultiplier(type, resourceType) : 1;
+      costs[resourceType] = Math.round(amount * multiplier);
+    }
+    return costs;
+  }
+
+  // Get extra terrain types research allows this building on
+  getTerrainPermissions(type) {
+    return this.researchManager ? this.researchManager.getTerrainPermissions(type) : [];
+  }
+
+  // Get the combined cost of placing several buildings of one type
+  getBatchCost(type, count) {
+    const totalCosts = {};
+    for (const [resourceType, amount] of Object.entries(this.getBuildingCosts(type))) {
+      totalCosts[resourceType] = amount * count;
+    }
+    return totalCosts;
+  }
+
+  // Place several buildings of one type as a single transaction
+  // Invalid tiles are skipped; if the valid ones can't all be afforded, nothing is built
+  // Tiles that still fail once the batch is paid for are refunded in full
+  // @param {Array<{x: number, y: number, tile: Tile|null}>} placements
+  // Returns { success: boolean, placed: Array<{x, y, building}>, skipped: Array<{x, y, reason}>, error: string|null }
+  placeBuildings(placements, type) {
+    const config = BUILDING_CONFIGS[type];
+    if (!config) {
+      return { success: false, placed: [], skipped: [], error: `Unknown building type: ${type}` };
+    }
+
+    const valid = [];
+    const skipped = [];
+    for (const placement of placements) {
+      const validation = this.validatePlacement(placement.x, placement.y, type, placement.tile);
+      if (validation.allowed) {
+        valid.push(placement);
+      } else {
+        skipped.push({ x: placement.x, y: placement.y, reason: validation.reason });
+      }
+    }
+
+    if (valid.length === 0) {
+      const errorMsg = skipped[0]?.reason || 'No valid tiles selected';
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`❌ Could not build ${config.name}: ${errorMsg}`, 'error');
+      }
+      return { success: false, placed: [], skipped, error: errorMsg };
+    }
+
+    // Check the whole batch up front so it's all-or-nothing
+    const totalCosts = this.getBatchCost(type, valid.length);
+    if (!this.resourceManager.canAfford(totalCosts)) {
+      const missingResources = [];
+      for (const [resourceType, cost] of Object.entries(totalCosts)) {
+        const current = this.resourceManager.getResource(resourceType);
+        if (current < cost) {
+          missingResources.push(`${resourceType}: ${current.toFixed(0)}/${cost}`);
+        }
+      }
+      const errorMsg = `Insufficient resources for ${valid.length} ${config.name} - ${missingResources.join(', ')}`;
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`❌ ${errorMsg}`, 'error');
+      }
+      return { success: false, placed: [], skipped, error: errorMsg };
+    }
+
+    this.resourceManager.spend(totalCosts);
+
+    const placed = [];
+    let failed = 0;
+    for (const placement of valid) {
+      const result = this.placeBuilding(placement.x, placement.y, type, placement.tile, true, true);
+      if (result.success) {
+        result.building.paidCosts = { ...this.getBuildingCosts(type) };
+        placed.push({ x: placement.x, y: placement.y, building: result.building });
+      } else {
+        skipped.push({ x: placement.x, y: placement.y, reason: result.error });
+        failed++;
+      }
+    }
+
+    // Give back what was paid for the tiles that didn't get a building
+    if (failed > 0) {
+      for (const [resourceType, amount] of Object.entries(this.getBatchCost(type, failed))) {
+        this.resourceManager.addResource(resourceType, amount);
+      }
+    }
+
+    if (placed.length === 0) {
+      const errorMsg = skipped[0]?.reason || 'No valid tiles selected';
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`❌ Could not build ${config.name}: ${errorMsg}`, 'error');
+      }
+      return { success: false, placed, skipped, error: errorMsg };
+    }
+
+    console.log(`✅ Built ${placed.length} ${config.name} (${skipped.length} skipped)`);
+
+    if (this.eventQueue) {
+      const skippedText = skipped.length > 0 ? ` (${skipped.length} tile${skipped.length === 1 ? '' : 's'} skipped)` : '';
+      this.eventQueue.addMessage(`${config.display.icon} Built ${placed.length} ${config.name}${skippedText}`, 'success');
+    }
+
+    return { success: true, placed, skipped, error: null };
+  }
+
+
+  // Get the resources returned when demolishing a building
+  // A share of what was paid for it, using the building's own refundRate if set, otherwise DEMOLITION_CONFIG.refundRate
+  // Buildings from saves that didn't record the price fall back to the current cost
+  getRefund(building) {
+    const config = BUILDING_CONFIGS[building.type];
+    const refund = {};
+    if (!config) {
+      return refund;
+    }
+
+    const rate = config.refundRate ?? DEMOLITION_CONFIG.refundRate;
+    const paidCosts = building.paidCosts ?? this.getBuildingCosts(building.type);
+    for (const [resourceType, amount] of Object.entries(paidCosts)) {
+      const refunded = Math.floor(amount * rate);
+      if (refunded > 0) {
+        refund[resourceType] = refunded;
+      }
+    }
+    return refund;
+  }
+
+  // Describe a demolition refund for messages, e.g. " - refunded 25 wood, 4 workers returned"
+  formatRefund(refund, workersReturned = 0) {
+    const parts = Object.entries(refund)
+      .filter(([, amount]) => amount > 0)
+      .map(([resourceType, amount]) => `${amount} ${resourceType}`);
+    const refundText = parts.length > 0 ? `refunded ${parts.join(', ')}` : 'no refund';
+    const workersText = workersReturned > 0
+      ? `, ${workersReturned} worker${workersReturned === 1 ? '' : 's'} returned`
+      : '';
+    return ` - ${refundText}${workersText}`;
+  }
+
+  // Remove a building at the specified position
+  // @param {boolean} shouldRefundCosts - If true, refund part of the construction costs per the demolition policy (default: true)
+  // @param {boolean} silent - If true, don't post a removal message (used by undo/redo)
+  removeBuilding(x, y, shouldRefundCosts = true, silent = false) {
+    const key = `${x},${y}`;
+    const building = this.buildings.get(key);
+
+    if (building) {
+      // Get config before removing
+      const config = BUILDING_CONFIGS[building.type];
+
+      // Refund construction costs if requested (not when replacing buildings)
+      const refund = shouldRefundCosts ? this.getRefund(building) : {};
+      for (const [resourceType, amount] of Object.entries(refund)) {
+        this.resourceManager.addResource(resourceType, amount);
+        console.log(`💰 Refunded ${amount} ${resourceType} from ${config.name} demolition`);
+      }
+
+      // Return this building's workers to the idle pool
+      const workersReturned = building.assignedWorkers;
+      this.resourceManager.releaseWorkers(building.assignedWorkers);
+      building.assignedWorkers = 0;
+
+      // Execute building-specific onRemoved effects (e.g., House worker reduction)
+      building.onRemoved(this.resourceManager, this);
+      this.buildings.delete(key);
+
+      // Lay off workers if a house took residents with it, then re-staff with anyone freed up
+      this.rebalanceWorkers();
+      this.fillVacancies();
+
+      // Send event message if eventQueue is available
+      if (this.eventQueue && config && !silent) {
+        const details = shouldRefundCosts ? this.formatRefund(refund, workersReturned) : '';
+        this.eventQueue._addBuildingMessageWithConfig('removed', building.type, x, y, true, null, config, details);
+      }
+
+      return true;
+    }
+
+    return false;
+  }
+
+  // Demolish every building in a set of positions as a single action
+  // Empty positions are ignored; posts one summary message with the total refund
+  // Returns { success: boolean, removed: Array<{x, y, type}>, refund: Object, workersReturned: number }
+  demolishBuildings(positions) {
+    const removed = [];
+    const refund = {};
+    let workersReturned = 0;
+
+    for (const pos of positions) {
+      const building = this.getBuilding(pos.x, pos.y);
+      if (!building) {
+        continue;
+      }
+
+      const type = building.type;
+      const buildingRefund = this.getRefund(building);
+      const workers = building.assignedWorkers;
+      if (this.removeBuilding(pos.x, pos.y, true, true)) {
+        removed.push({ x: pos.x, y: pos.y, type });
+        workersReturned += workers;
+        for (const [resourceType, amount] of Object.entries(buildingRefund)) {
+          refund[resourceType] = (refund[resourceType] || 0) + amount;
+        }
+      }
+    }
+
+    if (removed.length === 0) {
+      return { success: false, removed, refund, workersReturned };
+    }
+
+    console.log(`🔨 Demolished ${removed.length} buildings`);
+
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(
+        `🔨 Demolished ${removed.length} building${removed.length === 1 ? '' : 's'}${this.formatRefund(refund, workersReturned)}`,
+        'info'
+      );
+    }
+
+    return { success: true, removed, refund, workersReturned };
+  }
+
+  // Get building at position
+  getBuilding(x, y) {
+    const key = `${x},${y}`;
+    return this.buildings.get(key) || null;
+  }
+
+  // Get all buildings of a specific type
+  getBuildingsByType(type) {
+    const buildingsOfType = [];
+    for (const building of this.buildings.values()) {
+      if (building.type === type) {
+        buildingsOfType.push(building);
+      }
+    }
+    return buildingsOfType;
+  }
+
+  // Count buildings by type
+  getBuildingCount(type = null) {
+    if (type === null) {
+      return this.buildings.size;
+    }
+    return this.getBuildingsByType(type).length;
+  }
+
+  // Set the number of workers assigned to a building (clamped to 0..required)
+  // Returns { success: boolean, assigned: number, error: string|null }
+  setBuildingWorkers(x, y, count) {
+    const building = this.getBuilding(x, y);
+    if (!building) {
+      return { success: false, assigned: 0, error: 'No building at this position' };
+    }
+
+    const required = building.getRequiredWorkers();
+    if (required <= 0) {
+      return { success: false, assigned: 0, error: `${building.config?.name || building.type} does not employ workers` };
+    }
+
+    const target = Math.max(0, Math.min(required, Math.floor(count)));
+    const delta = target - building.assignedWorkers;
+
+    if (delta > 0) {
+      building.assignedWorkers += this.resourceManager.employWorkers(delta);
+    } else if (delta < 0) {
+      building.assignedWorkers -= this.resourceManager.releaseWorkers(-delta);
+    }
+
+    // Manually reduced buildings stop pulling in idle workers until fully staffed again
+    building.autoStaff = building.assignedWorkers >= required;
+
+    // Freed workers move on to other understaffed buildings
+    if (delta < 0) {
+      this.fillVacancies();
+    } else {
+      this.reportStaffing();
+    }
+
+    const success = building.assignedWorkers === target;
+    return {
+      success,
+      assigned: building.assignedWorkers,
+      error: success ? null : 'Not enough idle workers'
+    };
+  }
+
+  // Add or remove workers from a building by a relative amount
+  adjustBuildingWorkers(x, y, delta) {
+    const building = this.getBuilding(x, y);
+    if (!building) {
+      return { success: false, assigned: 0, error: 'No building at this position' };
+    }
+    return this.setBuildingWorkers(x, y, building.assignedWorkers + delta);
+  }
+
+  // Assign idle workers to understaffed buildings (in placement order)
+  fillVacancies() {
+    for (const building of this.buildings.values()) {
+      if (this.resourceManager.getIdleWorkers() <= 0) {
+        break;
+      }
+      if (!building.autoStaff) {
+        continue;
+      }
+
+      const missing = building.getRequiredWorkers() - building.assignedWorkers;
+      if (missing > 0) {
+        building.assignedWorkers += this.resourceManager.employWorkers(missing);
+      }
+    }
+
+    this.reportStaffing();
+  }
+
+  // Lay off workers when population drops below employment (newest buildings first)
+  rebalanceWorkers() {
+    let excess = this.resourceManager.getEmployedWorkers() - this.resourceManager.getResource('worker');
+
+    const newestFirst = Array.from(this.buildings.values()).reverse();
+    for (const building of newestFirst) {
+      if (excess <= 0) {
+        break;
+      }
+
+      const layoffs = Math.min(excess, building.assignedWorkers);
+      if (layoffs > 0) {
+        building.assignedWorkers -= this.resourceManager.releaseWorkers(layoffs);
+        excess -= layoffs;
+      }
+    }
+
+    this.reportStaffing();
+  }
+
+  // Notify listeners of a staffing change and warn about buildings that just lost workers
+  // New buildings are covered by placeBuilding's own message; buildings staffed down by hand aren't shortages
+  reportStaffing() {
+    const staffingState = new Map();
+    const nowShort = [];
+    for (const [key, building] of this.buildings) {
+      const short = building.autoStaff && building.assignedWorkers < building.getRequiredWorkers();
+      staffingState.set(key, short);
+      if (short && this.staffingState.get(key) === false) {
+        nowShort.push(building);
+      }
+    }
+    this.staffingState = staffingState;
+
+    if (this.eventQueue && nowShort.length === 1) {
+      const [building] = nowShort;
+      const missing = building.getRequiredWorkers() - building.assignedWorkers;
+      this.eventQueue.addMessage(`⚠️ ${BUILDING_CONFIGS[building.type].name} at (${building.x}, ${building.y}) is short ${missing} worker${missing === 1 ? '' : 's'} - build houses to staff it`, 'warning');
+    } else if (this.eventQueue && nowShort.length > 1) {
+      this.eventQueue.addMessage(`⚠️ ${nowShort.length} buildings are short of workers - build houses to staff them`, 'warning');
+    }
+
+    this.notifyListeners('staffingChanged', this.getLaborStats());
+  }
+
+  // Get labor pool breakdown across all buildings
+  getLaborStats() {
+    let required = 0;
+    let understaffed = 0;
+
+    for (const building of this.buildings.values()) {
+      const needed = building.getRequiredWorkers();
+      required += needed;
+      if (building.assignedWorkers < needed) {
+        understaffed++;
+      }
+    }
+
+    return {
+      total: this.resourceManager.getResource('worker'),
+      employed: this.resourceManager.getEmployedWorkers(),
+      idle: this.resourceManager.getIdleWorkers(),
+      required,
+      understaffed
+    };
+  }
+
+  // Start resource generation on the game clock (runs in game time, so it stops while paused)
+  startGeneration(gameClock) {
+    if (this.gameClock) {
+      console.warn('Generation already started');
+      return;
+    }
+
+    this.gameClock = gameClock;
+    gameClock.addTask('generation', this.generationRate, () => this.tickGeneration());
+
+    console.log('🔄 Building resource generation started');
+  }
+
+  // Stop resource generation
+  stopGeneration() {
+    if (this.gameClock) {
+      this.gameClock.removeTask('generation');
+      this.gameClock = null;
+      console.log('⏸️ Building resource generation stopped');
+    }
+  }
+
+  // Generate resources for all buildings (called every tick)
+  tickGeneration() {
+    const productivity = this.starving ? POPULATION_CONFIG.starvingProductivity : 1;
+    for (const building of this.buildings.values()) {
+      if (typeof building.generateResources === 'function') {
+        building.generateResources(this.resourceManager, productivity, this.researchManager);
+      }
+    }
+
+    this.tickPopulation();
+
+    // Research labs advance the research queue
+    if (this.researchManager) {
+      this.researchManager.tickResearch(this.generationRate / 1000, this.getResearchSpeed(productivity));
+    }
+
+    // Close out this tick's second for income/expense rates
+    this.resourceManager.advanceTime(this.generationRate / 1000);
+  }
+
+  // Catch up on time that passed while the game was closed by running the normal tick loop
+  // Per-tick messages and resource notifications are held back; listeners hear once at the end
+  // and the returned summary is reported instead
+  simulateOfflineProgress(seconds) {
+    const ticks = Math.floor((seconds * 1000) / this.generationRate);
+    const resourcesBefore = this.resourceManager.getAllResources();
+    const researchBefore = new Set(this.researchManager?.completedResearch || []);
+
+    const eventQueue = this.eventQueue;
+    const researchEventQueue = this.researchManager?.eventQueue;
+    this.eventQueue = null;
+    if (this.researchManager) this.researchManager.eventQueue = null;
+    this.resourceManager.suspendNotifications();
+
+    try {
+      for (let i = 0; i < ticks; i++) {
+        this.tickGeneration();
+      }
+    } finally {
+      this.eventQueue = eventQueue;
+      if (this.researchManager) this.researchManager.eventQueue = researchEventQueue;
+      this.resourceManager.resumeNotifications();
+    }
+
+    // Net change per resource, ignoring rounding noise
+    const resourceChanges = {};
+    for (const [type, amount] of Object.entries(this.resourceManager.getAllResources())) {
+      const change = amount - (resourcesBefore[type] || 0);
+      if (Math.abs(change) >= 0.01) {
+        resourceChanges[type] = change;
+      }
+    }
+
+    return {
+      ticks,
+      seconds: (ticks * this.generationRate) / 1000,
+      resourceChanges,
+      completedResearch: Array.from(this.researchManager?.completedResearch || []).filter(id => !researchBefore.has(id)),
+      starving: this.starving
+    };
+  }
+
+  // Research speed from all labs - each fully staffed lab adds 1
+  getResearchSpeed(productivity = 1) {
+    let speed = 0;
+    for (const lab of this.getBuildingsByType('researchLab')) {
+      speed += lab.getStaffingRatio() * productivity;
+    }
+    return speed;
+  }
+
+  // Get all houses in placement order
+  getHouses() {
+    return Array.from(this.buildings.values()).filter(building => building.type === 'house');
+  }
+
+  // Get total food eaten by all residents each tick
+  getFoodUpkeep() {
+    return this.getHouses().reduce((total, house) => total + house.getFoodUpkeep(), 0);
+  }
+
+  // Feed residents, then apply starvation or recovery (called every tick)
+  tickPopulation() {
+    const upkeep = this.getFoodUpkeep();
+    if (upkeep <= 0) {
+      // Nobody to feed - empty houses can still attract new residents
+      this.setStarving(false);
+      this.regrowResidents();
+      return;
+    }
+
+    const food = this.resourceManager.getResource('food');
+    if (food >= upkeep) {
+      this.resourceManager.removeResource('food', upkeep);
+      this.setStarving(false);
+      this.regrowResidents();
+      return;
+    }
+
+    // Not enough food - residents eat what's left and start leaving
+    if (food > 0) {
+      this.resourceManager.removeResource('food', food);
+    }
+    this.setStarving(true);
+    this.starvationTicks++;
+
+    if (this.starvationTicks % POPULATION_CONFIG.residentLossTicks === 0) {
+      this.starveResident();
+    }
+  }
+
+  // Update starvation state and announce changes
+  setStarving(starving) {
+    if (this.starving === starving) {
+      return;
+    }
+
+    this.starving = starving;
+    if (!starving) {
+      this.starvationTicks = 0;
+    }
+
+    if (this.eventQueue) {
+      if (starving) {
+        this.eventQueue.addMessage('🍞 Out of food! Workers are slowing down and residents will leave', 'error');
+      } else {
+        this.eventQueue.addMessage('🌾 Food supply restored', 'success');
+      }
+    }
+    console.log(starving ? '⚠️ Settlement is starving' : '✅ Settlement is fed');
+  }
+
+  // Remove a resident from the newest occupied house
+  starveResident() {
+    const house = this.getHouses().reverse().find(candidate => candidate.residents > 0);
+    if (!house || !house.loseResident(this.resourceManager)) {
+      return;
+    }
+
+    this.rebalanceWorkers();
+
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(`⚠️ A resident left the House at (${house.x}, ${house.y}) due to starvation`, 'warning');
+    }
+    console.log(`🏚️ House at (${house.x}, ${house.y}) lost a resident (${house.residents} left)`);
+  }
+
+  // Let residents move back into partially empty houses while fed
+  regrowResidents() {
+    let grew = false;
+    for (const house of this.getHouses()) {
+      if (house.residents >= house.getCapacity()) {
+        continue;
+      }
+
+      house.regrowTicks++;
+      if (house.regrowTicks >= POPULATION_CONFIG.residentRegrowTicks && house.gainResident(this.resourceManager)) {
+        house.regrowTicks = 0;
+        grew = true;
+      }
+    }
+
+    if (grew) {
+      this.fillVacancies();
+    }
+  }
+
+  // Clear all buildings
+  clearAll() {
+    // Remove all buildings and trigger their onRemoved callbacks
+    const buildingsCopy = Array.from(this.buildings.values());
+    for (const building of buildingsCopy) {
+      this.removeBuilding(building.x, building.y);
+    }
+  }
+
+  // Get statistics about all buildings
+  getStats() {
+    const houseCount = this.getBuildingCount('house');
+
+    // Count of every building type (including types with none built)
+    const byType = {};
+    for (const type of Object.keys(BUILDING_CONFIGS)) {
+      byType[type] = 0;
+    }
+    for (const building of this.buildings.values()) {
+      byType[building.type] = (byType[building.type] || 0) + 1;
+    }
+
+    const stats = {
+      total: this.buildings.size,
+      houses: houseCount,
+      farms: this.getBuildingCount('farm'),
+      lumberyards: this.getBuildingCount('lumberyard'),
+      cobblepaths: this.getBuildingCount('cobblepath'),
+      population: this.getHouses().reduce((total, house) => total + house.residents, 0),
+      foodUpkeep: this.getFoodUpkeep(),
+      starving: this.starving,
+      byType,
+      workers: this.getLaborStats(),
+      generationActive: this.gameClock !== null
+    };
+    return stats;
+  }
+
+  // Check if any research labs exist
+  hasResearchLab() {
+    return this.getBuildingCount('researchLab') > 0;
+  }
+
+  // Called when a research lab is placed (the UI shows the Research tab)
+  onResearchLabPlaced() {
+    this.notifyListeners('researchLabPlaced');
+  }
+
+  // Called when a research lab is removed (the UI hides the Research tab once none are left)
+  onResearchLabRemoved() {
+    this.notifyListeners('researchLabRemoved');
+  }
+
+  // Register a listener for building events - called with (event, data)
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  // Remove a listener
+  removeListener(callback) {
+    const index = this.listeners.indexOf(callback);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  // Notify all listeners of a building event
+  notifyListeners(event, data = null) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Error in building listener:', error);
+      }
+    });
+  }
+
+  // Export building data for saving
+  exportData() {
+    const data = [];
+    for (const building of this.buildings.values()) {
+      data.push({
+        x: building.x,
+        y: building.y,
+        type: building.type,
+        createdAt: building.createdAt,
+        assignedWorkers: building.assignedWorkers,
+        autoStaff: building.autoStaff,
+        residents: building.residents,
+        paidCosts: building.paidCosts
+      });
+    }
+    return data;
+  }
+
+  // Import building data for loading
+  // Buildings are recreated as saved, without costs, refunds or placement side effects -
+  // call restoreDerivedState() afterwards to rebuild caps and the labor pool from them
+  importData(data) {
+    this.buildings.clear();
+    this.staffingState.clear();
+    this.starving = false;
+    this.starvationTicks = 0;
+
+    for (const buildingData of data) {
+      const building = this.createBuilding(buildingData.x, buildingData.y, buildingData.type);
+      if (!building) {
+        console.warn(`Skipping unknown building type in save: ${buildingData.type}`);
+        continue;
+      }
+
+      if (buildingData.createdAt !== undefined) {
+        building.createdAt = buildingData.createdAt;
+      }
+
+      // Saves from before residents were tracked had full houses
+      if (building.type === 'house') {
+        const residents = buildingData.residents ?? building.getCapacity();
+        building.residents = Math.max(0, Math.min(building.getCapacity(), residents));
+      }
+
+      building.assignedWorkers = Math.max(0, Math.min(building.getRequiredWorkers(), buildingData.assignedWorkers || 0));
+      building.autoStaff = buildingData.autoStaff ?? true;
+      building.paidCosts = buildingData.paidCosts ?? null;
+
+      this.buildings.set(`${building.x},${building.y}`, building);
+    }
+  }
+
+  // Rebuild everything derived from the loaded buildings: storage caps, worker totals and employment
+  // Expects resource caps to have been reset to their base values first
+  restoreDerivedState() {
+    let residents = 0;
+    let employed = 0;
+
+    for (const building of this.buildings.values()) {
+      building.restoreEffects(this.resourceManager);
+      residents += building.residents || 0;
+      employed += building.assignedWorkers;
+    }
+
+    this.resourceManager.setResource('worker', residents);
+    this.resourceManager.setEmployedWorkers(employed);
+
+    // Saves made before staffing was tracked (or with more staff than residents) get re-staffed here
+    this.rebalanceWorkers();
+    this.fillVacancies();
+
+    if (this.hasResearchLab()) {
+      this.onResearchLabPlaced();
+    } else {
+      this.onResearchLabRemoved();
+    }
+  }
+
+  // Get the restorable state of the building at a position (null if empty)
+  getBuildingState(x, y) {
+    const building = this.getBuilding(x, y);
+    if (!building) {
+      return null;
+    }
+
+    return {
+      type: building.type,
+      assignedWorkers: building.assignedWorkers,
+      autoStaff: building.autoStaff,
+      residents: building.residents,
+      paidCosts: building.paidCosts
+    };
+  }
+
+  // Apply saved residents, staffing and paid costs to a freshly placed building
+  applyBuildingState(building, state) {
+    // Keep the original price so refunds don't change across undo/redo
+    if (state.paidCosts !== undefined) {
+      building.paidCosts = state.paidCosts;
+    }
+
+    // Restore houses that lost residents to starvation
+    if (state.residents !== undefined && building.type === 'house') {
+      const departed = building.residents - state.residents;
+      for (let i = 0; i < departed; i++) {
+        building.loseResident(this.resourceManager);
+      }
+      this.rebalanceWorkers();
+    }
+
+    // Restore staffing choices
+    if (state.assignedWorkers !== undefined && building.getRequiredWorkers() > 0) {
+      this.setBuildingWorkers(building.x, building.y, state.assignedWorkers);
+      building.autoStaff = state.autoStaff ?? true;
+    }
+  }
+
+  // Get building configuration by type
+  getBuildingConfig(type) {
+    return BUILDING_CONFIGS[type] || null;
+  }
+
+  // Check if player can afford a building
+  canAffordBuilding(type) {
+    return this.resourceManager.canAfford(this.getBuildingCosts(type));
+  }
+
+  // Get all building types
+  static getBuildingTypes() {
+    return Object.keys(BUILDING_CONFIGS);
+  }
+
+  // Cleanup
+  destroy() {
+    this.stopGeneration();
+    this.clearAll();
+  }
+}
@@ -0,0 +1,114 @@
+// Command history for tile game
+// Keeps undo/redo stacks of building changes and reports each step through the event queue
+
+export class CommandHistory {
+  constructor(eventQueue = null, options = {}) {
+    this.eventQueue = eventQueue;
+    this.maxSize = options.maxSize || 100; // Oldest commands are dropped beyond this
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a command that has already been executed
+   * @param {Object} command - { label: string, undo: Function, redo: Function }
+   *   undo/redo return { success: boolean, error: string|null }
+   */
+  record(command) {
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      console.warn('CommandHistory: command must have undo and redo functions');
+      return false;
+    }
+
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.maxSize) {
+      this.undoStack.shift();
+    }
+
+    // A new action invalidates anything that was undone
+    this.redoStack = [];
+    return true;
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {Object} - { success: boolean, error: string|null }
+   */
+  undo() {
+    if (this.undoStack.length === 0) {
+      this.addMessage('Nothing to undo', 'info');
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    const command = this.undoStack.pop();
+    const result = command.undo();
+
+    if (!result.success) {
+      // Leave the command in place so the player can try again later
+      this.undoStack.push(command);
+      this.addMessage(`❌ Can't undo "${command.label}": ${result.error}`, 'error');
+      return result;
+    }
+
+    this.redoStack.push(command);
+    this.addMessage(`↩️ Undo: ${command.label}`, 'info');
+    console.log(`↩️ Undo: ${command.label}`);
+    return result;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {Object} - { success: boolean, error: string|null }
+   */
+  redo() {
+    if (this.redoStack.length === 0) {
+      this.addMessage('Nothing to redo', 'info');
+      return { success: false, error: 'Nothing to redo' };
+    }
+
+    const command = this.redoStack.pop();
+    const result = command.redo();
+
+    if (!result.success) {
+      this.redoStack.push(command);
+      this.addMessage(`❌ Can't redo "${command.label}": ${result.error}`, 'error');
+      return result;
+    }
+
+    this.undoStack.push(command);
+    this.addMessage(`↪️ Redo: ${command.label}`, 'info');
+    console.log(`↪️ Redo: ${command.label}`);
+    return result;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Forget all history (e.g. after loading a save)
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Send a message to the event queue if available
+  addMessage(text, type) {
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(text, type);
+    }
+  }
+
+  getStats() {
+    return {
+      undoCount: this.undoStack.length,
+      redoCount: this.redoStack.length,
+      maxSize: this.maxSize,
+      nextUndo: this.undoStack[this.undoStack.length - 1]?.label || null,
+      nextRedo: this.redoStack[this.redoStack.length - 1]?.label || null
+    };
+  }
+}
@@ -0,0 +1,300 @@
+// Game Clock for tile game
+// One fixed-timestep clock drives every periodic system. Simulation tasks (production, research,
+// statistics) advance in fixed steps of game time, so pausing freezes them and 2x/4x runs more steps
+// per second. Real-time tasks (auto-save, UI refresh) keep wall-clock time and ignore pause and speed.
+// Within a step, tasks run in the order they were added.
+
+// ========================================
+// GAME CLOCK CONFIGURATION
+// ========================================
+
+export const GAME_CLOCK_CONFIG = {
+  stepMs: 100, // Length of one simulation step in game time
+  frameRate: 50, // How often the clock checks for elapsed time (ms)
+  maxFrameMs: 60000, // Longest real gap caught up in one frame (background tabs fire timers rarely)
+  speeds: [1, 2, 4] // Available simulation speeds
+};
+
+export class GameClock {
+  constructor(options = {}) {
+    this.stepMs = options.stepMs || GAME_CLOCK_CONFIG.stepMs;
+    this.frameRate = options.frameRate || GAME_CLOCK_CONFIG.frameRate;
+    this.maxFrameMs = options.maxFrameMs || GAME_CLOCK_CONFIG.maxFrameMs;
+    this.speeds = options.speeds || GAME_CLOCK_CONFIG.speeds;
+
+    this.speed = this.speeds[0];
+    this.paused = false;
+    this.simulationTime = 0; // Game time simulated so far (ms)
+    this.accumulator = 0; // Game time owed but not yet stepped (ms)
+
+    // Tasks in run order: { name, interval, callback, realTime, elapsed }
+    this.tasks = [];
+
+    this.frameInterval = null;
+    this.lastFrameTime = 0;
+
+    // Event listeners for pause/speed changes
+    this.listeners = [];
+  }
+
+  /**
+   * Register a periodic task
+   * @param {string} name - Unique task name
+   * @param {number} interval - Milliseconds between runs (game time unless realTime)
+   * @param {Function} callback - Called each time the interval elapses
+   * @param {Object} options - { realTime: boolean } - real-time tasks keep running while paused
+   * @returns {boolean} - True if the task was added
+   */
+  addTask(name, interval, callback, options = {}) {
+    if (this.hasTask(name)) {
+      console.warn(`Game clock task ${name} already registered`);
+      return false;
+    }
+    if (!(interval > 0) || typeof callback !== 'function') {
+      console.warn(`Game clock task ${name} needs a positive interval and a callback`);
+      return false;
+    }
+
+    this.tasks.push({
+      name,
+      interval,
+      callback,
+      realTime: options.realTime === true,
+      elapsed: 0
+    });
+    return true;
+  }
+
+  /**
+   * Remove a task by name
+   * @param {string} name - Task name
+   * @returns {boolean} - True if a task was removed
+   */
+  removeTask(name) {
+    const index = this.tasks.findIndex(task => task.name === name);
+    if (index === -1) {
+      return false;
+    }
+    this.tasks.splice(index, 1);
+    return true;
+  }
+
+  hasTask(name) {
+    return this.tasks.some(task => task.name === name);
+  }
+
+  /**
+   * Start advancing with wall-clock time
+   * A timer is used rather than requestAnimationFrame so production keeps going in background tabs
+   */
+  start() {
+    if (this.frameInterval) {
+      console.warn('Game clock already started');
+      return;
+    }
+
+    this.lastFrameTime = this.now();
+    this.frameInterval = setInterval(() => {
+      const time = this.now();
+      this.update(time - this.lastFrameTime);
+      this.lastFrameTime = time;
+    }, this.frameRate);
+
+    console.log('⏱️ Game clock started');
+  }
+
+  stop() {
+    if (this.frameInterval) {
+      clearInterval(this.frameInterval);
+      this.frameInterval = null;
+      console.log('⏹️ Game clock stopped');
+    }
+  }
+
+  isRunning() {
+    return this.frameInterval !== null;
+  }
+
+  /**
+   * Advance by an amount of real time: simulation steps first, then real-time tasks
+   * @param {number} realMs - Real milliseconds since the last update
+   */
+  update(realMs) {
+    const elapsed = Math.min(Math.max(0, realMs), this.maxFrameMs);
+
+    if (!this.paused) {
+      this.accumulator += elapsed * this.speed;
+      while (this.accumulator >= this.stepMs) {
+        this.accumulator -= this.stepMs;
+        this.step();
+      }
+    }
+
+    for (const task of this.tasks) {
+      if (!task.realTime) continue;
+
+      task.elapsed += elapsed;
+      if (task.elapsed >= task.interval) {
+        // Real-time tasks don't catch up on missed runs - once is enough after a long gap
+        task.elapsed %= task.interval;
+        this.runTask(task);
+      }
+    }
+  }
+
+  /**
+   * Advance game time directly, ignoring pause and speed (headless runs and tests)
+   * @param {number} simulationMs - Game milliseconds to simulate
+   * @returns {number} - Number of steps run
+   */
+  advance(simulationMs) {
+    this.accumulator += Math.max(0, simulationMs);
+    let steps = 0;
+    while (this.accumulator >= this.stepMs) {
+      this.accumulator -= this.stepMs;
+      this.step();
+      steps++;
+    }
+    return steps;
+  }
+
+  /**
+   * Run one fixed simulation step
+   * @private
+   */
+  step() {
+    this.simulationTime += this.stepMs;
+
+    for (const task of this.tasks) {
+      if (task.realTime) continue;
+
+      task.elapsed += this.stepMs;
+      while (task.elapsed >= task.interval) {
+        task.elapsed -= task.interval;
+        this.runTask(task);
+      }
+    }
+  }
+
+  /**
+   * Run a task, keeping the clock alive if it throws
+   * @private
+   */
+  runTask(task) {
+    try {
+      task.callback();
+    } catch (error) {
+      console.error(`Error in game clock task ${task.name}:`, error);
+    }
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    console.log('⏸️ Game paused');
+    this.notifyListeners();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    console.log(`▶️ Game resumed at ${this.speed}x`);
+    this.notifyListeners();
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+    return this.paused;
+  }
+
+  /**
+   * Set the simulation speed; choosing a speed also resumes a paused game
+   * @param {number} speed - One of the configured speeds
+   * @returns {boolean} - True if the speed is valid
+   */
+  setSpeed(speed) {
+    if (!this.speeds.includes(speed)) {
+      console.warn(`Unsupported game speed: ${speed}x`);
+      return false;
+    }
+
+    const changed = this.speed !== speed || this.paused;
+    this.speed = speed;
+    this.paused = false;
+    if (changed) {
+      console.log(`⏩ Game speed set to ${speed}x`);
+      this.notifyListeners();
+    }
+    return true;
+  }
+
+  /**
+   * Step to the next faster (1) or slower (-1) speed
+   * @param {number} direction - 1 or -1
+   */
+  changeSpeed(direction) {
+    const index = this.speeds.indexOf(this.speed);
+    const next = Math.max(0, Math.min(this.speeds.length - 1, index + direction));
+    return this.setSpeed(this.speeds[next]);
+  }
+
+  /**
+   * Get the clock state for display
+   * @returns {Object} - { paused, speed, simulationTime }
+   */
+  getState() {
+    return {
+      paused: this.paused,
+      speed: this.speed,
+      simulationTime: this.simulationTime
+    };
+  }
+
+  /**
+   * Current wall-clock time in ms
+   * @private
+   */
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Register a listener for pause and speed changes
+   * @param {Function} callback - Called with the clock state
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Remove a listener
+   * @param {Function} callback - The listener to remove
+   */
+  removeListener(callback) {
+    const index = this.listeners.indexOf(callback);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a pause or speed change
+   * @private
+   */
+  notifyListeners() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Error in game clock listener:', error);
+      }
+    });
+  }
+}
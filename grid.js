@@ -1,1240 +1,2046 @@
-import { Tile } from './tile.js';
-import { WorldGenerator } from './worldGenerator.js';
-
-export class Grid {
-  constructor(canvas, baseTileSize = 32) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    this.baseTileSize = baseTileSize;
-
-    // Zoom properties
-    this.zoomLevel = 1.0;
-    this.minZoom = 0.1;
-    this.maxZoom = 5.0;
-    this.zoomStep = 0.1;
-
-    // Viewport properties for panning
-    this.viewportX = 0;
-    this.viewportY = 0;
-
-    // Mouse interaction state
-    this.isDragging = false;
-    this.lastMouseX = 0;
-    this.lastMouseY = 0;
-
-    // Paint dragging state
-    this.isPaintDragging = false;
-    this.lastPaintedTile = { x: null, y: null };
-    this.paintDragStartPos = { x: null, y: null };
-
-    // Tile selection state
-    this.selectedTile = { x: null, y: null };
-    this.highlightColor = '#ffff00';
-    this.highlightAlpha = 0.6;
-    this.selectionMode = false; // Toggle between pan and select modes
-
-    // Tile painting state
-    this.paintedTiles = new Map(); // Map<"x,y", Tile>
-    this.farmlandTiles = new Map(); // Map<"x,y", {farmX, farmY}> - track which farm owns each farmland
-    this.paintMode = false;
-    this.currentBuildingType = 'house'; // Default building type
-    this.buildingManager = null; // Will be set externally
-
-    // Tooltip manager
-    this.tooltipManager = null; // Will be set externally
-
-    // World generation
-    this.worldGenerator = new WorldGenerator();
-    this.proceduralGeneration = true;
-    this.generatedTiles = new Map(); // Cache for generated terrain
-    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
-
-
-    // Tile unloading configuration
-    this.tileRetentionBuffer = 15; // Extra tiles beyond max zoom out area
-    this.enableTileUnloading = true; // Feature toggle
-    this.unloadingStats = {
-      tilesUnloaded: 0,
-      lastUnloadTime: 0,
-      retentionRadius: 0,
-      totalMemoryCleared: 0
-    };
-
-    // Bind event handlers
-    this.handleMouseDown = this.handleMouseDown.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
-    this.handleMouseUp = this.handleMouseUp.bind(this);
-    this.handleWheel = this.handleWheel.bind(this);
-    this.handleKeyDown = this.handleKeyDown.bind(this);
-    this.handleClick = this.handleClick.bind(this);
-
-    // Add event listeners
-    this.canvas.addEventListener('mousedown', this.handleMouseDown);
-    this.canvas.addEventListener('mousemove', this.handleMouseMove);
-    this.canvas.addEventListener('mouseup', this.handleMouseUp);
-    this.canvas.addEventListener('mouseleave', this.handleMouseUp);
-    this.canvas.addEventListener('wheel', this.handleWheel);
-    this.canvas.addEventListener('click', this.handleClick);
-
-    // Add global keyboard event listener for spacebar
-    document.addEventListener('keydown', this.handleKeyDown);
-
-    // Prevent right-click context menu
-    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
-  }
-
-  // Get current tile size based on zoom level
-  get tileSize() {
-    return this.baseTileSize * this.zoomLevel;
-  }
-
-  // Convert screen coordinates to grid coordinates
-  screenToGrid(screenX, screenY) {
-    const gridX = Math.floor((screenX + this.viewportX) / this.tileSize);
-    const gridY = Math.floor((screenY + this.viewportY) / this.tileSize);
-    return { x: gridX, y: gridY };
-  }
-
-  // Convert grid coordinates to screen coordinates
-  gridToScreen(gridX, gridY) {
-    const screenX = (gridX * this.tileSize) - this.viewportX;
-    const screenY = (gridY * this.tileSize) - this.viewportY;
-    return { x: screenX, y: screenY };
-  }
-
-
-  // Handle mouse down event
-  handleMouseDown(event) {
-    const rect = this.canvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-
-    if (this.paintMode) {
-      // Initialize paint dragging
-      this.isPaintDragging = true;
-      const gridPos = this.screenToGrid(mouseX, mouseY);
-
-      // Paint the initial tile (now places buildings)
-      this.paintTile(gridPos.x, gridPos.y, this.currentBuildingType);
-
-      // Record starting position and last painted tile
-      this.paintDragStartPos = { x: gridPos.x, y: gridPos.y };
-      this.lastPaintedTile = { x: gridPos.x, y: gridPos.y };
-
-      // Update cursor for paint dragging
-      this.canvas.style.cursor = 'crosshair';
-    } else if (!this.selectionMode) {
-      // Normal pan dragging
-      this.isDragging = true;
-      this.lastMouseX = mouseX;
-      this.lastMouseY = mouseY;
-      this.canvas.style.cursor = 'grabbing';
-    }
-  }
-
-  // Handle mouse move event
-  handleMouseMove(event) {
-    const rect = this.canvas.getBoundingClientRect();
-    const currentMouseX = event.clientX - rect.left;
-    const currentMouseY = event.clientY - rect.top;
-
-    // Get mouse position relative to page for tooltips
-    const pageX = event.clientX;
-    const pageY = event.clientY;
-
-    if (this.isPaintDragging) {
-      // Building placement is now only on initial click (no continuous painting during drag)
-      // This section is kept for future features but doesn't paint during drag
-      // Hide tooltip during paint dragging
-      if (this.tooltipManager) {
-        this.tooltipManager.hide();
-      }
-    } else if (this.selectionMode) {
-      // Update cursor for selection mode
-      this.canvas.style.cursor = 'pointer';
-
-      // Delegate hover event to tiles if they have custom handling
-      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
-      const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
-      if (existingTile && typeof existingTile.onHover === 'function') {
-        existingTile.onHover(event);
-      }
-
-      // Show tooltip for hovered tile
-      if (this.tooltipManager) {
-        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
-        if (tile) {
-          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
-        }
-      }
-    } else if (this.paintMode) {
-      // Update cursor for paint mode (ready to paint)
-      this.canvas.style.cursor = 'crosshair';
-
-      // Delegate hover event to tiles if they have custom handling
-      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
-      const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
-      if (existingTile && typeof existingTile.onHover === 'function') {
-        existingTile.onHover(event);
-      }
-
-      // Show tooltip for hovered tile
-      if (this.tooltipManager) {
-        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
-        if (tile) {
-          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
-        }
-      }
-    } else if (this.isDragging) {
-      // Calculate movement delta for pan dragging
-      const deltaX = currentMouseX - this.lastMouseX;
-      const deltaY = currentMouseY - this.lastMouseY;
-
-      // Update viewport position (opposite direction for natural panning)
-      this.viewportX -= deltaX;
-      this.viewportY -= deltaY;
-
-      // Update last mouse position
-      this.lastMouseX = currentMouseX;
-      this.lastMouseY = currentMouseY;
-
-      // Re-render the grid
-      this.render();
-
-      // Hide tooltip during dragging
-      if (this.tooltipManager) {
-        this.tooltipManager.hide();
-      }
-    } else {
-      // Pan mode (not dragging) - show tooltips
-      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
-      if (this.tooltipManager) {
-        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
-        if (tile) {
-          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
-        }
-      }
-    }
-  }
-
-  // Handle mouse up event
-  handleMouseUp(event) {
-    // Reset paint dragging state
-    if (this.isPaintDragging) {
-      this.isPaintDragging = false;
-      this.lastPaintedTile = { x: null, y: null };
-      this.paintDragStartPos = { x: null, y: null };
-    }
-
-    // Trigger tile unloading after panning completes
-    const wasDragging = this.isDragging;
-
-    // Reset pan dragging state
-    this.isDragging = false;
-
-    // Restore appropriate cursor based on current mode
-    if (this.selectionMode) {
-      this.canvas.style.cursor = 'pointer';
-    } else if (this.paintMode) {
-      this.canvas.style.cursor = 'crosshair';
-    } else {
-      this.canvas.style.cursor = 'grab';
-    }
-
-    // Unload distant tiles after panning completes
-    if (wasDragging && this.enableTileUnloading) {
-      this.unloadDistantTiles();
-    }
-
-    // Hide tooltip when mouse leaves canvas (mouseleave also triggers this handler)
-    if (event.type === 'mouseleave' && this.tooltipManager) {
-      this.tooltipManager.hide();
-    }
-  }
-
-  // Handle click event for tile selection and painting
-  handleClick(event) {
-    const rect = this.canvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-    const gridPos = this.screenToGrid(mouseX, mouseY);
-
-    if (this.selectionMode) {
-      this.selectTile(gridPos.x, gridPos.y);
-    } else if (this.paintMode) {
-      // Note: Single-tile painting is now handled in mouseDown
-      // This click handler mainly deals with tile event delegation
-
-      // Get the tile at this position (may have been painted during drag)
-      const tile = this.getPaintedTile(gridPos.x, gridPos.y);
-
-      // Delegate click event to the tile object if it has custom handling
-      if (tile && typeof tile.onClick === 'function') {
-        tile.onClick(event);
-      }
-    }
-
-    // For any existing tile at this position, also delegate the click
-    const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
-    if (existingTile && !this.paintMode && typeof existingTile.onClick === 'function') {
-      existingTile.onClick(event);
-    }
-  }
-
-  // Handle mouse wheel event for zooming
-  handleWheel(event) {
-    event.preventDefault();
-
-    const rect = this.canvas.getBoundingClientRect();
-    const mouseX = event.clientX - rect.left;
-    const mouseY = event.clientY - rect.top;
-
-    // Convert mouse position to world coordinates before zoom
-    const worldPosBeforeZoom = {
-      x: (mouseX + this.viewportX) / this.tileSize,
-      y: (mouseY + this.viewportY) / this.tileSize
-    };
-
-    // Calculate new zoom level
-    const zoomDirection = event.deltaY > 0 ? -1 : 1;
-    const newZoomLevel = Math.max(this.minZoom, Math.min(this.maxZoom,
-      this.zoomLevel + (zoomDirection * this.zoomStep)));
-
-    // Only proceed if zoom level actually changed
-    if (newZoomLevel !== this.zoomLevel) {
-      this.zoomLevel = newZoomLevel;
-
-      // Convert the same world position back to new screen coordinates
-      const newTileSize = this.baseTileSize * this.zoomLevel;
-      const worldPosAfterZoom = {
-        x: worldPosBeforeZoom.x * newTileSize,
-        y: worldPosBeforeZoom.y * newTileSize
-      };
-
-      // Adjust viewport to keep the mouse position fixed
-      this.viewportX = worldPosAfterZoom.x - mouseX;
-      this.viewportY = worldPosAfterZoom.y - mouseY;
-
-      // Re-render the grid
-      this.render();
-
-      // Unload distant tiles after zooming
-      if (this.enableTileUnloading) {
-        this.unloadDistantTiles();
-      }
-    }
-  }
-
-  // Handle keyboard events
-  handleKeyDown(event) {
-    console.log('Keyboard event detected:', event.code, event.key);
-    switch (event.code) {
-      case 'Space':
-        event.preventDefault();
-        console.log('Spacebar detected! Calling moveViewportToOrigin...');
-        try {
-          this.moveViewportToOrigin();
-          console.log('moveViewportToOrigin called successfully');
-        } catch (error) {
-          console.error('Error calling moveViewportToOrigin:', error);
-        }
-        break;
-      case 'Digit1':
-        event.preventDefault();
-        this.setPanMode();
-        break;
-      case 'Digit2':
-        event.preventDefault();
-        this.toggleSelectionMode();
-        break;
-      case 'Digit3':
-        event.preventDefault();
-        this.togglePaintMode();
-        break;
-      default:
-        console.log('Other key pressed:', event.code);
-    }
-  }
-
-  // Calculate visible tile range for efficient rendering (infinite grid)
-  getVisibleTileRange() {
-    const startX = Math.floor(this.viewportX / this.tileSize);
-    const startY = Math.floor(this.viewportY / this.tileSize);
-    const endX = Math.ceil((this.viewportX + this.canvas.width) / this.tileSize);
-    const endY = Math.ceil((this.viewportY + this.canvas.height) / this.tileSize);
-
-    return { startX, startY, endX, endY };
-  }
-
-  // Calculate tile retention radius based on maximum zoom out + buffer
-  calculateRetentionRadius() {
-    // Calculate how many tiles would be visible at maximum zoom out (0.1x)
-    const maxZoomOutTileSize = this.baseTileSize * this.minZoom; // 0.1x zoom
-    const tilesWideAtMaxZoom = Math.ceil(this.canvas.width / maxZoomOutTileSize);
-    const tilesHighAtMaxZoom = Math.ceil(this.canvas.height / maxZoomOutTileSize);
-
-    // Use the larger dimension and add buffer
-    const maxVisibleDimension = Math.max(tilesWideAtMaxZoom, tilesHighAtMaxZoom);
-    const retentionRadius = Math.floor(maxVisibleDimension / 2) + this.tileRetentionBuffer;
-
-    // Add some bounds checking - ensure reasonable limits
-    const minRadius = 20; // At least 20 tiles
-    const maxRadius = 80; // No more than 80 tiles to prevent excessive memory
-    const boundedRadius = Math.max(minRadius, Math.min(maxRadius, retentionRadius));
-
-    // Update stats for monitoring
-    this.unloadingStats.retentionRadius = boundedRadius;
-
-    console.log(`💾 Retention radius: ${boundedRadius} tiles (canvas: ${this.canvas.width}x${this.canvas.height}, max zoom tiles: ${maxVisibleDimension})`);
-    return boundedRadius;
-  }
-
-  // Render the grid
-  render() {
-    // Clear the canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-
-    // Set grid line style
-    this.ctx.strokeStyle = '#ddd';
-    this.ctx.lineWidth = 1;
-
-    // Get visible tile range
-    const { startX, startY, endX, endY } = this.getVisibleTileRange();
-
-    // Draw painted tiles first (behind grid lines)
-    this.drawPaintedTiles(startX, startY, endX, endY);
-
-    // Draw vertical lines
-    for (let x = startX; x <= endX + 1; x++) {
-      const screenX = (x * this.tileSize) - this.viewportX;
-      if (screenX >= -1 && screenX <= this.canvas.width + 1) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(screenX, 0);
-        this.ctx.lineTo(screenX, this.canvas.height);
-        this.ctx.stroke();
-      }
-    }
-
-    // Draw horizontal lines
-    for (let y = startY; y <= endY + 1; y++) {
-      const screenY = (y * this.tileSize) - this.viewportY;
-      if (screenY >= -1 && screenY <= this.canvas.height + 1) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(0, screenY);
-        this.ctx.lineTo(this.canvas.width, screenY);
-        this.ctx.stroke();
-      }
-    }
-
-    // Draw tile coordinates for reference (adaptive interval based on zoom)
-    this.ctx.fillStyle = '#999';
-
-    // Adjust coordinate interval and font size based on zoom level
-    let interval = 10;
-    let fontSize = 12;
-
-    if (this.zoomLevel < 0.5) {
-      interval = 50;
-      fontSize = 10;
-    } else if (this.zoomLevel < 1.0) {
-      interval = 20;
-      fontSize = 11;
-    } else if (this.zoomLevel > 2.0) {
-      interval = 5;
-      fontSize = 14;
-    }
-
-    // Don't show coordinates if tiles are too small
-    if (this.tileSize < 15) {
-      return;
-    }
-
-    this.ctx.font = `${fontSize}px Arial`;
-    this.ctx.textAlign = 'center';
-    this.ctx.textBaseline = 'middle';
-
-    // Calculate the starting points to align with interval
-    const startLabelX = Math.floor(startX / interval) * interval;
-    const startLabelY = Math.floor(startY / interval) * interval;
-
-    for (let x = startLabelX; x <= endX; x += interval) {
-      for (let y = startLabelY; y <= endY; y += interval) {
-        const screenPos = this.gridToScreen(x, y);
-        const centerX = screenPos.x + this.tileSize / 2;
-        const centerY = screenPos.y + this.tileSize / 2;
-
-        if (centerX >= 0 && centerX <= this.canvas.width &&
-            centerY >= 0 && centerY <= this.canvas.height) {
-          this.ctx.fillText(`${x},${y}`, centerX, centerY);
-        }
-      }
-    }
-
-    // Draw selected tile highlight (on top of everything)
-    this.drawSelectedTile();
-  }
-
-  // Generate terrain tile if not exists
-  getOrGenerateTile(x, y) {
-    const tileKey = `${x},${y}`;
-
-    // First check painted tiles (they override generated terrain)
-    if (this.paintedTiles.has(tileKey)) {
-      return this.paintedTiles.get(tileKey);
-    }
-
-    // Check if we already have this tile cached
-    let tile = this.generatedTiles.get(tileKey);
-
-    if (!tile) {
-      // Generate new terrain tile if procedural generation is enabled
-      if (this.proceduralGeneration) {
-        const terrainData = this.worldGenerator.generateTerrain(x, y);
-        tile = Tile.createTerrain(x, y, terrainData);
-        this.generatedTiles.set(tileKey, tile);
-      } else {
-        return null;
-      }
-    }
-
-    return tile;
-  }
-
-  // Draw all tiles (both painted and generated) within the visible range
-  drawPaintedTiles(startX, startY, endX, endY) {
-    // Generate terrain for visible area if needed
-    if (this.proceduralGeneration) {
-      //this.generateVisibleTerrain(startX, startY, endX, endY);
-    }
-
-    for (let x = startX; x <= endX; x++) {
-      for (let y = startY; y <= endY; y++) {
-        const tile = this.getOrGenerateTile(x, y);
-
-        if (tile && tile.isVisible()) {
-          const screenPos = this.gridToScreen(x, y);
-
-          // Only draw if the tile is visible on screen
-          if (screenPos.x + this.tileSize >= 0 && screenPos.x <= this.canvas.width &&
-              screenPos.y + this.tileSize >= 0 && screenPos.y <= this.canvas.height) {
-
-            // Use tile's render method for self-controlled appearance
-            tile.render(this.ctx, screenPos.x, screenPos.y, this.tileSize);
-          }
-        }
-      }
-    }
-  }
-
-  // Unload tiles that are far from the current viewport
-  unloadDistantTiles() {
-    console.log(`🗑️ unloadDistantTiles CALLED, generatedTiles.size: ${this.generatedTiles.size}`);
-    console.trace('Call stack:');
-
-    if (!this.enableTileUnloading || this.generatedTiles.size === 0) {
-      console.log(`🗑️ Unloading skipped (enabled: ${this.enableTileUnloading}, size: ${this.generatedTiles.size})`);
-      return;
-    }
-
-    const startTime = performance.now();
-    const retentionRadius = this.calculateRetentionRadius();
-
-    // Calculate viewport center in tile coordinates
-    const centerX = Math.floor((this.viewportX + this.canvas.width / 2) / this.tileSize);
-    const centerY = Math.floor((this.viewportY + this.canvas.height / 2) / this.tileSize);
-
-    const tilesToUnload = [];
-    let tilesChecked = 0;
-    const totalTiles = this.generatedTiles.size;
-    let terrainCacheCleared = 0;
-
-    // Process all tiles for unloading (no limits to ensure proper cleanup)
-    for (const [tileKey, tile] of this.generatedTiles) {
-      const tileX = tile.x;
-      const tileY = tile.y;
-
-      // Calculate Euclidean distance from viewport center (circular retention area)
-      const dx = tileX - centerX;
-      const dy = tileY - centerY;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-
-      // Check if tile is beyond retention radius
-      if (distance > retentionRadius) {
-        // Never unload painted tiles (user-created content)
-        const paintedTileKey = `${tileX},${tileY}`;
-        if (!this.paintedTiles.has(paintedTileKey)) {
-          tilesToUnload.push(tileKey);
-        }
-      }
-
-      tilesChecked++;
-    }
-
-    // Unload the distant tiles
-    for (const tileKey of tilesToUnload) {
-      this.generatedTiles.delete(tileKey);
-      this.unloadingStats.tilesUnloaded++;
-    }
-
-    // Clean distant entries from WorldGenerator cache using new distance-based method
-    terrainCacheCleared = this.worldGenerator.cleanDistantCacheEntries(
-      centerX, centerY, retentionRadius
-    );
-
-    // Update stats
-    this.unloadingStats.lastUnloadTime = performance.now() - startTime;
-    this.unloadingStats.totalMemoryCleared += tilesToUnload.length + terrainCacheCleared;
-
-    // Log unloading activity
-    if (tilesToUnload.length > 0) {
-      console.log(`🗑️ Unloaded ${tilesToUnload.length} tiles + ${terrainCacheCleared} cache entries beyond ${retentionRadius} tile radius (${this.generatedTiles.size} tiles remain, ${this.worldGenerator.terrainCache.size} cached)`);
-    }
-  }
-
-
-  // Generate terrain for visible area efficiently
-  generateVisibleTerrain(startX, startY, endX, endY, force = false) {
-    // Check if we need to generate new area (skip check if forced)
-    const needsGeneration = force || (
-      startX < this.lastVisibleRange.startX ||
-      startY < this.lastVisibleRange.startY ||
-      endX > this.lastVisibleRange.endX ||
-      endY > this.lastVisibleRange.endY
-    );
-
-    if (needsGeneration) {
-      // Add buffer around visible area for smoother scrolling
-      const buffer = 5;
-      const genStartX = startX - buffer;
-      const genStartY = startY - buffer;
-      const genEndX = endX + buffer;
-      const genEndY = endY + buffer;
-
-      // Generate tiles in visible area + buffer
-      for (let x = genStartX; x <= genEndX; x++) {
-        for (let y = genStartY; y <= genEndY; y++) {
-          this.getOrGenerateTile(x, y); // This will generate if not cached
-        }
-      }
-
-      // Update last visible range
-      this.lastVisibleRange = { startX: genStartX, startY: genStartY, endX: genEndX, endY: genEndY };
-    }
-
-    // Note: Tile unloading is now handled in pan/zoom handlers only
-    // to prevent unloading during building placement or normal rendering
-  }
-
-  // Draw the selected tile highlight
-  drawSelectedTile() {
-    if (this.selectedTile.x !== null && this.selectedTile.y !== null) {
-      const screenPos = this.gridToScreen(this.selectedTile.x, this.selectedTile.y);
-
-      // Only draw if the tile is visible on screen
-      if (screenPos.x + this.tileSize >= 0 && screenPos.x <= this.canvas.width &&
-          screenPos.y + this.tileSize >= 0 && screenPos.y <= this.canvas.height) {
-        console.log(this.ctx.globalAlpha);
-        console.log(this.ctx.fillStyle);
-        this.ctx.save();
-        this.ctx.globalAlpha = this.highlightAlpha;
-        this.ctx.fillStyle = this.highlightColor;
-        this.ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
-
-        // Add a border around the selected tile
-        this.ctx.globalAlpha = 1.0;
-        this.ctx.strokeStyle = this.highlightColor;
-        this.ctx.lineWidth = 2;
-        this.ctx.strokeRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
-        this.ctx.strokeStyle = '#999999'; // Reset to grid line color 
-        this.ctx.lineWidth = 1; // Reset to default line width  
-        this.ctx.restore();
-      }
-    }
-  }
-
-  // Get current viewport info
-  getViewportInfo() {
-    return {
-      x: this.viewportX,
-      y: this.viewportY,
-      tileSize: this.tileSize,
-      zoomLevel: this.zoomLevel,
-      baseTileSize: this.baseTileSize,
-      visibleTiles: this.getVisibleTileRange()
-    };
-  }
-
-  // Set viewport position
-  setViewport(x, y) {
-    this.viewportX = x;
-    this.viewportY = y;
-    this.render();
-  }
-
-  moveViewportToOrigin() {
-    console.log('moveViewportToOrigin called');
-    // Calculate viewport position to center the origin tile (0,0) on the canvas
-    const centerX = this.canvas.width / 2;
-    const centerY = this.canvas.height / 2;
-
-    // Offset viewport so that tile (0,0) is centered
-    const viewportX = -centerX + (this.tileSize / 2);
-    const viewportY = -centerY + (this.tileSize / 2);
-
-    console.log(`Moving viewport from (${this.viewportX}, ${this.viewportY}) to (${viewportX}, ${viewportY})`);
-    this.setViewport(viewportX, viewportY);
-  }
-
-  // Tile selection methods
-  selectTile(gridX, gridY) {
-    console.log(`selectTile called with (${gridX}, ${gridY}), currently selected: (${this.selectedTile.x}, ${this.selectedTile.y})`);
-
-    // Check if clicking on the already selected tile
-    if (this.selectedTile.x === gridX && this.selectedTile.y === gridY) {
-      // Deselect the tile
-      console.log('Deselecting tile');
-      this.clearSelection();
-      return null;
-    }
-
-    // Clear previous selection state from painted tiles
-    this.paintedTiles.forEach(tile => {
-      if (tile.selected) {
-        tile.deselect();
-      }
-    });
-
-    // Also clear selection state from generated terrain tiles
-    this.generatedTiles.forEach(tile => {
-      if (tile.selected) {
-        tile.deselect();
-      }
-    });
-
-    // Update grid selection tracking
-    this.selectedTile = { x: gridX, y: gridY };
-
-    // If there's a painted tile at this position, mark it as selected
-    const tile = this.getPaintedTile(gridX, gridY);
-    if (tile) {
-      tile.select();
-    }
-
-    this.render();
-    return { x: gridX, y: gridY, tile };
-  }
-
-  clearSelection() {
-    // Clear selection state from painted tiles
-    this.paintedTiles.forEach(tile => {
-      if (tile.selected) {
-        tile.deselect();
-      }
-    });
-
-    // Also clear selection state from generated terrain tiles
-    this.generatedTiles.forEach(tile => {
-      if (tile.selected) {
-        tile.deselect();
-      }
-    });
-
-    this.selectedTile = { x: null, y: null };
-    this.render();
-  }
-
-  getSelectedTile() {
-    if (this.selectedTile.x !== null && this.selectedTile.y !== null) {
-      const tile = this.getPaintedTile(this.selectedTile.x, this.selectedTile.y);
-      return {
-        x: this.selectedTile.x,
-        y: this.selectedTile.y,
-        tile: tile
-      };
-    }
-    return null;
-  }
-
-  setHighlightColor(color) {
-    this.highlightColor = color;
-    this.render();
-  }
-
-  setHighlightAlpha(alpha) {
-    this.highlightAlpha = Math.max(0, Math.min(1, alpha));
-    this.render();
-  }
-
-  // Mode switching methods
-  setPanMode() {
-    this.selectionMode = false;
-    this.paintMode = false;
-    this.canvas.style.cursor = 'grab';
-    console.log(`Pan mode activated (Press '1' for pan, '2' for selection, '3' for paint)`);
-  }
-
-  toggleSelectionMode() {
-    this.selectionMode = !this.selectionMode;
-    // Turn off paint mode if selection mode is enabled
-    if (this.selectionMode) {
-      this.paintMode = false;
-    }
-
-    // Set appropriate cursor
-    if (this.selectionMode) {
-      this.canvas.style.cursor = 'pointer';
-    } else if (this.paintMode) {
-      this.canvas.style.cursor = 'crosshair';
-    } else {
-      this.canvas.style.cursor = 'grab';
-    }
-
-    console.log(`Selection mode: ${this.selectionMode ? 'ON' : 'OFF'} (Press '2' to toggle)`);
-  }
-
-  // Paint mode methods
-  togglePaintMode() {
-    this.paintMode = !this.paintMode;
-    // Turn off selection mode if paint mode is enabled
-    if (this.paintMode) {
-      this.selectionMode = false;
-    }
-
-    // Set appropriate cursor
-    if (this.selectionMode) {
-      this.canvas.style.cursor = 'pointer';
-    } else if (this.paintMode) {
-      this.canvas.style.cursor = 'crosshair';
-    } else {
-      this.canvas.style.cursor = 'grab';
-    }
-
-    console.log(`Paint mode: ${this.paintMode ? 'ON' : 'OFF'} (Press '3' to toggle) - Click and drag to paint multiple tiles`);
-  }
-
-
-  paintTile(gridX, gridY, buildingType = this.currentBuildingType) {
-    const tileKey = `${gridX},${gridY}`;
-    console.log(`🏗️ paintTile called at (${gridX}, ${gridY}), generatedTiles.size BEFORE: ${this.generatedTiles.size}`);
-
-    // Get existing tile or get/generate terrain tile
-    let tile = this.paintedTiles.get(tileKey);
-    if (!tile) {
-      // Check if there's a generated terrain tile at this location
-      tile = this.getOrGenerateTile(gridX, gridY);
-    }
-
-    // Place building using BuildingManager with terrain validation
-    if (this.buildingManager) {
-      const result = this.buildingManager.placeBuilding(gridX, gridY, buildingType, tile);
-
-      if (!result.success) {
-        // Building placement failed - show warning
-        console.warn(`❌ ${result.error}`);
-        return {
-          x: gridX,
-          y: gridY,
-          success: false,
-          error: result.error
-        };
-      }
-
-      const building = result.building;
-
-      if (this.paintedTiles.has(tileKey)) {
-        // Update existing painted tile with building
-        const paintedTile = this.paintedTiles.get(tileKey);
-
-        // Important: The old building was already removed by BuildingManager.placeBuilding()
-        // at line 797, so we just need to update the tile's visual representation
-        paintedTile.onPaint(building);
-      } else {
-        // Create new painted tile with building, preserving terrain data
-        const newTile = new Tile(gridX, gridY, {
-          building: building,
-          visible: true,
-          selected: false,
-          highlighted: false,
-          locked: false,
-          isPainted: true,
-          terrainType: tile?.terrainType,
-          elevation: tile?.elevation,
-          temperature: tile?.temperature,
-          moisture: tile?.moisture,
-          detail: tile?.detail,
-          isGenerated: tile?.isGenerated
-        });
-        this.paintedTiles.set(tileKey, newTile);
-      }
-
-      // If this is a farm building, place farmland tiles around it
-      if (buildingType === 'farm' && building.farmlandTiles) {
-        console.log(`🌾 Placing farmland for farm at (${gridX}, ${gridY})`);
-        this.placeFarmlandTiles(gridX, gridY, building.farmlandTiles);
-      }
-
-      console.log(`🏗️ paintTile AFTER placing building, generatedTiles.size: ${this.generatedTiles.size}`);
-      this.render();
-      console.log(`🏗️ paintTile AFTER render(), generatedTiles.size: ${this.generatedTiles.size}`);
-      return {
-        x: gridX,
-        y: gridY,
-        buildingType,
-        building,
-        success: true
-      };
-    } else {
-      console.warn('BuildingManager not set on Grid');
-      return { success: false, error: 'BuildingManager not set' };
-    }
-  }
-
-  // Place farmland tiles around a farm building
-  placeFarmlandTiles(farmX, farmY, farmlandPositions) {
-    for (const pos of farmlandPositions) {
-      const farmlandKey = `${pos.x},${pos.y}`;
-
-      // Skip if this position already has a building
-      if (this.buildingManager.getBuilding(pos.x, pos.y)) {
-        continue;
-      }
-
-      // Generate random rotation for visual variety (0, 90, 180, or 270 degrees)
-      const rotations = [0, 90, 180, 270];
-      const randomRotation = rotations[Math.floor(Math.random() * rotations.length)];
-
-      // Get or create the tile at this position
-      let farmlandTile = this.paintedTiles.get(farmlandKey);
-      const terrainTile = this.getOrGenerateTile(pos.x, pos.y);
-
-      if (!farmlandTile) {
-        // Create new farmland tile with random rotation
-        farmlandTile = new Tile(pos.x, pos.y, {
-          visible: true,
-          isPainted: true,
-          terrainType: terrainTile?.terrainType,
-          elevation: terrainTile?.elevation,
-          temperature: terrainTile?.temperature,
-          moisture: terrainTile?.moisture,
-          detail: terrainTile?.detail,
-          isGenerated: terrainTile?.isGenerated,
-          farmland: true, // Mark as farmland overlay
-          rotation: randomRotation // Add random rotation for visual variety
-        });
-        this.paintedTiles.set(farmlandKey, farmlandTile);
-      } else {
-        // Add farmland overlay to existing tile with random rotation
-        farmlandTile.farmland = true;
-        farmlandTile.rotation = randomRotation;
-      }
-
-      // Track which farm this farmland belongs to
-      this.farmlandTiles.set(farmlandKey, { farmX, farmY });
-    }
-  }
-
-  // Remove farmland tiles associated with a farm
-  removeFarmlandTiles(farmX, farmY) {
-    const toRemove = [];
-
-    // Find all farmland tiles belonging to this farm
-    for (const [key, owner] of this.farmlandTiles.entries()) {
-      if (owner.farmX === farmX && owner.farmY === farmY) {
-        toRemove.push(key);
-      }
-    }
-
-    // Remove farmland tiles
-    for (const key of toRemove) {
-      this.farmlandTiles.delete(key);
-
-      // Get the tile and remove farmland overlay
-      const tile = this.paintedTiles.get(key);
-      if (tile) {
-        tile.farmland = false;
-        // If tile has no building and no other overlays, remove it
-        if (!tile.building && !tile.farmland) {
-          this.paintedTiles.delete(key);
-        }
-      }
-    }
-
-    console.log(`🗑️ Removed ${toRemove.length} farmland tiles for farm at (${farmX}, ${farmY})`);
-  }
-
-  clearTile(gridX, gridY) {
-    const tileKey = `${gridX},${gridY}`;
-    const tile = this.paintedTiles.get(tileKey);
-
-    // Remove building if it exists
-    if (tile && tile.building && this.buildingManager) {
-      // If it's a farm, remove associated farmland first
-      if (tile.building.type === 'farm') {
-        this.removeFarmlandTiles(gridX, gridY);
-      }
-
-      this.buildingManager.removeBuilding(gridX, gridY);
-    }
-
-    const wasDeleted = this.paintedTiles.delete(tileKey);
-    if (wasDeleted) {
-      this.render();
-    }
-    return wasDeleted;
-  }
-
-  clearAllPaint() {
-    // Clear all buildings first
-    if (this.buildingManager) {
-      this.buildingManager.clearAll();
-    }
-
-    this.paintedTiles.clear();
-    this.farmlandTiles.clear();
-    this.render();
-  }
-
-  setBuildingType(buildingType) {
-    this.currentBuildingType = buildingType;
-    console.log(`Building type set to: ${buildingType}`);
-  }
-
-  // Set building manager reference
-  setBuildingManager(buildingManager) {
-    this.buildingManager = buildingManager;
-  }
-
-  // Set tooltip manager for displaying tile information
-  setTooltipManager(tooltipManager) {
-    this.tooltipManager = tooltipManager;
-  }
-
-  // Sync buildings from BuildingManager to visual tiles (for loading saved games)
-  syncBuildingsToTiles() {
-    if (!this.buildingManager) {
-      console.warn('BuildingManager not set, cannot sync buildings');
-      return;
-    }
-
-    console.log('🔄 Syncing buildings to visual tiles...');
-    let syncedCount = 0;
-
-    // Iterate through all buildings in the BuildingManager
-    for (const [key, building] of this.buildingManager.buildings.entries()) {
-      const { x, y } = building;
-      const tileKey = `${x},${y}`;
-
-      // Check if painted tile already exists
-      if (this.paintedTiles.has(tileKey)) {
-        // Update existing tile with building reference
-        const existingTile = this.paintedTiles.get(tileKey);
-        existingTile.building = building;
-        syncedCount++;
-      } else {
-        // Get or generate terrain tile at this position
-        const terrainTile = this.getOrGenerateTile(x, y);
-
-        // Create new painted tile with building
-        const newTile = new Tile(x, y, {
-          building: building,
-          visible: true,
-          selected: false,
-          highlighted: false,
-          locked: false,
-          isPainted: true,
-          terrainType: terrainTile?.terrainType,
-          elevation: terrainTile?.elevation,
-          temperature: terrainTile?.temperature,
-          moisture: terrainTile?.moisture,
-          detail: terrainTile?.detail,
-          isGenerated: terrainTile?.isGenerated
-        });
-
-        this.paintedTiles.set(tileKey, newTile);
-        syncedCount++;
-      }
-
-      // If this is a farm, sync farmland tiles
-      if (building.type === 'farm' && building.farmlandTiles && building.farmlandTiles.length > 0) {
-        console.log(`🌾 Syncing farmland for farm at (${x}, ${y})`);
-        this.placeFarmlandTiles(x, y, building.farmlandTiles);
-      }
-    }
-
-    console.log(`✅ Synced ${syncedCount} buildings to visual tiles`);
-
-    // Render the grid to display all synced buildings
-    this.render();
-  }
-
-  getPaintedTileColor(gridX, gridY) {
-    const tileKey = `${gridX},${gridY}`;
-    const tile = this.paintedTiles.get(tileKey);
-    return tile ? tile.color : null;
-  }
-
-  // New method to get the full tile object (checks both painted and generated)
-  getPaintedTile(gridX, gridY) {
-    return this.getOrGenerateTile(gridX, gridY);
-  }
-
-  // Get only manually painted tiles (original behavior)
-  getOnlyPaintedTile(gridX, gridY) {
-    const tileKey = `${gridX},${gridY}`;
-    return this.paintedTiles.get(tileKey) || null;
-  }
-
-  getPaintedTilesCount() {
-    return this.paintedTiles.size;
-  }
-
-  // Debug and testing methods
-  exportTileData() {
-    const tilesData = {};
-    this.paintedTiles.forEach((tile, key) => {
-      tilesData[key] = tile.toJSON();
-    });
-    return tilesData;
-  }
-
-  importTileData(tilesData) {
-    this.clearAllPaint();
-    Object.entries(tilesData).forEach(([key, tileData]) => {
-      const tile = Tile.fromJSON(tileData);
-      this.paintedTiles.set(key, tile);
-    });
-    this.render();
-  }
-
-  // Verify tile system is working correctly
-  validateTileSystem() {
-    console.log('=== Tile System Validation ===');
-    console.log(`Total painted tiles: ${this.paintedTiles.size}`);
-
-    let visibleCount = 0;
-    let selectedCount = 0;
-    let highlightedCount = 0;
-    let lockedCount = 0;
-
-    this.paintedTiles.forEach(tile => {
-      if (tile.isVisible()) visibleCount++;
-      if (tile.isSelected()) selectedCount++;
-      if (tile.isHighlighted()) highlightedCount++;
-      if (tile.isLocked()) lockedCount++;
-    });
-
-    console.log(`Visible tiles: ${visibleCount}`);
-    console.log(`Selected tiles: ${selectedCount}`);
-    console.log(`Highlighted tiles: ${highlightedCount}`);
-    console.log(`Locked tiles: ${lockedCount}`);
-
-    // Test backward compatibility
-    const testTile = this.getPaintedTile(0, 0);
-    if (testTile) {
-      const color = this.getPaintedTileColor(0, 0);
-      console.log(`Backward compatibility test - tile color: ${color}, tile.color: ${testTile.color}`);
-      console.log(`Colors match: ${color === testTile.color}`);
-    }
-
-    console.log('=== Validation Complete ===');
-  }
-
-  // Get current drag state information
-  getDragState() {
-    return {
-      isPanDragging: this.isDragging,
-      isPaintDragging: this.isPaintDragging,
-      currentMode: this.paintMode ? 'paint' : this.selectionMode ? 'selection' : 'pan',
-      lastPaintedTile: { ...this.lastPaintedTile },
-      paintDragStartPos: { ...this.paintDragStartPos }
-    };
-  }
-
-  // World generation control methods
-  enableProceduralGeneration() {
-    this.proceduralGeneration = true;
-    this.render();
-  }
-
-  disableProceduralGeneration() {
-    this.proceduralGeneration = false;
-    this.render();
-  }
-
-  setWorldSeed(seed) {
-    // Skip if seed is unchanged - no need to regenerate
-    if (this.worldGenerator.seed === seed) {
-      console.log('🌍 Seed unchanged, skipping regeneration');
-      return;
-    }
-
-    this.worldGenerator.updateParameters({ seed });
-    this.generatedTiles.clear();
-    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
-
-    // Force regeneration of currently visible area
-    const { startX, startY, endX, endY } = this.getVisibleTileRange();
-    this.generateVisibleTerrain(startX, startY, endX, endY, true); // Force regeneration
-
-    this.render();
-  }
-
-  updateWorldParameters(params) {
-    this.worldGenerator.updateParameters(params);
-    this.generatedTiles.clear();
-    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
-
-    // Force regeneration of currently visible area
-    const { startX, startY, endX, endY } = this.getVisibleTileRange();
-    this.generateVisibleTerrain(startX, startY, endX, endY, true); // Force regeneration
-
-    this.render();
-  }
-
-  getWorldStats() {
-    return {
-      ...this.worldGenerator.getStats(),
-      proceduralGeneration: this.proceduralGeneration,
-      generatedTilesCount: this.generatedTiles.size,
-      paintedTilesCount: this.paintedTiles.size,
-      tileUnloading: {
-        enabled: this.enableTileUnloading,
-        retentionRadius: this.unloadingStats.retentionRadius,
-        tilesUnloaded: this.unloadingStats.tilesUnloaded,
-        totalMemoryCleared: this.unloadingStats.totalMemoryCleared,
-        lastUnloadTime: this.unloadingStats.lastUnloadTime
-      }
-    };
-  }
-
-  clearGeneratedTerrain() {
-    this.generatedTiles.clear();
-    this.worldGenerator.clearCache();
-    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
-    this.render();
-  }
-
-  // Enhanced tile count method
-  getTotalTilesCount() {
-    return {
-      painted: this.paintedTiles.size,
-      generated: this.generatedTiles.size,
-      total: this.paintedTiles.size + this.generatedTiles.size
-    };
-  }
-
-  // Cleanup method to remove event listeners
-  destroy() {
-    this.canvas.removeEventListener('mousedown', this.handleMouseDown);
-    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
-    this.canvas.removeEventListener('mouseup', this.handleMouseUp);
-    this.canvas.removeEventListener('mouseleave', this.handleMouseUp);
-    this.canvas.removeEventListener('wheel', this.handleWheel);
-    this.canvas.removeEventListener('click', this.handleClick);
-    document.removeEventListener('keydown', this.handleKeyDown);
-
-    // Clear generation caches
-    this.generatedTiles.clear();
-    this.worldGenerator.clearCache();
-  }
+import { Tile } from './tile.js';
+import { WorldGenerator } from './worldGenerator.js';
+import { atlasManager } from './atlasManager.js';
+
+export class Grid {
+  constructor(canvas, baseTileSize = 32) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.baseTileSize = baseTileSize;
+
+    // Zoom properties
+    this.zoomLevel = 1.0;
+    this.minZoom = 0.1;
+    this.maxZoom = 5.0;
+    this.zoomStep = 0.1;
+
+    // Viewport properties for panning
+    this.viewportX = 0;
+    this.viewportY = 0;
+
+    // Mouse interaction state
+    this.isDragging = false;
+    this.lastMouseX = 0;
+    this.lastMouseY = 0;
+
+    // Paint dragging state
+    this.isPaintDragging = false;
+    this.lastPaintedTile = { x: null, y: null };
+    this.paintDragStartPos = { x: null, y: null };
+    this.paintDragEndPos = { x: null, y: null };
+    this.paintDragRect = false; // Shift held - fill a rectangle instead of a line
+    this.maxPaintDragTiles = 400; // Largest batch a single drag can place
+
+    // Ghost preview of the current building under the cursor (paint and demolish modes)
+    this.hoverTile = { x: null, y: null };
+    this.ghostAlpha = 0.55;
+
+    // Tile selection state
+    this.selectedTile = { x: null, y: null };
+    this.highlightColor = '#ffff00';
+    this.highlightAlpha = 0.6;
+    this.selectionMode = false; // Toggle between pan and select modes
+
+    // Tile painting state
+    this.paintedTiles = new Map(); // Map<"x,y", Tile>
+    this.farmlandTiles = new Map(); // Map<"x,y", {farmX, farmY}> - track which farm owns each farmland
+    this.paintMode = false;
+    this.demolishMode = false; // Click or drag a rectangle to demolish buildings
+    this.currentBuildingType = 'house'; // Default building type
+    this.buildingManager = null; // Will be set externally
+
+    // Tooltip manager
+    this.tooltipManager = null; // Will be set externally
+
+    // Undo/redo history for building changes
+    this.commandHistory = null; // Will be set externally
+    this.gameClock = null; // Will be set externally (pause/speed hotkeys)
+    this.isReplayingHistory = false; // True while undo/redo is rebuilding tiles
+
+    // World generation
+    this.worldGenerator = new WorldGenerator();
+    this.proceduralGeneration = true;
+    this.generatedTiles = new Map(); // Cache for generated terrain
+    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
+
+
+    // Tile unloading configuration
+    this.tileRetentionBuffer = 15; // Extra tiles beyond max zoom out area
+    this.enableTileUnloading = true; // Feature toggle
+    this.unloadingStats = {
+      tilesUnloaded: 0,
+      lastUnloadTime: 0,
+      retentionRadius: 0,
+      totalMemoryCleared: 0
+    };
+
+    // Bind event handlers
+    this.handleMouseDown = this.handleMouseDown.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    // Add event listeners
+    this.canvas.addEventListener('mousedown', this.handleMouseDown);
+    this.canvas.addEventListener('mousemove', this.handleMouseMove);
+    this.canvas.addEventListener('mouseup', this.handleMouseUp);
+    this.canvas.addEventListener('mouseleave', this.handleMouseUp);
+    this.canvas.addEventListener('wheel', this.handleWheel);
+    this.canvas.addEventListener('click', this.handleClick);
+
+    // Add global keyboard event listener for hotkeys
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    // Prevent right-click context menu
+    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+  }
+
+  // Get current tile size based on zoom level
+  get tileSize() {
+    return this.baseTileSize * this.zoomLevel;
+  }
+
+  // Convert screen coordinates to grid coordinates
+  screenToGrid(screenX, screenY) {
+    const gridX = Math.floor((screenX + this.viewportX) / this.tileSize);
+    const gridY = Math.floor((screenY + this.viewportY) / this.tileSize);
+    return { x: gridX, y: gridY };
+  }
+
+  // Convert grid coordinates to screen coordinates
+  gridToScreen(gridX, gridY) {
+    const screenX = (gridX * this.tileSize) - this.viewportX;
+    const screenY = (gridY * this.tileSize) - this.viewportY;
+    return { x: screenX, y: screenY };
+  }
+
+
+  // Handle mouse down event
+  handleMouseDown(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const mouseX = event.clientX - rect.left;
+    const mouseY = event.clientY - rect.top;
+
+    if (this.paintMode || this.demolishMode) {
+      // Initialize paint dragging - buildings are placed (or demolished) on mouse up
+      this.isPaintDragging = true;
+      const gridPos = this.screenToGrid(mouseX, mouseY);
+
+      // Record starting position (a click without moving affects a single tile)
+      this.paintDragStartPos = { x: gridPos.x, y: gridPos.y };
+      this.paintDragEndPos = { x: gridPos.x, y: gridPos.y };
+      this.paintDragRect = this.demolishMode || event.shiftKey; // Demolition always clears an area
+
+      // Update cursor for paint dragging
+      this.canvas.style.cursor = 'crosshair';
+      this.render();
+    } else if (!this.selectionMode) {
+      // Normal pan dragging
+      this.isDragging = true;
+      this.lastMouseX = mouseX;
+      this.lastMouseY = mouseY;
+      this.canvas.style.cursor = 'grabbing';
+    }
+  }
+
+  // Handle mouse move event
+  handleMouseMove(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const currentMouseX = event.clientX - rect.left;
+    const currentMouseY = event.clientY - rect.top;
+
+    // Get mouse position relative to page for tooltips
+    const pageX = event.clientX;
+    const pageY = event.clientY;
+
+    if (this.isPaintDragging) {
+      // Extend the line (or rectangle with Shift) and refresh the preview
+      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
+      const dragRect = this.demolishMode || event.shiftKey;
+      if (gridPos.x !== this.paintDragEndPos.x || gridPos.y !== this.paintDragEndPos.y ||
+          dragRect !== this.paintDragRect) {
+        this.paintDragEndPos = { x: gridPos.x, y: gridPos.y };
+        this.paintDragRect = dragRect;
+        this.render();
+      }
+
+      // Hide tooltip during paint dragging
+      if (this.tooltipManager) {
+        this.tooltipManager.hide();
+      }
+    } else if (this.selectionMode) {
+      // Update cursor for selection mode
+      this.canvas.style.cursor = 'pointer';
+
+      // Delegate hover event to tiles if they have custom handling
+      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
+      const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
+      if (existingTile && typeof existingTile.onHover === 'function') {
+        existingTile.onHover(event);
+      }
+
+      // Show tooltip for hovered tile
+      if (this.tooltipManager) {
+        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
+        if (tile) {
+          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
+        }
+      }
+    } else if (this.paintMode) {
+      // Update cursor for paint mode (ready to paint)
+      this.canvas.style.cursor = 'crosshair';
+
+      // Delegate hover event to tiles if they have custom handling
+      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
+
+      // Move the ghost preview when the hovered tile changes
+      if (gridPos.x !== this.hoverTile.x || gridPos.y !== this.hoverTile.y) {
+        this.hoverTile = { x: gridPos.x, y: gridPos.y };
+        this.render();
+      }
+
+      const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
+      if (existingTile && typeof existingTile.onHover === 'function') {
+        existingTile.onHover(event);
+      }
+
+      // Show tooltip for hovered tile
+      if (this.tooltipManager) {
+        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
+        if (tile) {
+          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
+        }
+      }
+    } else if (this.demolishMode) {
+      this.canvas.style.cursor = 'crosshair';
+
+      // Highlight the building that would be demolished
+      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
+      if (gridPos.x !== this.hoverTile.x || gridPos.y !== this.hoverTile.y) {
+        this.hoverTile = { x: gridPos.x, y: gridPos.y };
+        this.render();
+      }
+
+      if (this.tooltipManager) {
+        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
+        if (tile) {
+          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
+        }
+      }
+    } else if (this.isDragging) {
+      // Calculate movement delta for pan dragging
+      const deltaX = currentMouseX - this.lastMouseX;
+      const deltaY = currentMouseY - this.lastMouseY;
+
+      // Update viewport position (opposite direction for natural panning)
+      this.viewportX -= deltaX;
+      this.viewportY -= deltaY;
+
+      // Update last mouse position
+      this.lastMouseX = currentMouseX;
+      this.lastMouseY = currentMouseY;
+
+      // Re-render the grid
+      this.render();
+
+      // Hide tooltip during dragging
+      if (this.tooltipManager) {
+        this.tooltipManager.hide();
+      }
+    } else {
+      // Pan mode (not dragging) - show tooltips
+      const gridPos = this.screenToGrid(currentMouseX, currentMouseY);
+      if (this.tooltipManager) {
+        const tile = this.getOrGenerateTile(gridPos.x, gridPos.y);
+        if (tile) {
+          this.tooltipManager.update(tile, pageX, pageY, this.buildingManager, this.zoomLevel);
+        }
+      }
+    }
+  }
+
+  // Handle mouse up event
+  handleMouseUp(event) {
+    // Place the dragged buildings (leaving the canvas cancels the drag instead)
+    if (this.isPaintDragging) {
+      const positions = event.type === 'mouseleave' ? [] : this.getPaintDragPositions();
+      this.cancelPaintDrag();
+      this.commitPaintDrag(positions);
+    }
+
+    // Trigger tile unloading after panning completes
+    const wasDragging = this.isDragging;
+
+    // Reset pan dragging state
+    this.isDragging = false;
+
+    // Restore appropriate cursor based on current mode
+    if (this.selectionMode) {
+      this.canvas.style.cursor = 'pointer';
+    } else if (this.paintMode || this.demolishMode) {
+      this.canvas.style.cursor = 'crosshair';
+    } else {
+      this.canvas.style.cursor = 'grab';
+    }
+
+    // Unload distant tiles after panning completes
+    if (wasDragging && this.enableTileUnloading) {
+      this.unloadDistantTiles();
+    }
+
+    // Hide tooltip when mouse leaves canvas (mouseleave also triggers this handler)
+    if (event.type === 'mouseleave' && this.tooltipManager) {
+      this.tooltipManager.hide();
+    }
+
+    // Remove the ghost preview when the cursor leaves the canvas
+    if (event.type === 'mouseleave' && this.hoverTile.x !== null) {
+      this.clearHoverTile();
+    }
+  }
+
+  // Handle click event for tile selection and painting
+  handleClick(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    const mouseX = event.clientX - rect.left;
+    const mouseY = event.clientY - rect.top;
+    const gridPos = this.screenToGrid(mouseX, mouseY);
+
+    if (this.selectionMode) {
+      this.selectTile(gridPos.x, gridPos.y);
+    } else if (this.paintMode) {
+      // Note: Single-tile painting is now handled in mouseDown
+      // This click handler mainly deals with tile event delegation
+
+      // Get the tile at this position (may have been painted during drag)
+      const tile = this.getPaintedTile(gridPos.x, gridPos.y);
+
+      // Delegate click event to the tile object if it has custom handling
+      if (tile && typeof tile.onClick === 'function') {
+        tile.onClick(event);
+      }
+    }
+
+    // For any existing tile at this position, also delegate the click
+    const existingTile = this.getPaintedTile(gridPos.x, gridPos.y);
+    if (existingTile && !this.paintMode && !this.demolishMode && typeof existingTile.onClick === 'function') {
+      existingTile.onClick(event);
+    }
+  }
+
+  // Handle mouse wheel event for zooming
+  handleWheel(event) {
+    event.preventDefault();
+
+    const rect = this.canvas.getBoundingClientRect();
+    const mouseX = event.clientX - rect.left;
+    const mouseY = event.clientY - rect.top;
+
+    // Convert mouse position to world coordinates before zoom
+    const worldPosBeforeZoom = {
+      x: (mouseX + this.viewportX) / this.tileSize,
+      y: (mouseY + this.viewportY) / this.tileSize
+    };
+
+    // Calculate new zoom level
+    const zoomDirection = event.deltaY > 0 ? -1 : 1;
+    const newZoomLevel = Math.max(this.minZoom, Math.min(this.maxZoom,
+      this.zoomLevel + (zoomDirection * this.zoomStep)));
+
+    // Only proceed if zoom level actually changed
+    if (newZoomLevel !== this.zoomLevel) {
+      this.zoomLevel = newZoomLevel;
+
+      // Convert the same world position back to new screen coordinates
+      const newTileSize = this.baseTileSize * this.zoomLevel;
+      const worldPosAfterZoom = {
+        x: worldPosBeforeZoom.x * newTileSize,
+        y: worldPosBeforeZoom.y * newTileSize
+      };
+
+      // Adjust viewport to keep the mouse position fixed
+      this.viewportX = worldPosAfterZoom.x - mouseX;
+      this.viewportY = worldPosAfterZoom.y - mouseY;
+
+      // Re-render the grid
+      this.render();
+
+      // Unload distant tiles after zooming
+      if (this.enableTileUnloading) {
+        this.unloadDistantTiles();
+      }
+    }
+  }
+
+  // Handle keyboard events
+  handleKeyDown(event) {
+    // Leave keys alone while typing (e.g. naming a save)
+    const target = event.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+      return;
+    }
+
+    console.log('Keyboard event detected:', event.code, event.key);
+    switch (event.code) {
+      case 'Space':
+        // Pause/resume the simulation; the camera still moves while paused
+        if (this.gameClock) {
+          event.preventDefault();
+          this.gameClock.togglePause();
+        }
+        break;
+      case 'Equal':
+      case 'NumpadAdd':
+        // '+' speeds the simulation up (1x → 2x → 4x)
+        if (this.gameClock) {
+          event.preventDefault();
+          this.gameClock.changeSpeed(1);
+        }
+        break;
+      case 'Minus':
+      case 'NumpadSubtract':
+        // '-' slows it back down
+        if (this.gameClock) {
+          event.preventDefault();
+          this.gameClock.changeSpeed(-1);
+        }
+        break;
+      case 'Home':
+        event.preventDefault();
+        console.log('Home detected! Calling moveViewportToOrigin...');
+        try {
+          this.moveViewportToOrigin();
+          console.log('moveViewportToOrigin called successfully');
+        } catch (error) {
+          console.error('Error calling moveViewportToOrigin:', error);
+        }
+        break;
+      case 'Digit1':
+        event.preventDefault();
+        this.setPanMode();
+        break;
+      case 'Digit2':
+        event.preventDefault();
+        this.toggleSelectionMode();
+        break;
+      case 'Digit3':
+        event.preventDefault();
+        this.togglePaintMode();
+        break;
+      case 'Digit4':
+        event.preventDefault();
+        this.toggleDemolishMode();
+        break;
+      case 'KeyZ':
+        // Ctrl+Z undo, Ctrl+Shift+Z redo
+        if ((event.ctrlKey || event.metaKey) && this.commandHistory) {
+          event.preventDefault();
+          if (event.shiftKey) {
+            this.commandHistory.redo();
+          } else {
+            this.commandHistory.undo();
+          }
+        }
+        break;
+      case 'KeyY':
+        // Ctrl+Y redo
+        if ((event.ctrlKey || event.metaKey) && this.commandHistory) {
+          event.preventDefault();
+          this.commandHistory.redo();
+        }
+        break;
+      case 'Escape':
+        // Abort an in-progress drag placement
+        if (this.isPaintDragging) {
+          this.cancelPaintDrag();
+          this.render();
+        }
+        break;
+      default:
+        console.log('Other key pressed:', event.code);
+    }
+  }
+
+  // Calculate visible tile range for efficient rendering (infinite grid)
+  getVisibleTileRange() {
+    const startX = Math.floor(this.viewportX / this.tileSize);
+    const startY = Math.floor(this.viewportY / this.tileSize);
+    const endX = Math.ceil((this.viewportX + this.canvas.width) / this.tileSize);
+    const endY = Math.ceil((this.viewportY + this.canvas.height) / this.tileSize);
+
+    return { startX, startY, endX, endY };
+  }
+
+  // Calculate tile retention radius based on maximum zoom out + buffer
+  calculateRetentionRadius() {
+    // Calculate how many tiles would be visible at maximum zoom out (0.1x)
+    const maxZoomOutTileSize = this.baseTileSize * this.minZoom; // 0.1x zoom
+    const tilesWideAtMaxZoom = Math.ceil(this.canvas.width / maxZoomOutTileSize);
+    const tilesHighAtMaxZoom = Math.ceil(this.canvas.height / maxZoomOutTileSize);
+
+    // Use the larger dimension and add buffer
+    const maxVisibleDimension = Math.max(tilesWideAtMaxZoom, tilesHighAtMaxZoom);
+    const retentionRadius = Math.floor(maxVisibleDimension / 2) + this.tileRetentionBuffer;
+
+    // Add some bounds checking - ensure reasonable limits
+    const minRadius = 20; // At least 20 tiles
+    const maxRadius = 80; // No more than 80 tiles to prevent excessive memory
+    const boundedRadius = Math.max(minRadius, Math.min(maxRadius, retentionRadius));
+
+    // Update stats for monitoring
+    this.unloadingStats.retentionRadius = boundedRadius;
+
+    console.log(`💾 Retention radius: ${boundedRadius} tiles (canvas: ${this.canvas.width}x${this.canvas.height}, max zoom tiles: ${maxVisibleDimension})`);
+    return boundedRadius;
+  }
+
+  // Render the grid
+  render() {
+    // Clear the canvas
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Set grid line style
+    this.ctx.strokeStyle = '#ddd';
+    this.ctx.lineWidth = 1;
+
+    // Get visible tile range
+    const { startX, startY, endX, endY } = this.getVisibleTileRange();
+
+    // Draw painted tiles first (behind grid lines)
+    this.drawPaintedTiles(startX, startY, endX, endY);
+
+    // Draw vertical lines
+    for (let x = startX; x <= endX + 1; x++) {
+      const screenX = (x * this.tileSize) - this.viewportX;
+      if (screenX >= -1 && screenX <= this.canvas.width + 1) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX, 0);
+        this.ctx.lineTo(screenX, this.canvas.height);
+        this.ctx.stroke();
+      }
+    }
+
+    // Draw horizontal lines
+    for (let y = startY; y <= endY + 1; y++) {
+      const screenY = (y * this.tileSize) - this.viewportY;
+      if (screenY >= -1 && screenY <= this.canvas.height + 1) {
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, screenY);
+        this.ctx.lineTo(this.canvas.width, screenY);
+        this.ctx.stroke();
+      }
+    }
+
+    // Draw drag placement preview (line/rectangle of buildings), or the hover ghost
+    if (this.isPaintDragging && this.demolishMode) {
+      this.drawDemolishPreview(this.getPaintDragPositions());
+    } else if (this.isPaintDragging) {
+      this.drawPaintDragPreview();
+    } else if (this.paintMode && this.hoverTile.x !== null) {
+      this.drawPlacementGhost();
+    } else if (this.demolishMode && this.hoverTile.x !== null) {
+      this.drawDemolishPreview([this.hoverTile]);
+    }
+
+    // Draw tile coordinates for reference (adaptive interval based on zoom)
+    this.ctx.fillStyle = '#999';
+
+    // Adjust coordinate interval and font size based on zoom level
+    let interval = 10;
+    let fontSize = 12;
+
+    if (this.zoomLevel < 0.5) {
+      interval = 50;
+      fontSize = 10;
+    } else if (this.zoomLevel < 1.0) {
+      interval = 20;
+      fontSize = 11;
+    } else if (this.zoomLevel > 2.0) {
+      interval = 5;
+      fontSize = 14;
+    }
+
+    // Don't show coordinates if tiles are too small
+    if (this.tileSize < 15) {
+      return;
+    }
+
+    this.ctx.font = `${fontSize}px Arial`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    // Calculate the starting points to align with interval
+    const startLabelX = Math.floor(startX / interval) * interval;
+    const startLabelY = Math.floor(startY / interval) * interval;
+
+    for (let x = startLabelX; x <= endX; x += interval) {
+      for (let y = startLabelY; y <= endY; y += interval) {
+        const screenPos = this.gridToScreen(x, y);
+        const centerX = screenPos.x + this.tileSize / 2;
+        const centerY = screenPos.y + this.tileSize / 2;
+
+        if (centerX >= 0 && centerX <= this.canvas.width &&
+            centerY >= 0 && centerY <= this.canvas.height) {
+          this.ctx.fillText(`${x},${y}`, centerX, centerY);
+        }
+      }
+    }
+
+    // Draw selected tile highlight (on top of everything)
+    this.drawSelectedTile();
+  }
+
+  // Generate terrain tile if not exists
+  getOrGenerateTile(x, y) {
+    const tileKey = `${x},${y}`;
+
+    // First check painted tiles (they override generated terrain)
+    if (this.paintedTiles.has(tileKey)) {
+      return this.paintedTiles.get(tileKey);
+    }
+
+    // Check if we already have this tile cached
+    let tile = this.generatedTiles.get(tileKey);
+
+    if (!tile) {
+      // Generate new terrain tile if procedural generation is enabled
+      if (this.proceduralGeneration) {
+        const terrainData = this.worldGenerator.generateTerrain(x, y);
+        tile = Tile.createTerrain(x, y, terrainData);
+        this.generatedTiles.set(tileKey, tile);
+      } else {
+        return null;
+      }
+    }
+
+    return tile;
+  }
+
+  // Draw all tiles (both painted and generated) within the visible range
+  drawPaintedTiles(startX, startY, endX, endY) {
+    // Generate terrain for visible area if needed
+    if (this.proceduralGeneration) {
+      //this.generateVisibleTerrain(startX, startY, endX, endY);
+    }
+
+    for (let x = startX; x <= endX; x++) {
+      for (let y = startY; y <= endY; y++) {
+        const tile = this.getOrGenerateTile(x, y);
+
+        if (tile && tile.isVisible()) {
+          const screenPos = this.gridToScreen(x, y);
+
+          // Only draw if the tile is visible on screen
+          if (screenPos.x + this.tileSize >= 0 && screenPos.x <= this.canvas.width &&
+              screenPos.y + this.tileSize >= 0 && screenPos.y <= this.canvas.height) {
+
+            // Use tile's render method for self-controlled appearance
+            tile.render(this.ctx, screenPos.x, screenPos.y, this.tileSize);
+          }
+        }
+      }
+    }
+  }
+
+  // Unload tiles that are far from the current viewport
+  unloadDistantTiles() {
+    console.log(`🗑️ unloadDistantTiles CALLED, generatedTiles.size: ${this.generatedTiles.size}`);
+    console.trace('Call stack:');
+
+    if (!this.enableTileUnloading || this.generatedTiles.size === 0) {
+      console.log(`🗑️ Unloading skipped (enabled: ${this.enableTileUnloading}, size: ${this.generatedTiles.size})`);
+      return;
+    }
+
+    const startTime = performance.now();
+    const retentionRadius = this.calculateRetentionRadius();
+
+    // Calculate viewport center in tile coordinates
+    const centerX = Math.floor((this.viewportX + this.canvas.width / 2) / this.tileSize);
+    const centerY = Math.floor((this.viewportY + this.canvas.height / 2) / this.tileSize);
+
+    const tilesToUnload = [];
+    let tilesChecked = 0;
+    const totalTiles = this.generatedTiles.size;
+    let terrainCacheCleared = 0;
+
+    // Process all tiles for unloading (no limits to ensure proper cleanup)
+    for (const [tileKey, tile] of this.generatedTiles) {
+      const tileX = tile.x;
+      const tileY = tile.y;
+
+      // Calculate Euclidean distance from viewport center (circular retention area)
+      const dx = tileX - centerX;
+      const dy = tileY - centerY;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      // Check if tile is beyond retention radius
+      if (distance > retentionRadius) {
+        // Never unload painted tiles (user-created content)
+        const paintedTileKey = `${tileX},${tileY}`;
+        if (!this.paintedTiles.has(paintedTileKey)) {
+          tilesToUnload.push(tileKey);
+        }
+      }
+
+      tilesChecked++;
+    }
+
+    // Unload the distant tiles
+    for (const tileKey of tilesToUnload) {
+      this.generatedTiles.delete(tileKey);
+      this.unloadingStats.tilesUnloaded++;
+    }
+
+    // Clean distant entries from WorldGenerator cache using new distance-based method
+    terrainCacheCleared = this.worldGenerator.cleanDistantCacheEntries(
+      centerX, centerY, retentionRadius
+    );
+
+    // Update stats
+    this.unloadingStats.lastUnloadTime = performance.now() - startTime;
+    this.unloadingStats.totalMemoryCleared += tilesToUnload.length + terrainCacheCleared;
+
+    // Log unloading activity
+    if (tilesToUnload.length > 0) {
+      console.log(`🗑️ Unloaded ${tilesToUnload.length} tiles + ${terrainCacheCleared} cache entries beyond ${retentionRadius} tile radius (${this.generatedTiles.size} tiles remain, ${this.worldGenerator.terrainCache.size} cached)`);
+    }
+  }
+
+
+  // Generate terrain for visible area efficiently
+  generateVisibleTerrain(startX, startY, endX, endY, force = false) {
+    // Check if we need to generate new area (skip check if forced)
+    const needsGeneration = force || (
+      startX < this.lastVisibleRange.startX ||
+      startY < this.lastVisibleRange.startY ||
+      endX > this.lastVisibleRange.endX ||
+      endY > this.lastVisibleRange.endY
+    );
+
+    if (needsGeneration) {
+      // Add buffer around visible area for smoother scrolling
+      const buffer = 5;
+      const genStartX = startX - buffer;
+      const genStartY = startY - buffer;
+      const genEndX = endX + buffer;
+      const genEndY = endY + buffer;
+
+      // Generate tiles in visible area + buffer
+      for (let x = genStartX; x <= genEndX; x++) {
+        for (let y = genStartY; y <= genEndY; y++) {
+          this.getOrGenerateTile(x, y); // This will generate if not cached
+        }
+      }
+
+      // Update last visible range
+      this.lastVisibleRange = { startX: genStartX, startY: genStartY, endX: genEndX, endY: genEndY };
+    }
+
+    // Note: Tile unloading is now handled in pan/zoom handlers only
+    // to prevent unloading during building placement or normal rendering
+  }
+
+  // Draw the selected tile highlight
+  drawSelectedTile() {
+    if (this.selectedTile.x !== null && this.selectedTile.y !== null) {
+      const screenPos = this.gridToScreen(this.selectedTile.x, this.selectedTile.y);
+
+      // Only draw if the tile is visible on screen
+      if (screenPos.x + this.tileSize >= 0 && screenPos.x <= this.canvas.width &&
+          screenPos.y + this.tileSize >= 0 && screenPos.y <= this.canvas.height) {
+        console.log(this.ctx.globalAlpha);
+        console.log(this.ctx.fillStyle);
+        this.ctx.save();
+        this.ctx.globalAlpha = this.highlightAlpha;
+        this.ctx.fillStyle = this.highlightColor;
+        this.ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+
+        // Add a border around the selected tile
+        this.ctx.globalAlpha = 1.0;
+        this.ctx.strokeStyle = this.highlightColor;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+        this.ctx.strokeStyle = '#999999'; // Reset to grid line color 
+        this.ctx.lineWidth = 1; // Reset to default line width  
+        this.ctx.restore();
+      }
+    }
+  }
+
+  // Draw the drag placement preview - green for buildable tiles, red for blocked ones
+  drawPaintDragPreview() {
+    const preview = this.getPaintDragPreview();
+    const ctx = this.ctx;
+
+    ctx.save();
+    for (const tile of preview.tiles) {
+      const screenPos = this.gridToScreen(tile.x, tile.y);
+      if (screenPos.x + this.tileSize < 0 || screenPos.x > this.canvas.width ||
+          screenPos.y + this.tileSize < 0 || screenPos.y > this.canvas.height) {
+        continue;
+      }
+
+      const valid = tile.allowed && preview.canAfford;
+      ctx.globalAlpha = 0.4;
+      ctx.fillStyle = valid ? '#2ecc71' : '#e74c3c';
+      ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+      ctx.globalAlpha = 1.0;
+      ctx.strokeStyle = tile.allowed ? '#27ae60' : '#c0392b';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+    }
+
+    // Summary label next to the drag end: count, total cost and blocked tiles
+    const config = this.buildingManager?.getBuildingConfig(this.currentBuildingType);
+    let label;
+    if (preview.tooLarge) {
+      label = `Too many tiles (max ${this.maxPaintDragTiles})`;
+    } else {
+      const costStr = Object.entries(preview.totalCosts)
+        .map(([type, amount]) => `${amount} ${type}`)
+        .join(', ');
+      const blocked = preview.tiles.length - preview.validCount;
+      label = `${preview.validCount} × ${config?.name || this.currentBuildingType}`;
+      if (costStr) label += ` | Cost: ${costStr}`;
+      if (blocked > 0) label += ` | ${blocked} blocked`;
+      if (!preview.canAfford) label += ' | Can\'t afford';
+    }
+
+    const endPos = this.gridToScreen(this.paintDragEndPos.x, this.paintDragEndPos.y);
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    const textWidth = ctx.measureText(label).width;
+    const labelX = Math.min(endPos.x + this.tileSize + 6, this.canvas.width - textWidth - 10);
+    const labelY = Math.max(4, endPos.y - 22);
+
+    ctx.fillStyle = 'rgba(44, 62, 80, 0.9)';
+    ctx.fillRect(labelX - 4, labelY - 3, textWidth + 8, 20);
+    ctx.fillStyle = preview.canAfford && !preview.tooLarge ? '#ecf0f1' : '#ff6b6b';
+    ctx.fillText(label, labelX, labelY);
+    ctx.restore();
+  }
+
+  // Draw a translucent ghost of the current building under the cursor
+  // Tinted green when it can be placed, red when terrain, research or cost blocks it
+  drawPlacementGhost() {
+    if (!this.buildingManager) return;
+
+    const { x, y } = this.hoverTile;
+    const buildingType = this.currentBuildingType;
+    const config = this.buildingManager.getBuildingConfig(buildingType);
+    if (!config) return;
+
+    const tile = this.paintedTiles.get(`${x},${y}`) || this.getOrGenerateTile(x, y);
+    const validation = this.buildingManager.checkPlacement(x, y, buildingType, tile);
+    const tint = validation.allowed ? '#2ecc71' : '#e74c3c';
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    // Farm fields footprint (drawn first so the barn sits on top)
+    for (const pos of this.buildingManager.getPlacementFootprint(x, y, buildingType)) {
+      const fieldPos = this.gridToScreen(pos.x, pos.y);
+      ctx.globalAlpha = this.ghostAlpha * 0.6;
+      atlasManager.renderBuilding(ctx, 'farmland', fieldPos.x, fieldPos.y, this.tileSize);
+      ctx.globalAlpha = 0.25;
+      ctx.fillStyle = tint;
+      ctx.fillRect(fieldPos.x, fieldPos.y, this.tileSize, this.tileSize);
+      ctx.globalAlpha = 0.8;
+      ctx.strokeStyle = tint;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(fieldPos.x, fieldPos.y, this.tileSize, this.tileSize);
+      ctx.setLineDash([]);
+    }
+
+    // Building sprite (farms use the barn sprite), falling back to its display color
+    const screenPos = this.gridToScreen(x, y);
+    const spriteType = buildingType === 'farm' ? 'barn' : buildingType;
+    ctx.globalAlpha = this.ghostAlpha;
+    if (!atlasManager.renderBuilding(ctx, spriteType, screenPos.x, screenPos.y, this.tileSize)) {
+      ctx.fillStyle = config.display.color;
+      ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+    }
+
+    // Validity tint and outline
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = tint;
+    ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+    ctx.globalAlpha = 1.0;
+    ctx.strokeStyle = tint;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+
+    ctx.restore();
+  }
+
+  // Draw a red overlay on the buildings a demolition would remove, with the refund it would give
+  drawDemolishPreview(positions) {
+    if (!this.buildingManager) return;
+
+    const ctx = this.ctx;
+    const targets = this.getDemolitionTargets(positions);
+    const refund = {};
+    let workers = 0;
+
+    ctx.save();
+
+    // Outline the dragged area
+    if (positions.length > 1) {
+      for (const pos of positions) {
+        const screenPos = this.gridToScreen(pos.x, pos.y);
+        ctx.globalAlpha = 0.15;
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+      }
+    }
+
+    for (const target of targets) {
+      const building = this.buildingManager.getBuilding(target.x, target.y);
+      const footprint = [target, ...this.getFarmlandPositionsFor(target.x, target.y)];
+      for (const pos of footprint) {
+        const screenPos = this.gridToScreen(pos.x, pos.y);
+        ctx.globalAlpha = 0.45;
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+        ctx.globalAlpha = 1.0;
+        ctx.strokeStyle = '#c0392b';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(screenPos.x, screenPos.y, this.tileSize, this.tileSize);
+      }
+
+      workers += building.assignedWorkers;
+      for (const [resourceType, amount] of Object.entries(this.buildingManager.getRefund(building))) {
+        refund[resourceType] = (refund[resourceType] || 0) + amount;
+      }
+    }
+
+    // Summary label next to the cursor: count and refund
+    if (targets.length > 0 || positions.length > 1) {
+      const label = targets.length > 0
+        ? `Demolish ${targets.length}${this.buildingManager.formatRefund(refund, workers)}`
+        : 'Nothing to demolish';
+      const anchor = this.isPaintDragging ? this.paintDragEndPos : positions[0];
+      const endPos = this.gridToScreen(anchor.x, anchor.y);
+      ctx.globalAlpha = 1.0;
+      ctx.font = '12px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      const textWidth = ctx.measureText(label).width;
+      const labelX = Math.min(endPos.x + this.tileSize + 6, this.canvas.width - textWidth - 10);
+      const labelY = Math.max(4, endPos.y - 22);
+
+      ctx.fillStyle = 'rgba(44, 62, 80, 0.9)';
+      ctx.fillRect(labelX - 4, labelY - 3, textWidth + 8, 20);
+      ctx.fillStyle = '#ff6b6b';
+      ctx.fillText(label, labelX, labelY);
+    }
+
+    ctx.restore();
+  }
+
+  // Clear the hovered tile and remove the ghost preview
+  clearHoverTile() {
+    if (this.hoverTile.x === null) return;
+    this.hoverTile = { x: null, y: null };
+    this.render();
+  }
+
+  // Get current viewport info
+  getViewportInfo() {
+    return {
+      x: this.viewportX,
+      y: this.viewportY,
+      tileSize: this.tileSize,
+      zoomLevel: this.zoomLevel,
+      baseTileSize: this.baseTileSize,
+      visibleTiles: this.getVisibleTileRange()
+    };
+  }
+
+  // Render a scaled-down copy of the current view as a JPEG data URL (used for save slot previews)
+  createThumbnail(width, height) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = height;
+    thumbnail.getContext('2d').drawImage(this.canvas, 0, 0, width, height);
+    return thumbnail.toDataURL('image/jpeg', 0.7);
+  }
+
+  // Set viewport position
+  setViewport(x, y) {
+    this.viewportX = x;
+    this.viewportY = y;
+    this.render();
+  }
+
+  moveViewportToOrigin() {
+    console.log('moveViewportToOrigin called');
+    // Calculate viewport position to center the origin tile (0,0) on the canvas
+    const centerX = this.canvas.width / 2;
+    const centerY = this.canvas.height / 2;
+
+    // Offset viewport so that tile (0,0) is centered
+    const viewportX = -centerX + (this.tileSize / 2);
+    const viewportY = -centerY + (this.tileSize / 2);
+
+    console.log(`Moving viewport from (${this.viewportX}, ${this.viewportY}) to (${viewportX}, ${viewportY})`);
+    this.setViewport(viewportX, viewportY);
+  }
+
+  // Tile selection methods
+  selectTile(gridX, gridY) {
+    console.log(`selectTile called with (${gridX}, ${gridY}), currently selected: (${this.selectedTile.x}, ${this.selectedTile.y})`);
+
+    // Check if clicking on the already selected tile
+    if (this.selectedTile.x === gridX && this.selectedTile.y === gridY) {
+      // Deselect the tile
+      console.log('Deselecting tile');
+      this.clearSelection();
+      return null;
+    }
+
+    // Clear previous selection state from painted tiles
+    this.paintedTiles.forEach(tile => {
+      if (tile.selected) {
+        tile.deselect();
+      }
+    });
+
+    // Also clear selection state from generated terrain tiles
+    this.generatedTiles.forEach(tile => {
+      if (tile.selected) {
+        tile.deselect();
+      }
+    });
+
+    // Update grid selection tracking
+    this.selectedTile = { x: gridX, y: gridY };
+
+    // If there's a painted tile at this position, mark it as selected
+    const tile = this.getPaintedTile(gridX, gridY);
+    if (tile) {
+      tile.select();
+    }
+
+    this.render();
+    return { x: gridX, y: gridY, tile };
+  }
+
+  clearSelection() {
+    // Clear selection state from painted tiles
+    this.paintedTiles.forEach(tile => {
+      if (tile.selected) {
+        tile.deselect();
+      }
+    });
+
+    // Also clear selection state from generated terrain tiles
+    this.generatedTiles.forEach(tile => {
+      if (tile.selected) {
+        tile.deselect();
+      }
+    });
+
+    this.selectedTile = { x: null, y: null };
+    this.render();
+  }
+
+  getSelectedTile() {
+    if (this.selectedTile.x !== null && this.selectedTile.y !== null) {
+      const tile = this.getPaintedTile(this.selectedTile.x, this.selectedTile.y);
+      return {
+        x: this.selectedTile.x,
+        y: this.selectedTile.y,
+        tile: tile
+      };
+    }
+    return null;
+  }
+
+  setHighlightColor(color) {
+    this.highlightColor = color;
+    this.render();
+  }
+
+  setHighlightAlpha(alpha) {
+    this.highlightAlpha = Math.max(0, Math.min(1, alpha));
+    this.render();
+  }
+
+  // Mode switching methods
+  setPanMode() {
+    this.selectionMode = false;
+    this.paintMode = false;
+    this.demolishMode = false;
+    this.cancelPaintDrag();
+    this.clearHoverTile();
+    this.canvas.style.cursor = 'grab';
+    console.log(`Pan mode activated (Press '1' for pan, '2' for selection, '3' for paint, '4' for demolish)`);
+  }
+
+  toggleSelectionMode() {
+    this.selectionMode = !this.selectionMode;
+    // Turn off paint and demolish modes if selection mode is enabled
+    if (this.selectionMode) {
+      this.paintMode = false;
+      this.demolishMode = false;
+      this.cancelPaintDrag();
+      this.clearHoverTile();
+    }
+
+    // Set appropriate cursor
+    if (this.selectionMode) {
+      this.canvas.style.cursor = 'pointer';
+    } else if (this.paintMode || this.demolishMode) {
+      this.canvas.style.cursor = 'crosshair';
+    } else {
+      this.canvas.style.cursor = 'grab';
+    }
+
+    console.log(`Selection mode: ${this.selectionMode ? 'ON' : 'OFF'} (Press '2' to toggle)`);
+  }
+
+  // Paint mode methods
+  togglePaintMode() {
+    this.paintMode = !this.paintMode;
+    // Turn off selection and demolish modes if paint mode is enabled
+    if (this.paintMode) {
+      this.selectionMode = false;
+      this.demolishMode = false;
+    }
+    this.cancelPaintDrag();
+    this.clearHoverTile();
+
+    // Set appropriate cursor
+    if (this.selectionMode) {
+      this.canvas.style.cursor = 'pointer';
+    } else if (this.paintMode) {
+      this.canvas.style.cursor = 'crosshair';
+    } else {
+      this.canvas.style.cursor = 'grab';
+    }
+
+    console.log(`Paint mode: ${this.paintMode ? 'ON' : 'OFF'} (Press '3' to toggle) - Click and drag to paint multiple tiles`);
+  }
+
+  // Demolish mode methods
+  toggleDemolishMode() {
+    this.demolishMode = !this.demolishMode;
+    // Turn off selection and paint modes if demolish mode is enabled
+    if (this.demolishMode) {
+      this.selectionMode = false;
+      this.paintMode = false;
+    }
+    this.cancelPaintDrag();
+    this.clearHoverTile();
+
+    // Set appropriate cursor
+    if (this.demolishMode) {
+      this.canvas.style.cursor = 'crosshair';
+    } else {
+      this.canvas.style.cursor = 'grab';
+    }
+
+    console.log(`Demolish mode: ${this.demolishMode ? 'ON' : 'OFF'} (Press '4' to toggle) - Click a building or drag a rectangle to demolish`);
+  }
+
+
+  // Get the tiles covered by the current paint drag
+  // A straight line along the dominant axis, or a filled rectangle while Shift is held
+  getPaintDragPositions() {
+    const start = this.paintDragStartPos;
+    const end = this.paintDragEndPos;
+    if (start.x === null || end.x === null) {
+      return [];
+    }
+
+    const positions = [];
+    if (this.paintDragRect) {
+      const minX = Math.min(start.x, end.x);
+      const maxX = Math.max(start.x, end.x);
+      const minY = Math.min(start.y, end.y);
+      const maxY = Math.max(start.y, end.y);
+      for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+          positions.push({ x, y });
+        }
+      }
+    } else {
+      const dx = end.x - start.x;
+      const dy = end.y - start.y;
+      const horizontal = Math.abs(dx) >= Math.abs(dy);
+      const length = horizontal ? Math.abs(dx) : Math.abs(dy);
+      const stepX = horizontal ? Math.sign(dx) : 0;
+      const stepY = horizontal ? 0 : Math.sign(dy);
+      for (let i = 0; i <= length; i++) {
+        positions.push({ x: start.x + i * stepX, y: start.y + i * stepY });
+      }
+    }
+
+    return positions;
+  }
+
+  // Work out which dragged tiles are buildable and what the batch would cost
+  getPaintDragPreview() {
+    const positions = this.getPaintDragPositions();
+    const buildingType = this.currentBuildingType;
+    const preview = {
+      tiles: [],
+      validCount: 0,
+      totalCosts: {},
+      canAfford: true,
+      tooLarge: positions.length > this.maxPaintDragTiles
+    };
+
+    if (!this.buildingManager || preview.tooLarge) {
+      return preview;
+    }
+
+    for (const pos of positions) {
+      const tile = this.paintedTiles.get(`${pos.x},${pos.y}`) || this.getOrGenerateTile(pos.x, pos.y);
+      const validation = this.buildingManager.validatePlacement(pos.x, pos.y, buildingType, tile);
+      preview.tiles.push({ x: pos.x, y: pos.y, allowed: validation.allowed, reason: validation.reason });
+      if (validation.allowed) {
+        preview.validCount++;
+      }
+    }
+
+    preview.totalCosts = this.buildingManager.getBatchCost(buildingType, preview.validCount);
+    preview.canAfford = this.buildingManager.resourceManager.canAfford(preview.totalCosts);
+    return preview;
+  }
+
+  // Reset paint drag state without placing anything
+  cancelPaintDrag() {
+    this.isPaintDragging = false;
+    this.lastPaintedTile = { x: null, y: null };
+    this.paintDragStartPos = { x: null, y: null };
+    this.paintDragEndPos = { x: null, y: null };
+    this.paintDragRect = false;
+  }
+
+  // Place buildings for a finished drag (single tiles go through the normal click path)
+  commitPaintDrag(positions) {
+    if (positions.length === 0) {
+      this.render();
+      return null;
+    }
+
+    if (this.demolishMode) {
+      return this.demolishTiles(positions);
+    }
+
+    if (positions.length === 1) {
+      return this.paintTile(positions[0].x, positions[0].y, this.currentBuildingType);
+    }
+
+    if (positions.length > this.maxPaintDragTiles) {
+      console.warn(`❌ Drag covers ${positions.length} tiles (max ${this.maxPaintDragTiles})`);
+      this.render();
+      return { success: false, error: 'Too many tiles selected' };
+    }
+
+    return this.paintTiles(positions, this.currentBuildingType);
+  }
+
+  // Place a building on each position as a single transaction
+  paintTiles(positions, buildingType = this.currentBuildingType) {
+    if (!this.buildingManager) {
+      console.warn('BuildingManager not set on Grid');
+      return { success: false, error: 'BuildingManager not set' };
+    }
+
+    const placements = positions.map(pos => ({
+      x: pos.x,
+      y: pos.y,
+      tile: this.paintedTiles.get(`${pos.x},${pos.y}`) || this.getOrGenerateTile(pos.x, pos.y)
+    }));
+
+    const config = this.buildingManager.getBuildingConfig(buildingType);
+    const label = `Build ${positions.length} ${config?.name || buildingType}`;
+    const result = this.recordBuildingChange(label, positions, () => {
+      return this.buildingManager.placeBuildings(placements, buildingType);
+    });
+    if (!result.success) {
+      console.warn(`❌ ${result.error}`);
+      this.render();
+      return result;
+    }
+
+    for (const placed of result.placed) {
+      const placement = placements.find(p => p.x === placed.x && p.y === placed.y);
+      this.applyBuildingToTile(placed.x, placed.y, placed.building, placement?.tile);
+    }
+
+    this.render();
+    return result;
+  }
+
+  paintTile(gridX, gridY, buildingType = this.currentBuildingType) {
+    const tileKey = `${gridX},${gridY}`;
+    console.log(`🏗️ paintTile called at (${gridX}, ${gridY}), generatedTiles.size BEFORE: ${this.generatedTiles.size}`);
+
+    // Get existing tile or get/generate terrain tile
+    let tile = this.paintedTiles.get(tileKey);
+    if (!tile) {
+      // Check if there's a generated terrain tile at this location
+      tile = this.getOrGenerateTile(gridX, gridY);
+    }
+
+    // Place building using BuildingManager with terrain validation
+    if (this.buildingManager) {
+      const config = this.buildingManager.getBuildingConfig(buildingType);
+      const label = `Build ${config?.name || buildingType} at (${gridX}, ${gridY})`;
+      const result = this.recordBuildingChange(label, [{ x: gridX, y: gridY }], () => {
+        return this.buildingManager.placeBuilding(gridX, gridY, buildingType, tile);
+      });
+
+      if (!result.success) {
+        // Building placement failed - show warning
+        console.warn(`❌ ${result.error}`);
+        return {
+          x: gridX,
+          y: gridY,
+          success: false,
+          error: result.error
+        };
+      }
+
+      const building = result.building;
+      this.applyBuildingToTile(gridX, gridY, building, tile);
+
+      console.log(`🏗️ paintTile AFTER placing building, generatedTiles.size: ${this.generatedTiles.size}`);
+      this.render();
+      console.log(`🏗️ paintTile AFTER render(), generatedTiles.size: ${this.generatedTiles.size}`);
+      return {
+        x: gridX,
+        y: gridY,
+        buildingType,
+        building,
+        success: true
+      };
+    } else {
+      console.warn('BuildingManager not set on Grid');
+      return { success: false, error: 'BuildingManager not set' };
+    }
+  }
+
+  // Update the painted tile (and farm fields) for a newly placed building
+  applyBuildingToTile(gridX, gridY, building, tile) {
+    const tileKey = `${gridX},${gridY}`;
+
+    if (this.paintedTiles.has(tileKey)) {
+      // Update existing painted tile with building
+      const paintedTile = this.paintedTiles.get(tileKey);
+
+      // BuildingManager.placeBuilding() only builds on empty tiles,
+      // so we just need to update the tile's visual representation
+      paintedTile.onPaint(building);
+    } else {
+      // Create new painted tile with building, preserving terrain data
+      const newTile = new Tile(gridX, gridY, {
+        building: building,
+        visible: true,
+        selected: false,
+        highlighted: false,
+        locked: false,
+        isPainted: true,
+        terrainType: tile?.terrainType,
+        elevation: tile?.elevation,
+        temperature: tile?.temperature,
+        moisture: tile?.moisture,
+        riverValue: tile?.riverValue,
+        isRiver: tile?.isRiver,
+        detail: tile?.detail,
+        isGenerated: tile?.isGenerated
+      });
+      this.paintedTiles.set(tileKey, newTile);
+    }
+
+    // If this is a farm building, place farmland tiles around it
+    if (building.type === 'farm' && building.farmlandTiles) {
+      console.log(`🌾 Placing farmland for farm at (${gridX}, ${gridY})`);
+      this.placeFarmlandTiles(gridX, gridY, building.farmlandTiles);
+    }
+  }
+
+  // Place farmland tiles around a farm building
+  // Positions may carry a saved rotation; otherwise one is picked at random
+  placeFarmlandTiles(farmX, farmY, farmlandPositions) {
+    for (const pos of farmlandPositions) {
+      const farmlandKey = `${pos.x},${pos.y}`;
+
+      // Skip if this position already has a building
+      if (this.buildingManager.getBuilding(pos.x, pos.y)) {
+        continue;
+      }
+
+      // Generate random rotation for visual variety (0, 90, 180, or 270 degrees)
+      const rotations = [0, 90, 180, 270];
+      const randomRotation = pos.rotation ?? rotations[Math.floor(Math.random() * rotations.length)];
+
+      // Get or create the tile at this position
+      let farmlandTile = this.paintedTiles.get(farmlandKey);
+      const terrainTile = this.getOrGenerateTile(pos.x, pos.y);
+
+      if (!farmlandTile) {
+        // Create new farmland tile with random rotation
+        farmlandTile = new Tile(pos.x, pos.y, {
+          visible: true,
+          isPainted: true,
+          terrainType: terrainTile?.terrainType,
+          elevation: terrainTile?.elevation,
+          temperature: terrainTile?.temperature,
+          moisture: terrainTile?.moisture,
+          riverValue: terrainTile?.riverValue,
+          isRiver: terrainTile?.isRiver,
+          detail: terrainTile?.detail,
+          isGenerated: terrainTile?.isGenerated,
+          farmland: true, // Mark as farmland overlay
+          rotation: randomRotation // Add random rotation for visual variety
+        });
+        this.paintedTiles.set(farmlandKey, farmlandTile);
+      } else {
+        // Add farmland overlay to existing tile with random rotation
+        farmlandTile.farmland = true;
+        farmlandTile.rotation = randomRotation;
+      }
+
+      // Track which farm this farmland belongs to
+      this.farmlandTiles.set(farmlandKey, { farmX, farmY });
+    }
+  }
+
+  // Remove farmland tiles associated with a farm
+  removeFarmlandTiles(farmX, farmY) {
+    const toRemove = [];
+
+    // Find all farmland tiles belonging to this farm
+    for (const [key, owner] of this.farmlandTiles.entries()) {
+      if (owner.farmX === farmX && owner.farmY === farmY) {
+        toRemove.push(key);
+      }
+    }
+
+    // Remove farmland tiles
+    for (const key of toRemove) {
+      this.farmlandTiles.delete(key);
+
+      // Get the tile and remove farmland overlay
+      const tile = this.paintedTiles.get(key);
+      if (tile) {
+        tile.farmland = false;
+        // If tile has no building and no other overlays, remove it
+        if (!tile.building && !tile.farmland) {
+          this.paintedTiles.delete(key);
+        }
+      }
+    }
+
+    console.log(`🗑️ Removed ${toRemove.length} farmland tiles for farm at (${farmX}, ${farmY})`);
+  }
+
+  // Find the buildings a demolition over these positions would remove
+  // Farm fields resolve to the farm that owns them; each building is listed once
+  getDemolitionTargets(positions) {
+    if (!this.buildingManager) return [];
+
+    const targets = new Map();
+    for (const pos of positions) {
+      let { x, y } = pos;
+      const farmland = this.farmlandTiles.get(`${x},${y}`);
+      if (farmland) {
+        x = farmland.farmX;
+        y = farmland.farmY;
+      }
+      if (this.buildingManager.getBuilding(x, y)) {
+        targets.set(`${x},${y}`, { x, y });
+      }
+    }
+    return Array.from(targets.values());
+  }
+
+  // Get the field tiles owned by a farm (empty for other buildings)
+  getFarmlandPositionsFor(farmX, farmY) {
+    const positions = [];
+    for (const [key, owner] of this.farmlandTiles) {
+      if (owner.farmX === farmX && owner.farmY === farmY) {
+        const [x, y] = key.split(',').map(Number);
+        positions.push({ x, y });
+      }
+    }
+    return positions;
+  }
+
+  // Demolish every building in the given positions as one undoable action
+  demolishTiles(positions) {
+    if (!this.buildingManager) {
+      console.warn('BuildingManager not set on Grid');
+      return { success: false, error: 'BuildingManager not set' };
+    }
+
+    if (positions.length > this.maxPaintDragTiles) {
+      console.warn(`❌ Drag covers ${positions.length} tiles (max ${this.maxPaintDragTiles})`);
+      this.render();
+      return { success: false, error: 'Too many tiles selected' };
+    }
+
+    const targets = this.getDemolitionTargets(positions);
+    if (targets.length === 0) {
+      this.render();
+      return { success: false, error: 'No buildings to demolish' };
+    }
+
+    // Single buildings go through the normal clear path
+    if (targets.length === 1) {
+      const result = this.clearTile(targets[0].x, targets[0].y);
+      return { success: !!result, error: result ? null : 'Failed to demolish building' };
+    }
+
+    const label = `Demolish ${targets.length} buildings`;
+    const result = this.recordBuildingChange(label, targets, () => {
+      for (const target of targets) {
+        const building = this.buildingManager.getBuilding(target.x, target.y);
+        if (building && building.type === 'farm') {
+          this.removeFarmlandTiles(target.x, target.y);
+        }
+      }
+
+      const demolition = this.buildingManager.demolishBuildings(targets);
+      for (const removed of demolition.removed) {
+        this.paintedTiles.delete(`${removed.x},${removed.y}`);
+      }
+      return demolition;
+    });
+
+    this.render();
+    return result;
+  }
+
+  clearTile(gridX, gridY) {
+    const building = this.buildingManager ? this.buildingManager.getBuilding(gridX, gridY) : null;
+    if (!building) {
+      return this.removePaintedTile(gridX, gridY);
+    }
+
+    const config = this.buildingManager.getBuildingConfig(building.type);
+    const label = `Demolish ${config?.name || building.type} at (${gridX}, ${gridY})`;
+    return this.recordBuildingChange(label, [{ x: gridX, y: gridY }], () => {
+      return this.removePaintedTile(gridX, gridY);
+    });
+  }
+
+  // Remove a painted tile and any building on it
+  removePaintedTile(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    const tile = this.paintedTiles.get(tileKey);
+
+    // Remove building if it exists
+    if (tile && tile.building && this.buildingManager) {
+      // If it's a farm, remove associated farmland first
+      if (tile.building.type === 'farm') {
+        this.removeFarmlandTiles(gridX, gridY);
+      }
+
+      this.buildingManager.removeBuilding(gridX, gridY);
+    }
+
+    const wasDeleted = this.paintedTiles.delete(tileKey);
+    if (wasDeleted) {
+      this.render();
+    }
+    return wasDeleted;
+  }
+
+  // Remove every building and its farm fields; color-painted tiles are kept
+  clearAllPaint() {
+    const positions = this.buildingManager
+      ? Array.from(this.buildingManager.buildings.values()).map(building => ({ x: building.x, y: building.y }))
+      : [];
+
+    return this.recordBuildingChange('Clear all buildings', positions, () => {
+      for (const { x, y } of positions) {
+        if (this.buildingManager.getBuilding(x, y)?.type === 'farm') {
+          this.removeFarmlandTiles(x, y);
+        }
+        this.paintedTiles.delete(`${x},${y}`);
+      }
+
+      if (this.buildingManager) {
+        this.buildingManager.clearAll();
+      }
+
+      this.render();
+      return true;
+    });
+  }
+
+  // Run a building change and record it in the undo history
+  // positions: tiles whose buildings the action may change (farm fields follow their farm)
+  recordBuildingChange(label, positions, action) {
+    if (!this.commandHistory || !this.buildingManager || this.isReplayingHistory) {
+      return action();
+    }
+
+    const resourceManager = this.buildingManager.resourceManager;
+    const before = this.captureBuildingStates(positions);
+    const resourcesBefore = resourceManager.getAllResources();
+
+    const result = action();
+    const succeeded = result === true || result?.success === true;
+    if (!succeeded) {
+      return result;
+    }
+
+    const after = this.captureBuildingStates(positions);
+    const resourcesAfter = resourceManager.getAllResources();
+
+    // Costs paid and refunds received (workers follow from the houses themselves)
+    const delta = {};
+    for (const [type, amount] of Object.entries(resourcesAfter)) {
+      const change = amount - (resourcesBefore[type] ?? 0);
+      if (type !== 'worker' && Math.abs(change) > 1e-9) {
+        delta[type] = change;
+      }
+    }
+
+    const inverse = {};
+    for (const [type, change] of Object.entries(delta)) {
+      inverse[type] = -change;
+    }
+
+    // Undoing a placement is a demolition: it returns the demolish refund, not the full price
+    before.forEach((entry, index) => {
+      const placed = after[index].state;
+      if (entry.state || !placed) return;
+
+      const refund = this.buildingManager.getRefund(placed);
+      for (const [type, amount] of Object.entries(placed.paidCosts ?? {})) {
+        inverse[type] = (inverse[type] ?? 0) - amount + (refund[type] ?? 0);
+      }
+    });
+    for (const [type, change] of Object.entries(inverse)) {
+      if (Math.abs(change) < 1e-9) {
+        delete inverse[type];
+      }
+    }
+
+    this.commandHistory.record({
+      label,
+      undo: () => this.applyBuildingSnapshot(before, inverse),
+      redo: () => this.applyBuildingSnapshot(after, delta)
+    });
+
+    return result;
+  }
+
+  // Record the buildings on a set of tiles for undo/redo
+  // Farms keep their fields as [x, y, rotation] so restoring them doesn't re-roll the layout
+  captureBuildingStates(positions) {
+    return positions.map(pos => {
+      const state = this.buildingManager.getBuildingState(pos.x, pos.y);
+      if (state?.type === 'farm') {
+        state.farmland = this.getFarmlandPositionsFor(pos.x, pos.y)
+          .map(({ x, y }) => [x, y, this.paintedTiles.get(`${x},${y}`)?.rotation]);
+      }
+      return { x: pos.x, y: pos.y, state };
+    });
+  }
+
+  // Restore tiles to recorded building states and apply a resource change
+  // Returns { success: boolean, error: string|null }
+  applyBuildingSnapshot(states, resourceDelta) {
+    const resourceManager = this.buildingManager.resourceManager;
+
+    // Check affordability first so a failed undo/redo leaves everything untouched
+    const cost = {};
+    for (const [type, change] of Object.entries(resourceDelta)) {
+      if (change < 0) {
+        cost[type] = -change;
+      }
+    }
+    if (!resourceManager.canAfford(cost)) {
+      const missing = Object.entries(cost)
+        .filter(([type, amount]) => resourceManager.getResource(type) < amount)
+        .map(([type, amount]) => `${amount.toFixed(0)} ${type}`)
+        .join(', ');
+      return { success: false, error: `Not enough resources (needs ${missing})` };
+    }
+
+    // Refunds must fit in storage, or undoing and redoing would lose them
+    const overflow = Object.entries(resourceDelta)
+      .filter(([type, change]) => change > 0 && resourceManager.getResource(type) + change > resourceManager.getResourceCap(type))
+      .map(([type, change]) => `${change.toFixed(0)} ${type}`);
+    if (overflow.length > 0) {
+      return { success: false, error: `Not enough storage (needs room for ${overflow.join(', ')})` };
+    }
+
+    this.isReplayingHistory = true;
+    try {
+      for (const { x, y, state } of states) {
+        this.restoreBuildingState(x, y, state);
+      }
+
+      for (const [type, change] of Object.entries(resourceDelta)) {
+        if (change > 0) {
+          resourceManager.addResource(type, change);
+        } else {
+          resourceManager.removeResource(type, -change);
+        }
+      }
+    } finally {
+      this.isReplayingHistory = false;
+    }
+
+    this.render();
+    return { success: true, error: null };
+  }
+
+  // Put a tile back to a recorded building state without charging or refunding costs
+  restoreBuildingState(gridX, gridY, state) {
+    const tileKey = `${gridX},${gridY}`;
+
+    // Remove whatever is there now
+    const existing = this.buildingManager.getBuilding(gridX, gridY);
+    if (existing) {
+      if (existing.type === 'farm') {
+        this.removeFarmlandTiles(gridX, gridY);
+      }
+      this.buildingManager.removeBuilding(gridX, gridY, false, true);
+
+      const paintedTile = this.paintedTiles.get(tileKey);
+      if (paintedTile) {
+        paintedTile.building = null;
+        if (!paintedTile.farmland) {
+          this.paintedTiles.delete(tileKey);
+        }
+      }
+    }
+
+    if (!state) {
+      return;
+    }
+
+    const tile = this.paintedTiles.get(tileKey) || this.getOrGenerateTile(gridX, gridY);
+    const result = this.buildingManager.placeBuilding(gridX, gridY, state.type, null, true, true);
+    if (!result.success) {
+      console.warn(`❌ Could not restore ${state.type} at (${gridX}, ${gridY}): ${result.error}`);
+      return;
+    }
+
+    this.buildingManager.applyBuildingState(result.building, state);
+
+    // Put a farm's fields back where they were, with the same rotations
+    if (state.farmland) {
+      result.building.farmlandTiles = state.farmland.map(([x, y, rotation]) => ({ x, y, rotation }));
+    }
+    this.applyBuildingToTile(gridX, gridY, result.building, tile);
+  }
+
+  // Set command history reference for undo/redo
+  setCommandHistory(commandHistory) {
+    this.commandHistory = commandHistory;
+  }
+
+  // Set game clock reference for pause/speed hotkeys
+  setGameClock(gameClock) {
+    this.gameClock = gameClock;
+  }
+
+  setBuildingType(buildingType) {
+    this.currentBuildingType = buildingType;
+    console.log(`Building type set to: ${buildingType}`);
+  }
+
+  // Set building manager reference
+  setBuildingManager(buildingManager) {
+    this.buildingManager = buildingManager;
+  }
+
+  // Set tooltip manager for displaying tile information
+  setTooltipManager(tooltipManager) {
+    this.tooltipManager = tooltipManager;
+  }
+
+  // Sync buildings from BuildingManager to visual tiles (for loading saved games)
+  syncBuildingsToTiles() {
+    if (!this.buildingManager) {
+      console.warn('BuildingManager not set, cannot sync buildings');
+      return;
+    }
+
+    console.log('🔄 Syncing buildings to visual tiles...');
+    let syncedCount = 0;
+
+    // Iterate through all buildings in the BuildingManager
+    for (const [key, building] of this.buildingManager.buildings.entries()) {
+      const { x, y } = building;
+      const tileKey = `${x},${y}`;
+
+      // Check if painted tile already exists
+      if (this.paintedTiles.has(tileKey)) {
+        // Update existing tile with building reference
+        const existingTile = this.paintedTiles.get(tileKey);
+        existingTile.building = building;
+        syncedCount++;
+      } else {
+        // Get or generate terrain tile at this position
+        const terrainTile = this.getOrGenerateTile(x, y);
+
+        // Create new painted tile with building
+        const newTile = new Tile(x, y, {
+          building: building,
+          visible: true,
+          selected: false,
+          highlighted: false,
+          locked: false,
+          isPainted: true,
+          terrainType: terrainTile?.terrainType,
+          elevation: terrainTile?.elevation,
+          temperature: terrainTile?.temperature,
+          moisture: terrainTile?.moisture,
+          riverValue: terrainTile?.riverValue,
+          isRiver: terrainTile?.isRiver,
+          detail: terrainTile?.detail,
+          isGenerated: terrainTile?.isGenerated
+        });
+
+        this.paintedTiles.set(tileKey, newTile);
+        syncedCount++;
+      }
+
+      // If this is a farm, sync farmland tiles
+      if (building.type === 'farm' && building.farmlandTiles && building.farmlandTiles.length > 0) {
+        console.log(`🌾 Syncing farmland for farm at (${x}, ${y})`);
+        this.placeFarmlandTiles(x, y, building.farmlandTiles);
+      }
+    }
+
+    console.log(`✅ Synced ${syncedCount} buildings to visual tiles`);
+
+    // Render the grid to display all synced buildings
+    this.render();
+  }
+
+  getPaintedTileColor(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    const tile = this.paintedTiles.get(tileKey);
+    return tile ? tile.color : null;
+  }
+
+  // New method to get the full tile object (checks both painted and generated)
+  getPaintedTile(gridX, gridY) {
+    return this.getOrGenerateTile(gridX, gridY);
+  }
+
+  // Get only manually painted tiles (original behavior)
+  getOnlyPaintedTile(gridX, gridY) {
+    const tileKey = `${gridX},${gridY}`;
+    return this.paintedTiles.get(tileKey) || null;
+  }
+
+  getPaintedTilesCount() {
+    return this.paintedTiles.size;
+  }
+
+  // Export the painted tile state that can't be re-derived from the world seed and buildings
+  // Compact form for saves: farm fields as [x, y, farmX, farmY, rotation], color-painted tiles as [x, y, color]
+  exportTileData() {
+    const farmland = [];
+    for (const [key, owner] of this.farmlandTiles) {
+      const tile = this.paintedTiles.get(key);
+      if (tile) {
+        farmland.push([tile.x, tile.y, owner.farmX, owner.farmY, tile.rotation]);
+      }
+    }
+
+    const colors = [];
+    this.paintedTiles.forEach(tile => {
+      if (tile.color && !tile.building) {
+        colors.push([tile.x, tile.y, tile.color]);
+      }
+    });
+
+    return { farmland, colors };
+  }
+
+  // Rebuild all painted tiles from the loaded buildings and saved tile state (see exportTileData)
+  // Saves without tile state get freshly laid out farm fields
+  importTileData(tileData) {
+    if (!this.buildingManager) {
+      console.warn('BuildingManager not set, cannot import tile data');
+      return;
+    }
+
+    this.paintedTiles.clear();
+    this.farmlandTiles.clear();
+
+    const farms = Array.from(this.buildingManager.buildings.values()).filter(building => building.type === 'farm');
+    if (tileData) {
+      // Hand each farm back its own fields, rotations included
+      for (const farm of farms) {
+        farm.farmlandTiles = [];
+      }
+      for (const [x, y, farmX, farmY, rotation] of tileData.farmland || []) {
+        const farm = this.buildingManager.getBuilding(farmX, farmY);
+        if (farm?.type === 'farm') {
+          farm.farmlandTiles.push({ x, y, rotation });
+        }
+      }
+
+      for (const [x, y, color] of tileData.colors || []) {
+        const terrainTile = this.getOrGenerateTile(x, y);
+        const tile = terrainTile ? terrainTile.clone() : new Tile(x, y);
+        tile.onPaint(color);
+        this.paintedTiles.set(`${x},${y}`, tile);
+      }
+    } else {
+      for (const farm of farms) {
+        farm.layOutFarmland(this.buildingManager);
+      }
+    }
+
+    this.syncBuildingsToTiles();
+    console.log(`🗺️ Tile state restored: ${this.farmlandTiles.size} farmland tiles, ${tileData?.colors?.length || 0} painted tiles`);
+  }
+
+  // Debug and testing methods
+  // Verify tile system is working correctly
+  validateTileSystem() {
+    console.log('=== Tile System Validation ===');
+    console.log(`Total painted tiles: ${this.paintedTiles.size}`);
+
+    let visibleCount = 0;
+    let selectedCount = 0;
+    let highlightedCount = 0;
+    let lockedCount = 0;
+
+    this.paintedTiles.forEach(tile => {
+      if (tile.isVisible()) visibleCount++;
+      if (tile.isSelected()) selectedCount++;
+      if (tile.isHighlighted()) highlightedCount++;
+      if (tile.isLocked()) lockedCount++;
+    });
+
+    console.log(`Visible tiles: ${visibleCount}`);
+    console.log(`Selected tiles: ${selectedCount}`);
+    console.log(`Highlighted tiles: ${highlightedCount}`);
+    console.log(`Locked tiles: ${lockedCount}`);
+
+    // Test backward compatibility
+    const testTile = this.getPaintedTile(0, 0);
+    if (testTile) {
+      const color = this.getPaintedTileColor(0, 0);
+      console.log(`Backward compatibility test - tile color: ${color}, tile.color: ${testTile.color}`);
+      console.log(`Colors match: ${color === testTile.color}`);
+    }
+
+    console.log('=== Validation Complete ===');
+  }
+
+  // Get current drag state information
+  getDragState() {
+    return {
+      isPanDragging: this.isDragging,
+      isPaintDragging: this.isPaintDragging,
+      currentMode: this.paintMode ? 'paint' : this.demolishMode ? 'demolish' : this.selectionMode ? 'selection' : 'pan',
+      lastPaintedTile: { ...this.lastPaintedTile },
+      paintDragStartPos: { ...this.paintDragStartPos },
+      paintDragEndPos: { ...this.paintDragEndPos },
+      paintDragRect: this.paintDragRect
+    };
+  }
+
+  // World generation control methods
+  enableProceduralGeneration() {
+    this.proceduralGeneration = true;
+    this.render();
+  }
+
+  disableProceduralGeneration() {
+    this.proceduralGeneration = false;
+    this.render();
+  }
+
+  setWorldSeed(seed) {
+    // Skip if seed is unchanged - no need to regenerate
+    if (this.worldGenerator.seed === seed) {
+      console.log('🌍 Seed unchanged, skipping regeneration');
+      return;
+    }
+
+    this.worldGenerator.updateParameters({ seed });
+    this.generatedTiles.clear();
+    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
+
+    // Force regeneration of currently visible area
+    const { startX, startY, endX, endY } = this.getVisibleTileRange();
+    this.generateVisibleTerrain(startX, startY, endX, endY, true); // Force regeneration
+
+    this.render();
+  }
+
+  updateWorldParameters(params) {
+    this.worldGenerator.updateParameters(params);
+    this.generatedTiles.clear();
+    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
+
+    // Force regeneration of currently visible area
+    const { startX, startY, endX, endY } = this.getVisibleTileRange();
+    this.generateVisibleTerrain(startX, startY, endX, endY, true); // Force regeneration
+
+    this.render();
+  }
+
+  getWorldStats() {
+    return {
+      ...this.worldGenerator.getStats(),
+      proceduralGeneration: this.proceduralGeneration,
+      generatedTilesCount: this.generatedTiles.size,
+      paintedTilesCount: this.paintedTiles.size,
+      tileUnloading: {
+        enabled: this.enableTileUnloading,
+        retentionRadius: this.unloadingStats.retentionRadius,
+        tilesUnloaded: this.unloadingStats.tilesUnloaded,
+        totalMemoryCleared: this.unloadingStats.totalMemoryCleared,
+        lastUnloadTime: this.unloadingStats.lastUnloadTime
+      }
+    };
+  }
+
+  clearGeneratedTerrain() {
+    this.generatedTiles.clear();
+    this.worldGenerator.clearCache();
+    this.lastVisibleRange = { startX: 0, startY: 0, endX: 0, endY: 0 };
+    this.render();
+  }
+
+  // Enhanced tile count method
+  getTotalTilesCount() {
+    return {
+      painted: this.paintedTiles.size,
+      generated: this.generatedTiles.size,
+      total: this.paintedTiles.size + this.generatedTiles.size
+    };
+  }
+
+  // Cleanup method to remove event listeners
+  destroy() {
+    this.canvas.removeEventListener('mousedown', this.handleMouseDown);
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    this.canvas.removeEventListener('mouseup', this.handleMouseUp);
+    this.canvas.removeEventListener('mouseleave', this.handleMouseUp);
+    this.canvas.removeEventListener('wheel', this.handleWheel);
+    this.canvas.removeEventListener('click', this.handleClick);
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    // Clear generation caches
+    this.generatedTiles.clear();
+    this.worldGenerator.clearCache();
+  }
 }
\ No newline at end of file
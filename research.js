@@ -1,378 +1,910 @@
-// Research system for tile game
-// Manages technology unlocks and upgrades
-
-// ============================================================================
-// RESEARCH CONFIGURATION - Edit costs and effects here
-// ============================================================================
-export const RESEARCH_CONFIGS = {
-  advancedConstruction: {
-    id: 'advancedConstruction',
-    name: 'Advanced Construction',
-    description: 'Learn advanced building techniques to construct warehouses',
-
-    // Resource costs to research
-    costs: {
-      food: 100,
-    },
-
-    // Prerequisites (other research IDs that must be completed first)
-    requires: [],
-
-    // What this research unlocks
-    unlocks: {
-      buildings: ['warehouse']
-    },
-
-    // Visual properties
-    display: {
-      icon: '🏗️',
-      category: 'buildings'
-    }
-  },
-
-  stoneMining: {
-    id: 'stoneMining',
-    name: 'Stone Mining',
-    description: 'Develop techniques for extracting stone from quarries',
-
-    costs: {
-      food: 150
-    },
-
-    requires: [],
-
-    unlocks: {
-      buildings: ['stonequarry']
-    },
-
-    display: {
-      icon: '⛏️',
-      category: 'buildings'
-    }
-  },
-
-  storageExpansion: {
-    id: 'storageExpansion',
-    name: 'Storage Expansion',
-    description: 'Improve storage efficiency to hold more resources',
-
-    costs: {
-      food: 200
-    },
-
-    requires: ['advancedConstruction'],
-
-    unlocks: {
-      effects: {
-        foodCap: 50,
-        woodCap: 50,
-        stoneCap: 50
-      }
-    },
-
-    display: {
-      icon: '📦',
-      category: 'upgrades'
-    }
-  }
-};
-
-// Research Manager - coordinates all research and unlocks
-export class ResearchManager {
-  constructor(resourceManager, eventQueue = null) {
-    this.resourceManager = resourceManager;
-    this.eventQueue = eventQueue;
-
-    // Track completed research by ID
-    this.completedResearch = new Set();
-
-    // Track which buildings are unlocked
-    this.unlockedBuildings = new Set([
-      'house',        // Starting buildings
-      'farm',
-      'lumberyard',
-      'cobblepath',
-      'researchLab'   // Research Lab is always available from start
-    ]);
-  }
-
-  /**
-   * Check if research is available to be purchased
-   * @param {string} researchId - Research ID
-   * @returns {boolean}
-   */
-  isAvailable(researchId) {
-    const config = RESEARCH_CONFIGS[researchId];
-    if (!config) return false;
-
-    // Already completed?
-    if (this.isCompleted(researchId)) return false;
-
-    // Check prerequisites
-    if (config.requires && config.requires.length > 0) {
-      for (const prereqId of config.requires) {
-        if (!this.isCompleted(prereqId)) {
-          return false;
-        }
-      }
-    }
-
-    return true;
-  }
-
-  /**
-   * Check if research is completed
-   * @param {string} researchId - Research ID
-   * @returns {boolean}
-   */
-  isCompleted(researchId) {
-    return this.completedResearch.has(researchId);
-  }
-
-  /**
-   * Check if player can afford research
-   * @param {string} researchId - Research ID
-   * @returns {boolean}
-   */
-  canAfford(researchId) {
-    const config = RESEARCH_CONFIGS[researchId];
-    if (!config || !config.costs) return true;
-
-    return this.resourceManager.canAfford(config.costs);
-  }
-
-  /**
-   * Purchase research (instant unlock)
-   * @param {string} researchId - Research ID
-   * @returns {Object} - {success: boolean, error: string|null}
-   */
-  purchaseResearch(researchId) {
-    const config = RESEARCH_CONFIGS[researchId];
-
-    // Validate research exists
-    if (!config) {
-      return {
-        success: false,
-        error: `Unknown research: ${researchId}`
-      };
-    }
-
-    // Check if already completed
-    if (this.isCompleted(researchId)) {
-      return {
-        success: false,
-        error: 'Research already completed'
-      };
-    }
-
-    // Check if available (prerequisites met)
-    if (!this.isAvailable(researchId)) {
-      return {
-        success: false,
-        error: 'Prerequisites not met'
-      };
-    }
-
-    // Check resource costs
-    if (!this.canAfford(researchId)) {
-      const missingResources = [];
-      for (const [resourceType, cost] of Object.entries(config.costs)) {
-        const current = this.resourceManager.getResource(resourceType);
-        if (current < cost) {
-          missingResources.push(`${resourceType}: ${current}/${cost}`);
-        }
-      }
-      const errorMsg = `Insufficient resources - ${missingResources.join(', ')}`;
-
-      // Send event message
-      if (this.eventQueue) {
-        this.eventQueue.addMessage(`❌ ${config.name}: ${errorMsg}`);
-      }
-
-      return {
-        success: false,
-        error: errorMsg
-      };
-    }
-
-    // Spend resources
-    const spent = this.resourceManager.spend(config.costs);
-    if (!spent) {
-      return {
-        success: false,
-        error: 'Failed to deduct resources'
-      };
-    }
-
-    // Complete research instantly
-    this.completedResearch.add(researchId);
-
-    // Apply unlocks
-    this.applyUnlocks(config);
-
-    // Log success
-    console.log(`✅ Research completed: ${config.name}`);
-
-    // Send event message
-    if (this.eventQueue) {
-      this.eventQueue.addMessage(`✓ Research completed: ${config.display.icon} ${config.name}`);
-    }
-
-    return {
-      success: true,
-      error: null
-    };
-  }
-
-  /**
-   * Apply research unlocks (buildings, effects, etc.)
-   * @private
-   */
-  applyUnlocks(config) {
-    const unlocks = config.unlocks || {};
-
-    // Unlock buildings
-    if (unlocks.buildings) {
-      for (const buildingType of unlocks.buildings) {
-        this.unlockedBuildings.add(buildingType);
-        console.log(`🔓 Building unlocked: ${buildingType}`);
-      }
-    }
-
-    // Apply effects (like cap increases)
-    if (unlocks.effects) {
-      for (const [effectType, value] of Object.entries(unlocks.effects)) {
-        if (effectType.endsWith('Cap')) {
-          // Resource cap increase
-          const resourceType = effectType.replace('Cap', '');
-          const currentCap = this.resourceManager.getResourceCap(resourceType);
-          this.resourceManager.setResourceCap(resourceType, currentCap + value);
-          console.log(`📈 ${resourceType} cap increased by ${value}`);
-        }
-      }
-    }
-  }
-
-  /**
-   * Check if a building type is unlocked
-   * @param {string} buildingType - Building type
-   * @returns {boolean}
-   */
-  isBuildingUnlocked(buildingType) {
-    return this.unlockedBuildings.has(buildingType);
-  }
-
-  /**
-   * Get all available research (not completed, prerequisites met)
-   * @returns {Array} - Array of research configs
-   */
-  getAvailableResearch() {
-    const available = [];
-    for (const [id, config] of Object.entries(RESEARCH_CONFIGS)) {
-      if (this.isAvailable(id)) {
-        available.push(config);
-      }
-    }
-    return available;
-  }
-
-  /**
-   * Get all completed research
-   * @returns {Array} - Array of research configs
-   */
-  getCompletedResearch() {
-    const completed = [];
-    for (const id of this.completedResearch) {
-      const config = RESEARCH_CONFIGS[id];
-      if (config) {
-        completed.push(config);
-      }
-    }
-    return completed;
-  }
-
-  /**
-   * Get research statistics
-   * @returns {Object}
-   */
-  getStats() {
-    const total = Object.keys(RESEARCH_CONFIGS).length;
-    const completed = this.completedResearch.size;
-    const available = this.getAvailableResearch().length;
-
-    return {
-      total,
-      completed,
-      available,
-      unlockedBuildings: Array.from(this.unlockedBuildings)
-    };
-  }
-
-  /**
-   * Export research data for saving
-   * @returns {Object}
-   */
-  exportData() {
-    return {
-      completedResearch: Array.from(this.completedResearch),
-      unlockedBuildings: Array.from(this.unlockedBuildings)
-    };
-  }
-
-  /**
-   * Import research data for loading
-   * @param {Object} data
-   */
-  importData(data) {
-    if (!data) return;
-
-    // Clear existing data
-    this.completedResearch.clear();
-
-    // Import completed research
-    if (data.completedResearch) {
-      for (const researchId of data.completedResearch) {
-        this.completedResearch.add(researchId);
-      }
-    }
-
-    // Import unlocked buildings (or restore defaults)
-    if (data.unlockedBuildings) {
-      this.unlockedBuildings = new Set(data.unlockedBuildings);
-    } else {
-      // Restore default unlocked buildings
-      this.unlockedBuildings = new Set([
-        'house',
-        'farm',
-        'lumberyard',
-        'cobblepath',
-        'researchLab'
-      ]);
-    }
-
-    console.log(`📚 Loaded ${this.completedResearch.size} completed research projects`);
-  }
-
-  /**
-   * Reset all research (for debugging/testing)
-   */
-  reset() {
-    this.completedResearch.clear();
-    this.unlockedBuildings = new Set([
-      'house',
-      'farm',
-      'lumberyard',
-      'cobblepath',
-      'researchLab'
-    ]);
-    console.log('🔄 Research progress reset');
-  }
-
-  /**
-   * Get all research IDs
-   * @returns {Array}
-   */
-  static getAllResearchIds() {
-    return Object.keys(RESEARCH_CONFIGS);
-  }
-}
+// Research system for tile game
+// Manages technology unlocks and upgrades
+
+// ============================================================================
+// RESEARCH CONFIGURATION - Edit costs and effects here
+// ============================================================================
+export const RESEARCH_CONFIGS = {
+  advancedConstruction: {
+    id: 'advancedConstruction',
+    name: 'Advanced Construction',
+    description: 'Learn advanced building techniques to construct warehouses',
+
+    // Resource costs to research
+    costs: {
+      food: 100,
+    },
+
+    // Prerequisites (other research IDs that must be completed first)
+    requires: [],
+
+    // Seconds of work for one fully staffed Research Lab (more labs research faster)
+    time: 60,
+
+    // What this research unlocks
+    unlocks: {
+      buildings: ['warehouse']
+    },
+
+    // Visual properties
+    display: {
+      icon: '🏗️',
+      category: 'buildings'
+    }
+  },
+
+  stoneMining: {
+    id: 'stoneMining',
+    name: 'Stone Mining',
+    description: 'Develop techniques for extracting stone from quarries',
+
+    costs: {
+      food: 150
+    },
+
+    requires: [],
+
+    time: 90,
+
+    unlocks: {
+      buildings: ['stonequarry']
+    },
+
+    display: {
+      icon: '⛏️',
+      category: 'buildings'
+    }
+  },
+
+  storageExpansion: {
+    id: 'storageExpansion',
+    name: 'Storage Expansion',
+    description: 'Improve storage efficiency to hold more resources',
+
+    costs: {
+      food: 200
+    },
+
+    requires: ['advancedConstruction'],
+
+    time: 120,
+
+    unlocks: {
+      effects: {
+        foodCap: 50,
+        woodCap: 50,
+        stoneCap: 50
+      }
+    },
+
+    display: {
+      icon: '📦',
+      category: 'upgrades'
+    }
+  },
+
+  woodworking: {
+    id: 'woodworking',
+    name: 'Woodworking',
+    description: 'Build sawmills to turn wood into planks',
+
+    costs: {
+      food: 100,
+      wood: 50
+    },
+
+    requires: [],
+
+    time: 60,
+
+    unlocks: {
+      buildings: ['sawmill']
+    },
+
+    display: {
+      icon: '🪚',
+      category: 'buildings'
+    }
+  },
+
+  masonry: {
+    id: 'masonry',
+    name: 'Masonry',
+    description: 'Build masons to shape stone into bricks',
+
+    costs: {
+      food: 150,
+      planks: 25
+    },
+
+    requires: ['stoneMining', 'woodworking'],
+
+    time: 150,
+
+    unlocks: {
+      buildings: ['mason']
+    },
+
+    display: {
+      icon: '🧱',
+      category: 'buildings'
+    }
+  },
+
+  cropRotation: {
+    id: 'cropRotation',
+    name: 'Crop Rotation',
+    description: 'Rotate crops between fields to keep the soil productive',
+
+    costs: {
+      food: 120,
+      wood: 40
+    },
+
+    requires: [],
+
+    time: 90,
+
+    // Modifiers apply for as long as the research is completed
+    // generation/cost: amount is added to the multiplier (0.25 = +25%, -0.2 = -20%)
+    // terrain: lets a building go on extra terrain types
+    unlocks: {
+      modifiers: [
+        { type: 'generation', building: 'farm', resource: 'food', amount: 0.25 }
+      ]
+    },
+
+    display: {
+      icon: '🌱',
+      category: 'upgrades'
+    }
+  },
+
+  carpentry: {
+    id: 'carpentry',
+    name: 'Carpentry',
+    description: 'Standardized framing makes houses cheaper to build',
+
+    costs: {
+      food: 80,
+      planks: 20
+    },
+
+    requires: ['woodworking'],
+
+    time: 90,
+
+    unlocks: {
+      modifiers: [
+        { type: 'cost', building: 'house', resource: 'wood', amount: -0.2 }
+      ]
+    },
+
+    display: {
+      icon: '📐',
+      category: 'upgrades'
+    }
+  },
+
+  irrigation: {
+    id: 'irrigation',
+    name: 'Irrigation',
+    description: 'Dig channels so farms can grow on sandy ground',
+
+    costs: {
+      food: 150,
+      stone: 40
+    },
+
+    requires: ['cropRotation', 'stoneMining'],
+
+    time: 120,
+
+    unlocks: {
+      modifiers: [
+        { type: 'terrain', building: 'farm', terrain: 'sand' }
+      ]
+    },
+
+    display: {
+      icon: '💧',
+      category: 'upgrades'
+    }
+  }
+};
+
+// ============================================================================
+// RESEARCH QUEUE CONFIGURATION - Edit queue limits here
+// ============================================================================
+export const RESEARCH_QUEUE_CONFIG = {
+  maxQueueSize: 5,   // Most projects that can be queued at once
+  defaultTime: 60    // Research time (seconds) for entries without a time
+};
+
+// Buildings available before any research is completed
+export const DEFAULT_UNLOCKED_BUILDINGS = [
+  'house',
+  'farm',
+  'lumberyard',
+  'cobblepath',
+  'researchLab'   // Research Lab is always available from start
+];
+
+// Research Manager - coordinates all research and unlocks
+export class ResearchManager {
+  constructor(resourceManager, eventQueue = null) {
+    this.resourceManager = resourceManager;
+    this.eventQueue = eventQueue;
+
+    // Track completed research by ID
+    this.completedResearch = new Set();
+
+    // Modifiers granted by completed research, rebuilt whenever completedResearch changes
+    this.activeModifiers = [];
+
+    // Track which buildings are unlocked
+    this.unlockedBuildings = new Set(DEFAULT_UNLOCKED_BUILDINGS);
+
+    // Queued projects in order; the first one is being researched
+    // Each entry is { id, progress } with progress in lab-seconds
+    this.queue = [];
+
+    // Research speed from the last tick (sum of lab staffing ratios)
+    this.researchSpeed = 0;
+
+    // Listeners notified when research is queued, progresses, completes, is loaded or reset
+    this.listeners = [];
+  }
+
+  /**
+   * Check if research is available to be purchased
+   * @param {string} researchId - Research ID
+   * @returns {boolean}
+   */
+  isAvailable(researchId) {
+    const config = RESEARCH_CONFIGS[researchId];
+    if (!config) return false;
+
+    // Already completed?
+    if (this.isCompleted(researchId)) return false;
+
+    // Check prerequisites
+    if (config.requires && config.requires.length > 0) {
+      for (const prereqId of config.requires) {
+        if (!this.isCompleted(prereqId)) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if research is completed
+   * @param {string} researchId - Research ID
+   * @returns {boolean}
+   */
+  isCompleted(researchId) {
+    return this.completedResearch.has(researchId);
+  }
+
+  /**
+   * Check if player can afford research
+   * @param {string} researchId - Research ID
+   * @returns {boolean}
+   */
+  canAfford(researchId) {
+    const config = RESEARCH_CONFIGS[researchId];
+    if (!config || !config.costs) return true;
+
+    return this.resourceManager.canAfford(config.costs);
+  }
+
+  /**
+   * Check if research is in the queue
+   * @param {string} researchId - Research ID
+   * @returns {boolean}
+   */
+  isQueued(researchId) {
+    return this.queue.some(entry => entry.id === researchId);
+  }
+
+  /**
+   * Check if research could be queued (prerequisites completed or queued ahead of it)
+   * @param {string} researchId - Research ID
+   * @returns {boolean}
+   */
+  canQueue(researchId) {
+    const config = RESEARCH_CONFIGS[researchId];
+    if (!config) return false;
+    if (this.isCompleted(researchId) || this.isQueued(researchId)) return false;
+    if (this.queue.length >= RESEARCH_QUEUE_CONFIG.maxQueueSize) return false;
+
+    return (config.requires || []).every(prereqId =>
+      this.isCompleted(prereqId) || this.isQueued(prereqId)
+    );
+  }
+
+  /**
+   * Get the research time for an entry (seconds with one fully staffed lab)
+   * @param {string} researchId - Research ID
+   * @returns {number}
+   */
+  getResearchTime(researchId) {
+    return RESEARCH_CONFIGS[researchId]?.time ?? RESEARCH_QUEUE_CONFIG.defaultTime;
+  }
+
+  /**
+   * Pay for research and add it to the end of the queue
+   * @param {string} researchId - Research ID
+   * @returns {Object} - {success: boolean, error: string|null}
+   */
+  queueResearch(researchId) {
+    const config = RESEARCH_CONFIGS[researchId];
+
+    // Validate research exists
+    if (!config) {
+      return {
+        success: false,
+        error: `Unknown research: ${researchId}`
+      };
+    }
+
+    // Check if already completed or queued
+    if (this.isCompleted(researchId)) {
+      return {
+        success: false,
+        error: 'Research already completed'
+      };
+    }
+    if (this.isQueued(researchId)) {
+      return {
+        success: false,
+        error: 'Research already queued'
+      };
+    }
+
+    if (this.queue.length >= RESEARCH_QUEUE_CONFIG.maxQueueSize) {
+      const errorMsg = `Research queue is full (max ${RESEARCH_QUEUE_CONFIG.maxQueueSize})`;
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`❌ ${config.name}: ${errorMsg}`);
+      }
+      return {
+        success: false,
+        error: errorMsg
+      };
+    }
+
+    // Check prerequisites (queued prerequisites finish first, so they count)
+    if (!this.canQueue(researchId)) {
+      return {
+        success: false,
+        error: 'Prerequisites not met'
+      };
+    }
+
+    // Check resource costs
+    if (!this.canAfford(researchId)) {
+      const missingResources = [];
+      for (const [resourceType, cost] of Object.entries(config.costs)) {
+        const current = this.resourceManager.getResource(resourceType);
+        if (current < cost) {
+          missingResources.push(`${resourceType}: ${current}/${cost}`);
+        }
+      }
+      const errorMsg = `Insufficient resources - ${missingResources.join(', ')}`;
+
+      // Send event message
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`❌ ${config.name}: ${errorMsg}`);
+      }
+
+      return {
+        success: false,
+        error: errorMsg
+      };
+    }
+
+    // Spend resources up front
+    const spent = this.resourceManager.spend(config.costs);
+    if (!spent) {
+      return {
+        success: false,
+        error: 'Failed to deduct resources'
+      };
+    }
+
+    this.queue.push({ id: researchId, progress: 0 });
+    console.log(`🧪 Research queued: ${config.name} (position ${this.queue.length})`);
+
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(`🧪 Research queued: ${config.display.icon} ${config.name}`);
+    }
+
+    this.notifyListeners('queued', researchId);
+
+    return {
+      success: true,
+      error: null
+    };
+  }
+
+  /**
+   * Remove research from the queue and refund its costs
+   * Queued research that depends on it is cancelled too
+   * @param {string} researchId - Research ID
+   * @returns {Object} - {success: boolean, cancelled: Array<string>, error: string|null}
+   */
+  cancelResearch(researchId) {
+    if (!this.isQueued(researchId)) {
+      return {
+        success: false,
+        cancelled: [],
+        error: 'Research is not queued'
+      };
+    }
+
+    // Collect the entry and everything queued that needs it
+    const cancelled = new Set([researchId]);
+    for (const entry of this.queue) {
+      const requires = RESEARCH_CONFIGS[entry.id]?.requires || [];
+      if (requires.some(prereqId => cancelled.has(prereqId))) {
+        cancelled.add(entry.id);
+      }
+    }
+
+    this.queue = this.queue.filter(entry => !cancelled.has(entry.id));
+
+    for (const id of cancelled) {
+      const config = RESEARCH_CONFIGS[id];
+      for (const [resourceType, amount] of Object.entries(config.costs || {})) {
+        this.resourceManager.addResource(resourceType, amount);
+      }
+      console.log(`↩️ Research cancelled: ${config.name}`);
+
+      if (this.eventQueue) {
+        this.eventQueue.addMessage(`↩️ Research cancelled: ${config.display.icon} ${config.name} (costs refunded)`);
+      }
+    }
+
+    this.notifyListeners('cancelled', researchId);
+
+    return {
+      success: true,
+      cancelled: Array.from(cancelled),
+      error: null
+    };
+  }
+
+  /**
+   * Advance the research at the front of the queue
+   * @param {number} deltaSeconds - Time elapsed
+   * @param {number} speed - Research speed (1 = one fully staffed lab)
+   */
+  tickResearch(deltaSeconds, speed) {
+    this.researchSpeed = speed;
+    if (this.queue.length === 0 || speed <= 0) {
+      return;
+    }
+
+    // Leftover work carries over into the next project
+    let work = deltaSeconds * speed;
+    while (work > 0 && this.queue.length > 0) {
+      const entry = this.queue[0];
+      const remaining = this.getResearchTime(entry.id) - entry.progress;
+      if (work < remaining) {
+        entry.progress += work;
+        work = 0;
+      } else {
+        work -= remaining;
+        this.queue.shift();
+        this.completeResearch(entry.id);
+      }
+    }
+
+    this.notifyListeners('progress', this.queue[0]?.id ?? null);
+  }
+
+  /**
+   * Get the queue with progress details for display
+   * @returns {Array<{id, name, icon, progress, time, percent, secondsRemaining}>}
+   */
+  getQueue() {
+    let secondsAhead = 0;
+    return this.queue.map(entry => {
+      const config = RESEARCH_CONFIGS[entry.id];
+      const time = this.getResearchTime(entry.id);
+      const remainingWork = time - entry.progress;
+      secondsAhead += remainingWork;
+
+      return {
+        id: entry.id,
+        name: config.name,
+        icon: config.display.icon,
+        progress: entry.progress,
+        time,
+        percent: time > 0 ? Math.min(100, (entry.progress / time) * 100) : 100,
+        // Time until this entry finishes, including everything ahead of it
+        secondsRemaining: this.researchSpeed > 0 ? secondsAhead / this.researchSpeed : null
+      };
+    });
+  }
+
+  /**
+   * Finish research and apply its unlocks
+   * @param {string} researchId - Research ID
+   */
+  completeResearch(researchId) {
+    const config = RESEARCH_CONFIGS[researchId];
+    this.completedResearch.add(researchId);
+    this.updateActiveModifiers();
+
+    // Apply unlocks
+    this.applyUnlocks(config);
+
+    // Log success
+    console.log(`✅ Research completed: ${config.name}`);
+
+    // Send event message
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(`✓ Research completed: ${config.display.icon} ${config.name}`);
+    }
+
+    this.notifyListeners('completed', researchId);
+  }
+
+  /**
+   * Apply research unlocks (buildings, effects, etc.)
+   * @private
+   */
+  applyUnlocks(config) {
+    const unlocks = config.unlocks || {};
+
+    // Unlock buildings
+    if (unlocks.buildings) {
+      for (const buildingType of unlocks.buildings) {
+        this.unlockedBuildings.add(buildingType);
+        console.log(`🔓 Building unlocked: ${buildingType}`);
+      }
+    }
+
+    this.applyEffects(config);
+
+    // Modifiers are read from completed research when needed, so there's nothing to apply
+    if (unlocks.modifiers) {
+      console.log(`⚙️ ${unlocks.modifiers.length} modifier(s) now active from ${config.name}`);
+    }
+  }
+
+  /**
+   * Apply research effects (like cap increases)
+   * @private
+   */
+  applyEffects(config) {
+    const unlocks = config.unlocks || {};
+    if (unlocks.effects) {
+      for (const [effectType, value] of Object.entries(unlocks.effects)) {
+        if (effectType.endsWith('Cap')) {
+          // Resource cap increase
+          const resourceType = effectType.replace('Cap', '');
+          const currentCap = this.resourceManager.getResourceCap(resourceType);
+          this.resourceManager.setResourceCap(resourceType, currentCap + value);
+          console.log(`📈 ${resourceType} cap increased by ${value}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Re-apply effects of all completed research after loading a save
+   * Expects resource caps to have been reset to their base values first
+   */
+  restoreEffects() {
+    for (const researchId of this.completedResearch) {
+      this.applyEffects(RESEARCH_CONFIGS[researchId]);
+    }
+  }
+
+  /**
+   * Rebuild the modifier list from completed research
+   * Multipliers are read for every building on every tick, so the list is cached rather than rebuilt per call
+   * @private
+   */
+  updateActiveModifiers() {
+    const modifiers = [];
+    for (const researchId of this.completedResearch) {
+      const config = RESEARCH_CONFIGS[researchId];
+      if (config?.unlocks?.modifiers) {
+        modifiers.push(...config.unlocks.modifiers);
+      }
+    }
+    this.activeModifiers = modifiers;
+  }
+
+  /**
+   * Get every modifier granted by completed research
+   * @returns {Array<Object>} - Modifier definitions ({type, building, resource, amount, terrain})
+   */
+  getActiveModifiers() {
+    return this.activeModifiers;
+  }
+
+  /**
+   * Combine matching modifiers into a multiplier (never below 0)
+   * Modifiers without a building or resource apply to all of them
+   * @private
+   */
+  getMultiplier(modifierType, buildingType, resourceType) {
+    let multiplier = 1;
+    for (const modifier of this.getActiveModifiers()) {
+      if (modifier.type !== modifierType) continue;
+      if (modifier.building && modifier.building !== buildingType) continue;
+      if (modifier.resource && modifier.resource !== resourceType) continue;
+      multiplier += modifier.amount || 0;
+    }
+    return Math.max(0, multiplier);
+  }
+
+  /**
+   * Get the production multiplier for a building's output
+   * @param {string} buildingType - Building type
+   * @param {string} resourceType - Resource produced
+   * @returns {number} - e.g. 1.25 for +25%
+   */
+  getGenerationMultiplier(buildingType, resourceType) {
+    return this.getMultiplier('generation', buildingType, resourceType);
+  }
+
+  /**
+   * Get the construction cost multiplier for a building
+   * @param {string} buildingType - Building type
+   * @param {string} resourceType - Resource spent
+   * @returns {number} - e.g. 0.8 for -20%
+   */
+  getCostMultiplier(buildingType, resourceType) {
+    return this.getMultiplier('cost', buildingType, resourceType);
+  }
+
+  /**
+   * Get extra terrain types research allows a building on
+   * @param {string} buildingType - Building type
+   * @returns {Array<string>} - Terrain IDs
+   */
+  getTerrainPermissions(buildingType) {
+    return this.getActiveModifiers()
+      .filter(modifier => modifier.type === 'terrain' && modifier.building === buildingType)
+      .map(modifier => modifier.terrain);
+  }
+
+  /**
+   * Check if a building type is unlocked
+   * @param {string} buildingType - Building type
+   * @returns {boolean}
+   */
+  isBuildingUnlocked(buildingType) {
+    return this.unlockedBuildings.has(buildingType);
+  }
+
+  /**
+   * Get the display state of a research entry
+   * @param {string} researchId - Research ID
+   * @returns {string} - 'completed', 'researching', 'queued', 'available', 'unaffordable' or 'locked'
+   */
+  getResearchState(researchId) {
+    if (this.isCompleted(researchId)) return 'completed';
+    if (this.queue[0]?.id === researchId) return 'researching';
+    if (this.isQueued(researchId)) return 'queued';
+    if (!this.canQueue(researchId)) return 'locked';
+    return this.canAfford(researchId) ? 'available' : 'unaffordable';
+  }
+
+  /**
+   * Arrange research into tiers by prerequisite depth
+   * Entries with no prerequisites are tier 0; others sit one tier below their deepest prerequisite
+   * @returns {Array<Array<Object>>} - Research configs grouped by tier, in config order
+   */
+  getResearchTree() {
+    const depths = new Map();
+    const getDepth = (researchId, visiting = new Set()) => {
+      if (depths.has(researchId)) return depths.get(researchId);
+
+      const config = RESEARCH_CONFIGS[researchId];
+      if (!config || visiting.has(researchId)) {
+        console.warn(`Research tree: unknown or circular prerequisite '${researchId}'`);
+        return 0;
+      }
+
+      visiting.add(researchId);
+      let depth = 0;
+      for (const prereqId of config.requires || []) {
+        depth = Math.max(depth, getDepth(prereqId, visiting) + 1);
+      }
+      visiting.delete(researchId);
+
+      depths.set(researchId, depth);
+      return depth;
+    };
+
+    const tiers = [];
+    for (const [id, config] of Object.entries(RESEARCH_CONFIGS)) {
+      const depth = getDepth(id);
+      if (!tiers[depth]) tiers[depth] = [];
+      tiers[depth].push(config);
+    }
+    return tiers.filter(Boolean);
+  }
+
+  /**
+   * Register a listener for research changes
+   * @param {Function} callback - Called with (event, researchId)
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Remove a listener
+   * @param {Function} callback - The listener to remove
+   */
+  removeListener(callback) {
+    const index = this.listeners.indexOf(callback);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners of a research change
+   * @private
+   */
+  notifyListeners(event, researchId) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, researchId);
+      } catch (error) {
+        console.error('Error in research listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Find the research that unlocks a building type
+   * @param {string} buildingType - Building type
+   * @returns {Object|null} - Research config, or null if no research unlocks it
+   */
+  getUnlockingResearch(buildingType) {
+    for (const config of Object.values(RESEARCH_CONFIGS)) {
+      if (config.unlocks?.buildings?.includes(buildingType)) {
+        return config;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get all available research (not completed, prerequisites met)
+   * @returns {Array} - Array of research configs
+   */
+  getAvailableResearch() {
+    const available = [];
+    for (const [id, config] of Object.entries(RESEARCH_CONFIGS)) {
+      if (this.isAvailable(id)) {
+        available.push(config);
+      }
+    }
+    return available;
+  }
+
+  /**
+   * Get all completed research
+   * @returns {Array} - Array of research configs
+   */
+  getCompletedResearch() {
+    const completed = [];
+    for (const id of this.completedResearch) {
+      const config = RESEARCH_CONFIGS[id];
+      if (config) {
+        completed.push(config);
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * Get research statistics
+   * @returns {Object}
+   */
+  getStats() {
+    const total = Object.keys(RESEARCH_CONFIGS).length;
+    const completed = this.completedResearch.size;
+    const available = this.getAvailableResearch().length;
+
+    return {
+      total,
+      completed,
+      available,
+      queued: this.queue.length,
+      researchSpeed: this.researchSpeed,
+      unlockedBuildings: Array.from(this.unlockedBuildings)
+    };
+  }
+
+  /**
+   * Export research data for saving
+   * @returns {Object}
+   */
+  exportData() {
+    return {
+      completedResearch: Array.from(this.completedResearch),
+      unlockedBuildings: Array.from(this.unlockedBuildings),
+      queue: this.queue.map(entry => ({ id: entry.id, progress: entry.progress }))
+    };
+  }
+
+  /**
+   * Import research data for loading
+   * @param {Object} data
+   */
+  importData(data) {
+    if (!data) return;
+
+    // Clear existing data
+    this.completedResearch.clear();
+    this.queue = [];
+
+    // Import completed research (ignoring entries that no longer exist)
+    if (data.completedResearch) {
+      for (const researchId of data.completedResearch) {
+        if (RESEARCH_CONFIGS[researchId]) {
+          this.completedResearch.add(researchId);
+        } else {
+          console.warn(`Skipping unknown research in save: ${researchId}`);
+        }
+      }
+    }
+    this.updateActiveModifiers();
+
+    // Unlocked buildings are derived from completed research rather than trusted from the save
+    this.unlockedBuildings = new Set(DEFAULT_UNLOCKED_BUILDINGS);
+    for (const researchId of this.completedResearch) {
+      for (const buildingType of RESEARCH_CONFIGS[researchId].unlocks?.buildings || []) {
+        this.unlockedBuildings.add(buildingType);
+      }
+    }
+
+    // Import in-progress research (costs were paid when it was queued)
+    if (Array.isArray(data.queue)) {
+      for (const entry of data.queue) {
+        if (RESEARCH_CONFIGS[entry.id] && !this.isCompleted(entry.id) && !this.isQueued(entry.id)) {
+          this.queue.push({ id: entry.id, progress: Math.max(0, entry.progress || 0) });
+        }
+      }
+    }
+
+    console.log(`📚 Loaded ${this.completedResearch.size} completed research projects (${this.queue.length} queued)`);
+    this.notifyListeners('loaded', null);
+  }
+
+  /**
+   * Reset all research (for debugging/testing)
+   */
+  reset() {
+    this.completedResearch.clear();
+    this.activeModifiers = [];
+    this.queue = [];
+    this.unlockedBuildings = new Set(DEFAULT_UNLOCKED_BUILDINGS);
+    console.log('🔄 Research progress reset');
+    this.notifyListeners('reset', null);
+  }
+
+  /**
+   * Get all research IDs
+   * @returns {Array}
+   */
+  static getAllResearchIds() {
+    return Object.keys(RESEARCH_CONFIGS);
+  }
+}
@@ -1,270 +1,604 @@
-// Resource Manager for tracking game resources
-export class ResourceManager {
-  constructor() {
-    // Initialize resources
-    this.resources = {
-      food: 0,
-      worker: 0,
-      wood: 0,
-      stone: 0
-      // Add more resources as needed
-    };
-
-    // Resource caps (Infinity means no cap)
-    this.resourceCaps = {
-      food: 100,
-      worker: Infinity,  // Workers have no cap
-      wood: 100,
-      stone: 50
-    };
-
-    // Event listeners for resource changes
-    this.listeners = [];
-  }
-
-  /**
-   * Add amount to a resource
-   * @param {string} type - Resource type (food, worker)
-   * @param {number} amount - Amount to add
-   * @returns {boolean} - Success/failure
-   */
-  addResource(type, amount) {
-    if (!this.resources.hasOwnProperty(type)) {
-      console.warn(`Unknown resource type: ${type}`);
-      return false;
-    }
-
-    if (amount < 0) {
-      console.warn('Use removeResource for negative amounts');
-      return false;
-    }
-
-    const cap = this.resourceCaps[type] ?? Infinity;
-    const newValue = Math.min(this.resources[type] + amount, cap);
-    const actualAdded = newValue - this.resources[type];
-
-    this.resources[type] = newValue;
-    this.notifyListeners(type, this.resources[type]);
-
-    // Warn if we hit the cap and couldn't add full amount
-    if (actualAdded < amount && cap !== Infinity) {
-      console.log(`${type} capped at ${cap} (tried to add ${amount}, added ${actualAdded.toFixed(2)})`);
-    }
-
-    return true;
-  }
-
-  /**
-   * Remove amount from a resource
-   * @param {string} type - Resource type (food, worker)
-   * @param {number} amount - Amount to remove
-   * @returns {boolean} - Success/failure
-   */
-  removeResource(type, amount) {
-    if (!this.resources.hasOwnProperty(type)) {
-      console.warn(`Unknown resource type: ${type}`);
-      return false;
-    }
-
-    if (amount < 0) {
-      console.warn('Amount must be positive');
-      return false;
-    }
-
-    // Check if we have enough resources
-    if (this.resources[type] < amount) {
-      console.warn(`Insufficient ${type}: has ${this.resources[type]}, needs ${amount}`);
-      return false;
-    }
-
-    this.resources[type] -= amount;
-    this.notifyListeners(type, this.resources[type]);
-    return true;
-  }
-
-  /**
-   * Get current amount of a resource
-   * @param {string} type - Resource type
-   * @returns {number} - Current amount
-   */
-  getResource(type) {
-    return this.resources[type] ?? 0;
-  }
-
-  /**
-   * Get all resources
-   * @returns {Object} - All resources
-   */
-  getAllResources() {
-    return { ...this.resources };
-  }
-
-  /**
-   * Set a resource to a specific value
-   * @param {string} type - Resource type
-   * @param {number} value - New value
-   */
-  setResource(type, value) {
-    if (!this.resources.hasOwnProperty(type)) {
-      console.warn(`Unknown resource type: ${type}`);
-      return false;
-    }
-
-    if (value < 0) {
-      console.warn('Resource value cannot be negative');
-      return false;
-    }
-
-    const cap = this.resourceCaps[type] ?? Infinity;
-    this.resources[type] = Math.min(value, cap);
-    this.notifyListeners(type, this.resources[type]);
-    return true;
-  }
-
-  /**
-   * Register a listener for resource changes
-   * @param {Function} callback - Called with (type, newValue)
-   */
-  addListener(callback) {
-    if (typeof callback === 'function') {
-      this.listeners.push(callback);
-    }
-  }
-
-  /**
-   * Remove a listener
-   * @param {Function} callback - The listener to remove
-   */
-  removeListener(callback) {
-    const index = this.listeners.indexOf(callback);
-    if (index > -1) {
-      this.listeners.splice(index, 1);
-    }
-  }
-
-  /**
-   * Notify all listeners of a resource change
-   * @private
-   */
-  notifyListeners(type, newValue) {
-    this.listeners.forEach(listener => {
-      try {
-        listener(type, newValue);
-      } catch (error) {
-        console.error('Error in resource listener:', error);
-      }
-    });
-  }
-
-  /**
-   * Check if player can afford a cost
-   * @param {Object} cost - Object with resource types and amounts
-   * @returns {boolean}
-   */
-  canAfford(cost) {
-    for (const [type, amount] of Object.entries(cost)) {
-      if (this.getResource(type) < amount) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Deduct multiple resources (transaction-like)
-   * @param {Object} cost - Object with resource types and amounts
-   * @returns {boolean} - Success/failure
-   */
-  spend(cost) {
-    // First check if we can afford it
-    if (!this.canAfford(cost)) {
-      return false;
-    }
-
-    // Then deduct all resources
-    for (const [type, amount] of Object.entries(cost)) {
-      this.removeResource(type, amount);
-    }
-
-    return true;
-  }
-
-  /**
-   * Reset all resources to 0
-   */
-  reset() {
-    for (const type in this.resources) {
-      this.resources[type] = 0;
-      this.notifyListeners(type, 0);
-    }
-  }
-
-  /**
-   * Get resource statistics
-   * @returns {Object}
-   */
-  getStats() {
-    return {
-      resources: this.getAllResources(),
-      caps: { ...this.resourceCaps },
-      listenerCount: this.listeners.length
-    };
-  }
-
-  /**
-   * Get the cap for a specific resource
-   * @param {string} type - Resource type
-   * @returns {number} - The cap value (Infinity if no cap)
-   */
-  getResourceCap(type) {
-    return this.resourceCaps[type] ?? Infinity;
-  }
-
-  /**
-   * Set the cap for a specific resource
-   * @param {string} type - Resource type
-   * @param {number} cap - New cap value (use Infinity for no cap)
-   */
-  setResourceCap(type, cap) {
-    if (!this.resources.hasOwnProperty(type)) {
-      console.warn(`Unknown resource type: ${type}`);
-      return false;
-    }
-
-    if (cap < 0) {
-      console.warn('Resource cap cannot be negative');
-      return false;
-    }
-
-    this.resourceCaps[type] = cap;
-
-    // If current resource amount exceeds new cap, reduce it
-    if (this.resources[type] > cap) {
-      this.resources[type] = cap;
-      this.notifyListeners(type, this.resources[type]);
-    }
-
-    return true;
-  }
-
-  /**
-   * Check if a resource is at its cap
-   * @param {string} type - Resource type
-   * @returns {boolean}
-   */
-  isAtCap(type) {
-    const cap = this.getResourceCap(type);
-    return cap !== Infinity && this.resources[type] >= cap;
-  }
-
-  /**
-   * Get percentage of cap used (0-100)
-   * @param {string} type - Resource type
-   * @returns {number} - Percentage (0-100), or 0 if no cap
-   */
-  getCapPercentage(type) {
-    const cap = this.getResourceCap(type);
-    if (cap === Infinity) return 0;
-    return (this.resources[type] / cap) * 100;
-  }
-}
+// Resource Manager for tracking game resources
+
+// ============================================================================
+// RESOURCE CONFIGURATION - Edit resource types and default caps here
+// ============================================================================
+// Registered in this order, which is also the sidebar display order.
+// More resources can be added at runtime with ResourceManager.registerResource()
+export const RESOURCE_CONFIGS = {
+  worker: {
+    id: 'worker',
+    name: 'Worker',
+    icon: '👷',
+    cap: Infinity,  // Workers have no cap
+    precision: 0,   // Decimal places shown in the UI
+    color: '#9b59b6'  // Line color in the statistics chart
+  },
+
+  food: {
+    id: 'food',
+    name: 'Food',
+    icon: '🍞',
+    cap: 100,
+    precision: 2,
+    color: '#f1c40f'
+  },
+
+  wood: {
+    id: 'wood',
+    name: 'Wood',
+    icon: '🪵',
+    cap: 100,
+    precision: 2,
+    color: '#8B5A2B'
+  },
+
+  stone: {
+    id: 'stone',
+    name: 'Stone',
+    icon: '🪨',
+    cap: 50,
+    precision: 2,
+    color: '#95a5a6'
+  },
+
+  planks: {
+    id: 'planks',
+    name: 'Planks',
+    icon: '🪚',
+    cap: 50,   // Refined from wood by sawmills
+    precision: 2,
+    color: '#d35400'
+  },
+
+  bricks: {
+    id: 'bricks',
+    name: 'Bricks',
+    icon: '🧱',
+    cap: 50,   // Refined from stone by masons
+    precision: 2,
+    color: '#c0392b'
+  }
+};
+
+export class ResourceManager {
+  constructor() {
+    // Resource definitions by id (name, icon, default cap, precision)
+    this.resourceTypes = new Map();
+
+    // Current amounts and caps (Infinity means no cap)
+    this.resources = {};
+    this.resourceCaps = {};
+
+    // Labor pool - 'worker' is the total supplied by houses, employedWorkers
+    // is how many of those are currently assigned to buildings
+    this.employedWorkers = 0;
+
+    // Rolling income/expense history - one bucket per game second per resource
+    // Game time only moves with generation ticks, so rates follow the game speed and hold still while paused
+    this.gameTime = 0; // Game seconds simulated so far (see advanceTime)
+    this.rateWindowSeconds = 10; // Rates are averaged over the last 10 game seconds
+    this.rateHistory = {}; // type -> Array<{ second, income, expense }>
+    this.rateTrackingStart = 0; // Game second rate tracking (re)started
+
+    // Event listeners for resource changes
+    this.listeners = [];
+    this.notificationsSuspended = false; // Set while many ticks run at once (offline catch-up)
+    this.pendingNotifications = new Set(); // Types changed while notifications were suspended
+
+    // Register built-in resources
+    for (const config of Object.values(RESOURCE_CONFIGS)) {
+      this.registerResource(config);
+    }
+  }
+
+  /**
+   * Register a new resource type
+   * @param {Object} config - { id, name, icon, cap, precision, color }
+   * @returns {boolean} - Success/failure
+   */
+  registerResource(config) {
+    if (!config || typeof config.id !== 'string' || config.id.length === 0) {
+      console.warn('Resource config must have an id');
+      return false;
+    }
+
+    if (this.resourceTypes.has(config.id)) {
+      console.warn(`Resource already registered: ${config.id}`);
+      return false;
+    }
+
+    const definition = {
+      id: config.id,
+      name: config.name || config.id,
+      icon: config.icon || '',
+      cap: config.cap ?? Infinity,
+      precision: config.precision ?? 2,
+      color: config.color || '#bdc3c7'
+    };
+
+    this.resourceTypes.set(definition.id, definition);
+    this.resources[definition.id] = 0;
+    this.resourceCaps[definition.id] = definition.cap;
+    this.notifyListeners(definition.id, 0);
+    return true;
+  }
+
+  /**
+   * Check if a resource type is registered
+   * @param {string} type - Resource type
+   * @returns {boolean}
+   */
+  hasResourceType(type) {
+    return this.resourceTypes.has(type);
+  }
+
+  /**
+   * Get the definition of a registered resource
+   * @param {string} type - Resource type
+   * @returns {Object|null} - { id, name, icon, cap, precision, color }
+   */
+  getResourceDefinition(type) {
+    return this.resourceTypes.get(type) || null;
+  }
+
+  /**
+   * Get all registered resource definitions in registration order
+   * @returns {Array<Object>}
+   */
+  getResourceDefinitions() {
+    return Array.from(this.resourceTypes.values());
+  }
+
+  /**
+   * Add amount to a resource
+   * @param {string} type - Resource type (food, worker)
+   * @param {number} amount - Amount to add
+   * @returns {boolean} - Success/failure
+   */
+  addResource(type, amount) {
+    if (!this.resources.hasOwnProperty(type)) {
+      console.warn(`Unknown resource type: ${type}`);
+      return false;
+    }
+
+    if (amount < 0) {
+      console.warn('Use removeResource for negative amounts');
+      return false;
+    }
+
+    const cap = this.resourceCaps[type] ?? Infinity;
+    const newValue = Math.min(this.resources[type] + amount, cap);
+    const actualAdded = newValue - this.resources[type];
+
+    this.resources[type] = newValue;
+    this.recordFlow(type, actualAdded);
+    this.notifyListeners(type, this.resources[type]);
+
+    // Warn if we hit the cap and couldn't add full amount
+    if (actualAdded < amount && cap !== Infinity) {
+      console.log(`${type} capped at ${cap} (tried to add ${amount}, added ${actualAdded.toFixed(2)})`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove amount from a resource
+   * @param {string} type - Resource type (food, worker)
+   * @param {number} amount - Amount to remove
+   * @returns {boolean} - Success/failure
+   */
+  removeResource(type, amount) {
+    if (!this.resources.hasOwnProperty(type)) {
+      console.warn(`Unknown resource type: ${type}`);
+      return false;
+    }
+
+    if (amount < 0) {
+      console.warn('Amount must be positive');
+      return false;
+    }
+
+    // Check if we have enough resources
+    if (this.resources[type] < amount) {
+      console.warn(`Insufficient ${type}: has ${this.resources[type]}, needs ${amount}`);
+      return false;
+    }
+
+    this.resources[type] -= amount;
+    this.recordFlow(type, -amount);
+    this.notifyListeners(type, this.resources[type]);
+    return true;
+  }
+
+  /**
+   * Record income (positive) or expense (negative) for rate tracking
+   * @private
+   */
+  recordFlow(type, amount) {
+    if (amount === 0) return;
+
+    const second = Math.floor(this.gameTime);
+    if (!this.rateHistory[type]) {
+      this.rateHistory[type] = [];
+    }
+
+    const history = this.rateHistory[type];
+    let bucket = history[history.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, income: 0, expense: 0 };
+      history.push(bucket);
+
+      // Drop buckets that fell out of the window
+      const oldest = second - this.rateWindowSeconds;
+      while (history.length > 0 && history[0].second < oldest) {
+        history.shift();
+      }
+    }
+
+    if (amount > 0) {
+      bucket.income += amount;
+    } else {
+      bucket.expense -= amount;
+    }
+  }
+
+  /**
+   * Advance game time - called once per generation tick, after that tick's production
+   * Flows recorded before the call land in the second that just finished
+   * @param {number} seconds - Game seconds the tick covered
+   */
+  advanceTime(seconds) {
+    this.gameTime += seconds;
+  }
+
+  /**
+   * Get rolling per-second income, expense and net rate for a resource
+   * @param {string} type - Resource type
+   * @returns {Object} - { income, expense, net } in units per game second
+   */
+  getRate(type) {
+    const currentSecond = Math.floor(this.gameTime);
+    const oldest = currentSecond - this.rateWindowSeconds;
+
+    let income = 0;
+    let expense = 0;
+    for (const bucket of this.rateHistory[type] || []) {
+      // Skip the in-progress second so a tick landing mid-sample doesn't skew the rate
+      if (bucket.second >= oldest && bucket.second < currentSecond) {
+        income += bucket.income;
+        expense += bucket.expense;
+      }
+    }
+
+    // Average over completed seconds (shorter right after tracking starts)
+    const trackedSeconds = currentSecond - this.rateTrackingStart;
+    const seconds = Math.max(1, Math.min(this.rateWindowSeconds, trackedSeconds));
+
+    return {
+      income: income / seconds,
+      expense: expense / seconds,
+      net: (income - expense) / seconds
+    };
+  }
+
+  /**
+   * Estimate game seconds until a resource fills its cap or runs out at the current rate
+   * @param {string} type - Resource type
+   * @returns {Object|null} - { event: 'full'|'empty', seconds } or null if stable
+   */
+  getTimeEstimate(type) {
+    const { net } = this.getRate(type);
+    const value = this.getResource(type);
+    const cap = this.getResourceCap(type);
+
+    if (net > 0 && cap !== Infinity) {
+      return { event: 'full', seconds: Math.max(0, (cap - value) / net) };
+    }
+    if (net < 0) {
+      return { event: 'empty', seconds: value / -net };
+    }
+    return null;
+  }
+
+  /**
+   * Clear rate history (e.g. after loading a save)
+   */
+  resetRates() {
+    this.rateHistory = {};
+    this.rateTrackingStart = Math.floor(this.gameTime);
+  }
+
+  /**
+   * Get current amount of a resource
+   * @param {string} type - Resource type
+   * @returns {number} - Current amount
+   */
+  getResource(type) {
+    return this.resources[type] ?? 0;
+  }
+
+  /**
+   * Get all resources
+   * @returns {Object} - All resources
+   */
+  getAllResources() {
+    return { ...this.resources };
+  }
+
+  /**
+   * Set a resource to a specific value
+   * @param {string} type - Resource type
+   * @param {number} value - New value
+   */
+  setResource(type, value) {
+    if (!this.resources.hasOwnProperty(type)) {
+      console.warn(`Unknown resource type: ${type}`);
+      return false;
+    }
+
+    if (value < 0) {
+      console.warn('Resource value cannot be negative');
+      return false;
+    }
+
+    const cap = this.resourceCaps[type] ?? Infinity;
+    this.resources[type] = Math.min(value, cap);
+    this.notifyListeners(type, this.resources[type]);
+    return true;
+  }
+
+  /**
+   * Register a listener for resource changes
+   * @param {Function} callback - Called with (type, newValue)
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Remove a listener
+   * @param {Function} callback - The listener to remove
+   */
+  removeListener(callback) {
+    const index = this.listeners.indexOf(callback);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Hold back change notifications until resumeNotifications is called
+   */
+  suspendNotifications() {
+    this.notificationsSuspended = true;
+  }
+
+  /**
+   * Send the held back notifications - one per resource, with its current amount
+   */
+  resumeNotifications() {
+    this.notificationsSuspended = false;
+    const types = Array.from(this.pendingNotifications);
+    this.pendingNotifications.clear();
+    types.forEach(type => this.notifyListeners(type, this.resources[type]));
+  }
+
+  /**
+   * Notify all listeners of a resource change
+   * @private
+   */
+  notifyListeners(type, newValue) {
+    if (this.notificationsSuspended) {
+      this.pendingNotifications.add(type);
+      return;
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(type, newValue);
+      } catch (error) {
+        console.error('Error in resource listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Check if player can afford a cost
+   * @param {Object} cost - Object with resource types and amounts
+   * @returns {boolean}
+   */
+  canAfford(cost) {
+    for (const [type, amount] of Object.entries(cost)) {
+      if (this.getResource(type) < amount) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Deduct multiple resources (transaction-like)
+   * @param {Object} cost - Object with resource types and amounts
+   * @returns {boolean} - Success/failure
+   */
+  spend(cost) {
+    // First check if we can afford it
+    if (!this.canAfford(cost)) {
+      return false;
+    }
+
+    // Then deduct all resources
+    for (const [type, amount] of Object.entries(cost)) {
+      this.removeResource(type, amount);
+    }
+
+    return true;
+  }
+
+  /**
+   * Get number of workers assigned to buildings
+   * @returns {number}
+   */
+  getEmployedWorkers() {
+    return this.employedWorkers;
+  }
+
+  /**
+   * Get number of workers not assigned to any building
+   * @returns {number}
+   */
+  getIdleWorkers() {
+    return Math.max(0, this.getResource('worker') - this.employedWorkers);
+  }
+
+  /**
+   * Move idle workers into employment
+   * @param {number} amount - Workers requested
+   * @returns {number} - Workers actually employed (limited by idle workers)
+   */
+  employWorkers(amount) {
+    if (amount <= 0) {
+      return 0;
+    }
+
+    const employed = Math.min(amount, this.getIdleWorkers());
+    if (employed > 0) {
+      this.employedWorkers += employed;
+      this.notifyListeners('worker', this.resources.worker);
+    }
+    return employed;
+  }
+
+  /**
+   * Set the employed worker count directly (used when rebuilding state from a save)
+   * Not clamped to the worker total - BuildingManager.rebalanceWorkers() lays off any excess
+   * @param {number} amount - Workers employed by buildings
+   */
+  setEmployedWorkers(amount) {
+    this.employedWorkers = Math.max(0, amount);
+    this.notifyListeners('worker', this.resources.worker);
+  }
+
+  /**
+   * Return employed workers to the idle pool
+   * @param {number} amount - Workers to release
+   * @returns {number} - Workers actually released
+   */
+  releaseWorkers(amount) {
+    if (amount <= 0) {
+      return 0;
+    }
+
+    const released = Math.min(amount, this.employedWorkers);
+    if (released > 0) {
+      this.employedWorkers -= released;
+      this.notifyListeners('worker', this.resources.worker);
+    }
+    return released;
+  }
+
+  /**
+   * Reset all resources to 0
+   */
+  reset() {
+    this.employedWorkers = 0;
+    this.resetRates();
+    for (const type in this.resources) {
+      this.resources[type] = 0;
+      this.notifyListeners(type, 0);
+    }
+  }
+
+  /**
+   * Get resource statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      resources: this.getAllResources(),
+      caps: { ...this.resourceCaps },
+      rates: Object.fromEntries(
+        Object.keys(this.resources).map(type => [type, this.getRate(type).net])
+      ),
+      labor: {
+        total: this.getResource('worker'),
+        employed: this.employedWorkers,
+        idle: this.getIdleWorkers()
+      },
+      listenerCount: this.listeners.length
+    };
+  }
+
+  /**
+   * Get the cap for a specific resource
+   * @param {string} type - Resource type
+   * @returns {number} - The cap value (Infinity if no cap)
+   */
+  getResourceCap(type) {
+    return this.resourceCaps[type] ?? Infinity;
+  }
+
+  /**
+   * Set the cap for a specific resource
+   * @param {string} type - Resource type
+   * @param {number} cap - New cap value (use Infinity for no cap)
+   */
+  setResourceCap(type, cap) {
+    if (!this.resources.hasOwnProperty(type)) {
+      console.warn(`Unknown resource type: ${type}`);
+      return false;
+    }
+
+    if (cap < 0) {
+      console.warn('Resource cap cannot be negative');
+      return false;
+    }
+
+    this.resourceCaps[type] = cap;
+
+    // If current resource amount exceeds new cap, reduce it
+    if (this.resources[type] > cap) {
+      this.resources[type] = cap;
+    }
+
+    // Notify so displays pick up the new cap
+    this.notifyListeners(type, this.resources[type]);
+
+    return true;
+  }
+
+  /**
+   * Restore every cap to its registered default
+   * Used before re-deriving cap bonuses from buildings and research
+   */
+  resetCaps() {
+    for (const [type, definition] of this.resourceTypes) {
+      this.resourceCaps[type] = definition.cap;
+    }
+  }
+
+  /**
+   * Check if a resource is at its cap
+   * @param {string} type - Resource type
+   * @returns {boolean}
+   */
+  isAtCap(type) {
+    const cap = this.getResourceCap(type);
+    return cap !== Infinity && this.resources[type] >= cap;
+  }
+
+  /**
+   * Get percentage of cap used (0-100)
+   * @param {string} type - Resource type
+   * @returns {number} - Percentage (0-100), or 0 if no cap
+   */
+  getCapPercentage(type) {
+    const cap = this.getResourceCap(type);
+    if (cap === Infinity) return 0;
+    return (this.resources[type] / cap) * 100;
+  }
+}
@@ -1,370 +1,1013 @@
-// SaveManager for tile game - handles localStorage persistence
-// Manages saving and loading of game state including resources, buildings, and world seed
-
-export class SaveManager {
-  constructor(options = {}) {
-    this.storageKey = options.storageKey || 'tileGameSave';
-    this.version = options.version || '1.0';
-    this.autoSaveInterval = options.autoSaveInterval || null; // milliseconds, null = disabled
-    this.autoSaveTimer = null;
-
-    // References to game managers (set via setManagers)
-    this.resourceManager = null;
-    this.buildingManager = null;
-    this.researchManager = null;
-    this.grid = null;
-  }
-
-  /**
-   * Set references to game managers for save/load operations
-   * @param {Object} managers - Object containing resourceManager, buildingManager, researchManager, grid
-   */
-  setManagers(managers) {
-    this.resourceManager = managers.resourceManager;
-    this.buildingManager = managers.buildingManager;
-    this.researchManager = managers.researchManager;
-    this.grid = managers.grid;
-  }
-
-  /**
-   * Check if saved game data exists
-   * @returns {boolean}
-   */
-  hasSavedGame() {
-    try {
-      const savedData = localStorage.getItem(this.storageKey);
-      return savedData !== null;
-    } catch (error) {
-      console.error('Error checking for saved game:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Save current game state to localStorage
-   * @returns {boolean} - Success status
-   */
-  saveGame() {
-    try {
-      // Validate managers are set
-      if (!this.resourceManager || !this.buildingManager || !this.grid) {
-        console.error('SaveManager: Managers not set. Call setManagers() first.');
-        return false;
-      }
-
-      // Get world stats to extract seed
-      const worldStats = this.grid.getWorldStats();
-
-      // Get viewport info for convenience
-      const viewportInfo = this.grid.getViewportInfo();
-
-      // Construct save data
-      const saveData = {
-        version: this.version,
-        timestamp: Date.now(),
-
-        // Resources
-        resources: this.resourceManager.getAllResources(),
-
-        // Buildings
-        buildings: this.buildingManager.exportData(),
-
-        // Research (if available)
-        research: this.researchManager ? this.researchManager.exportData() : null,
-
-        // World generation seed
-        worldSeed: worldStats.seed,
-
-        // Viewport state (optional, for convenience)
-        viewport: {
-          x: viewportInfo.x,
-          y: viewportInfo.y,
-          zoomLevel: viewportInfo.zoomLevel
-        }
-      };
-
-      // Serialize and save
-      const serialized = JSON.stringify(saveData);
-      localStorage.setItem(this.storageKey, serialized);
-
-      console.log('💾 Game saved successfully:', {
-        timestamp: new Date(saveData.timestamp).toLocaleString(),
-        resources: saveData.resources,
-        buildingCount: saveData.buildings.length,
-        researchCount: saveData.research?.completedResearch?.length || 0,
-        seed: saveData.worldSeed
-      });
-
-      return true;
-    } catch (error) {
-      console.error('Error saving game:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Load game state from localStorage
-   * @returns {Object|null} - Loaded save data or null if failed
-   */
-  loadGame() {
-    try {
-      const savedDataString = localStorage.getItem(this.storageKey);
-
-      if (!savedDataString) {
-        console.log('No saved game found');
-        return null;
-      }
-
-      // Parse saved data
-      const saveData = JSON.parse(savedDataString);
-
-      // Validate save data structure
-      if (!this.validateSaveData(saveData)) {
-        console.error('Invalid save data structure');
-        return null;
-      }
-
-      console.log('📂 Game loaded successfully:', {
-        timestamp: new Date(saveData.timestamp).toLocaleString(),
-        version: saveData.version,
-        resources: saveData.resources,
-        buildingCount: saveData.buildings.length,
-        seed: saveData.worldSeed
-      });
-
-      return saveData;
-    } catch (error) {
-      console.error('Error loading game:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Apply loaded save data to game managers
-   * @param {Object} saveData - The loaded save data
-   * @returns {boolean} - Success status
-   */
-  applySaveData(saveData) {
-    try {
-      // Validate managers are set
-      if (!this.resourceManager || !this.buildingManager || !this.grid) {
-        console.error('SaveManager: Managers not set. Call setManagers() first.');
-        return false;
-      }
-
-      // Apply viewport first (before seed) so if seed changes, regeneration happens at correct location
-      if (saveData.viewport) {
-        this.grid.viewportX = saveData.viewport.x;
-        this.grid.viewportY = saveData.viewport.y;
-        this.grid.zoomLevel = saveData.viewport.zoomLevel;
-        console.log('🔭 Viewport restored:', saveData.viewport);
-      }
-
-      // Apply world seed (must be done before buildings are placed)
-      // If seed is unchanged, this will skip regeneration (see grid.setWorldSeed)
-      if (saveData.worldSeed !== undefined) {
-        this.grid.setWorldSeed(saveData.worldSeed);
-        console.log(`🌍 World seed restored: ${saveData.worldSeed}`);
-      }
-
-      // Apply research (must be done before buildings to unlock them)
-      if (saveData.research && this.researchManager) {
-        this.researchManager.importData(saveData.research);
-        console.log(`📚 Research progress restored: ${saveData.research.completedResearch?.length || 0} completed`);
-      }
-
-      // Apply resources
-      if (saveData.resources) {
-        for (const [resourceType, amount] of Object.entries(saveData.resources)) {
-          this.resourceManager.setResource(resourceType, amount);
-        }
-        console.log('💰 Resources restored:', saveData.resources);
-      }
-
-      // Apply buildings
-      if (saveData.buildings && Array.isArray(saveData.buildings)) {
-        this.buildingManager.importData(saveData.buildings);
-        console.log(`🏘️ ${saveData.buildings.length} buildings restored`);
-
-        // Sync buildings to visual tiles (required for rendering)
-        this.grid.syncBuildingsToTiles();
-      }
-
-      // Final render to display everything
-      this.grid.render();
-
-      return true;
-    } catch (error) {
-      console.error('Error applying save data:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Validate save data structure
-   * @param {Object} saveData - Data to validate
-   * @returns {boolean}
-   */
-  validateSaveData(saveData) {
-    if (!saveData || typeof saveData !== 'object') {
-      return false;
-    }
-
-    // Check required fields
-    if (!saveData.version || !saveData.timestamp) {
-      console.warn('Save data missing version or timestamp');
-      return false;
-    }
-
-    // Check version compatibility (currently just checking it exists)
-    // Future: implement version migration logic here
-    if (saveData.version !== this.version) {
-      console.warn(`Save data version mismatch: ${saveData.version} vs ${this.version}`);
-      // For now, we'll allow different versions (could add migration logic later)
-    }
-
-    // Validate resources object
-    if (saveData.resources && typeof saveData.resources !== 'object') {
-      console.warn('Invalid resources data');
-      return false;
-    }
-
-    // Validate buildings array
-    if (saveData.buildings && !Array.isArray(saveData.buildings)) {
-      console.warn('Invalid buildings data');
-      return false;
-    }
-
-    // Validate world seed
-    if (saveData.worldSeed !== undefined && typeof saveData.worldSeed !== 'number') {
-      console.warn('Invalid world seed');
-      return false;
-    }
-
-    return true;
-  }
-
-  /**
-   * Clear saved game data
-   * @returns {boolean}
-   */
-  clearSave() {
-    try {
-      localStorage.removeItem(this.storageKey);
-      console.log('🗑️ Save data cleared');
-      return true;
-    } catch (error) {
-      console.error('Error clearing save data:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Get save data info without loading it
-   * @returns {Object|null}
-   */
-  getSaveInfo() {
-    try {
-      const savedDataString = localStorage.getItem(this.storageKey);
-      if (!savedDataString) {
-        return null;
-      }
-
-      const saveData = JSON.parse(savedDataString);
-      return {
-        version: saveData.version,
-        timestamp: saveData.timestamp,
-        buildingCount: saveData.buildings?.length || 0,
-        seed: saveData.worldSeed,
-        hasViewport: !!saveData.viewport
-      };
-    } catch (error) {
-      console.error('Error getting save info:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Start auto-save timer
-   */
-  startAutoSave() {
-    if (!this.autoSaveInterval || this.autoSaveInterval <= 0) {
-      console.log('Auto-save disabled (interval not set)');
-      return;
-    }
-
-    if (this.autoSaveTimer) {
-      console.warn('Auto-save already running');
-      return;
-    }
-
-    this.autoSaveTimer = setInterval(() => {
-      console.log('🔄 Auto-saving...');
-      this.saveGame();
-    }, this.autoSaveInterval);
-
-    console.log(`⏰ Auto-save started (every ${this.autoSaveInterval / 1000}s)`);
-  }
-
-  /**
-   * Stop auto-save timer
-   */
-  stopAutoSave() {
-    if (this.autoSaveTimer) {
-      clearInterval(this.autoSaveTimer);
-      this.autoSaveTimer = null;
-      console.log('⏸️ Auto-save stopped');
-    }
-  }
-
-  /**
-   * Export save data as JSON string (for manual backup)
-   * @returns {string|null}
-   */
-  exportSaveDataAsJSON() {
-    try {
-      const savedDataString = localStorage.getItem(this.storageKey);
-      if (!savedDataString) {
-        console.log('No save data to export');
-        return null;
-      }
-      return savedDataString;
-    } catch (error) {
-      console.error('Error exporting save data:', error);
-      return null;
-    }
-  }
-
-  /**
-   * Import save data from JSON string (for manual restore)
-   * @param {string} jsonString - Serialized save data
-   * @returns {boolean}
-   */
-  importSaveDataFromJSON(jsonString) {
-    try {
-      // Validate it's valid JSON
-      const saveData = JSON.parse(jsonString);
-
-      // Validate structure
-      if (!this.validateSaveData(saveData)) {
-        console.error('Invalid save data structure');
-        return false;
-      }
-
-      // Save to localStorage
-      localStorage.setItem(this.storageKey, jsonString);
-      console.log('📥 Save data imported successfully');
-      return true;
-    } catch (error) {
-      console.error('Error importing save data:', error);
-      return false;
-    }
-  }
-
-  /**
-   * Cleanup - stop auto-save
-   */
-  destroy() {
-    this.stopAutoSave();
-  }
-}
+// SaveManager for tile game - handles save persistence
+// Manages saving and loading of game state including resources, buildings, and world seed
+// Games are stored in named slots; autosave rotates through its own dedicated slots
+// Storage goes through an adapter (see storageAdapters.js), so every slot operation is async
+
+import { SAVE_VERSION, canMigrate, migrateSaveData } from './saveMigrations.js';
+import { createDefaultStorage, IndexedDBAdapter, isQuotaExceededError } from './storageAdapters.js';
+import { RESEARCH_CONFIGS } from './research.js';
+
+// File extension for exported saves (the contents are plain JSON)
+export const SAVE_FILE_EXTENSION = '.tilesave';
+
+// ============================================================================
+// OFFLINE PROGRESS CONFIGURATION - Edit catch-up rules for loaded saves here
+// ============================================================================
+export const OFFLINE_PROGRESS_CONFIG = {
+  maxSeconds: 8 * 60 * 60,  // Simulate at most 8 hours away
+  minSeconds: 60            // Shorter gaps aren't worth a summary
+};
+
+export class SaveManager {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'tileGameSave';
+    this.version = SAVE_VERSION; // Older saves are upgraded on load (see saveMigrations.js)
+    this.autoSaveInterval = options.autoSaveInterval || null; // milliseconds, null = disabled
+    this.gameClock = null; // Clock running auto-save while it is enabled
+    this.autoSaveSlotCount = options.autoSaveSlotCount || 3; // Autosaves rotate through this many slots
+    this.maxOfflineSeconds = options.maxOfflineSeconds ?? OFFLINE_PROGRESS_CONFIG.maxSeconds; // 0 disables offline progress
+
+    // Storage backend - localStorage by default; saves move to the fallback (IndexedDB) once it is full
+    this.storage = options.storage || createDefaultStorage();
+    this.fallbackStorage = options.fallbackStorage !== undefined
+      ? options.fallbackStorage
+      : (this.storage.name !== 'indexedDB' && IndexedDBAdapter.isAvailable() ? new IndexedDBAdapter() : null);
+    this.storageMovedKey = `${this.storageKey}:movedTo`; // Kept in the primary storage once saves have moved
+    this.activeStoragePromise = null;
+    this.legacySavePromise = null;
+
+    // Slot index updates are read-modify-write, so they run one at a time
+    this.indexQueue = Promise.resolve();
+
+    // Slot bookkeeping - the index of slot metadata lives under its own key
+    this.slotIndexKey = `${this.storageKey}:slots`;
+    this.activeSlotId = null; // Slot the current game was last saved to or loaded from
+    this.thumbnailSize = { width: 120, height: 80 };
+
+    // Playtime carried over from the loaded save plus time since this session started
+    this.playtimeOffset = 0;
+    this.sessionStart = Date.now();
+
+    // References to game managers (set via setManagers)
+    this.resourceManager = null;
+    this.buildingManager = null;
+    this.researchManager = null;
+    this.statisticsManager = null;
+    this.eventQueue = null;
+    this.grid = null;
+  }
+
+  /**
+   * Set references to game managers for save/load operations
+   * @param {Object} managers - Object containing resourceManager, buildingManager, researchManager, statisticsManager, eventQueue, grid
+   */
+  setManagers(managers) {
+    this.resourceManager = managers.resourceManager;
+    this.buildingManager = managers.buildingManager;
+    this.researchManager = managers.researchManager;
+    this.statisticsManager = managers.statisticsManager || null;
+    this.eventQueue = managers.eventQueue || null;
+    this.grid = managers.grid;
+  }
+
+  /**
+   * Check if saved game data exists
+   * @returns {Promise<boolean>}
+   */
+  async hasSavedGame() {
+    try {
+      return (await this.listSlots()).length > 0;
+    } catch (error) {
+      console.error('Error checking for saved game:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get seconds played, including time from the loaded save
+   * @returns {number}
+   */
+  getPlaytime() {
+    return this.playtimeOffset + Math.floor((Date.now() - this.sessionStart) / 1000);
+  }
+
+  /**
+   * Get the storage key for a slot's save data
+   * @private
+   */
+  getSlotKey(slotId) {
+    return `${this.storageKey}:slot:${slotId}`;
+  }
+
+  /**
+   * Get the storage adapter that currently holds the saves
+   * @returns {Promise<Object>} - Storage adapter
+   */
+  getStorage() {
+    if (!this.activeStoragePromise) {
+      this.activeStoragePromise = this.resolveStorage();
+    }
+    return this.activeStoragePromise;
+  }
+
+  /**
+   * Use the fallback storage if an earlier session moved the saves there
+   * @private
+   */
+  async resolveStorage() {
+    if (this.fallbackStorage) {
+      try {
+        const movedTo = await this.storage.getItem(this.storageMovedKey);
+        if (movedTo === this.fallbackStorage.name) {
+          return this.fallbackStorage;
+        }
+      } catch (error) {
+        console.error('Error checking save storage:', error);
+      }
+    }
+    return this.storage;
+  }
+
+  /**
+   * Read a value from the active storage
+   * @private
+   */
+  async readItem(key) {
+    return (await this.getStorage()).getItem(key);
+  }
+
+  /**
+   * Write a value to the active storage, moving every save to the fallback storage if it is full
+   * @private
+   */
+  async writeItem(key, value) {
+    const storage = await this.getStorage();
+    try {
+      await storage.setItem(key, value);
+    } catch (error) {
+      if (!isQuotaExceededError(error) || !this.fallbackStorage || storage === this.fallbackStorage) {
+        throw error;
+      }
+
+      console.warn(`Save storage (${storage.name}) is full - moving saves to ${this.fallbackStorage.name}`);
+      await this.moveToFallbackStorage();
+      await this.fallbackStorage.setItem(key, value);
+    }
+  }
+
+  /**
+   * Remove a value from the active storage
+   * @private
+   */
+  async removeItem(key) {
+    await (await this.getStorage()).removeItem(key);
+  }
+
+  /**
+   * Copy the slot index and every slot into the fallback storage, then free the primary storage
+   * @private
+   */
+  async moveToFallbackStorage() {
+    const index = await this.readSlotIndex();
+    const keys = [this.slotIndexKey, ...index.map(slot => this.getSlotKey(slot.id))];
+
+    // Copy everything before deleting anything, so a failed move loses nothing
+    for (const key of keys) {
+      const value = await this.storage.getItem(key);
+      if (value !== null) {
+        await this.fallbackStorage.setItem(key, value);
+      }
+    }
+
+    for (const key of keys) {
+      await this.storage.removeItem(key);
+    }
+    await this.storage.setItem(this.storageMovedKey, this.fallbackStorage.name);
+    this.activeStoragePromise = Promise.resolve(this.fallbackStorage);
+
+    console.log(`📦 Moved ${index.length} saves from ${this.storage.name} to ${this.fallbackStorage.name}`);
+  }
+
+  /**
+   * Read slot metadata from storage
+   * @private
+   */
+  async readSlotIndex() {
+    try {
+      const indexString = await this.readItem(this.slotIndexKey);
+      const index = indexString ? JSON.parse(indexString) : [];
+      return Array.isArray(index) ? index : [];
+    } catch (error) {
+      console.error('Error reading save slot index:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update slot metadata - updates are queued so concurrent saves can't drop each other's slots
+   * @private
+   * @param {Function} update - Receives the current index and returns the new one
+   */
+  updateSlotIndex(update) {
+    const result = this.indexQueue.then(async () => {
+      const index = update(await this.readSlotIndex());
+      await this.writeItem(this.slotIndexKey, JSON.stringify(index));
+      return index;
+    });
+    this.indexQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Move a save from the old single-key format into a slot (checked once per session)
+   * @private
+   */
+  migrateLegacySave() {
+    if (!this.legacySavePromise) {
+      this.legacySavePromise = this.moveLegacySave();
+    }
+    return this.legacySavePromise;
+  }
+
+  /**
+   * @private
+   */
+  async moveLegacySave() {
+    try {
+      // Old saves were only ever written to localStorage (the primary storage)
+      const legacyString = await this.storage.getItem(this.storageKey);
+      if (!legacyString) {
+        return;
+      }
+
+      const saveData = JSON.parse(legacyString);
+      if (this.validateSaveData(saveData)) {
+        await this.writeSlot(this.createSlotId(), 'Saved game', saveData, null, false);
+        console.log('📦 Moved existing save into a save slot');
+      }
+      await this.storage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('Error migrating legacy save:', error);
+    }
+  }
+
+  /**
+   * Generate a unique slot ID
+   * @private
+   */
+  createSlotId() {
+    return `slot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  /**
+   * List save slots, most recent first
+   * @returns {Promise<Array<Object>>} - Slot metadata: {id, name, timestamp, seed, playtime, buildingCount, thumbnail, autosave}
+   */
+  async listSlots() {
+    await this.migrateLegacySave();
+    return (await this.readSlotIndex()).sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get metadata for one slot
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSlot(slotId) {
+    return (await this.listSlots()).find(slot => slot.id === slotId) || null;
+  }
+
+  /**
+   * Store save data and its metadata in a slot
+   * @private
+   */
+  async writeSlot(slotId, name, saveData, thumbnail, autosave, imported = false) {
+    const { timestamp, seed, playtime, buildingCount } = this.describeSaveData(saveData);
+    const slot = { id: slotId, name, timestamp, seed, playtime, buildingCount, thumbnail, autosave, imported };
+
+    await this.writeItem(this.getSlotKey(slotId), JSON.stringify(saveData));
+    await this.updateSlotIndex(index => [...index.filter(existing => existing.id !== slotId), slot]);
+    return slot;
+  }
+
+  /**
+   * Summarize save data for previews and slot metadata
+   * @param {Object} saveData - Save data
+   * @returns {Object} - {version, timestamp, seed, playtime, buildingCount, researchCount}
+   */
+  describeSaveData(saveData) {
+    return {
+      version: saveData.version,
+      timestamp: saveData.timestamp,
+      seed: saveData.worldSeed,
+      playtime: saveData.playtime || 0,
+      buildingCount: saveData.buildings?.length || 0,
+      researchCount: saveData.research?.completedResearch?.length || 0
+    };
+  }
+
+  /**
+   * Render a small preview of the grid for the slot picker
+   * @private
+   */
+  createThumbnail() {
+    try {
+      if (this.grid && typeof this.grid.createThumbnail === 'function') {
+        return this.grid.createThumbnail(this.thumbnailSize.width, this.thumbnailSize.height);
+      }
+    } catch (error) {
+      console.warn('Could not create save thumbnail:', error);
+    }
+    return null;
+  }
+
+  /**
+   * Save the current game to a slot
+   * @param {string|null} slotId - Slot to overwrite, or null to create a new slot
+   * @param {string|null} name - Slot name (defaults to the existing name or "Save N")
+   * @returns {Promise<Object>} - {success: boolean, slot: Object|null, error: string|null}
+   */
+  async saveToSlot(slotId = null, name = null) {
+    try {
+      const saveData = this.createSaveData();
+      if (!saveData) {
+        return { success: false, slot: null, error: 'Managers not set' };
+      }
+
+      const existing = slotId ? await this.getSlot(slotId) : null;
+      if (slotId && !existing) {
+        return { success: false, slot: null, error: `Save slot not found: ${slotId}` };
+      }
+
+      const manualCount = (await this.listSlots()).filter(slot => !slot.autosave).length;
+      const slotName = name || existing?.name || `Save ${manualCount + 1}`;
+      const slot = await this.writeSlot(slotId || this.createSlotId(), slotName, saveData, this.createThumbnail(), existing?.autosave || false);
+      this.activeSlotId = slot.id;
+
+      console.log(`💾 Game saved to "${slot.name}":`, {
+        timestamp: new Date(saveData.timestamp).toLocaleString(),
+        resources: saveData.resources,
+        buildingCount: saveData.buildings.length,
+        researchCount: saveData.research?.completedResearch?.length || 0,
+        seed: saveData.worldSeed
+      });
+
+      return { success: true, slot, error: null };
+    } catch (error) {
+      console.error('Error saving game:', error);
+      return { success: false, slot: null, error: isQuotaExceededError(error) ? 'Storage is full - delete some saves' : error.message };
+    }
+  }
+
+  /**
+   * Load save data from a slot (call applySaveData to apply it)
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>} - Loaded save data or null if failed
+   */
+  async loadSlot(slotId) {
+    try {
+      const savedDataString = await this.readItem(this.getSlotKey(slotId));
+      if (!savedDataString) {
+        console.log(`No save data in slot: ${slotId}`);
+        return null;
+      }
+
+      // Parse saved data
+      const saveData = JSON.parse(savedDataString);
+
+      // Validate save data structure
+      if (!this.validateSaveData(saveData)) {
+        console.error('Invalid save data structure');
+        return null;
+      }
+
+      // Bring saves from older versions up to the current schema
+      const migration = migrateSaveData(saveData);
+      if (!migration.success) {
+        console.error('Error migrating save data:', migration.error);
+        return null;
+      }
+      if (migration.applied.length > 0) {
+        console.log(`🔧 Save upgraded from version ${saveData.version} to ${migration.data.version}:`, migration.applied);
+      }
+
+      this.activeSlotId = slotId;
+      console.log('📂 Game loaded successfully:', {
+        slot: slotId,
+        timestamp: new Date(saveData.timestamp).toLocaleString(),
+        version: saveData.version,
+        resources: migration.data.resources,
+        buildingCount: (migration.data.buildings ?? []).length,
+        seed: migration.data.worldSeed
+      });
+
+      return migration.data;
+    } catch (error) {
+      console.error('Error loading game:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Rename a save slot
+   * @param {string} slotId - Slot ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} - {success: boolean, error: string|null}
+   */
+  async renameSlot(slotId, name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      return { success: false, error: 'Save name cannot be empty' };
+    }
+
+    try {
+      let found = false;
+      await this.updateSlotIndex(index => index.map(slot => {
+        if (slot.id !== slotId) return slot;
+        found = true;
+        return { ...slot, name: trimmed };
+      }));
+
+      if (!found) {
+        return { success: false, error: `Save slot not found: ${slotId}` };
+      }
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Error renaming save slot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a save slot
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object>} - {success: boolean, error: string|null}
+   */
+  async deleteSlot(slotId) {
+    try {
+      let found = false;
+      await this.updateSlotIndex(index => {
+        found = index.some(slot => slot.id === slotId);
+        return index.filter(slot => slot.id !== slotId);
+      });
+
+      if (!found) {
+        return { success: false, error: `Save slot not found: ${slotId}` };
+      }
+
+      await this.removeItem(this.getSlotKey(slotId));
+      if (this.activeSlotId === slotId) {
+        this.activeSlotId = null;
+      }
+
+      console.log(`🗑️ Save slot deleted: ${slotId}`);
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Error deleting save slot:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save to the next autosave slot, overwriting the oldest once all are used
+   * @returns {Promise<Object>} - {success: boolean, slot: Object|null, error: string|null}
+   */
+  async autoSave() {
+    const autosaves = (await this.listSlots()).filter(slot => slot.autosave);
+    let slotId;
+    let name;
+
+    if (autosaves.length < this.autoSaveSlotCount) {
+      const usedIds = new Set(autosaves.map(slot => slot.id));
+      let number = 1;
+      while (usedIds.has(`autosave-${number}`)) number++;
+      slotId = `autosave-${number}`;
+      name = `Autosave ${number}`;
+    } else {
+      const oldest = autosaves[autosaves.length - 1];
+      slotId = oldest.id;
+      name = oldest.name;
+    }
+
+    try {
+      const saveData = this.createSaveData();
+      if (!saveData) {
+        return { success: false, slot: null, error: 'Managers not set' };
+      }
+
+      // Autosaves don't change which slot a manual save goes to
+      const slot = await this.writeSlot(slotId, name, saveData, this.createThumbnail(), true);
+      console.log(`🔄 Autosaved to "${slot.name}"`);
+      return { success: true, slot, error: null };
+    } catch (error) {
+      console.error('Error autosaving:', error);
+      return { success: false, slot: null, error: isQuotaExceededError(error) ? 'Storage is full - delete some saves' : error.message };
+    }
+  }
+
+  /**
+   * Build a save snapshot of the current game state
+   * @returns {Object|null} - Save data, or null if managers aren't set
+   */
+  createSaveData() {
+    // Validate managers are set
+    if (!this.resourceManager || !this.buildingManager || !this.grid) {
+      console.error('SaveManager: Managers not set. Call setManagers() first.');
+      return null;
+    }
+
+    // Get world stats to extract seed
+    const worldStats = this.grid.getWorldStats();
+
+    // Get viewport info for convenience
+    const viewportInfo = this.grid.getViewportInfo();
+
+    // Construct save data
+    return {
+      version: this.version,
+      timestamp: Date.now(),
+
+      // Resources
+      resources: this.resourceManager.getAllResources(),
+
+      // Buildings
+      buildings: this.buildingManager.exportData(),
+
+      // Research (if available)
+      research: this.researchManager ? this.researchManager.exportData() : null,
+
+      // Resource/building history for the Statistics window (if available)
+      statistics: this.statisticsManager ? this.statisticsManager.exportData() : null,
+
+      // World generation seed
+      worldSeed: worldStats.seed,
+
+      // Farm fields and painted tiles that can't be regenerated from the seed
+      tiles: this.grid.exportTileData(),
+
+      // Total seconds played across sessions
+      playtime: this.getPlaytime(),
+
+      // Viewport state (optional, for convenience)
+      viewport: {
+        x: viewportInfo.x,
+        y: viewportInfo.y,
+        zoomLevel: viewportInfo.zoomLevel
+      }
+    };
+  }
+
+  /**
+   * Save current game state to the active slot (or a new slot if there isn't one)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveGame() {
+    const activeSlot = this.activeSlotId ? await this.getSlot(this.activeSlotId) : null;
+    const slotId = activeSlot && !activeSlot.autosave ? activeSlot.id : null;
+    return (await this.saveToSlot(slotId)).success;
+  }
+
+  /**
+   * Load the most recent save
+   * @returns {Promise<Object|null>} - Loaded save data or null if failed
+   */
+  async loadGame() {
+    const [latest] = await this.listSlots();
+    if (!latest) {
+      console.log('No saved game found');
+      return null;
+    }
+    return this.loadSlot(latest.id);
+  }
+
+  /**
+   * Apply loaded save data to game managers
+   * @param {Object} saveData - The loaded save data
+   * @param {Object} options - {offlineProgress: boolean} - simulate the time since the save was made (default false, see resumeSlot)
+   * @returns {boolean} - Success status
+   */
+  applySaveData(saveData, options = {}) {
+    try {
+      // Validate managers are set
+      if (!this.resourceManager || !this.buildingManager || !this.grid) {
+        console.error('SaveManager: Managers not set. Call setManagers() first.');
+        return false;
+      }
+
+      // Apply viewport first (before seed) so if seed changes, regeneration happens at correct location
+      if (saveData.viewport) {
+        this.grid.viewportX = saveData.viewport.x;
+        this.grid.viewportY = saveData.viewport.y;
+        this.grid.zoomLevel = saveData.viewport.zoomLevel;
+        console.log('🔭 Viewport restored:', saveData.viewport);
+      }
+
+      // Apply world seed (must be done before buildings are placed)
+      // If seed is unchanged, this will skip regeneration (see grid.setWorldSeed)
+      if (saveData.worldSeed !== undefined) {
+        this.grid.setWorldSeed(saveData.worldSeed);
+        console.log(`🌍 World seed restored: ${saveData.worldSeed}`);
+      }
+
+      // Rebuild research, buildings, caps and the labor pool from the saved entities
+      this.restoreGameState(saveData);
+
+      // Rebuild building, farmland and painted tiles (required for rendering and demolition)
+      this.grid.importTileData(saveData.tiles);
+
+      // Apply statistics history
+      if (saveData.statistics && this.statisticsManager) {
+        this.statisticsManager.importData(saveData.statistics);
+        console.log(`📈 Statistics history restored: ${saveData.statistics.snapshots?.length || 0} snapshots`);
+      }
+
+      // Undo history refers to buildings from before the load
+      if (this.grid.commandHistory) {
+        this.grid.commandHistory.clear();
+      }
+
+      // Catch up on the time since the save was made
+      if (options.offlineProgress === true) {
+        this.applyOfflineProgress(saveData.timestamp);
+      }
+
+      // Rebuilding the world moves resources around - don't count that as income
+      this.resourceManager.resetRates();
+
+      // Keep counting playtime from where the save left off
+      this.playtimeOffset = saveData.playtime || 0;
+      this.sessionStart = Date.now();
+
+      // Final render to display everything
+      this.grid.render();
+
+      return true;
+    } catch (error) {
+      console.error('Error applying save data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load a slot and apply it, catching up on the time since it was saved
+   * Only the player's own saves get offline progress - imported slots keep the timestamp of
+   * whoever exported them until the player saves over them
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  async resumeSlot(slotId) {
+    const slot = await this.getSlot(slotId);
+    const saveData = slot ? await this.loadSlot(slotId) : null;
+    if (!saveData) {
+      return false;
+    }
+    return this.applySaveData(saveData, { offlineProgress: !slot.imported });
+  }
+
+  /**
+   * Simulate the time since a save was made and post a "While you were away" summary
+   * @param {number} savedAt - Save timestamp
+   * @returns {Object|null} - Simulation summary from BuildingManager.simulateOfflineProgress, or null if skipped
+   */
+  applyOfflineProgress(savedAt) {
+    const elapsedSeconds = Math.floor((Date.now() - savedAt) / 1000);
+    if (elapsedSeconds < OFFLINE_PROGRESS_CONFIG.minSeconds || this.maxOfflineSeconds <= 0) {
+      return null;
+    }
+
+    const summary = this.buildingManager.simulateOfflineProgress(Math.min(elapsedSeconds, this.maxOfflineSeconds));
+    console.log(`⏳ Simulated ${summary.ticks} ticks of offline progress:`, summary.resourceChanges);
+
+    if (this.eventQueue) {
+      this.eventQueue.addMessage(this.formatOfflineSummary(summary, elapsedSeconds), summary.starving ? 'warning' : 'success');
+    }
+    return summary;
+  }
+
+  /**
+   * Describe offline progress, e.g. "⏳ While you were away (2h 5m): +120 🍞 Food, +45 🪵 Wood"
+   * @private
+   */
+  formatOfflineSummary(summary, elapsedSeconds) {
+    const formatTime = (seconds) => {
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    };
+
+    const away = summary.seconds < elapsedSeconds
+      ? `${formatTime(elapsedSeconds)}, ${formatTime(summary.seconds)} simulated`
+      : formatTime(elapsedSeconds);
+
+    const parts = Object.entries(summary.resourceChanges).map(([type, change]) => {
+      const definition = this.resourceManager.getResourceDefinition(type);
+      const amount = Math.round(change * 10) / 10;
+      return `${amount > 0 ? '+' : ''}${amount} ${definition ? `${definition.icon} ${definition.name}` : type}`;
+    });
+
+    for (const researchId of summary.completedResearch) {
+      const config = RESEARCH_CONFIGS[researchId];
+      parts.push(`researched ${config.display.icon} ${config.name}`);
+    }
+
+    if (summary.starving) {
+      parts.push('⚠️ your settlement ran out of food');
+    }
+
+    return `⏳ While you were away (${away}): ${parts.length > 0 ? parts.join(', ') : 'nothing changed'}`;
+  }
+
+  /**
+   * Restore research, buildings and resources from save data
+   * Saved entities are loaded as-is and everything derived from them (unlocks, caps,
+   * worker totals) is rebuilt, so no placement or research effect is applied twice
+   * @param {Object} saveData - The loaded save data
+   */
+  restoreGameState(saveData) {
+    // Research first - unlocks and modifiers are derived from completed research
+    if (this.researchManager) {
+      this.researchManager.importData(saveData.research || {});
+      console.log(`📚 Research progress restored: ${saveData.research?.completedResearch?.length || 0} completed`);
+    }
+
+    // Buildings are recreated without costs, refunds or onPlaced effects
+    this.buildingManager.importData(Array.isArray(saveData.buildings) ? saveData.buildings : []);
+    console.log(`🏘️ ${saveData.buildings?.length || 0} buildings restored`);
+
+    // Re-derive caps from scratch: base caps + warehouses + research
+    this.resourceManager.resetCaps();
+    if (this.researchManager) {
+      this.researchManager.restoreEffects();
+    }
+
+    // Workers come from house residents, employment from building staff
+    this.buildingManager.restoreDerivedState();
+
+    // Stockpiles go in last so they're clamped against the rebuilt caps
+    if (saveData.resources) {
+      for (const [resourceType, amount] of Object.entries(saveData.resources)) {
+        if (resourceType === 'worker') continue; // Derived from houses above
+        if (!this.resourceManager.hasResourceType(resourceType)) {
+          console.warn(`Skipping unknown resource in save: ${resourceType}`);
+          continue;
+        }
+        this.resourceManager.setResource(resourceType, amount);
+      }
+      console.log('💰 Resources restored:', saveData.resources);
+    }
+  }
+
+  /**
+   * Validate save data structure
+   * @param {Object} saveData - Data to validate
+   * @returns {boolean}
+   */
+  validateSaveData(saveData) {
+    if (!saveData || typeof saveData !== 'object') {
+      return false;
+    }
+
+    // Check required fields
+    if (!saveData.version || !saveData.timestamp) {
+      console.warn('Save data missing version or timestamp');
+      return false;
+    }
+
+    // Older versions are upgraded on load; anything without a migration path (e.g. a newer game) is rejected
+    if (!canMigrate(saveData.version)) {
+      console.warn(`Unsupported save data version: ${saveData.version} (current: ${this.version})`);
+      return false;
+    }
+
+    // Validate resources object
+    if (saveData.resources && typeof saveData.resources !== 'object') {
+      console.warn('Invalid resources data');
+      return false;
+    }
+
+    // Validate buildings array
+    if (saveData.buildings && !Array.isArray(saveData.buildings)) {
+      console.warn('Invalid buildings data');
+      return false;
+    }
+
+    // Validate world seed
+    if (saveData.worldSeed !== undefined && typeof saveData.worldSeed !== 'number') {
+      console.warn('Invalid world seed');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Clear all saved game data (every slot)
+   * @returns {Promise<boolean>}
+   */
+  async clearSave() {
+    try {
+      for (const slot of await this.listSlots()) {
+        await this.removeItem(this.getSlotKey(slot.id));
+      }
+      await this.updateSlotIndex(() => []);
+      this.activeSlotId = null;
+      console.log('🗑️ Save data cleared');
+      return true;
+    } catch (error) {
+      console.error('Error clearing save data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get info about the most recent save without loading it
+   * @returns {Promise<Object|null>}
+   */
+  async getSaveInfo() {
+    const [latest] = await this.listSlots();
+    if (!latest) {
+      return null;
+    }
+
+    return {
+      slotId: latest.id,
+      name: latest.name,
+      timestamp: latest.timestamp,
+      buildingCount: latest.buildingCount,
+      seed: latest.seed,
+      playtime: latest.playtime,
+      autosave: latest.autosave
+    };
+  }
+
+  /**
+   * Start auto-save on the game clock
+   * Auto-save runs in real time, so it keeps going while the game is paused or sped up
+   * @param {GameClock} gameClock
+   */
+  startAutoSave(gameClock) {
+    if (!this.autoSaveInterval || this.autoSaveInterval <= 0) {
+      console.log('Auto-save disabled (interval not set)');
+      return;
+    }
+
+    if (this.gameClock) {
+      console.warn('Auto-save already running');
+      return;
+    }
+
+    this.gameClock = gameClock;
+    gameClock.addTask('autoSave', this.autoSaveInterval, () => {
+      console.log('🔄 Auto-saving...');
+      this.autoSave();
+    }, { realTime: true });
+
+    console.log(`⏰ Auto-save started (every ${this.autoSaveInterval / 1000}s, ${this.autoSaveSlotCount} slots)`);
+  }
+
+  /**
+   * Stop auto-save
+   */
+  stopAutoSave() {
+    if (this.gameClock) {
+      this.gameClock.removeTask('autoSave');
+      this.gameClock = null;
+      console.log('⏸️ Auto-save stopped');
+    }
+  }
+
+  /**
+   * Export the most recent save as JSON string (for manual backup)
+   * @returns {Promise<string|null>}
+   */
+  async exportSaveDataAsJSON() {
+    try {
+      const [latest] = await this.listSlots();
+      const savedDataString = latest ? await this.readItem(this.getSlotKey(latest.id)) : null;
+      if (!savedDataString) {
+        console.log('No save data to export');
+        return null;
+      }
+      return savedDataString;
+    } catch (error) {
+      console.error('Error exporting save data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a save file of the current game (or of a stored slot) for download
+   * @param {string|null} slotId - Slot to export, or null for the current game
+   * @returns {Promise<Object>} - {success: boolean, filename: string|null, contents: string|null, error: string|null}
+   */
+  async createExportFile(slotId = null) {
+    try {
+      let saveData;
+      let name;
+
+      if (slotId) {
+        // Read the slot directly - exporting shouldn't change which slot is active
+        const parsed = this.parseSaveData(await this.readItem(this.getSlotKey(slotId)));
+        saveData = parsed.saveData;
+        name = (await this.getSlot(slotId))?.name;
+      } else {
+        saveData = this.createSaveData();
+        name = this.activeSlotId ? (await this.getSlot(this.activeSlotId))?.name : null;
+      }
+
+      if (!saveData) {
+        return { success: false, filename: null, contents: null, error: 'No save data to export' };
+      }
+
+      // Keep file names portable: "My Town!" -> "my-town"
+      const baseName = (name || `tile-game-${saveData.worldSeed}`)
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'tile-game';
+
+      console.log(`📤 Exporting save as ${baseName}${SAVE_FILE_EXTENSION}`);
+      return {
+        success: true,
+        filename: `${baseName}${SAVE_FILE_EXTENSION}`,
+        contents: JSON.stringify(saveData),
+        error: null
+      };
+    } catch (error) {
+      console.error('Error exporting save data:', error);
+      return { success: false, filename: null, contents: null, error: error.message };
+    }
+  }
+
+  /**
+   * Parse, validate and upgrade serialized save data without touching the current game
+   * Use the returned info to preview an import before applying it
+   * @param {string} jsonString - Serialized save data (e.g. the contents of a save file)
+   * @returns {Object} - {success: boolean, saveData: Object|null, info: Object|null, error: string|null}
+   */
+  parseSaveData(jsonString) {
+    let saveData;
+    try {
+      saveData = JSON.parse(jsonString);
+    } catch (error) {
+      return { success: false, saveData: null, info: null, error: 'File is not a valid save (could not read JSON)' };
+    }
+
+    if (!this.validateSaveData(saveData)) {
+      return { success: false, saveData: null, info: null, error: 'File is not a valid save (unsupported version or missing data)' };
+    }
+
+    const migration = migrateSaveData(saveData);
+    if (!migration.success) {
+      return { success: false, saveData: null, info: null, error: migration.error };
+    }
+
+    return {
+      success: true,
+      saveData: migration.data,
+      info: {
+        ...this.describeSaveData(migration.data),
+        originalVersion: saveData.version
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Store parsed save data in a new slot and make it the active slot
+   * @param {Object} saveData - Save data from parseSaveData
+   * @param {string} name - Slot name
+   * @returns {Promise<Object>} - {success: boolean, slot: Object|null, error: string|null}
+   */
+  async importSaveData(saveData, name = 'Imported save') {
+    try {
+      const slot = await this.writeSlot(this.createSlotId(), name, saveData, null, false, true);
+      this.activeSlotId = slot.id;
+      console.log(`📥 Save imported into "${slot.name}"`);
+      return { success: true, slot, error: null };
+    } catch (error) {
+      console.error('Error importing save data:', error);
+      return { success: false, slot: null, error: isQuotaExceededError(error) ? 'Storage is full - delete some saves' : error.message };
+    }
+  }
+
+  /**
+   * Import save data from JSON string into a new slot (for manual restore)
+   * @param {string} jsonString - Serialized save data
+   * @returns {Promise<boolean>}
+   */
+  async importSaveDataFromJSON(jsonString) {
+    const parsed = this.parseSaveData(jsonString);
+    if (!parsed.success) {
+      console.error('Error importing save data:', parsed.error);
+      return false;
+    }
+    return (await this.importSaveData(parsed.saveData)).success;
+  }
+
+  /**
+   * Cleanup - stop auto-save
+   */
+  destroy() {
+    this.stopAutoSave();
+  }
+}
@@ -0,0 +1,121 @@
+// Save format migrations for tile game
+// Older saves are upgraded one version at a time until they match SAVE_VERSION.
+// Each step only knows about the schema it upgrades from and to - migrations must not read
+// live configs (BUILDING_CONFIGS, RESEARCH_CONFIGS), since those keep changing after the step is written.
+// Steps only fill in fields that are missing: saves written before this chain existed are all labelled
+// '1.0', including ones that already have residents, staffing, a research queue, statistics and playtime.
+
+// Current save format version - bump this and append a migration whenever the save schema changes
+export const SAVE_VERSION = '1.4';
+
+// Ordered migration chain: each entry upgrades saves from `from` to `to`
+export const SAVE_MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Labor pool: houses track residents and buildings track assigned workers',
+    migrate(saveData) {
+      // Houses held 2 residents each when this format was introduced, and every house was full
+      const HOUSE_CAPACITY = 2;
+
+      const buildings = (saveData.buildings || []).map(building => ({
+        ...building,
+        ...(building.type === 'house' && { residents: building.residents ?? HOUSE_CAPACITY }),
+        assignedWorkers: building.assignedWorkers ?? 0,
+        autoStaff: building.autoStaff ?? true
+      }));
+
+      // Workers stopped being a spendable resource - the total is now derived from house residents
+      const { worker, ...resources } = saveData.resources || {};
+
+      return { ...saveData, resources, buildings };
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Timed research queue and statistics history',
+    migrate(saveData) {
+      const research = saveData.research
+        ? { ...saveData.research, queue: saveData.research.queue ?? [] }
+        : null;
+
+      return {
+        ...saveData,
+        research,
+        statistics: saveData.statistics ?? null
+      };
+    }
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    description: 'Save slots: total playtime',
+    migrate(saveData) {
+      // Playtime wasn't tracked before - start counting from the migration
+      return { ...saveData, playtime: saveData.playtime ?? 0 };
+    }
+  },
+  {
+    from: '1.3',
+    to: '1.4',
+    description: 'Saved farm fields and painted tiles',
+    migrate(saveData) {
+      // No tile state was saved - fields get laid out again around each farm on load
+      return { ...saveData, tiles: saveData.tiles ?? null };
+    }
+  }
+];
+
+/**
+ * Check whether saves of a version can be upgraded to SAVE_VERSION
+ * @param {string} version - Save format version
+ * @returns {boolean}
+ */
+export function canMigrate(version) {
+  let current = version;
+  while (current !== SAVE_VERSION) {
+    const step = SAVE_MIGRATIONS.find(migration => migration.from === current);
+    if (!step) {
+      return false;
+    }
+    current = step.to;
+  }
+  return true;
+}
+
+/**
+ * Upgrade save data to SAVE_VERSION by running each migration step in order
+ * The input is left untouched; the migrated copy is returned
+ * @param {Object} saveData - Save data of any supported version
+ * @returns {Object} - {success: boolean, data: Object|null, applied: Array<string>, error: string|null}
+ */
+export function migrateSaveData(saveData) {
+  if (!saveData || !saveData.version) {
+    return { success: false, data: null, applied: [], error: 'Save data has no version' };
+  }
+
+  let data = JSON.parse(JSON.stringify(saveData));
+  const applied = [];
+
+  while (data.version !== SAVE_VERSION) {
+    const step = SAVE_MIGRATIONS.find(migration => migration.from === data.version);
+    if (!step) {
+      return {
+        success: false,
+        data: null,
+        applied,
+        error: `No migration path from save version ${data.version} to ${SAVE_VERSION}`
+      };
+    }
+
+    try {
+      data = { ...step.migrate(data), version: step.to };
+      applied.push(`${step.from} → ${step.to}: ${step.description}`);
+    } catch (error) {
+      return { success: false, data: null, applied, error: `Migration ${step.from} → ${step.to} failed: ${error.message}` };
+    }
+  }
+
+  return { success: true, data, applied, error: null };
+}
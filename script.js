@@ -1,899 +1,1693 @@
-import { Grid } from './grid.js';
-import { WorldPresets } from './worldGenerator.js';
-import { atlasManager } from './atlasManager.js';
-import { ResourceManager } from './resources.js';
-import { BuildingManager } from './buildings.js';
-import { SaveManager } from './saveManager.js';
-import { EventQueue } from './eventQueue.js';
-import { TooltipManager } from './tooltips.js';
-import { ResearchManager } from './research.js';
-
-// Canvas Manager class for state management
-class CanvasManager {
-  constructor(width, height) {
-    this.width = width;
-    this.height = height;
-    this.canvas = null;
-    this.grid = null;
-    this.isInitialized = false;
-  }
-
-  // Create and setup the canvas
-  createCanvas() {
-    this.canvas = document.createElement('canvas');
-    this.canvas.width = this.width;
-    this.canvas.height = this.height;
-    this.canvas.style.border = '1px solid #ccc';
-    this.canvas.style.cursor = 'grab';
-    this.canvas.style.display = 'block';
-
-    const canvasWrapper = document.querySelector('.canvas-wrapper');
-    if (canvasWrapper) {
-      // Insert canvas as first child
-      canvasWrapper.insertBefore(this.canvas, canvasWrapper.firstChild);
-      this.isInitialized = true;
-    } else {
-      console.error('canvas-wrapper element not found');
-      return null;
-    }
-
-    return this.canvas;
-  }
-
-  // Initialize the grid system (infinite grid)
-  initializeGrid(baseTileSize = 32) {
-    if (!this.canvas) {
-      console.error('Canvas must be created before initializing grid');
-      return null;
-    }
-
-    this.grid = new Grid(this.canvas, baseTileSize);
-    //this.grid.render(); // Initial render
-    return this.grid;
-  }
-
-  // Resize the canvas
-  resize(width, height) {
-    if (this.canvas) {
-      this.width = width;
-      this.height = height;
-      this.canvas.width = width;
-      this.canvas.height = height;
-
-      if (this.grid) {
-        this.grid.render(); // Re-render after resize
-      }
-    }
-  }
-
-  // Get canvas dimensions
-  getDimensions() {
-    return { width: this.width, height: this.height };
-  }
-
-  // Clear the canvas
-  clear() {
-    if (this.canvas) {
-      const ctx = this.canvas.getContext('2d');
-      ctx.clearRect(0, 0, this.width, this.height);
-    }
-  }
-
-  // Show/hide the canvas
-  setVisible(visible) {
-    if (this.canvas) {
-      this.canvas.style.display = visible ? 'block' : 'none';
-    }
-  }
-
-  // Get grid info if available
-  getGridInfo() {
-    return this.grid ? this.grid.getViewportInfo() : null;
-  }
-
-  // Cleanup
-  destroy() {
-    if (this.grid) {
-      this.grid.destroy();
-      this.grid = null;
-    }
-    if (this.canvas && this.canvas.parentNode) {
-      this.canvas.parentNode.removeChild(this.canvas);
-    }
-    this.canvas = null;
-    this.isInitialized = false;
-  }
-}
-
-// Legacy function for backwards compatibility
-function createCanvas(width, height) {
-  const manager = new CanvasManager(width, height);
-  return manager.createCanvas();
-}
-
-// Positioning utilities removed - now handled by CSS
-
-// Setup world generation controls functionality
-function setupWorldControls(grid) {
-  // Validate grid and worldGenerator existence
-  if (!grid || !grid.worldGenerator) {
-    console.error('setupWorldControls: Invalid grid or missing worldGenerator');
-    return null;
-  }
-
-  // Get initial seed value with null safety and update the input
-  const initialSeed = grid.worldGenerator.seed || Math.random();
-  const seedInputValue = Math.floor(initialSeed * 1000000);
-  const seedInput = document.querySelector('#worldSeed');
-  if (seedInput) {
-    //seedInput.value = seedInputValue;
-  }
-
-  // Toggle generation button
-  const toggleBtn = document.querySelector('#toggleGeneration');
-  if (toggleBtn) {
-    toggleBtn.addEventListener('click', () => {
-      if (!grid || typeof grid.disableProceduralGeneration !== 'function' || typeof grid.enableProceduralGeneration !== 'function') {
-        console.error('Grid methods not available for toggle generation');
-        return;
-      }
-
-      if (grid.proceduralGeneration) {
-        grid.disableProceduralGeneration();
-        toggleBtn.textContent = 'Enable Generation';
-      } else {
-        grid.enableProceduralGeneration();
-        toggleBtn.textContent = 'Disable Generation';
-      }
-    });
-  }
-
-  // Regenerate world button
-  const regenerateBtn = document.querySelector('#regenerateWorld');
-  if (regenerateBtn) {
-    regenerateBtn.addEventListener('click', () => {
-      if (!grid || typeof grid.clearGeneratedTerrain !== 'function') {
-        console.error('Grid clearGeneratedTerrain method not available');
-        return;
-      }
-      grid.clearGeneratedTerrain();
-    });
-  }
-
-  // Seed controls - seedInput already declared above
-  const randomSeedBtn = document.querySelector('#randomSeed');
-
-  if (seedInput) {
-    seedInput.addEventListener('change', () => {
-      if (!grid || typeof grid.setWorldSeed !== 'function') {
-        console.error('Grid setWorldSeed method not available');
-        return;
-      }
-      const seed = parseFloat(seedInput.value) / 1000000;
-      grid.setWorldSeed(seed);
-    });
-  }
-
-  if (randomSeedBtn) {
-    randomSeedBtn.addEventListener('click', () => {
-      if (!grid || typeof grid.setWorldSeed !== 'function' || !seedInput) {
-        console.error('Grid setWorldSeed method or seedInput not available');
-        return;
-      }
-      const newSeed = Math.random();
-      seedInput.value = Math.floor(newSeed * 1000000);
-      grid.setWorldSeed(newSeed);
-    });
-  }
-
-  // Preset selector
-  const presetSelect = document.querySelector('#worldPreset');
-  if (presetSelect) {
-    presetSelect.addEventListener('change', () => {
-      if (!grid || typeof grid.updateWorldParameters !== 'function') {
-        console.error('Grid updateWorldParameters method not available');
-        return;
-      }
-      const presetName = presetSelect.value;
-      if (presetName && WorldPresets[presetName]) {
-        const preset = WorldPresets[presetName];
-        grid.updateWorldParameters(preset);
-
-        // Update UI to reflect preset values
-        updateControlsFromGrid(grid);
-      }
-    });
-  }
-
-  // Slider controls
-  const scaleSlider = document.querySelector('#worldScale');
-  const scaleValue = document.querySelector('#scaleValue');
-  const octaveSlider = document.querySelector('#worldOctaves');
-  const octaveValue = document.querySelector('#octaveValue');
-  const persistenceSlider = document.querySelector('#worldPersistence');
-  const persistenceValue = document.querySelector('#persistenceValue');
-
-  if (scaleSlider && scaleValue) {
-    scaleSlider.addEventListener('input', () => {
-      if (!grid || typeof grid.updateWorldParameters !== 'function') {
-        console.error('Grid updateWorldParameters method not available');
-        return;
-      }
-      const value = parseFloat(scaleSlider.value);
-      scaleValue.textContent = value.toFixed(3);
-      grid.updateWorldParameters({ scale: value });
-    });
-  }
-
-  if (octaveSlider && octaveValue) {
-    octaveSlider.addEventListener('input', () => {
-      if (!grid || typeof grid.updateWorldParameters !== 'function') {
-        console.error('Grid updateWorldParameters method not available');
-        return;
-      }
-      const value = parseInt(octaveSlider.value);
-      octaveValue.textContent = value;
-      grid.updateWorldParameters({ octaves: value });
-    });
-  }
-
-  if (persistenceSlider && persistenceValue) {
-    persistenceSlider.addEventListener('input', () => {
-      if (!grid || typeof grid.updateWorldParameters !== 'function') {
-        console.error('Grid updateWorldParameters method not available');
-        return;
-      }
-      const value = parseFloat(persistenceSlider.value);
-      persistenceValue.textContent = value.toFixed(1);
-      grid.updateWorldParameters({ persistence: value });
-    });
-  }
-
-  // Update controls from grid state
-  function updateControlsFromGrid(grid) {
-    if (!grid || typeof grid.getWorldStats !== 'function') {
-      console.error('Grid getWorldStats method not available');
-      return;
-    }
-
-    try {
-      const stats = grid.getWorldStats();
-      if (stats && stats.parameters) {
-        if (scaleSlider) scaleSlider.value = stats.parameters.scale;
-        if (scaleValue) scaleValue.textContent = stats.parameters.scale.toFixed(3);
-        if (octaveSlider) octaveSlider.value = stats.parameters.octaves;
-        if (octaveValue) octaveValue.textContent = stats.parameters.octaves;
-        if (persistenceSlider) persistenceSlider.value = stats.parameters.persistence;
-        if (persistenceValue) persistenceValue.textContent = stats.parameters.persistence.toFixed(1);
-        if (seedInput) seedInput.value = Math.floor(stats.seed * 1000000);
-      }
-    } catch (error) {
-      console.error('Error updating controls from grid:', error);
-    }
-  }
-
-  // Update stats periodically
-  const statsElement = document.querySelector('#worldStats');
-  if (statsElement) {
-    setInterval(() => {
-      if (!grid || typeof grid.getTotalTilesCount !== 'function') {
-        return;
-      }
-      try {
-        const counts = grid.getTotalTilesCount();
-        if (counts) {
-          statsElement.textContent = `Generated: ${counts.generated} | Painted: ${counts.painted}`;
-        }
-      } catch (error) {
-        console.error('Error updating stats:', error);
-      }
-    }, 1000);
-  }
-}
-
-// Setup paint controls functionality (now for buildings)
-function setupPaintControls(grid, buildingManager) {
-  // Building button event listeners
-  const buildingButtons = document.querySelectorAll('#paintControls .building-btn');
-  const currentBuildingIndicator = document.querySelector('#paintControls .building-indicator');
-
-  // Update button tooltips to show costs
-  buildingButtons.forEach(button => {
-    const buildingType = button.dataset.building;
-    const config = buildingManager.getBuildingConfig(buildingType);
-
-    if (config) {
-      let tooltip = config.description;
-      if (config.costs) {
-        const costStr = Object.entries(config.costs)
-          .map(([type, amount]) => `${amount} ${type}`)
-          .join(', ');
-        tooltip += ` | Cost: ${costStr}`;
-      }
-      button.title = tooltip;
-    }
-
-    button.addEventListener('click', () => {
-      grid.setBuildingType(buildingType);
-
-      // Update visual feedback
-      buildingButtons.forEach(btn => btn.classList.remove('active'));
-      button.classList.add('active');
-      if (currentBuildingIndicator) {
-        currentBuildingIndicator.textContent = button.textContent;
-      }
-    });
-  });
-
-  // Update button affordability and locked state periodically
-  const updateBuildingAffordability = () => {
-    buildingButtons.forEach(button => {
-      const buildingType = button.dataset.building;
-      const canAfford = buildingManager.canAffordBuilding(buildingType);
-
-      // Check if building is locked via research
-      const researchManager = buildingManager.researchManager;
-      const isLocked = researchManager && !researchManager.isBuildingUnlocked(buildingType);
-
-      // Store original text if not already stored
-      if (!button.dataset.originalText) {
-        button.dataset.originalText = button.textContent;
-      }
-
-      if (isLocked) {
-        // Building is locked - show lock icon and disable
-        button.classList.add('unaffordable');
-        button.style.opacity = '0.4';
-        button.disabled = true;
-        button.style.cursor = 'not-allowed';
-
-        // Add lock icon if not already present
-        if (!button.textContent.includes('🔒')) {
-          button.textContent = '🔒 ' + button.dataset.originalText;
-        }
-        button.title = button.title + ' [LOCKED - Requires Research]';
-      } else {
-        // Building is unlocked - check affordability
-        button.disabled = false;
-        button.style.cursor = 'pointer';
-
-        // Remove lock icon if present
-        if (button.textContent.includes('🔒')) {
-          button.textContent = button.dataset.originalText;
-        }
-
-        if (canAfford) {
-          button.classList.remove('unaffordable');
-          button.style.opacity = '1';
-        } else {
-          button.classList.add('unaffordable');
-          button.style.opacity = '0.5';
-        }
-      }
-    });
-  };
-
-  // Update affordability immediately and periodically
-  updateBuildingAffordability();
-  setInterval(updateBuildingAffordability, 500);
-
-  // Clear all button event listener
-  const clearAllBtn = document.querySelector('#clearAllBtn');
-  if (clearAllBtn) {
-    clearAllBtn.addEventListener('click', () => {
-      if (confirm('Clear all buildings?')) {
-        grid.clearAllPaint();
-      }
-    });
-  }
-
-  // Update building stats periodically
-  const buildingStatsElement = document.querySelector('#buildingStats');
-  if (buildingStatsElement) {
-    setInterval(() => {
-      const stats = buildingManager.getStats();
-      buildingStatsElement.textContent = `Population: ${stats.population} | Houses: ${stats.houses} | Farms: ${stats.farms} | Lumberyards: ${stats.lumberyards} | Paths: ${stats.cobblepaths}`;
-    }, 500);
-  }
-}
-
-// Setup resource display updates
-function setupResourceDisplay(resourceManager) {
-  const foodElement = document.getElementById('foodAmount');
-  const workerElement = document.getElementById('workerAmount');
-  const woodElement = document.getElementById('woodAmount');
-  const stoneElement = document.getElementById('stoneAmount');
-
-  // Helper function to format resource display with cap
-  const formatResource = (name, value, type, element) => {
-    const cap = resourceManager.getResourceCap(type);
-    const percentage = resourceManager.getCapPercentage(type);
-
-    // Format based on whether resource has a cap
-    let displayText;
-    if (cap === Infinity) {
-      // No cap (workers) - display with 0 decimals
-      displayText = `${name}: ${value.toFixed(0)}`;
-    } else {
-      // Has cap - display with 2 decimals
-      displayText = `${name}: ${value.toFixed(2)}/${cap}`;
-    }
-
-    // Apply color based on cap percentage
-    if (element) {
-      if (percentage >= 100) {
-        element.style.color = '#ff6b6b'; // Red when at cap
-        element.style.fontWeight = 'bold';
-      } else if (percentage >= 90) {
-        element.style.color = '#ffa500'; // Orange when near cap
-        element.style.fontWeight = 'bold';
-      } else {
-        element.style.color = ''; // Default color
-        element.style.fontWeight = '';
-      }
-    }
-
-    return displayText;
-  };
-
-  // Update display function
-  const updateDisplay = (type, value) => {
-    if (type === 'food' && foodElement) {
-      foodElement.textContent = formatResource('Food', value, type, foodElement);
-    } else if (type === 'worker' && workerElement) {
-      workerElement.textContent = formatResource('Worker', value, type, workerElement);
-    } else if (type === 'wood' && woodElement) {
-      woodElement.textContent = formatResource('Wood', value, type, woodElement);
-    } else if (type === 'stone' && stoneElement) {
-      stoneElement.textContent = formatResource('Stone', value, type, stoneElement);
-    }
-  };
-
-  // Register listener with resource manager
-  resourceManager.addListener(updateDisplay);
-
-  // Initial display update
-  foodElement.textContent = formatResource('Food', resourceManager.getResource('food'), 'food', foodElement);
-  workerElement.textContent = formatResource('Worker', resourceManager.getResource('worker'), 'worker', workerElement);
-  woodElement.textContent = formatResource('Wood', resourceManager.getResource('wood'), 'wood', woodElement);
-  stoneElement.textContent = formatResource('Stone', resourceManager.getResource('stone'), 'stone', stoneElement);
-}
-
-// Setup save/load controls
-function setupSaveControls(saveManager) {
-  const saveBtn = document.getElementById('saveGameBtn');
-  const loadBtn = document.getElementById('loadGameBtn');
-  const clearSaveBtn = document.getElementById('clearSaveBtn');
-  const saveInfoElement = document.getElementById('saveInfo');
-
-  // Save button
-  if (saveBtn) {
-    saveBtn.addEventListener('click', () => {
-      const success = saveManager.saveGame();
-      if (success) {
-        // Show feedback
-        saveBtn.textContent = '✓ Saved!';
-        setTimeout(() => {
-          saveBtn.textContent = 'Save Game';
-        }, 2000);
-      } else {
-        saveBtn.textContent = '✗ Failed';
-        setTimeout(() => {
-          saveBtn.textContent = 'Save Game';
-        }, 2000);
-      }
-    });
-  }
-
-  // Load button
-  if (loadBtn) {
-    loadBtn.addEventListener('click', () => {
-      if (confirm('Load saved game? Current progress will be lost if not saved.')) {
-        const saveData = saveManager.loadGame();
-        if (saveData) {
-          const success = saveManager.applySaveData(saveData);
-          if (success) {
-            loadBtn.textContent = '✓ Loaded!';
-            setTimeout(() => {
-              loadBtn.textContent = 'Load Game';
-            }, 2000);
-          }
-        } else {
-          alert('No saved game found or failed to load.');
-        }
-      }
-    });
-  }
-
-  // Clear save button
-  if (clearSaveBtn) {
-    clearSaveBtn.addEventListener('click', () => {
-      if (confirm('Delete saved game? This cannot be undone!')) {
-        const success = saveManager.clearSave();
-        if (success) {
-          clearSaveBtn.textContent = '✓ Cleared';
-          setTimeout(() => {
-            clearSaveBtn.textContent = 'Clear Save';
-          }, 2000);
-        }
-      }
-    });
-  }
-
-  // Update save info display
-  const updateSaveInfo = () => {
-    if (saveInfoElement) {
-      const saveInfo = saveManager.getSaveInfo();
-      if (saveInfo) {
-        const timeAgo = Math.floor((Date.now() - saveInfo.timestamp) / 1000 / 60); // minutes ago
-        saveInfoElement.textContent = `Last save: ${timeAgo}m ago (${saveInfo.buildingCount} buildings)`;
-      } else {
-        saveInfoElement.textContent = 'Auto-save: every 30s';
-      }
-    }
-  };
-
-  // Update save info periodically
-  updateSaveInfo();
-  setInterval(updateSaveInfo, 10000); // Update every 10 seconds
-}
-
-// Setup research controls
-function setupResearchControls(researchManager) {
-  const researchButtons = document.querySelectorAll('#researchControls .research-btn');
-  const researchStatsElement = document.querySelector('#researchStats');
-
-  // Research button event listeners
-  researchButtons.forEach(button => {
-    const researchId = button.dataset.research;
-
-    button.addEventListener('click', () => {
-      const result = researchManager.purchaseResearch(researchId);
-
-      if (result.success) {
-        // Update button state immediately
-        updateResearchButtons();
-      } else {
-        console.log(`Failed to purchase research: ${result.error}`);
-      }
-    });
-  });
-
-  // Update button states based on research availability
-  const updateResearchButtons = () => {
-    researchButtons.forEach(button => {
-      const researchId = button.dataset.research;
-      const isCompleted = researchManager.isCompleted(researchId);
-      const isAvailable = researchManager.isAvailable(researchId);
-      const canAfford = researchManager.canAfford(researchId);
-
-      // Remove all state classes
-      button.classList.remove('completed', 'available', 'locked', 'unaffordable');
-
-      if (isCompleted) {
-        button.classList.add('completed');
-        button.disabled = true;
-        button.style.opacity = '0.6';
-      } else if (isAvailable) {
-        button.classList.add('available');
-        button.disabled = false;
-
-        if (canAfford) {
-          button.style.opacity = '1';
-        } else {
-          button.classList.add('unaffordable');
-          button.style.opacity = '0.5';
-        }
-      } else {
-        button.classList.add('locked');
-        button.disabled = true;
-        button.style.opacity = '0.4';
-      }
-    });
-  };
-
-  // Update research stats periodically
-  const updateResearchStats = () => {
-    if (researchStatsElement) {
-      const stats = researchManager.getStats();
-      researchStatsElement.textContent = `Completed: ${stats.completed}/${stats.total} | Available: ${stats.available}`;
-    }
-  };
-
-  // Update immediately and periodically
-  updateResearchButtons();
-  updateResearchStats();
-  setInterval(updateResearchButtons, 500);
-  setInterval(updateResearchStats, 1000);
-}
-
-// Example usage and initialization
-document.addEventListener('DOMContentLoaded', async function() {
-  console.log('Initializing tile game...');
-
-  // Initialize event queue
-  const eventQueue = new EventQueue();
-  console.log('Event queue initialized');
-
-  // Initialize save manager
-  const saveManager = new SaveManager({
-    autoSaveInterval: 30000 // Auto-save every 30 seconds (optional)
-  });
-
-  // Initialize resource manager
-  const resourceManager = new ResourceManager();
-  console.log('Resource manager initialized');
-
-  // Initialize building manager with event queue
-  const buildingManager = new BuildingManager(resourceManager, eventQueue);
-  console.log('Building manager initialized');
-
-  // Initialize research manager
-  const researchManager = new ResearchManager(resourceManager, eventQueue);
-  console.log('Research manager initialized');
-
-  // Connect research manager to building manager (for unlock checks)
-  buildingManager.setResearchManager(researchManager);
-
-  // Load the tile atlas first
-  try {
-    console.log('Loading tile atlas...');
-    await atlasManager.loadAtlas('./tile_sprites/tile_atlas.png');
-    console.log('Tile atlas loaded successfully!');
-  } catch (error) {
-    console.warn('Failed to load tile atlas, using fallback colors:', error);
-  }
-
-  // Load building sprites
-  try {
-    console.log('Loading building sprites...');
-    await Promise.all([
-      atlasManager.loadBuildingSprite('house', './tile_sprites/pixelarthouse.png'),
-      atlasManager.loadBuildingSprite('barn', './tile_sprites/barn.png'),
-      atlasManager.loadBuildingSprite('farmland', './tile_sprites/farmland.png'),
-      atlasManager.loadBuildingSprite('lumberyard', './tile_sprites/lumberyard.png'),
-      atlasManager.loadBuildingSprite('cobblepath', './tile_sprites/cobblepath.png'),
-      atlasManager.loadBuildingSprite('stonequarry', './tile_sprites/stonequarry.png'),
-      atlasManager.loadBuildingSprite('warehouse', './tile_sprites/warehouse.png'),
-      atlasManager.loadBuildingSprite('researchLab', './tile_sprites/researchLab.png')
-    ]);
-    console.log('Building sprites loaded successfully!');
-  } catch (error) {
-    console.warn('Failed to load some building sprites, using fallback colors:', error);
-  }
-
-  // Create a canvas manager instance
-  const canvasManager = new CanvasManager(1600, 900);
-
-  // Create the canvas
-  const canvas = canvasManager.createCanvas();
-
-  if (canvas) {
-    // Initialize the infinite grid with 32px base tile size
-    const grid = canvasManager.initializeGrid(32);
-
-    if (grid) {
-      console.log('Interactive infinite grid initialized successfully!');
-      console.log('- Click and drag to pan around the grid');
-      console.log('- Scroll wheel to zoom in/out');
-      console.log('- Base tile size: 32px');
-      console.log('- Grid dimensions: infinite');
-
-      // Validate worldGenerator is properly initialized
-      if (!grid.worldGenerator) {
-        console.error('Grid worldGenerator not initialized - world controls will be disabled');
-      } else {
-        console.log('WorldGenerator initialized successfully');
-      }
-
-      // Connect building manager to grid (needed before loading saved buildings)
-      grid.setBuildingManager(buildingManager);
-
-      // Initialize tooltip manager
-      const tooltipManager = new TooltipManager();
-      grid.setTooltipManager(tooltipManager);
-      console.log('Tooltip manager initialized');
-
-      // Set up save manager with references to game managers
-      saveManager.setManagers({
-        resourceManager,
-        buildingManager,
-        researchManager,
-        grid
-      });
-
-      // Check for saved game and load if it exists
-      if (saveManager.hasSavedGame()) {
-        console.log('📂 Found saved game, loading...');
-        const saveData = saveManager.loadGame();
-        if (saveData) {
-          saveManager.applySaveData(saveData);
-          console.log('✅ Saved game loaded successfully!');
-        } else {
-          console.warn('⚠️ Failed to load saved game, starting fresh');
-          // Apply default starting resources
-          resourceManager.setResource('wood', 50);
-          console.log('Starting resources: 50 wood');
-        }
-      } else {
-        console.log('No saved game found, starting fresh');
-        // Apply default starting resources
-        resourceManager.setResource('wood', 50);
-        console.log('Starting resources: 50 wood');
-      }
-
-      // Info display elements already exist in HTML - just get references for updates
-
-      // Update viewport info during interaction
-      const updateViewportInfo = () => {
-        const viewportInfo = canvasManager.getGridInfo();
-        if (viewportInfo) {
-          const viewportInfoElement = document.getElementById('viewport-info');
-          const zoomInfoElement = document.getElementById('zoom-info');
-          const modeInfoElement = document.getElementById('mode-info');
-          const paintInfoElement = document.getElementById('paint-info');
-          const terrainInfoElement = document.getElementById('terrain-info');
-          const atlasInfoElement = document.getElementById('atlas-info');
-
-          if (viewportInfoElement) {
-            // Calculate center grid coordinates
-            const centerX = (viewportInfo.x + canvas.width / 2) / viewportInfo.tileSize;
-            const centerY = (viewportInfo.y + canvas.height / 2) / viewportInfo.tileSize;
-
-            viewportInfoElement.textContent =
-              `Center: (${Math.round(centerX)}, ${Math.round(centerY)})`;
-          }
-
-          if (zoomInfoElement) {
-            zoomInfoElement.textContent =
-              `Zoom: ${viewportInfo.zoomLevel.toFixed(1)}x (${Math.round(viewportInfo.tileSize)}px tiles)`;
-          }
-
-          if (modeInfoElement && grid) {
-            let mode = 'Pan';
-            if (grid.selectionMode) mode = 'Selection';
-            else if (grid.paintMode) mode = 'Paint';
-            modeInfoElement.textContent = `Mode: ${mode}`;
-          }
-
-          if (paintInfoElement && grid) {
-            const counts = grid.getTotalTilesCount();
-            paintInfoElement.textContent = `Painted: ${counts.painted} | Generated: ${counts.generated}`;
-          }
-
-          // Show terrain info for center tile
-          if (terrainInfoElement && grid) {
-            const centerX = Math.floor((viewportInfo.x + canvas.width / 2) / viewportInfo.tileSize);
-            const centerY = Math.floor((viewportInfo.y + canvas.height / 2) / viewportInfo.tileSize);
-            const centerTile = grid.getOrGenerateTile(centerX, centerY);
-
-            if (centerTile && centerTile.terrainType) {
-              terrainInfoElement.textContent = `Terrain: ${centerTile.terrainType.name} (${centerTile.elevation.toFixed(2)})`;
-            } else {
-              terrainInfoElement.textContent = 'Terrain: None';
-            }
-          }
-
-          // Show atlas status
-          if (atlasInfoElement) {
-            const atlasStatus = atlasManager.getStatus();
-            const statusText = atlasStatus.isLoaded ?
-              `Atlas: ✓ (${atlasStatus.cacheSize} cached)` :
-              'Atlas: ✗ (using colors)';
-            atlasInfoElement.textContent = statusText;
-          }
-        }
-      };
-
-      // Update info periodically
-      setInterval(updateViewportInfo, 100);
-
-      // Start building resource generation
-      buildingManager.startGeneration();
-
-      // Start auto-save (if enabled)
-      saveManager.startAutoSave();
-
-      // Setup world generation controls
-      try {
-        setupWorldControls(grid);
-      } catch (error) {
-        console.error('Error setting up world controls:', error);
-        console.warn('World controls unavailable, but continuing with initialization');
-      }
-
-      // Setup paint controls (now for buildings)
-      try {
-        setupPaintControls(grid, buildingManager);
-      } catch (error) {
-        console.error('Error setting up paint controls:', error);
-        console.warn('Paint controls unavailable, but continuing with initialization');
-      }
-
-      // Setup resource display
-      try {
-        setupResourceDisplay(resourceManager);
-        console.log('Resource display initialized');
-      } catch (error) {
-        console.error('Error setting up resource display:', error);
-      }
-
-      // Setup save controls
-      try {
-        setupSaveControls(saveManager);
-        console.log('Save controls initialized');
-      } catch (error) {
-        console.error('Error setting up save controls:', error);
-      }
-
-      // Setup research controls
-      try {
-        setupResearchControls(researchManager);
-        console.log('Research controls initialized');
-      } catch (error) {
-        console.error('Error setting up research controls:', error);
-      }
-
-      // Initialize Research tab visibility based on whether player has a research lab
-      try {
-        const researchTab = document.querySelector('[data-window="researchControls"]');
-        if (researchTab) {
-          if (buildingManager.hasResearchLab()) {
-            researchTab.style.display = 'block';
-            console.log('Research tab shown - Research Lab found');
-          } else {
-            researchTab.style.display = 'none';
-            console.log('Research tab hidden - No Research Lab');
-          }
-        }
-      } catch (error) {
-        console.error('Error setting Research tab visibility:', error);
-      }
-
-      // Initialize paint controls visibility (hidden by default)
-      //grid.updatePaintControlsVisibility();
-
-      // Add welcome messages to event queue
-      eventQueue.addMessage('Welcome to the game!');
-      eventQueue.addMessage('Use the sidebar to navigate controls.');
-      eventQueue.addMessage('Press 1 to use the Pan tool to explore the world (default)');
-      eventQueue.addMessage('Press 2 to highlight an individual tile');
-      eventQueue.addMessage('Press 3 to place the selected building in the sidebar menu');
-
-      // Make canvas manager globally accessible for debugging
-      window.canvasManager = canvasManager;
-      window.grid = grid;
-      window.resources = resourceManager;
-      window.buildings = buildingManager;
-      window.research = researchManager;
-      window.saveManager = saveManager;
-      window.eventQueue = eventQueue;
-      window.tooltipManager = tooltipManager;
-
-      // Add tile system testing functions
-      window.validateTiles = () => grid.validateTileSystem();
-      window.exportTiles = () => grid.exportTileData();
-      window.importTiles = (data) => grid.importTileData(data);
-      window.getDragState = () => grid.getDragState();
-
-      // Add atlas debugging functions
-      window.atlasManager = atlasManager;
-      window.getAtlasStatus = () => atlasManager.getStatus();
-      window.clearAtlasCache = () => atlasManager.clearCache();
-
-      // Test function to verify moveViewportToOrigin is accessible
-      window.testMoveToOrigin = function() {
-        console.log('Testing moveViewportToOrigin function...');
-        console.log('Grid object:', grid);
-        console.log('moveViewportToOrigin function:', grid.moveViewportToOrigin);
-        if (typeof grid.moveViewportToOrigin === 'function') {
-          console.log('Function exists! Calling it...');
-          grid.moveViewportToOrigin();
-        } else {
-          console.error('moveViewportToOrigin is not a function!');
-        }
-      };
-      console.log('Test function added. Call window.testMoveToOrigin() in console to test.');
-    }
-  }
-});
+import { Grid } from './grid.js';
+import { WorldPresets } from './worldGenerator.js';
+import { atlasManager } from './atlasManager.js';
+import { BUILDING_CONFIGS } from './buildings.js';
+import { SaveManager } from './saveManager.js';
+import { EventQueue } from './eventQueue.js';
+import { TooltipManager } from './tooltips.js';
+import { RESEARCH_CONFIGS } from './research.js';
+import { CommandHistory } from './commandHistory.js';
+import { createGameCore } from './simulation.js';
+
+// Canvas Manager class for state management
+class CanvasManager {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.canvas = null;
+    this.grid = null;
+    this.isInitialized = false;
+  }
+
+  // Create and setup the canvas
+  createCanvas() {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.canvas.style.border = '1px solid #ccc';
+    this.canvas.style.cursor = 'grab';
+    this.canvas.style.display = 'block';
+
+    const canvasWrapper = document.querySelector('.canvas-wrapper');
+    if (canvasWrapper) {
+      // Insert canvas as first child
+      canvasWrapper.insertBefore(this.canvas, canvasWrapper.firstChild);
+      this.isInitialized = true;
+    } else {
+      console.error('canvas-wrapper element not found');
+      return null;
+    }
+
+    return this.canvas;
+  }
+
+  // Initialize the grid system (infinite grid)
+  initializeGrid(baseTileSize = 32) {
+    if (!this.canvas) {
+      console.error('Canvas must be created before initializing grid');
+      return null;
+    }
+
+    this.grid = new Grid(this.canvas, baseTileSize);
+    //this.grid.render(); // Initial render
+    return this.grid;
+  }
+
+  // Resize the canvas
+  resize(width, height) {
+    if (this.canvas) {
+      this.width = width;
+      this.height = height;
+      this.canvas.width = width;
+      this.canvas.height = height;
+
+      if (this.grid) {
+        this.grid.render(); // Re-render after resize
+      }
+    }
+  }
+
+  // Get canvas dimensions
+  getDimensions() {
+    return { width: this.width, height: this.height };
+  }
+
+  // Clear the canvas
+  clear() {
+    if (this.canvas) {
+      const ctx = this.canvas.getContext('2d');
+      ctx.clearRect(0, 0, this.width, this.height);
+    }
+  }
+
+  // Show/hide the canvas
+  setVisible(visible) {
+    if (this.canvas) {
+      this.canvas.style.display = visible ? 'block' : 'none';
+    }
+  }
+
+  // Get grid info if available
+  getGridInfo() {
+    return this.grid ? this.grid.getViewportInfo() : null;
+  }
+
+  // Cleanup
+  destroy() {
+    if (this.grid) {
+      this.grid.destroy();
+      this.grid = null;
+    }
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    this.canvas = null;
+    this.isInitialized = false;
+  }
+}
+
+// Legacy function for backwards compatibility
+function createCanvas(width, height) {
+  const manager = new CanvasManager(width, height);
+  return manager.createCanvas();
+}
+
+// Positioning utilities removed - now handled by CSS
+
+// Setup world generation controls functionality
+function setupWorldControls(grid, gameClock) {
+  // Validate grid and worldGenerator existence
+  if (!grid || !grid.worldGenerator) {
+    console.error('setupWorldControls: Invalid grid or missing worldGenerator');
+    return null;
+  }
+
+  // Get initial seed value with null safety and update the input
+  const initialSeed = grid.worldGenerator.seed || Math.random();
+  const seedInputValue = Math.floor(initialSeed * 1000000);
+  const seedInput = document.querySelector('#worldSeed');
+  if (seedInput) {
+    //seedInput.value = seedInputValue;
+  }
+
+  // Toggle generation button
+  const toggleBtn = document.querySelector('#toggleGeneration');
+  if (toggleBtn) {
+    toggleBtn.addEventListener('click', () => {
+      if (!grid || typeof grid.disableProceduralGeneration !== 'function' || typeof grid.enableProceduralGeneration !== 'function') {
+        console.error('Grid methods not available for toggle generation');
+        return;
+      }
+
+      if (grid.proceduralGeneration) {
+        grid.disableProceduralGeneration();
+        toggleBtn.textContent = 'Enable Generation';
+      } else {
+        grid.enableProceduralGeneration();
+        toggleBtn.textContent = 'Disable Generation';
+      }
+    });
+  }
+
+  // Regenerate world button
+  const regenerateBtn = document.querySelector('#regenerateWorld');
+  if (regenerateBtn) {
+    regenerateBtn.addEventListener('click', () => {
+      if (!grid || typeof grid.clearGeneratedTerrain !== 'function') {
+        console.error('Grid clearGeneratedTerrain method not available');
+        return;
+      }
+      grid.clearGeneratedTerrain();
+    });
+  }
+
+  // Seed controls - seedInput already declared above
+  const randomSeedBtn = document.querySelector('#randomSeed');
+
+  if (seedInput) {
+    seedInput.addEventListener('change', () => {
+      if (!grid || typeof grid.setWorldSeed !== 'function') {
+        console.error('Grid setWorldSeed method not available');
+        return;
+      }
+      const seed = parseFloat(seedInput.value) / 1000000;
+      grid.setWorldSeed(seed);
+    });
+  }
+
+  if (randomSeedBtn) {
+    randomSeedBtn.addEventListener('click', () => {
+      if (!grid || typeof grid.setWorldSeed !== 'function' || !seedInput) {
+        console.error('Grid setWorldSeed method or seedInput not available');
+        return;
+      }
+      const newSeed = Math.random();
+      seedInput.value = Math.floor(newSeed * 1000000);
+      grid.setWorldSeed(newSeed);
+    });
+  }
+
+  // Preset selector
+  const presetSelect = document.querySelector('#worldPreset');
+  if (presetSelect) {
+    presetSelect.addEventListener('change', () => {
+      if (!grid || typeof grid.updateWorldParameters !== 'function') {
+        console.error('Grid updateWorldParameters method not available');
+        return;
+      }
+      const presetName = presetSelect.value;
+      if (presetName && WorldPresets[presetName]) {
+        const preset = WorldPresets[presetName];
+        grid.updateWorldParameters(preset);
+
+        // Update UI to reflect preset values
+        updateControlsFromGrid(grid);
+      }
+    });
+  }
+
+  // Slider controls
+  const scaleSlider = document.querySelector('#worldScale');
+  const scaleValue = document.querySelector('#scaleValue');
+  const octaveSlider = document.querySelector('#worldOctaves');
+  const octaveValue = document.querySelector('#octaveValue');
+  const persistenceSlider = document.querySelector('#worldPersistence');
+  const persistenceValue = document.querySelector('#persistenceValue');
+
+  if (scaleSlider && scaleValue) {
+    scaleSlider.addEventListener('input', () => {
+      if (!grid || typeof grid.updateWorldParameters !== 'function') {
+        console.error('Grid updateWorldParameters method not available');
+        return;
+      }
+      const value = parseFloat(scaleSlider.value);
+      scaleValue.textContent = value.toFixed(3);
+      grid.updateWorldParameters({ scale: value });
+    });
+  }
+
+  if (octaveSlider && octaveValue) {
+    octaveSlider.addEventListener('input', () => {
+      if (!grid || typeof grid.updateWorldParameters !== 'function') {
+        console.error('Grid updateWorldParameters method not available');
+        return;
+      }
+      const value = parseInt(octaveSlider.value);
+      octaveValue.textContent = value;
+      grid.updateWorldParameters({ octaves: value });
+    });
+  }
+
+  if (persistenceSlider && persistenceValue) {
+    persistenceSlider.addEventListener('input', () => {
+      if (!grid || typeof grid.updateWorldParameters !== 'function') {
+        console.error('Grid updateWorldParameters method not available');
+        return;
+      }
+      const value = parseFloat(persistenceSlider.value);
+      persistenceValue.textContent = value.toFixed(1);
+      grid.updateWorldParameters({ persistence: value });
+    });
+  }
+
+  // Update controls from grid state
+  function updateControlsFromGrid(grid) {
+    if (!grid || typeof grid.getWorldStats !== 'function') {
+      console.error('Grid getWorldStats method not available');
+      return;
+    }
+
+    try {
+      const stats = grid.getWorldStats();
+      if (stats && stats.parameters) {
+        if (scaleSlider) scaleSlider.value = stats.parameters.scale;
+        if (scaleValue) scaleValue.textContent = stats.parameters.scale.toFixed(3);
+        if (octaveSlider) octaveSlider.value = stats.parameters.octaves;
+        if (octaveValue) octaveValue.textContent = stats.parameters.octaves;
+        if (persistenceSlider) persistenceSlider.value = stats.parameters.persistence;
+        if (persistenceValue) persistenceValue.textContent = stats.parameters.persistence.toFixed(1);
+        if (seedInput) seedInput.value = Math.floor(stats.seed * 1000000);
+      }
+    } catch (error) {
+      console.error('Error updating controls from grid:', error);
+    }
+  }
+
+  // Update stats periodically (real time - tile counts change while panning, even when paused)
+  const statsElement = document.querySelector('#worldStats');
+  if (statsElement) {
+    gameClock.addTask('worldStats', 1000, () => {
+      if (!grid || typeof grid.getTotalTilesCount !== 'function') {
+        return;
+      }
+      try {
+        const counts = grid.getTotalTilesCount();
+        if (counts) {
+          statsElement.textContent = `Generated: ${counts.generated} | Painted: ${counts.painted}`;
+        }
+      } catch (error) {
+        console.error('Error updating stats:', error);
+      }
+    }, { realTime: true });
+  }
+}
+
+// Format a resource map as "15 wood, 5 stone" (with an optional unit suffix on each amount)
+function formatResourceList(resources, suffix = '') {
+  return Object.entries(resources || {})
+    .map(([type, amount]) => `${amount}${suffix} ${type}`)
+    .join(', ');
+}
+
+// Build the palette tooltip for a building straight from its config
+// costs/extraTerrain: construction costs and terrain permissions after research modifiers
+function describeBuilding(config, costs = config.costs, extraTerrain = []) {
+  const lines = [`${config.name} - ${config.description}`];
+
+  const costStr = formatResourceList(costs);
+  lines.push(`Cost: ${costStr || 'free'}`);
+
+  const generationStr = formatResourceList(config.generation, '/s');
+  if (generationStr) {
+    lines.push(`Produces: ${generationStr}`);
+  }
+
+  const inputStr = formatResourceList(config.inputs, '/s');
+  if (inputStr) {
+    lines.push(`Consumes: ${inputStr}`);
+  }
+
+  const upkeepStr = formatResourceList(config.upkeep, '/s');
+  if (upkeepStr) {
+    lines.push(`Upkeep per resident: ${upkeepStr}`);
+  }
+
+  const placedEffects = config.effects?.onPlaced || {};
+  const effectStr = Object.entries(placedEffects)
+    .map(([key, value]) => {
+      if (key === 'worker') return `+${value} residents`;
+      if (key.endsWith('Cap')) return `+${value} ${key.slice(0, -3)} cap`;
+      return `${key}: ${value}`;
+    })
+    .join(', ');
+  if (effectStr) {
+    lines.push(`Effects: ${effectStr}`);
+  }
+
+  if (config.workers) {
+    lines.push(`Workers: ${config.workers}`);
+  }
+
+  if (config.terrain) {
+    let terrainStr = config.terrain.allowed
+      ? `${config.terrain.description} only`
+      : `not on ${config.terrain.description}`;
+    if (extraTerrain.length > 0) {
+      terrainStr += ` (research: also ${extraTerrain.join(', ')})`;
+    }
+    lines.push(`Terrain: ${terrainStr}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Setup paint controls functionality (now for buildings)
+// The palette is generated from BUILDING_CONFIGS; research decides which buttons are unlocked
+function setupPaintControls(grid, buildingManager, gameClock) {
+  const palette = document.querySelector('#buildingPalette');
+  const currentBuildingIndicator = document.querySelector('#paintControls .building-indicator');
+
+  if (!palette) {
+    console.warn('Building palette element not found');
+    return;
+  }
+
+  palette.innerHTML = '';
+  const buildingButtons = [];
+
+  for (const config of Object.values(BUILDING_CONFIGS)) {
+    const button = document.createElement('button');
+    button.className = 'building-btn';
+    button.dataset.building = config.type;
+    button.style.backgroundColor = config.display.color;
+    button.style.color = 'white';
+
+    const nameElement = document.createElement('span');
+    nameElement.className = 'building-btn-name';
+    nameElement.textContent = `${config.display.icon} ${config.name}`;
+
+    const detailElement = document.createElement('span');
+    detailElement.className = 'building-btn-detail';
+
+    button.appendChild(nameElement);
+    button.appendChild(detailElement);
+
+    if (config.type === grid.currentBuildingType) {
+      button.classList.add('active');
+      if (currentBuildingIndicator) {
+        currentBuildingIndicator.textContent = nameElement.textContent;
+      }
+    }
+
+    button.addEventListener('click', () => {
+      grid.setBuildingType(config.type);
+
+      // Update visual feedback
+      buildingButtons.forEach(btn => btn.classList.remove('active'));
+      button.classList.add('active');
+      if (currentBuildingIndicator) {
+        currentBuildingIndicator.textContent = nameElement.textContent;
+      }
+    });
+
+    palette.appendChild(button);
+    buildingButtons.push(button);
+  }
+
+  // Update button affordability and locked state periodically
+  const updateBuildingAffordability = () => {
+    const researchManager = buildingManager.researchManager;
+
+    buildingButtons.forEach(button => {
+      const buildingType = button.dataset.building;
+      const config = BUILDING_CONFIGS[buildingType];
+      const nameElement = button.querySelector('.building-btn-name');
+      const detailElement = button.querySelector('.building-btn-detail');
+      const baseName = `${config.display.icon} ${config.name}`;
+      const costs = buildingManager.getBuildingCosts(buildingType);
+      const extraTerrain = buildingManager.getTerrainPermissions(buildingType);
+      const costStr = formatResourceList(costs) || 'free';
+
+      // Check if building is locked via research
+      const isLocked = researchManager && !researchManager.isBuildingUnlocked(buildingType);
+
+      if (isLocked) {
+        // Building is locked - grey it out and name the research that unlocks it
+        const research = researchManager.getUnlockingResearch(buildingType);
+        const requirement = research ? research.name : 'research';
+
+        button.classList.add('locked');
+        button.classList.remove('unaffordable');
+        button.disabled = true;
+        nameElement.textContent = `🔒 ${baseName}`;
+        detailElement.textContent = `Requires: ${requirement}`;
+        button.title = `${describeBuilding(config, costs, extraTerrain)}\n[LOCKED - Research ${requirement} to unlock]`;
+      } else {
+        // Building is unlocked - check affordability
+        const canAfford = buildingManager.canAffordBuilding(buildingType);
+
+        button.classList.remove('locked');
+        button.classList.toggle('unaffordable', !canAfford);
+        button.disabled = false;
+        nameElement.textContent = baseName;
+        detailElement.textContent = costStr;
+        button.title = describeBuilding(config, costs, extraTerrain);
+      }
+    });
+  };
+
+  // Update affordability immediately and periodically
+  updateBuildingAffordability();
+  gameClock.addTask('buildingAffordability', 500, updateBuildingAffordability, { realTime: true });
+
+  // Clear all button event listener
+  const clearAllBtn = document.querySelector('#clearAllBtn');
+  if (clearAllBtn) {
+    clearAllBtn.addEventListener('click', () => {
+      if (confirm('Clear all buildings?')) {
+        grid.clearAllPaint();
+      }
+    });
+  }
+
+  // Update building stats periodically
+  const buildingStatsElement = document.querySelector('#buildingStats');
+  if (buildingStatsElement) {
+    gameClock.addTask('buildingStats', 500, () => {
+      const stats = buildingManager.getStats();
+      const hunger = stats.starving ? ' (starving!)' : '';
+      buildingStatsElement.textContent = `Population: ${stats.population}${hunger} | Food upkeep: ${stats.foodUpkeep.toFixed(2)}/s | Houses: ${stats.houses} | Farms: ${stats.farms} | Lumberyards: ${stats.lumberyards} | Paths: ${stats.cobblepaths}`;
+    }, { realTime: true });
+  }
+}
+
+// Setup staffing panel for the selected building
+function setupStaffingControls(grid, buildingManager) {
+  const staffingPanel = document.getElementById('staffingPanel');
+  const buildingLabel = document.getElementById('staffingBuilding');
+  const workersLabel = document.getElementById('staffingWorkers');
+  const assignBtn = document.getElementById('assignWorkerBtn');
+  const unassignBtn = document.getElementById('unassignWorkerBtn');
+
+  if (!staffingPanel || !buildingLabel || !workersLabel || !assignBtn || !unassignBtn) {
+    console.warn('Staffing controls not found in DOM');
+    return;
+  }
+
+  // Get the selected building if it employs workers
+  const getSelectedBuilding = () => {
+    const selected = grid.getSelectedTile();
+    if (!selected) return null;
+
+    const building = buildingManager.getBuilding(selected.x, selected.y);
+    if (!building || building.getRequiredWorkers() <= 0) return null;
+
+    return building;
+  };
+
+  const updateStaffingPanel = () => {
+    const building = getSelectedBuilding();
+    if (!building) {
+      staffingPanel.style.display = 'none';
+      return;
+    }
+
+    const required = building.getRequiredWorkers();
+    const idle = buildingManager.resourceManager.getIdleWorkers();
+
+    staffingPanel.style.display = 'block';
+    buildingLabel.textContent = `${building.config.display.icon} ${building.config.name} (${building.x}, ${building.y})`;
+    workersLabel.textContent = `${building.assignedWorkers}/${required}`;
+    workersLabel.style.color = building.assignedWorkers < required ? '#ffa500' : '';
+
+    assignBtn.disabled = building.assignedWorkers >= required || idle <= 0;
+    unassignBtn.disabled = building.assignedWorkers <= 0;
+  };
+
+  const adjustWorkers = (delta) => {
+    const building = getSelectedBuilding();
+    if (!building) return;
+
+    const result = buildingManager.adjustBuildingWorkers(building.x, building.y, delta);
+    if (!result.success) {
+      buildingManager.eventQueue?.addMessage(`⚠️ Could not staff ${building.config.name}: ${result.error}`, 'warning');
+    }
+  };
+
+  assignBtn.addEventListener('click', () => adjustWorkers(1));
+  unassignBtn.addEventListener('click', () => adjustWorkers(-1));
+
+  // Building changes (staffing, placement, demolition) and selection clicks are the only things that
+  // change what the panel shows
+  buildingManager.addListener(() => updateStaffingPanel());
+  grid.canvas.addEventListener('click', updateStaffingPanel);
+
+  updateStaffingPanel();
+}
+
+// Setup pause/speed buttons and the clock indicator
+function setupClockControls(gameClock) {
+  const pauseBtn = document.getElementById('pauseBtn');
+  const statusElement = document.getElementById('clockStatus');
+  const speedButtons = document.querySelectorAll('.clock-btn[data-speed]');
+
+  if (!pauseBtn || !statusElement) {
+    console.warn('Clock controls not found in DOM');
+    return;
+  }
+
+  const updateIndicator = ({ paused, speed }) => {
+    pauseBtn.classList.toggle('active', paused);
+    pauseBtn.textContent = paused ? '▶' : '⏸';
+    speedButtons.forEach(button => {
+      button.classList.toggle('active', !paused && Number(button.dataset.speed) === speed);
+    });
+
+    statusElement.textContent = paused ? `⏸️ Paused (${speed}x)` : `▶️ Running at ${speed}x`;
+    statusElement.classList.toggle('paused', paused);
+  };
+
+  pauseBtn.addEventListener('click', () => gameClock.togglePause());
+  speedButtons.forEach(button => {
+    button.addEventListener('click', () => gameClock.setSpeed(Number(button.dataset.speed)));
+  });
+
+  gameClock.addListener(updateIndicator);
+  updateIndicator(gameClock.getState());
+}
+
+// Setup resource display updates
+// Renders one row per registered resource, so new resources show up automatically
+function setupResourceDisplay(resourceManager, gameClock) {
+  const container = document.getElementById('resourcesDisplay');
+  if (!container) {
+    console.warn('Resource display container not found in DOM');
+    return;
+  }
+
+  // Resource rows by type, created on first update
+  const resourceElements = new Map();
+
+  // Get (or create) the display row for a resource type
+  const getResourceElement = (type) => {
+    if (resourceElements.has(type)) {
+      return resourceElements.get(type);
+    }
+
+    const element = document.createElement('span');
+    element.id = `${type}Amount`;
+    container.appendChild(element);
+    resourceElements.set(type, element);
+    return element;
+  };
+
+  // Helper function to format resource display with cap
+  const formatResource = (definition, value, element) => {
+    const type = definition.id;
+    const cap = resourceManager.getResourceCap(type);
+    const percentage = resourceManager.getCapPercentage(type);
+    const label = definition.icon ? `${definition.icon} ${definition.name}` : definition.name;
+
+    // Format based on whether resource has a cap
+    let displayText;
+    if (cap === Infinity) {
+      displayText = `${label}: ${value.toFixed(definition.precision)}`;
+    } else {
+      displayText = `${label}: ${value.toFixed(definition.precision)}/${cap}`;
+    }
+
+    // Apply color based on cap percentage
+    if (element) {
+      if (percentage >= 100) {
+        element.style.color = '#ff6b6b'; // Red when at cap
+        element.style.fontWeight = 'bold';
+      } else if (percentage >= 90) {
+        element.style.color = '#ffa500'; // Orange when near cap
+        element.style.fontWeight = 'bold';
+      } else {
+        element.style.color = ''; // Default color
+        element.style.fontWeight = '';
+      }
+    }
+
+    return displayText;
+  };
+
+  // Format seconds as a short duration (e.g. "45s", "3m 20s", "1h 5m")
+  const formatDuration = (seconds) => {
+    const total = Math.ceil(seconds);
+    if (total < 60) return `${total}s`;
+    if (total < 3600) return `${Math.floor(total / 60)}m ${total % 60}s`;
+    return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+  };
+
+  // Net income per second plus time until full/empty (e.g. "+0.75/s, full in 1m 20s")
+  const formatRate = (type) => {
+    const { net } = resourceManager.getRate(type);
+    if (Math.abs(net) < 0.005) return '';
+
+    const sign = net > 0 ? '+' : '-';
+    let rateText = ` ${sign}${Math.abs(net).toFixed(2)}/s`;
+
+    const estimate = resourceManager.getTimeEstimate(type);
+    if (estimate && estimate.seconds > 0) {
+      rateText += `, ${estimate.event} in ${formatDuration(estimate.seconds)}`;
+    }
+    return rateText;
+  };
+
+  // Update display function
+  const updateDisplay = (type, value) => {
+    const definition = resourceManager.getResourceDefinition(type);
+    if (!definition) return;
+
+    const element = getResourceElement(type);
+    let displayText = formatResource(definition, value, element);
+
+    // Workers also show how much of the labor pool is employed
+    if (type === 'worker') {
+      const employed = resourceManager.getEmployedWorkers();
+      const idle = resourceManager.getIdleWorkers();
+      displayText += ` (${employed} employed, ${idle} idle)`;
+    } else {
+      displayText += formatRate(type);
+    }
+
+    element.textContent = displayText;
+  };
+
+  // Refresh all rows so rates decay even when a resource stops changing
+  const refreshAll = () => {
+    resourceManager.getResourceDefinitions().forEach(definition => {
+      updateDisplay(definition.id, resourceManager.getResource(definition.id));
+    });
+  };
+
+  // Register listener with resource manager
+  resourceManager.addListener(updateDisplay);
+
+  // Initial display update (registration order)
+  container.innerHTML = '';
+  refreshAll();
+  gameClock.addTask('resourceDisplay', 1000, refreshAll, { realTime: true });
+}
+
+// Setup statistics window (resource history chart and building counts)
+function setupStatisticsControls(statisticsManager, resourceManager, buildingManager) {
+  const statisticsWindow = document.getElementById('statisticsControls');
+  const chartCanvas = document.getElementById('statisticsChart');
+  const legendElement = document.getElementById('statisticsLegend');
+  const buildingsElement = document.getElementById('statisticsBuildings');
+  const infoElement = document.getElementById('statisticsInfo');
+
+  if (!statisticsWindow || !chartCanvas || !legendElement || !buildingsElement || !infoElement) {
+    console.warn('Statistics controls not found in DOM');
+    return;
+  }
+
+  const ctx = chartCanvas.getContext('2d');
+  const padding = 6;
+
+  // Draw one line per resource on a shared y-axis
+  const drawChart = (snapshots) => {
+    const { width, height } = chartCanvas;
+    const definitions = resourceManager.getResourceDefinitions();
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#2c3e50';
+    ctx.fillRect(0, 0, width, height);
+
+    if (snapshots.length < 2) {
+      ctx.fillStyle = '#7f8c8d';
+      ctx.font = '11px sans-serif';
+      ctx.fillText('Collecting data...', padding, height / 2);
+      return;
+    }
+
+    // Scale to the largest value recorded for any resource
+    let maxValue = 1;
+    for (const snapshot of snapshots) {
+      for (const definition of definitions) {
+        maxValue = Math.max(maxValue, snapshot.resources[definition.id] ?? 0);
+      }
+    }
+
+    const chartWidth = width - padding * 2;
+    const chartHeight = height - padding * 2;
+    const toX = (index) => padding + (index / (snapshots.length - 1)) * chartWidth;
+    const toY = (value) => padding + chartHeight - (value / maxValue) * chartHeight;
+
+    // Horizontal guide lines at quarters of the max value
+    ctx.strokeStyle = '#34495e';
+    ctx.lineWidth = 1;
+    for (let i = 1; i <= 3; i++) {
+      const y = padding + (chartHeight * i) / 4;
+      ctx.beginPath();
+      ctx.moveTo(padding, y);
+      ctx.lineTo(width - padding, y);
+      ctx.stroke();
+    }
+
+    // Resource lines
+    ctx.lineWidth = 1.5;
+    for (const definition of definitions) {
+      ctx.strokeStyle = definition.color;
+      ctx.beginPath();
+      snapshots.forEach((snapshot, index) => {
+        const x = toX(index);
+        const y = toY(snapshot.resources[definition.id] ?? 0);
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    }
+
+    // Max value label
+    ctx.fillStyle = '#bdc3c7';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(maxValue.toFixed(0), padding + 2, padding + 10);
+  };
+
+  // Color key for the chart lines
+  const updateLegend = () => {
+    legendElement.innerHTML = resourceManager.getResourceDefinitions()
+      .map(definition => `<span class="statistics-legend-item"><span class="statistics-swatch" style="background-color: ${definition.color}"></span>${definition.name}</span>`)
+      .join('');
+  };
+
+  // Building counts from the latest snapshot
+  const updateBuildingCounts = (snapshot) => {
+    const counts = snapshot ? snapshot.buildings : {};
+    buildingsElement.innerHTML = Object.entries(counts)
+      .map(([type, count]) => {
+        const config = buildingManager.getBuildingConfig(type);
+        const label = config ? `${config.display.icon} ${config.name}` : type;
+        return `<span>${label}: ${count}</span>`;
+      })
+      .join('');
+  };
+
+  const updateStatistics = () => {
+    // Skip drawing while the window is closed
+    if (!statisticsWindow.classList.contains('active')) return;
+
+    const snapshots = statisticsManager.getSnapshots();
+    const latest = statisticsManager.getLatestSnapshot();
+
+    drawChart(snapshots);
+    updateLegend();
+    updateBuildingCounts(latest);
+
+    if (snapshots.length > 0) {
+      const minutes = statisticsManager.getTrackedDuration() / 60000;
+      infoElement.textContent = `${snapshots.length} snapshots | Last ${minutes.toFixed(1)} min | Population: ${latest.population}`;
+    } else {
+      infoElement.textContent = 'No data yet';
+    }
+  };
+
+  // Redraw on every new snapshot and whenever the window is opened
+  statisticsManager.addListener(updateStatistics);
+  const statisticsTab = document.querySelector('[data-window="statisticsControls"]');
+  if (statisticsTab) {
+    statisticsTab.addEventListener('click', updateStatistics);
+  }
+}
+
+// Setup save/load controls
+// Lists every save slot with a thumbnail and metadata; each slot can be loaded, overwritten, renamed or deleted
+function setupSaveControls(saveManager, gameClock) {
+  const saveBtn = document.getElementById('saveGameBtn');
+  const nameInput = document.getElementById('saveNameInput');
+  const slotListElement = document.getElementById('saveSlotList');
+  const saveInfoElement = document.getElementById('saveInfo');
+  const exportBtn = document.getElementById('exportSaveBtn');
+  const importBtn = document.getElementById('importSaveBtn');
+  const importInput = document.getElementById('importSaveInput');
+  const importPreviewElement = document.getElementById('saveImportPreview');
+
+  // Briefly swap a button's label to show the result of an action
+  const flashButton = (button, text) => {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = original;
+    }, 2000);
+  };
+
+  const formatTimeAgo = (timestamp) => {
+    const minutes = Math.floor((Date.now() - timestamp) / 1000 / 60);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours}h ago` : new Date(timestamp).toLocaleDateString();
+  };
+
+  const formatPlaytime = (seconds) => {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  };
+
+  const createActionButton = (label, onClick, extraClass = '') => {
+    const button = document.createElement('button');
+    button.className = `small-btn ${extraClass}`.trim();
+    button.textContent = label;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+  };
+
+  const loadSlot = async (slot) => {
+    if (!confirm(`Load "${slot.name}"? Current progress will be lost if not saved.`)) return;
+
+    if (await saveManager.resumeSlot(slot.id)) {
+      renderSlots();
+    } else {
+      alert('Failed to load save.');
+    }
+  };
+
+  const overwriteSlot = async (slot, button) => {
+    if (!confirm(`Overwrite "${slot.name}" with the current game?`)) return;
+
+    const result = await saveManager.saveToSlot(slot.id);
+    if (result.success) {
+      renderSlots();
+    } else {
+      alert(`Save failed: ${result.error}`);
+      flashButton(button, '✗ Failed');
+    }
+  };
+
+  const renameSlot = async (slot) => {
+    const name = prompt('Rename save:', slot.name);
+    if (name === null) return;
+
+    const result = await saveManager.renameSlot(slot.id, name);
+    if (result.success) {
+      renderSlots();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  // Download a save file built by saveManager.createExportFile
+  const exportToFile = async (slotId, button) => {
+    const result = await saveManager.createExportFile(slotId);
+    if (!result.success) {
+      alert(`Export failed: ${result.error}`);
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([result.contents], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = result.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+    flashButton(button, '✓ Exported');
+  };
+
+  const deleteSlot = async (slot) => {
+    if (!confirm(`Delete "${slot.name}"? This cannot be undone!`)) return;
+
+    const result = await saveManager.deleteSlot(slot.id);
+    if (result.success) {
+      renderSlots();
+    } else {
+      alert(result.error);
+    }
+  };
+
+  const createSlotElement = (slot) => {
+    const slotElement = document.createElement('div');
+    slotElement.className = 'save-slot';
+    if (slot.id === saveManager.activeSlotId) {
+      slotElement.classList.add('active');
+    }
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'save-slot-thumbnail';
+    thumbnail.alt = '';
+    if (slot.thumbnail) {
+      thumbnail.src = slot.thumbnail;
+    }
+
+    const details = document.createElement('div');
+    details.className = 'save-slot-details';
+
+    const name = document.createElement('div');
+    name.className = 'save-slot-name';
+    name.textContent = slot.autosave ? `🔄 ${slot.name}` : slot.name;
+    name.title = slot.name;
+
+    const meta = document.createElement('div');
+    meta.className = 'save-slot-meta';
+    meta.textContent = `${formatTimeAgo(slot.timestamp)} • ${formatPlaytime(slot.playtime)} played • ${slot.buildingCount} buildings • seed ${slot.seed}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'save-slot-actions';
+    actions.appendChild(createActionButton('Load', () => loadSlot(slot)));
+    actions.appendChild(createActionButton('Overwrite', (button) => overwriteSlot(slot, button)));
+    actions.appendChild(createActionButton('Rename', () => renameSlot(slot)));
+    actions.appendChild(createActionButton('Export', (button) => exportToFile(slot.id, button)));
+    actions.appendChild(createActionButton('Delete', () => deleteSlot(slot), 'warning-btn'));
+
+    details.appendChild(name);
+    details.appendChild(meta);
+    details.appendChild(actions);
+    slotElement.appendChild(thumbnail);
+    slotElement.appendChild(details);
+    return slotElement;
+  };
+
+  const renderSlots = async () => {
+    if (!slotListElement) return;
+
+    const slots = await saveManager.listSlots();
+    slotListElement.innerHTML = '';
+
+    if (slots.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'save-slot-empty';
+      empty.textContent = 'No saves yet';
+      slotListElement.appendChild(empty);
+    } else {
+      slots.forEach(slot => slotListElement.appendChild(createSlotElement(slot)));
+    }
+
+    await updateSaveInfo();
+  };
+
+  // Save New button - creates a new slot, named from the input if given
+  if (saveBtn) {
+    saveBtn.addEventListener('click', async () => {
+      const result = await saveManager.saveToSlot(null, nameInput?.value.trim() || null);
+      if (result.success) {
+        if (nameInput) nameInput.value = '';
+        flashButton(saveBtn, '✓ Saved!');
+        renderSlots();
+      } else {
+        alert(`Save failed: ${result.error}`);
+        flashButton(saveBtn, '✗ Failed');
+      }
+    });
+  }
+
+  // Export to File button - downloads the current game
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => exportToFile(null, exportBtn));
+  }
+
+  const hideImportPreview = () => {
+    if (!importPreviewElement) return;
+    importPreviewElement.hidden = true;
+    importPreviewElement.innerHTML = '';
+    importPreviewElement.classList.remove('error');
+  };
+
+  // Show what an imported file contains and only load it once the player confirms
+  const showImportPreview = (fileName, parsed) => {
+    if (!importPreviewElement) return;
+    hideImportPreview();
+    importPreviewElement.hidden = false;
+
+    const title = document.createElement('strong');
+    title.textContent = fileName;
+    importPreviewElement.appendChild(title);
+
+    if (!parsed.success) {
+      importPreviewElement.classList.add('error');
+      const message = document.createElement('div');
+      message.textContent = parsed.error;
+      importPreviewElement.appendChild(message);
+      importPreviewElement.appendChild(createActionButton('Dismiss', hideImportPreview));
+      return;
+    }
+
+    const { info } = parsed;
+    const details = [
+      ['Saved', new Date(info.timestamp).toLocaleString()],
+      ['Played', formatPlaytime(info.playtime)],
+      ['Buildings', info.buildingCount],
+      ['Research', `${info.researchCount} completed`],
+      ['Seed', info.seed],
+      ['Version', info.originalVersion === info.version ? info.version : `${info.originalVersion} (will be upgraded to ${info.version})`]
+    ];
+
+    const list = document.createElement('dl');
+    for (const [label, value] of details) {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
+    }
+    importPreviewElement.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'save-slot-actions';
+    actions.appendChild(createActionButton('Load (replaces current game)', async () => {
+      const slotName = fileName.replace(/\.[^.]+$/, '');
+      const result = await saveManager.importSaveData(parsed.saveData, slotName);
+      if (!result.success) {
+        alert(`Import failed: ${result.error}`);
+        return;
+      }
+
+      // Imported files may come from another player - don't grant time since they were saved
+      if (!saveManager.applySaveData(parsed.saveData, { offlineProgress: false })) {
+        alert('Failed to load imported save.');
+      }
+      hideImportPreview();
+      renderSlots();
+    }));
+    actions.appendChild(createActionButton('Cancel', hideImportPreview, 'warning-btn'));
+    importPreviewElement.appendChild(actions);
+  };
+
+  // Import from File button - opens the file picker, then previews the chosen file
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+      const [file] = importInput.files;
+      importInput.value = ''; // Allow picking the same file again
+      if (!file) return;
+
+      try {
+        showImportPreview(file.name, saveManager.parseSaveData(await file.text()));
+      } catch (error) {
+        console.error('Error reading save file:', error);
+        showImportPreview(file.name, { success: false, error: 'Could not read file' });
+      }
+    });
+  }
+
+  // Update save info display
+  const updateSaveInfo = async () => {
+    if (saveInfoElement) {
+      const saveInfo = await saveManager.getSaveInfo();
+      if (saveInfo) {
+        saveInfoElement.textContent = `Last save: "${saveInfo.name}" ${formatTimeAgo(saveInfo.timestamp)}`;
+      } else {
+        saveInfoElement.textContent = 'Auto-save: every 30s';
+      }
+    }
+  };
+
+  // Refresh the slot list periodically so autosaves and "time ago" labels stay current
+  renderSlots();
+  gameClock.addTask('saveSlotList', 10000, renderSlots, { realTime: true }); // Update every 10 seconds
+}
+
+// Summarize what a research entry unlocks, e.g. "🪚 Sawmill, +50 food cap"
+function describeResearchUnlocks(config) {
+  const unlocks = config.unlocks || {};
+  const parts = [];
+
+  for (const buildingType of unlocks.buildings || []) {
+    const buildingConfig = BUILDING_CONFIGS[buildingType];
+    parts.push(buildingConfig ? `${buildingConfig.display.icon} ${buildingConfig.name}` : buildingType);
+  }
+
+  for (const [effectType, value] of Object.entries(unlocks.effects || {})) {
+    parts.push(effectType.endsWith('Cap') ? `+${value} ${effectType.slice(0, -3)} cap` : `${effectType}: ${value}`);
+  }
+
+  for (const modifier of unlocks.modifiers || []) {
+    const target = BUILDING_CONFIGS[modifier.building]?.name || modifier.building || 'all buildings';
+    const percent = `${modifier.amount > 0 ? '+' : ''}${Math.round((modifier.amount || 0) * 100)}%`;
+    if (modifier.type === 'generation') {
+      parts.push(`${percent} ${target} ${modifier.resource || 'output'}`);
+    } else if (modifier.type === 'cost') {
+      const resource = modifier.resource ? ` ${modifier.resource}` : '';
+      parts.push(`${percent} ${target}${resource} cost`);
+    } else if (modifier.type === 'terrain') {
+      parts.push(`${target} on ${modifier.terrain}`);
+    }
+  }
+
+  return parts.join(', ');
+}
+
+// Format a duration in seconds as "1m 30s"
+function formatDuration(seconds) {
+  const total = Math.ceil(seconds);
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+}
+
+// Setup the research tree panel
+// Nodes are laid out in tiers by prerequisite depth and joined by connector lines
+function setupResearchControls(researchManager, resourceManager) {
+  const treeElement = document.querySelector('#researchTree');
+  const queueElement = document.querySelector('#researchQueue');
+  const researchStatsElement = document.querySelector('#researchStats');
+
+  if (!treeElement) {
+    console.warn('Research tree element not found');
+    return;
+  }
+
+  treeElement.innerHTML = '';
+  const nodes = new Map(); // Map<researchId, button>
+
+  // Connector layer sits behind the nodes
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const connectorLayer = document.createElementNS(svgNS, 'svg');
+  connectorLayer.classList.add('research-connectors');
+  treeElement.appendChild(connectorLayer);
+
+  researchManager.getResearchTree().forEach((tier, tierIndex) => {
+    const tierElement = document.createElement('div');
+    tierElement.className = 'research-tier';
+
+    const tierLabel = document.createElement('span');
+    tierLabel.className = 'research-tier-label';
+    tierLabel.textContent = `Tier ${tierIndex + 1}`;
+    tierElement.appendChild(tierLabel);
+
+    for (const config of tier) {
+      const button = document.createElement('button');
+      button.className = 'research-btn research-node';
+      button.dataset.research = config.id;
+
+      const nameElement = document.createElement('span');
+      nameElement.className = 'research-name';
+      nameElement.textContent = `${config.display.icon} ${config.name}`;
+
+      const costElement = document.createElement('span');
+      costElement.className = 'research-cost';
+      costElement.textContent = `Cost: ${formatResourceList(config.costs) || 'free'}`;
+
+      const statusElement = document.createElement('span');
+      statusElement.className = 'research-status';
+
+      button.appendChild(nameElement);
+      button.appendChild(costElement);
+      button.appendChild(statusElement);
+
+      const unlockStr = describeResearchUnlocks(config);
+      button.title = `${config.name} - ${config.description}${unlockStr ? `\nUnlocks: ${unlockStr}` : ''}`;
+
+      // Click to queue research; click a queued project to cancel it
+      button.addEventListener('click', () => {
+        const result = researchManager.isQueued(config.id)
+          ? researchManager.cancelResearch(config.id)
+          : researchManager.queueResearch(config.id);
+        if (!result.success) {
+          console.log(`Failed to update research queue: ${result.error}`);
+        }
+        scheduleUpdate();
+      });
+
+      tierElement.appendChild(button);
+      nodes.set(config.id, button);
+    }
+
+    treeElement.appendChild(tierElement);
+  });
+
+  // Draw a line from each prerequisite down to the research that needs it
+  const drawConnectors = () => {
+    const width = treeElement.clientWidth;
+    const height = treeElement.clientHeight;
+    if (width === 0 || height === 0) {
+      return; // Window hidden - nothing to lay out yet
+    }
+
+    connectorLayer.setAttribute('width', width);
+    connectorLayer.setAttribute('height', height);
+    connectorLayer.innerHTML = '';
+
+    const treeRect = treeElement.getBoundingClientRect();
+    for (const [researchId, button] of nodes) {
+      const config = RESEARCH_CONFIGS[researchId];
+      const childRect = button.getBoundingClientRect();
+
+      for (const prereqId of config.requires || []) {
+        const prereqButton = nodes.get(prereqId);
+        if (!prereqButton) continue;
+
+        const parentRect = prereqButton.getBoundingClientRect();
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('x1', parentRect.left + parentRect.width / 2 - treeRect.left);
+        line.setAttribute('y1', parentRect.bottom - treeRect.top);
+        line.setAttribute('x2', childRect.left + childRect.width / 2 - treeRect.left);
+        line.setAttribute('y2', childRect.top - treeRect.top);
+        line.classList.add(researchManager.isCompleted(prereqId) ? 'met' : 'unmet');
+        connectorLayer.appendChild(line);
+      }
+    }
+  };
+
+  // Update node states based on research availability and current resources
+  const updateResearchTree = () => {
+    for (const [researchId, button] of nodes) {
+      const config = RESEARCH_CONFIGS[researchId];
+      const state = researchManager.getResearchState(researchId);
+      const statusElement = button.querySelector('.research-status');
+
+      // Remove all state classes
+      button.classList.remove('completed', 'researching', 'queued', 'available', 'locked', 'unaffordable');
+      button.classList.add(state);
+      button.disabled = state === 'completed' || state === 'locked';
+
+      if (state === 'completed') {
+        statusElement.textContent = '✓ Completed';
+      } else if (state === 'researching' || state === 'queued') {
+        const entry = researchManager.getQueue().find(item => item.id === researchId);
+        statusElement.textContent = state === 'researching'
+          ? `🧪 Researching ${Math.floor(entry.percent)}% (click to cancel)`
+          : '⏳ Queued (click to cancel)';
+      } else if (state === 'locked') {
+        const missing = (config.requires || [])
+          .filter(prereqId => !researchManager.isCompleted(prereqId))
+          .map(prereqId => RESEARCH_CONFIGS[prereqId]?.name || prereqId);
+        statusElement.textContent = `🔒 Requires: ${missing.join(', ')}`;
+      } else if (state === 'unaffordable') {
+        const missing = Object.entries(config.costs || {})
+          .filter(([type, amount]) => resourceManager.getResource(type) < amount)
+          .map(([type, amount]) => `${Math.floor(resourceManager.getResource(type))}/${amount} ${type}`);
+        statusElement.textContent = `Need ${missing.join(', ')}`;
+      } else {
+        const unlockStr = describeResearchUnlocks(config);
+        statusElement.textContent = unlockStr ? `Unlocks: ${unlockStr}` : 'Ready to research';
+      }
+    }
+
+    updateResearchQueue();
+
+    if (researchStatsElement) {
+      const stats = researchManager.getStats();
+      researchStatsElement.textContent = `Completed: ${stats.completed}/${stats.total} | Queued: ${stats.queued} | Speed: ${stats.researchSpeed.toFixed(1)}x`;
+    }
+
+    drawConnectors();
+  };
+
+  // Show queued projects with progress bars and time remaining
+  const updateResearchQueue = () => {
+    if (!queueElement) return;
+
+    const queue = researchManager.getQueue();
+    queueElement.innerHTML = '';
+
+    if (queue.length === 0) {
+      const emptyElement = document.createElement('span');
+      emptyElement.className = 'research-queue-empty';
+      emptyElement.textContent = 'No research queued - click a project to start';
+      queueElement.appendChild(emptyElement);
+      return;
+    }
+
+    queue.forEach((entry, index) => {
+      const item = document.createElement('div');
+      item.className = 'research-queue-item';
+
+      const label = document.createElement('span');
+      label.className = 'research-queue-label';
+      let eta = 'paused - no staffed research lab';
+      if (entry.secondsRemaining !== null) {
+        eta = `${formatDuration(entry.secondsRemaining)} left`;
+      }
+      label.textContent = `${index + 1}. ${entry.icon} ${entry.name} - ${eta}`;
+
+      const bar = document.createElement('div');
+      bar.className = 'research-progress';
+      const fill = document.createElement('div');
+      fill.className = 'research-progress-fill';
+      fill.style.width = `${entry.percent}%`;
+      bar.appendChild(fill);
+
+      item.appendChild(label);
+      item.appendChild(bar);
+      queueElement.appendChild(item);
+    });
+  };
+
+  // Resource ticks arrive many times a second - batch them into one update per frame
+  let updatePending = false;
+  const scheduleUpdate = () => {
+    if (updatePending) return;
+    updatePending = true;
+    requestAnimationFrame(() => {
+      updatePending = false;
+      updateResearchTree();
+    });
+  };
+
+  resourceManager.addListener(scheduleUpdate);
+  researchManager.addListener(scheduleUpdate);
+  window.addEventListener('resize', scheduleUpdate);
+
+  // Connectors can only be measured once the window is visible
+  const researchNavItem = document.querySelector('.nav-item[data-window="researchControls"]');
+  if (researchNavItem) {
+    researchNavItem.addEventListener('click', scheduleUpdate);
+  }
+
+  updateResearchTree();
+}
+
+// Show or hide the Research tab as research labs are built and demolished
+function setupResearchTab(buildingManager) {
+  const researchTab = document.querySelector('[data-window="researchControls"]');
+  if (!researchTab) {
+    console.warn('Research tab not found in DOM');
+    return;
+  }
+
+  const updateResearchTab = () => {
+    if (buildingManager.hasResearchLab()) {
+      researchTab.style.display = 'block';
+      return;
+    }
+
+    researchTab.style.display = 'none';
+
+    // Close Research window if it's currently open
+    const researchWindow = document.getElementById('researchControls');
+    if (researchWindow && researchWindow.classList.contains('active')) {
+      researchWindow.classList.remove('active');
+      researchTab.classList.remove('active');
+    }
+  };
+
+  buildingManager.addListener((event) => {
+    if (event === 'researchLabPlaced' || event === 'researchLabRemoved') {
+      updateResearchTab();
+    }
+  });
+
+  updateResearchTab();
+  console.log(`Research tab ${buildingManager.hasResearchLab() ? 'shown - Research Lab found' : 'hidden - No Research Lab'}`);
+}
+
+// Example usage and initialization
+document.addEventListener('DOMContentLoaded', async function() {
+  console.log('Initializing tile game...');
+
+  // Initialize event queue
+  const eventQueue = new EventQueue();
+  console.log('Event queue initialized');
+
+
+  // Initialize save manager
+  const saveManager = new SaveManager({
+    autoSaveInterval: 30000 // Auto-save every 30 seconds (optional)
+  });
+
+  // Initialize the game-state core: resource, building, research and statistics managers,
+  // plus the game clock that drives generation, statistics, auto-save and UI refresh
+  const { resourceManager, buildingManager, researchManager, statisticsManager, gameClock } = createGameCore({ eventQueue });
+  console.log('Game core initialized');
+
+  // Load the tile atlas first
+  try {
+    console.log('Loading tile atlas...');
+    await atlasManager.loadAtlas('./tile_sprites/tile_atlas.png');
+    console.log('Tile atlas loaded successfully!');
+  } catch (error) {
+    console.warn('Failed to load tile atlas, using fallback colors:', error);
+  }
+
+  // Load building sprites
+  try {
+    console.log('Loading building sprites...');
+    await Promise.all([
+      atlasManager.loadBuildingSprite('house', './tile_sprites/pixelarthouse.png'),
+      atlasManager.loadBuildingSprite('barn', './tile_sprites/barn.png'),
+      atlasManager.loadBuildingSprite('farmland', './tile_sprites/farmland.png'),
+      atlasManager.loadBuildingSprite('lumberyard', './tile_sprites/lumberyard.png'),
+      atlasManager.loadBuildingSprite('cobblepath', './tile_sprites/cobblepath.png'),
+      atlasManager.loadBuildingSprite('stonequarry', './tile_sprites/stonequarry.png'),
+      atlasManager.loadBuildingSprite('warehouse', './tile_sprites/warehouse.png'),
+      atlasManager.loadBuildingSprite('researchLab', './tile_sprites/researchLab.png')
+    ]);
+    console.log('Building sprites loaded successfully!');
+  } catch (error) {
+    console.warn('Failed to load some building sprites, using fallback colors:', error);
+  }
+
+  // Create a canvas manager instance
+  const canvasManager = new CanvasManager(1600, 900);
+
+  // Create the canvas
+  const canvas = canvasManager.createCanvas();
+
+  if (canvas) {
+    // Initialize the infinite grid with 32px base tile size
+    const grid = canvasManager.initializeGrid(32);
+
+    if (grid) {
+      console.log('Interactive infinite grid initialized successfully!');
+      console.log('- Click and drag to pan around the grid');
+      console.log('- Scroll wheel to zoom in/out');
+      console.log('- Base tile size: 32px');
+      console.log('- Grid dimensions: infinite');
+
+      // Validate worldGenerator is properly initialized
+      if (!grid.worldGenerator) {
+        console.error('Grid worldGenerator not initialized - world controls will be disabled');
+      } else {
+        console.log('WorldGenerator initialized successfully');
+      }
+
+      // Connect building manager to grid (needed before loading saved buildings)
+      grid.setBuildingManager(buildingManager);
+
+      // Initialize undo/redo history for building changes
+      const commandHistory = new CommandHistory(eventQueue);
+      grid.setCommandHistory(commandHistory);
+      console.log('Command history initialized');
+
+      // Pause and speed hotkeys
+      grid.setGameClock(gameClock);
+
+      // Initialize tooltip manager
+      const tooltipManager = new TooltipManager();
+      grid.setTooltipManager(tooltipManager);
+      console.log('Tooltip manager initialized');
+
+      // Set up save manager with references to game managers
+      saveManager.setManagers({
+        resourceManager,
+        buildingManager,
+        researchManager,
+        statisticsManager,
+        eventQueue,
+        grid
+      });
+
+      // Check for saved game and load if it exists
+      if (await saveManager.hasSavedGame()) {
+        console.log('📂 Found saved game, loading...');
+        const [latest] = await saveManager.listSlots();
+        if (await saveManager.resumeSlot(latest.id)) {
+          console.log('✅ Saved game loaded successfully!');
+        } else {
+          console.warn('⚠️ Failed to load saved game, starting fresh');
+          // Apply default starting resources
+          resourceManager.setResource('wood', 50);
+          console.log('Starting resources: 50 wood');
+        }
+      } else {
+        console.log('No saved game found, starting fresh');
+        // Apply default starting resources
+        resourceManager.setResource('wood', 50);
+        console.log('Starting resources: 50 wood');
+      }
+
+      // Info display elements already exist in HTML - just get references for updates
+
+      // Update viewport info during interaction
+      const updateViewportInfo = () => {
+        const viewportInfo = canvasManager.getGridInfo();
+        if (viewportInfo) {
+          const viewportInfoElement = document.getElementById('viewport-info');
+          const zoomInfoElement = document.getElementById('zoom-info');
+          const modeInfoElement = document.getElementById('mode-info');
+          const paintInfoElement = document.getElementById('paint-info');
+          const terrainInfoElement = document.getElementById('terrain-info');
+          const atlasInfoElement = document.getElementById('atlas-info');
+
+          if (viewportInfoElement) {
+            // Calculate center grid coordinates
+            const centerX = (viewportInfo.x + canvas.width / 2) / viewportInfo.tileSize;
+            const centerY = (viewportInfo.y + canvas.height / 2) / viewportInfo.tileSize;
+
+            viewportInfoElement.textContent =
+              `Center: (${Math.round(centerX)}, ${Math.round(centerY)})`;
+          }
+
+          if (zoomInfoElement) {
+            zoomInfoElement.textContent =
+              `Zoom: ${viewportInfo.zoomLevel.toFixed(1)}x (${Math.round(viewportInfo.tileSize)}px tiles)`;
+          }
+
+          if (modeInfoElement && grid) {
+            let mode = 'Pan';
+            if (grid.selectionMode) mode = 'Selection';
+            else if (grid.paintMode) mode = 'Paint';
+            else if (grid.demolishMode) mode = 'Demolish';
+            modeInfoElement.textContent = `Mode: ${mode}`;
+          }
+
+          if (paintInfoElement && grid) {
+            const counts = grid.getTotalTilesCount();
+            paintInfoElement.textContent = `Painted: ${counts.painted} | Generated: ${counts.generated}`;
+          }
+
+          // Show terrain info for center tile
+          if (terrainInfoElement && grid) {
+            const centerX = Math.floor((viewportInfo.x + canvas.width / 2) / viewportInfo.tileSize);
+            const centerY = Math.floor((viewportInfo.y + canvas.height / 2) / viewportInfo.tileSize);
+            const centerTile = grid.getOrGenerateTile(centerX, centerY);
+
+            if (centerTile && centerTile.terrainType) {
+              terrainInfoElement.textContent = `Terrain: ${centerTile.terrainType.name} (${centerTile.elevation.toFixed(2)})`;
+            } else {
+              terrainInfoElement.textContent = 'Terrain: None';
+            }
+          }
+
+          // Show atlas status
+          if (atlasInfoElement) {
+            const atlasStatus = atlasManager.getStatus();
+            const statusText = atlasStatus.isLoaded ?
+              `Atlas: ✓ (${atlasStatus.cacheSize} cached)` :
+              'Atlas: ✗ (using colors)';
+            atlasInfoElement.textContent = statusText;
+          }
+        }
+      };
+
+      // Every periodic system runs on the game clock, in this order each step:
+      // generation (production, population, research) then statistics snapshots (game time),
+      // then auto-save, the info display and the UI panels set up below (real time, so they keep running while paused)
+      buildingManager.startGeneration(gameClock);
+      statisticsManager.startTracking(gameClock);
+      saveManager.startAutoSave(gameClock);
+      gameClock.addTask('viewportInfo', 100, updateViewportInfo, { realTime: true });
+      gameClock.start();
+
+      // Setup pause/speed controls
+      try {
+        setupClockControls(gameClock);
+        console.log('Clock controls initialized');
+      } catch (error) {
+        console.error('Error setting up clock controls:', error);
+      }
+
+      // Setup world generation controls
+      try {
+        setupWorldControls(grid, gameClock);
+      } catch (error) {
+        console.error('Error setting up world controls:', error);
+        console.warn('World controls unavailable, but continuing with initialization');
+      }
+
+      // Setup paint controls (now for buildings)
+      try {
+        setupPaintControls(grid, buildingManager, gameClock);
+      } catch (error) {
+        console.error('Error setting up paint controls:', error);
+        console.warn('Paint controls unavailable, but continuing with initialization');
+      }
+
+      // Setup staffing panel
+      try {
+        setupStaffingControls(grid, buildingManager);
+        console.log('Staffing controls initialized');
+      } catch (error) {
+        console.error('Error setting up staffing controls:', error);
+      }
+
+      // Setup resource display
+      try {
+        setupResourceDisplay(resourceManager, gameClock);
+        console.log('Resource display initialized');
+      } catch (error) {
+        console.error('Error setting up resource display:', error);
+      }
+
+      // Setup save controls
+      try {
+        setupSaveControls(saveManager, gameClock);
+        console.log('Save controls initialized');
+      } catch (error) {
+        console.error('Error setting up save controls:', error);
+      }
+
+      // Setup research controls
+      try {
+        setupResearchControls(researchManager, resourceManager);
+        console.log('Research controls initialized');
+      } catch (error) {
+        console.error('Error setting up research controls:', error);
+      }
+
+      // Setup statistics window
+      try {
+        setupStatisticsControls(statisticsManager, resourceManager, buildingManager);
+        console.log('Statistics controls initialized');
+      } catch (error) {
+        console.error('Error setting up statistics controls:', error);
+      }
+
+      // Show the Research tab only while the player has a research lab
+      try {
+        setupResearchTab(buildingManager);
+      } catch (error) {
+        console.error('Error setting Research tab visibility:', error);
+      }
+
+      // Initialize paint controls visibility (hidden by default)
+      //grid.updatePaintControlsVisibility();
+
+      // Add welcome messages to event queue
+      eventQueue.addMessage('Welcome to the game!');
+      eventQueue.addMessage('Use the sidebar to navigate controls.');
+      eventQueue.addMessage('Press 1 to use the Pan tool to explore the world (default)');
+      eventQueue.addMessage('Press 2 to highlight an individual tile');
+      eventQueue.addMessage('Press 3 to place the selected building in the sidebar menu');
+      eventQueue.addMessage('Press 4 to demolish buildings (click one or drag over an area) for a partial refund');
+      eventQueue.addMessage('Press Ctrl+Z to undo and Ctrl+Y to redo building changes');
+      eventQueue.addMessage('Press Space to pause, + and - to change game speed');
+
+      // Make canvas manager globally accessible for debugging
+      window.canvasManager = canvasManager;
+      window.grid = grid;
+      window.resources = resourceManager;
+      window.buildings = buildingManager;
+      window.research = researchManager;
+      window.statistics = statisticsManager;
+      window.saveManager = saveManager;
+      window.eventQueue = eventQueue;
+      window.tooltipManager = tooltipManager;
+      window.commandHistory = commandHistory;
+      window.gameClock = gameClock;
+
+      // Add tile system testing functions
+      window.validateTiles = () => grid.validateTileSystem();
+      window.exportTiles = () => grid.exportTileData();
+      window.importTiles = (data) => grid.importTileData(data);
+      window.getDragState = () => grid.getDragState();
+
+      // Add atlas debugging functions
+      window.atlasManager = atlasManager;
+      window.getAtlasStatus = () => atlasManager.getStatus();
+      window.clearAtlasCache = () => atlasManager.clearCache();
+
+      // Test function to verify moveViewportToOrigin is accessible
+      window.testMoveToOrigin = function() {
+        console.log('Testing moveViewportToOrigin function...');
+        console.log('Grid object:', grid);
+        console.log('moveViewportToOrigin function:', grid.moveViewportToOrigin);
+        if (typeof grid.moveViewportToOrigin === 'function') {
+          console.log('Function exists! Calling it...');
+          grid.moveViewportToOrigin();
+        } else {
+          console.error('moveViewportToOrigin is not a function!');
+        }
+      };
+      console.log('Test function added. Call window.testMoveToOrigin() in console to test.');
+    }
+  }
+});
@@ -0,0 +1,173 @@
+// Statistics Manager for tile game
+// Records periodic snapshots of resources and building counts for the Statistics window
+
+export class StatisticsManager {
+  constructor(resourceManager, buildingManager, options = {}) {
+    this.resourceManager = resourceManager;
+    this.buildingManager = buildingManager;
+
+    this.snapshotRate = options.snapshotRate || 5000; // Take a snapshot every 5 seconds
+    this.capacity = options.capacity || 360; // Keep the last 360 snapshots (30 minutes at 5s)
+    this.gameClock = null; // Clock taking snapshots while tracking
+
+    // Ring buffer of snapshots - once full, the oldest entry is overwritten
+    this.snapshots = [];
+    this.head = 0; // Index of the oldest snapshot once the buffer is full
+
+    // Event listeners for new snapshots
+    this.listeners = [];
+  }
+
+  /**
+   * Record the current resources and building counts
+   * @returns {Object} - The recorded snapshot
+   */
+  takeSnapshot() {
+    const buildingStats = this.buildingManager.getStats();
+    const snapshot = {
+      time: Date.now(),
+      resources: this.resourceManager.getAllResources(),
+      buildings: { ...buildingStats.byType },
+      population: buildingStats.population
+    };
+
+    this.addSnapshot(snapshot);
+    this.notifyListeners(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Add a snapshot to the ring buffer
+   * @private
+   */
+  addSnapshot(snapshot) {
+    if (this.snapshots.length < this.capacity) {
+      this.snapshots.push(snapshot);
+    } else {
+      this.snapshots[this.head] = snapshot;
+      this.head = (this.head + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get all snapshots in chronological order (oldest first)
+   * @returns {Array<Object>}
+   */
+  getSnapshots() {
+    return [...this.snapshots.slice(this.head), ...this.snapshots.slice(0, this.head)];
+  }
+
+  /**
+   * Get the most recent snapshot
+   * @returns {Object|null}
+   */
+  getLatestSnapshot() {
+    if (this.snapshots.length === 0) return null;
+    const index = (this.head - 1 + this.snapshots.length) % this.snapshots.length;
+    return this.snapshots[index];
+  }
+
+  /**
+   * Get the game time covered by the recorded snapshots
+   * Snapshots are taken on game time but stamped with wall-clock time, so the span comes from the count
+   * @returns {number} - Milliseconds of game time between the oldest and newest snapshot
+   */
+  getTrackedDuration() {
+    return Math.max(0, this.snapshots.length - 1) * this.snapshotRate;
+  }
+
+  /**
+   * Get the history of a single resource
+   * @param {string} type - Resource type
+   * @returns {Array<{time: number, value: number}>}
+   */
+  getResourceHistory(type) {
+    return this.getSnapshots().map(snapshot => ({
+      time: snapshot.time,
+      value: snapshot.resources[type] ?? 0
+    }));
+  }
+
+  // Start taking periodic snapshots on the game clock (game time, so none are taken while paused)
+  startTracking(gameClock) {
+    if (this.gameClock) {
+      console.warn('Statistics tracking already started');
+      return;
+    }
+
+    this.takeSnapshot();
+    this.gameClock = gameClock;
+    gameClock.addTask('statistics', this.snapshotRate, () => this.takeSnapshot());
+
+    console.log('📈 Statistics tracking started');
+  }
+
+  // Stop taking periodic snapshots
+  stopTracking() {
+    if (this.gameClock) {
+      this.gameClock.removeTask('statistics');
+      this.gameClock = null;
+      console.log('⏸️ Statistics tracking stopped');
+    }
+  }
+
+  // Remove all recorded snapshots
+  clear() {
+    this.snapshots = [];
+    this.head = 0;
+  }
+
+  /**
+   * Register a listener for new snapshots
+   * @param {Function} callback - Called with (snapshot)
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Notify all listeners of a new snapshot
+   * @private
+   */
+  notifyListeners(snapshot) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('Error in statistics listener:', error);
+      }
+    });
+  }
+
+  // Export snapshots for saving
+  exportData() {
+    return {
+      snapshots: this.getSnapshots()
+    };
+  }
+
+  // Import snapshots from save data
+  importData(data) {
+    this.clear();
+    if (!data || !Array.isArray(data.snapshots)) {
+      return;
+    }
+
+    // Keep only the most recent entries if the save holds more than fit
+    for (const snapshot of data.snapshots.slice(-this.capacity)) {
+      this.addSnapshot(snapshot);
+    }
+  }
+
+  // Get statistics manager status
+  getStats() {
+    return {
+      snapshotCount: this.snapshots.length,
+      capacity: this.capacity,
+      snapshotRate: this.snapshotRate,
+      trackingActive: this.gameClock !== null
+    };
+  }
+}
@@ -0,0 +1,183 @@
+// Storage adapters for SaveManager
+// Every adapter stores string values by key behind the same async interface:
+//   getItem(key) -> Promise<string|null>
+//   setItem(key, value) -> Promise<void>   (rejects with a QuotaExceededError when full)
+//   removeItem(key) -> Promise<void>
+
+/**
+ * Check whether an error means the storage backend is out of space
+ * Browsers report this differently (Firefox uses its own name and code)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  if (!error) return false;
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014;
+}
+
+/**
+ * Create a quota error shaped like the browser's DOMException
+ * @private
+ */
+function createQuotaError(message) {
+  const error = new Error(message);
+  error.name = 'QuotaExceededError';
+  return error;
+}
+
+// localStorage - synchronous and limited to a few MB, but available everywhere
+export class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.name = 'localStorage';
+    this.storage = storage;
+  }
+
+  static isAvailable() {
+    try {
+      return typeof globalThis.localStorage !== 'undefined' && globalThis.localStorage !== null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is disabled (e.g. sandboxed iframes)
+      return false;
+    }
+  }
+
+  async getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+// IndexedDB - asynchronous with a much larger quota, used for big worlds
+export class IndexedDBAdapter {
+  constructor(options = {}) {
+    this.name = 'indexedDB';
+    this.databaseName = options.databaseName || 'tileGame';
+    this.storeName = options.storeName || 'saves';
+    this.dbPromise = null;
+  }
+
+  static isAvailable() {
+    return typeof globalThis.indexedDB !== 'undefined' && globalThis.indexedDB !== null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @private
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      request.onerror = () => {
+        this.dbPromise = null; // Allow retrying later
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the object store
+   * @private
+   */
+  async request(mode, createRequest) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+
+      // Resolve once the transaction commits so writes are durable
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onabort = () => reject(transaction.error || request.error);
+      transaction.onerror = () => reject(transaction.error || request.error);
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value ?? null;
+  }
+
+  async setItem(key, value) {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+}
+
+// In-memory storage - nothing persists; used by tests and headless runs
+export class MemoryStorageAdapter {
+  constructor(options = {}) {
+    this.name = options.name || 'memory';
+    this.quota = options.quota ?? Infinity; // Maximum total characters stored, to simulate a full backend
+    this.items = new Map();
+  }
+
+  static isAvailable() {
+    return true;
+  }
+
+  // Total characters stored (keys and values), roughly how browsers count quota
+  getUsage() {
+    let usage = 0;
+    for (const [key, value] of this.items) {
+      usage += key.length + value.length;
+    }
+    return usage;
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    const stringValue = String(value);
+    const existing = this.items.has(key) ? key.length + this.items.get(key).length : 0;
+    if (this.getUsage() - existing + key.length + stringValue.length > this.quota) {
+      throw createQuotaError(`Memory storage quota of ${this.quota} characters exceeded`);
+    }
+    this.items.set(key, stringValue);
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Pick the best storage available in this environment
+ * @returns {Object} - Storage adapter
+ */
+export function createDefaultStorage() {
+  if (LocalStorageAdapter.isAvailable()) {
+    return new LocalStorageAdapter();
+  }
+  if (IndexedDBAdapter.isAvailable()) {
+    return new IndexedDBAdapter();
+  }
+  return new MemoryStorageAdapter();
+}
@@ -0,0 +1,203 @@
+// Tests for BuildingManager placement: validation order, costs and staffing
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager, BUILDING_CONFIGS } from '../buildings.js';
+import { ResearchManager } from '../research.js';
+import { Tile } from '../tile.js';
+import { TerrainType } from '../worldGenerator.js';
+import { EventQueue } from '../eventQueue.js';
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+function createManagers() {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+  const researchManager = new ResearchManager(resourceManager);
+  buildingManager.setResearchManager(researchManager);
+  return { resourceManager, buildingManager, researchManager };
+}
+
+const tileOf = (terrainType) => new Tile(0, 0, { terrainType, isGenerated: true });
+
+test('unknown building types are rejected before anything else', () => {
+  const { buildingManager } = createManagers();
+
+  const result = buildingManager.placeBuilding(0, 0, 'castle');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Unknown building type/);
+});
+
+test('a locked building reports the lock even when it is also unaffordable and on bad terrain', () => {
+  const { buildingManager } = createManagers();
+
+  // Stone quarries need research, 50 wood and hills or mountains
+  const result = buildingManager.placeBuilding(0, 0, 'stonequarry', tileOf(TerrainType.WATER));
+  assert.equal(result.success, false);
+  assert.match(result.error, /requires research/);
+});
+
+test('costs are checked before terrain, and a failed placement charges nothing', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 10);
+
+  const poor = buildingManager.placeBuilding(0, 0, 'farm', tileOf(TerrainType.WATER));
+  assert.match(poor.error, /Insufficient resources - wood: 10\/15/);
+
+  resourceManager.setResource('wood', 20);
+  const wet = buildingManager.placeBuilding(0, 0, 'farm', tileOf(TerrainType.WATER));
+  assert.equal(wet.success, false);
+  assert.match(wet.error, /can only be placed on grass/);
+  assert.equal(resourceManager.getResource('wood'), 20);
+  assert.equal(buildingManager.getBuildingCount(), 0);
+});
+
+test('a valid placement charges the cost and runs onPlaced', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 20);
+
+  const result = buildingManager.placeBuilding(0, 0, 'house', tileOf(TerrainType.GRASS));
+  assert.equal(result.success, true);
+  assert.equal(resourceManager.getResource('wood'), 20 - BUILDING_CONFIGS.house.costs.wood);
+  assert.equal(resourceManager.getResource('worker'), 2);
+  assert.equal(buildingManager.getBuilding(0, 0).type, 'house');
+});
+
+test('skipping costs also skips the research lock (used when loading)', () => {
+  const { resourceManager, buildingManager } = createManagers();
+
+  const result = buildingManager.placeBuilding(0, 0, 'stonequarry', null, true);
+  assert.equal(result.success, true);
+  assert.equal(resourceManager.getResource('wood'), 0);
+});
+
+test('checkPlacement gives the same answer as placeBuilding without placing anything', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 20);
+
+  assert.match(buildingManager.checkPlacement(0, 0, 'stonequarry').reason, /requires research/);
+  assert.match(buildingManager.checkPlacement(0, 0, 'farm', tileOf(TerrainType.SAND)).reason, /grass/);
+  assert.deepEqual(buildingManager.checkPlacement(0, 0, 'farm', tileOf(TerrainType.GRASS)), { allowed: true, reason: null });
+  assert.equal(buildingManager.getBuildingCount(), 0);
+});
+
+test('research can open up terrain for a building', () => {
+  const { resourceManager, buildingManager, researchManager } = createManagers();
+  resourceManager.setResource('wood', 20);
+  researchManager.completeResearch('cropRotation');
+  researchManager.completeResearch('stoneMining');
+  researchManager.completeResearch('irrigation');
+
+  const result = buildingManager.placeBuilding(0, 0, 'farm', tileOf(TerrainType.SAND));
+  assert.equal(result.success, true);
+});
+
+test('new buildings are staffed from idle workers', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 45);
+  buildingManager.placeBuilding(0, 0, 'house');
+  buildingManager.placeBuilding(1, 0, 'house');
+
+  buildingManager.placeBuilding(5, 5, 'farm');
+  const farm = buildingManager.getBuilding(5, 5);
+
+  assert.equal(farm.assignedWorkers, Math.min(4, farm.getRequiredWorkers()));
+  assert.equal(resourceManager.getEmployedWorkers(), farm.assignedWorkers);
+});
+
+test('demolishing refunds part of the cost and releases workers', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 45);
+  buildingManager.placeBuilding(0, 0, 'house');
+  buildingManager.placeBuilding(1, 0, 'house');
+  buildingManager.placeBuilding(5, 5, 'farm');
+  const wood = resourceManager.getResource('wood');
+
+  const refund = buildingManager.getRefund(buildingManager.getBuilding(5, 5));
+  assert.equal(buildingManager.removeBuilding(5, 5), true);
+
+  assert.equal(resourceManager.getResource('wood'), wood + (refund.wood || 0));
+  assert.equal(resourceManager.getEmployedWorkers(), 0);
+});
+
+test('batch placements refund tiles that fail after the batch is paid for', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 100);
+  const houseWood = buildingManager.getBuildingCosts('house').wood;
+
+  // The middle tile fails in placeBuilding after validation has passed
+  const place = buildingManager.placeBuilding.bind(buildingManager);
+  buildingManager.placeBuilding = (x, ...rest) => x === 1 ? { success: false, error: 'Tile is occupied' } : place(x, ...rest);
+
+  const result = buildingManager.placeBuildings([0, 1, 2].map(x => ({ x, y: 0, tile: null })), 'house');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.placed.map(({ x, y }) => [x, y]), [[0, 0], [2, 0]]);
+  assert.deepEqual(result.skipped, [{ x: 1, y: 0, reason: 'Tile is occupied' }]);
+  assert.equal(resourceManager.getResource('wood'), 100 - 2 * houseWood);
+});
+
+test('refunds are a share of what was paid, even after research changes the cost', () => {
+  const { resourceManager, buildingManager, researchManager } = createManagers();
+  resourceManager.setResource('wood', 100);
+  const paid = buildingManager.getBuildingCosts('house');
+  buildingManager.placeBuilding(0, 0, 'house');
+
+  // Carpentry makes houses cheaper after this one was bought
+  researchManager.completeResearch('woodworking');
+  researchManager.completeResearch('carpentry');
+  assert.ok(buildingManager.getBuildingCosts('house').wood < paid.wood);
+
+  const house = buildingManager.getBuilding(0, 0);
+  assert.deepEqual(house.paidCosts, paid);
+  assert.equal(buildingManager.getRefund(house).wood, Math.floor(paid.wood * 0.5));
+
+  // The price paid is saved with the building
+  const [saved] = JSON.parse(JSON.stringify(buildingManager.exportData()));
+  buildingManager.importData([saved]);
+  assert.deepEqual(buildingManager.getBuilding(0, 0).paidCosts, paid);
+});
+
+test('placing on an occupied tile fails instead of replacing the building', () => {
+  const { resourceManager, buildingManager } = createManagers();
+  resourceManager.setResource('wood', 100);
+  buildingManager.placeBuilding(0, 0, 'house');
+  const wood = resourceManager.getResource('wood');
+
+  const result = buildingManager.placeBuilding(0, 0, 'farm');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Tile already has a House/);
+  assert.equal(buildingManager.getBuilding(0, 0).type, 'house');
+  assert.equal(resourceManager.getResource('wood'), wood);
+  assert.equal(buildingManager.checkPlacement(0, 0, 'farm').allowed, false);
+});
+
+test('buildings that lose workers are reported once and listeners hear about staffing changes', () => {
+  const resourceManager = new ResourceManager();
+  const eventQueue = new EventQueue();
+  const buildingManager = new BuildingManager(resourceManager, eventQueue);
+  const staffing = [];
+  buildingManager.addListener((event, stats) => {
+    if (event === 'staffingChanged') staffing.push(stats.understaffed);
+  });
+
+  buildingManager.placeBuilding(0, 0, 'house', null, true, true);
+  buildingManager.placeBuilding(1, 0, 'house', null, true, true);
+  buildingManager.placeBuilding(5, 5, 'farm', null, true, true);
+  assert.equal(buildingManager.getBuilding(5, 5).assignedWorkers, 4);
+
+  // Demolishing a house lays off two farm workers
+  const messages = eventQueue.getMessageCount();
+  buildingManager.removeBuilding(1, 0, false, true);
+  assert.equal(eventQueue.getMessageCount(), messages + 1);
+  assert.equal(staffing[staffing.length - 1], 1);
+
+  // Still short - no repeat warning
+  buildingManager.rebalanceWorkers();
+  assert.equal(eventQueue.getMessageCount(), messages + 1);
+});
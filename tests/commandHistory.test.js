@@ -0,0 +1,85 @@
+// Tests for undo/redo of building changes through Grid's command history
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+import { CommandHistory } from '../commandHistory.js';
+import { Grid } from '../grid.js';
+import { Tile } from '../tile.js';
+
+before(() => {
+  // Managers log every placement
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+// Grid with its own building and history methods but no canvas or terrain
+function createGrid() {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+
+  const grid = Object.create(Grid.prototype);
+  Object.assign(grid, {
+    buildingManager,
+    commandHistory: new CommandHistory(),
+    isReplayingHistory: false,
+    paintedTiles: new Map(),
+    farmlandTiles: new Map(),
+    generatedTiles: new Map(),
+    getOrGenerateTile: () => null,
+    render: () => {}
+  });
+  return { grid, resourceManager, buildingManager };
+}
+
+test('undoing a placement refunds what a demolish would and redo charges the full cost', () => {
+  const { grid, resourceManager, buildingManager } = createGrid();
+  resourceManager.setResource('wood', 50);
+
+  assert.equal(grid.paintTile(0, 0, 'house').success, true);
+  assert.equal(resourceManager.getResource('wood'), 35);
+
+  assert.equal(grid.commandHistory.undo().success, true);
+  assert.equal(buildingManager.getBuilding(0, 0), null);
+  assert.equal(resourceManager.getResource('wood'), 42); // Half of 15, rounded down
+
+  assert.equal(grid.commandHistory.redo().success, true);
+  assert.equal(buildingManager.getBuilding(0, 0)?.type, 'house');
+  assert.equal(resourceManager.getResource('wood'), 27);
+});
+
+test('undo is refused when the refund would not fit in storage', () => {
+  const { grid, resourceManager, buildingManager } = createGrid();
+  resourceManager.setResource('wood', 50);
+  grid.paintTile(0, 0, 'house');
+  resourceManager.setResource('wood', 99);
+
+  const result = grid.commandHistory.undo();
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /Not enough storage/);
+  assert.equal(buildingManager.getBuilding(0, 0)?.type, 'house');
+  assert.equal(resourceManager.getResource('wood'), 99);
+  assert.equal(grid.commandHistory.canUndo(), true);
+});
+
+test('clearing all buildings keeps painted colors and undo brings the buildings back', () => {
+  const { grid, resourceManager, buildingManager } = createGrid();
+  resourceManager.setResource('wood', 50);
+  grid.paintTile(0, 0, 'house');
+
+  const painted = new Tile(5, 5);
+  painted.onPaint('#ff0000');
+  grid.paintedTiles.set('5,5', painted);
+
+  assert.equal(grid.clearAllPaint(), true);
+  assert.equal(buildingManager.buildings.size, 0);
+  assert.equal(grid.paintedTiles.has('0,0'), false);
+  assert.equal(grid.paintedTiles.get('5,5')?.color, '#ff0000');
+
+  assert.equal(grid.commandHistory.undo().success, true);
+  assert.equal(buildingManager.getBuilding(0, 0)?.type, 'house');
+  assert.equal(grid.paintedTiles.get('5,5')?.color, '#ff0000');
+});
@@ -0,0 +1,86 @@
+// Tests for the fixed-timestep game clock
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameClock } from '../gameClock.js';
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+test('tasks run in registration order within a step', () => {
+  const clock = new GameClock();
+  const calls = [];
+  clock.addTask('first', 1000, () => calls.push('first'));
+  clock.addTask('second', 500, () => calls.push('second'));
+
+  clock.advance(1000);
+
+  assert.deepEqual(calls, ['second', 'first', 'second']);
+  assert.equal(clock.getState().simulationTime, 1000);
+});
+
+test('pausing freezes game time but not real-time tasks', () => {
+  const clock = new GameClock();
+  let ticks = 0;
+  let refreshes = 0;
+  clock.addTask('tick', 1000, () => ticks++);
+  clock.addTask('refresh', 100, () => refreshes++, { realTime: true });
+
+  clock.pause();
+  clock.update(2000);
+  assert.equal(ticks, 0);
+  assert.equal(refreshes, 1); // Missed real-time runs are not caught up
+
+  clock.resume();
+  clock.update(2000);
+  assert.equal(ticks, 2);
+});
+
+test('speed multiplies the game time simulated per real second', () => {
+  const clock = new GameClock();
+  let ticks = 0;
+  clock.addTask('tick', 1000, () => ticks++);
+
+  assert.equal(clock.setSpeed(4), true);
+  clock.update(1000);
+  assert.equal(ticks, 4);
+
+  assert.equal(clock.setSpeed(3), false);
+  clock.changeSpeed(-1);
+  assert.equal(clock.getState().speed, 2);
+});
+
+test('choosing a speed resumes a paused game and notifies listeners', () => {
+  const clock = new GameClock();
+  const states = [];
+  clock.addListener(state => states.push(state));
+
+  clock.togglePause();
+  clock.setSpeed(2);
+
+  assert.deepEqual(states.map(({ paused, speed }) => ({ paused, speed })), [
+    { paused: true, speed: 1 },
+    { paused: false, speed: 2 }
+  ]);
+});
+
+test('building generation runs on the clock and stops with it', () => {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+  const clock = new GameClock();
+  let ticks = 0;
+  buildingManager.tickGeneration = () => ticks++;
+
+  buildingManager.startGeneration(clock);
+  clock.advance(3000);
+  buildingManager.stopGeneration();
+  clock.advance(3000);
+
+  assert.equal(ticks, 3);
+  assert.equal(clock.hasTask('generation'), false);
+});
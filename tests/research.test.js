@@ -0,0 +1,157 @@
+// Tests for ResearchManager: prerequisites, the timed queue and unlocks
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { ResearchManager, RESEARCH_CONFIGS, RESEARCH_QUEUE_CONFIG } from '../research.js';
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+// Research manager with enough of everything to pay for any project
+function createResearch() {
+  const resourceManager = new ResourceManager();
+  for (const type of ['food', 'wood', 'stone', 'planks']) {
+    resourceManager.setResourceCap(type, 10000);
+    resourceManager.setResource(type, 10000);
+  }
+  return { resourceManager, researchManager: new ResearchManager(resourceManager) };
+}
+
+test('every prerequisite refers to existing research without cycles', () => {
+  const visit = (id, path) => {
+    assert.ok(RESEARCH_CONFIGS[id], `unknown prerequisite ${id}`);
+    assert.ok(!path.includes(id), `prerequisite cycle: ${[...path, id].join(' → ')}`);
+    for (const prereqId of RESEARCH_CONFIGS[id].requires || []) {
+      visit(prereqId, [...path, id]);
+    }
+  };
+
+  for (const id of Object.keys(RESEARCH_CONFIGS)) {
+    visit(id, []);
+  }
+});
+
+test('research is available only once all prerequisites are completed', () => {
+  const { researchManager } = createResearch();
+
+  // Masonry needs both stone mining and woodworking
+  assert.equal(researchManager.isAvailable('masonry'), false);
+  researchManager.completeResearch('stoneMining');
+  assert.equal(researchManager.isAvailable('masonry'), false);
+  researchManager.completeResearch('woodworking');
+  assert.equal(researchManager.isAvailable('masonry'), true);
+
+  researchManager.completeResearch('masonry');
+  assert.equal(researchManager.isAvailable('masonry'), false);
+  assert.equal(researchManager.isAvailable('dragonTaming'), false);
+});
+
+test('queued prerequisites count when queueing', () => {
+  const { researchManager } = createResearch();
+
+  assert.equal(researchManager.queueResearch('storageExpansion').error, 'Prerequisites not met');
+  assert.ok(researchManager.queueResearch('advancedConstruction').success);
+  assert.ok(researchManager.queueResearch('storageExpansion').success);
+  assert.deepEqual(researchManager.exportData().queue.map(entry => entry.id), ['advancedConstruction', 'storageExpansion']);
+});
+
+test('queueing pays the cost up front and rejects duplicates and unaffordable research', () => {
+  const { resourceManager, researchManager } = createResearch();
+
+  assert.ok(researchManager.queueResearch('stoneMining').success);
+  assert.equal(resourceManager.getResource('food'), 10000 - RESEARCH_CONFIGS.stoneMining.costs.food);
+  assert.equal(researchManager.queueResearch('stoneMining').error, 'Research already queued');
+
+  resourceManager.setResource('food', 0);
+  const result = researchManager.queueResearch('advancedConstruction');
+  assert.match(result.error, /Insufficient resources - food: 0\/100/);
+  assert.equal(researchManager.isQueued('advancedConstruction'), false);
+});
+
+test('the queue has a maximum size', () => {
+  const { researchManager } = createResearch();
+  const ids = ['advancedConstruction', 'stoneMining', 'woodworking', 'cropRotation', 'storageExpansion', 'masonry'];
+
+  for (const id of ids.slice(0, RESEARCH_QUEUE_CONFIG.maxQueueSize)) {
+    assert.ok(researchManager.queueResearch(id).success, id);
+  }
+
+  const next = ids[RESEARCH_QUEUE_CONFIG.maxQueueSize];
+  assert.equal(researchManager.canQueue(next), false);
+  assert.match(researchManager.queueResearch(next).error, /queue is full/);
+});
+
+test('cancelling refunds the research and everything queued that depends on it', () => {
+  const { resourceManager, researchManager } = createResearch();
+  researchManager.queueResearch('advancedConstruction');
+  researchManager.queueResearch('storageExpansion');
+  researchManager.queueResearch('stoneMining');
+
+  const result = researchManager.cancelResearch('advancedConstruction');
+
+  assert.deepEqual(result.cancelled.sort(), ['advancedConstruction', 'storageExpansion']);
+  assert.deepEqual(researchManager.exportData().queue.map(entry => entry.id), ['stoneMining']);
+  assert.equal(resourceManager.getResource('food'), 10000 - RESEARCH_CONFIGS.stoneMining.costs.food);
+});
+
+test('progress completes research in queue order, carrying leftover work over', () => {
+  const { researchManager } = createResearch();
+  researchManager.queueResearch('advancedConstruction'); // 60s
+  researchManager.queueResearch('stoneMining'); // 90s
+
+  researchManager.tickResearch(70, 1);
+
+  assert.equal(researchManager.isCompleted('advancedConstruction'), true);
+  assert.deepEqual(researchManager.exportData().queue, [{ id: 'stoneMining', progress: 10 }]);
+
+  // Two fully staffed labs work twice as fast
+  researchManager.tickResearch(40, 2);
+  assert.equal(researchManager.isCompleted('stoneMining'), true);
+});
+
+test('completing research unlocks its buildings', () => {
+  const { researchManager } = createResearch();
+
+  assert.equal(researchManager.isBuildingUnlocked('warehouse'), false);
+  researchManager.completeResearch('advancedConstruction');
+  assert.equal(researchManager.isBuildingUnlocked('warehouse'), true);
+});
+
+test('importing derives unlocks from completed research and skips unknown entries', () => {
+  const { researchManager } = createResearch();
+
+  researchManager.importData({
+    completedResearch: ['stoneMining', 'dragonTaming'],
+    unlockedBuildings: ['mason'], // Never trusted from a save
+    queue: [{ id: 'stoneMining', progress: 5 }, { id: 'woodworking', progress: 12 }]
+  });
+
+  assert.deepEqual(Array.from(researchManager.completedResearch), ['stoneMining']);
+  assert.equal(researchManager.isBuildingUnlocked('stonequarry'), true);
+  assert.equal(researchManager.isBuildingUnlocked('mason'), false);
+  assert.deepEqual(researchManager.exportData().queue, [{ id: 'woodworking', progress: 12 }]);
+});
+
+test('modifiers follow completed research through completion, import and reset', () => {
+  const { researchManager } = createResearch();
+
+  const farmFoodResearch = Object.keys(RESEARCH_CONFIGS).find(id =>
+    RESEARCH_CONFIGS[id].unlocks?.modifiers?.some(modifier => modifier.type === 'generation' && modifier.building === 'farm'));
+  assert.equal(researchManager.getGenerationMultiplier('farm', 'food'), 1);
+
+  researchManager.completeResearch(farmFoodResearch);
+  assert.equal(researchManager.getGenerationMultiplier('farm', 'food'), 1.25);
+
+  researchManager.importData({ completedResearch: [] });
+  assert.equal(researchManager.getGenerationMultiplier('farm', 'food'), 1);
+
+  researchManager.importData({ completedResearch: [farmFoodResearch] });
+  assert.equal(researchManager.getGenerationMultiplier('farm', 'food'), 1.25);
+
+  researchManager.reset();
+  assert.deepEqual(researchManager.getActiveModifiers(), []);
+});
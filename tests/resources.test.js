@@ -0,0 +1,138 @@
+// Tests for ResourceManager: caps, spending and the labor pool
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager, RESOURCE_CONFIGS } from '../resources.js';
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+test('every configured resource starts empty at its default cap', () => {
+  const resourceManager = new ResourceManager();
+
+  for (const config of Object.values(RESOURCE_CONFIGS)) {
+    assert.equal(resourceManager.getResource(config.id), 0);
+    assert.equal(resourceManager.getResourceCap(config.id), config.cap);
+  }
+});
+
+test('adding past the cap stops at the cap', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('food', 95);
+
+  assert.equal(resourceManager.addResource('food', 20), true);
+  assert.equal(resourceManager.getResource('food'), 100);
+  assert.equal(resourceManager.isAtCap('food'), true);
+
+  // Uncapped resources keep growing
+  resourceManager.addResource('worker', 1000);
+  assert.equal(resourceManager.getResource('worker'), 1000);
+});
+
+test('lowering a cap clamps the stockpile and resetCaps restores the defaults', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('wood', 80);
+
+  resourceManager.setResourceCap('wood', 60);
+  assert.equal(resourceManager.getResource('wood'), 60);
+  assert.equal(resourceManager.setResourceCap('wood', -1), false);
+
+  resourceManager.setResourceCap('wood', 500);
+  resourceManager.resetCaps();
+  assert.equal(resourceManager.getResourceCap('wood'), RESOURCE_CONFIGS.wood.cap);
+});
+
+test('setResource clamps to the cap and rejects negative values', () => {
+  const resourceManager = new ResourceManager();
+
+  resourceManager.setResource('stone', 500);
+  assert.equal(resourceManager.getResource('stone'), RESOURCE_CONFIGS.stone.cap);
+
+  assert.equal(resourceManager.setResource('stone', -5), false);
+  assert.equal(resourceManager.getResource('stone'), RESOURCE_CONFIGS.stone.cap);
+});
+
+test('removing more than is stored fails and leaves the amount unchanged', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('wood', 10);
+
+  assert.equal(resourceManager.removeResource('wood', 11), false);
+  assert.equal(resourceManager.getResource('wood'), 10);
+  assert.equal(resourceManager.removeResource('wood', -1), false);
+  assert.equal(resourceManager.addResource('unobtainium', 1), false);
+});
+
+test('spend deducts every resource in the cost', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('wood', 30);
+  resourceManager.setResource('stone', 20);
+
+  assert.equal(resourceManager.spend({ wood: 25, stone: 10 }), true);
+  assert.equal(resourceManager.getResource('wood'), 5);
+  assert.equal(resourceManager.getResource('stone'), 10);
+});
+
+test('spend is all-or-nothing when one resource is short', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('wood', 30);
+  resourceManager.setResource('stone', 5);
+
+  const changes = [];
+  resourceManager.addListener(type => changes.push(type));
+
+  assert.equal(resourceManager.spend({ wood: 25, stone: 10 }), false);
+  assert.equal(resourceManager.getResource('wood'), 30);
+  assert.equal(resourceManager.getResource('stone'), 5);
+  assert.deepEqual(changes, []);
+});
+
+test('costs in unknown resources can never be afforded', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('wood', 30);
+
+  assert.equal(resourceManager.canAfford({ wood: 10, unobtainium: 1 }), false);
+  assert.equal(resourceManager.spend({ wood: 10, unobtainium: 1 }), false);
+  assert.equal(resourceManager.getResource('wood'), 30);
+});
+
+test('workers can only be employed from the idle pool', () => {
+  const resourceManager = new ResourceManager();
+  resourceManager.setResource('worker', 4);
+
+  assert.equal(resourceManager.employWorkers(3), 3);
+  assert.equal(resourceManager.employWorkers(3), 1);
+  assert.equal(resourceManager.getIdleWorkers(), 0);
+
+  assert.equal(resourceManager.releaseWorkers(10), 4);
+  assert.equal(resourceManager.getEmployedWorkers(), 0);
+});
+
+test('registering a resource adds it with its own cap', () => {
+  const resourceManager = new ResourceManager();
+
+  assert.equal(resourceManager.registerResource({ id: 'iron', name: 'Iron', icon: '⛓️', cap: 40, precision: 2 }), true);
+  assert.equal(resourceManager.hasResourceType('iron'), true);
+  assert.equal(resourceManager.getResourceCap('iron'), 40);
+  assert.equal(resourceManager.registerResource({ id: 'iron', name: 'Iron' }), false);
+});
+
+test('rates are averaged over game seconds, not wall-clock time', () => {
+  const resourceManager = new ResourceManager();
+
+  // Three ticks of +5 food and -1 food, each closing out one game second
+  for (let i = 0; i < 3; i++) {
+    resourceManager.addResource('food', 5);
+    resourceManager.removeResource('food', 1);
+    resourceManager.advanceTime(1);
+  }
+  assert.deepEqual(resourceManager.getRate('food'), { income: 5, expense: 1, net: 4 });
+
+  // No ticks (paused) - the rate holds instead of decaying
+  assert.deepEqual(resourceManager.getRate('food'), { income: 5, expense: 1, net: 4 });
+
+  resourceManager.resetRates();
+  assert.deepEqual(resourceManager.getRate('food'), { income: 0, expense: 0, net: 0 });
+});
@@ -0,0 +1,219 @@
+// Fixture-based tests for the save migration chain
+// Each fixture in tests/fixtures is a save as it was written by that version of the game.
+// When bumping SAVE_VERSION, add a fixture for the old version and a test for the new step.
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+import { ResearchManager } from '../research.js';
+import { SaveManager } from '../saveManager.js';
+import { SAVE_VERSION, SAVE_MIGRATIONS, canMigrate, migrateSaveData } from '../saveMigrations.js';
+
+const fixtureUrl = (version) => new URL(`./fixtures/save-v${version}.json`, import.meta.url);
+
+function loadFixture(version) {
+  return JSON.parse(readFileSync(fixtureUrl(version), 'utf8'));
+}
+
+function getStep(from) {
+  return SAVE_MIGRATIONS.find(migration => migration.from === from);
+}
+
+const gridStub = {
+  getWorldStats: () => ({ seed: 0 }),
+  getViewportInfo: () => ({ x: 0, y: 0, zoomLevel: 1 }),
+  exportTileData: () => ({ farmland: [], colors: [] })
+};
+
+function createGame() {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+  const researchManager = new ResearchManager(resourceManager);
+  buildingManager.setResearchManager(researchManager);
+
+  const saveManager = new SaveManager();
+  saveManager.setManagers({ resourceManager, buildingManager, researchManager, grid: gridStub });
+
+  return { resourceManager, buildingManager, researchManager, saveManager };
+}
+
+before(() => {
+  // Managers log every load step
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+test('the migration chain is ordered and ends at the current version', () => {
+  for (let i = 1; i < SAVE_MIGRATIONS.length; i++) {
+    assert.equal(SAVE_MIGRATIONS[i].from, SAVE_MIGRATIONS[i - 1].to);
+  }
+  assert.equal(SAVE_MIGRATIONS[SAVE_MIGRATIONS.length - 1].to, SAVE_VERSION);
+});
+
+test('every migration step has a fixture for the version it upgrades from', () => {
+  for (const step of SAVE_MIGRATIONS) {
+    assert.ok(existsSync(fixtureUrl(step.from)), `missing fixture for save version ${step.from}`);
+    assert.equal(loadFixture(step.from).version, step.from);
+  }
+});
+
+test('1.0 → 1.1 fills houses, adds staffing fields and drops the worker resource', () => {
+  const saveData = getStep('1.0').migrate(loadFixture('1.0'));
+
+  assert.equal(saveData.resources.worker, undefined);
+  assert.equal(saveData.resources.food, 64);
+
+  const houses = saveData.buildings.filter(building => building.type === 'house');
+  assert.equal(houses.length, 2);
+  for (const house of houses) {
+    assert.equal(house.residents, 2);
+  }
+
+  for (const building of saveData.buildings) {
+    assert.equal(building.assignedWorkers, 0);
+    assert.equal(building.autoStaff, true);
+  }
+
+  const farm = saveData.buildings.find(building => building.type === 'farm');
+  assert.equal(farm.residents, undefined);
+  assert.equal(farm.createdAt, 1717999020000);
+});
+
+test('1.1 → 1.2 adds an empty research queue and statistics slot', () => {
+  const fixture = loadFixture('1.1');
+  const saveData = getStep('1.1').migrate(fixture);
+
+  assert.deepEqual(saveData.research.queue, []);
+  assert.deepEqual(saveData.research.completedResearch, fixture.research.completedResearch);
+  assert.equal(saveData.statistics, null);
+  assert.deepEqual(saveData.buildings, fixture.buildings);
+});
+
+test('1.1 → 1.2 keeps saves without research data loadable', () => {
+  const saveData = getStep('1.1').migrate({ ...loadFixture('1.1'), research: null });
+
+  assert.equal(saveData.research, null);
+});
+
+test('1.2 → 1.3 starts playtime at zero and keeps the queue and statistics', () => {
+  const fixture = loadFixture('1.2');
+  const saveData = getStep('1.2').migrate(fixture);
+
+  assert.equal(saveData.playtime, 0);
+  assert.deepEqual(saveData.research.queue, [{ id: 'stoneMining', progress: 30 }]);
+  assert.deepEqual(saveData.statistics, fixture.statistics);
+});
+
+test('1.3 → 1.4 marks tile state as missing so fields are laid out on load', () => {
+  const fixture = loadFixture('1.3');
+  const saveData = getStep('1.3').migrate(fixture);
+
+  assert.equal(saveData.tiles, null);
+  assert.equal(saveData.playtime, 1520);
+  assert.deepEqual(saveData.buildings, fixture.buildings);
+  assert.deepEqual(saveData.research, fixture.research);
+});
+
+test('every fixture migrates to the current version', () => {
+  const playtimeStep = SAVE_MIGRATIONS.indexOf(getStep('1.2'));
+
+  for (const step of SAVE_MIGRATIONS) {
+    const fixture = loadFixture(step.from);
+    const result = migrateSaveData(fixture);
+
+    assert.ok(result.success, result.error);
+    assert.equal(result.data.version, SAVE_VERSION);
+    // Saves from before 1.3 had no playtime; later ones keep theirs
+    assert.equal(result.data.playtime, SAVE_MIGRATIONS.indexOf(step) <= playtimeStep ? 0 : fixture.playtime);
+    assert.equal(result.data.tiles, null);
+    assert.ok(Array.isArray(result.data.research.queue));
+    assert.equal(
+      result.applied.length,
+      SAVE_MIGRATIONS.length - SAVE_MIGRATIONS.indexOf(step)
+    );
+  }
+});
+
+// Saves from before the migration chain existed say '1.0' but already have the 1.1-1.3 fields
+test('late 1.0 saves keep their residents, staffing, research queue, statistics and playtime', () => {
+  const fixture = loadFixture('1.0-late');
+  const result = migrateSaveData(fixture);
+
+  assert.ok(result.success, result.error);
+  assert.deepEqual(result.data.buildings, fixture.buildings);
+  assert.deepEqual(result.data.research, fixture.research);
+  assert.deepEqual(result.data.statistics, fixture.statistics);
+  assert.equal(result.data.playtime, 1830);
+  assert.equal(result.data.resources.worker, undefined);
+
+  const game = createGame();
+  game.saveManager.restoreGameState(result.data);
+  assert.equal(game.resourceManager.getResource('worker'), 8);
+  assert.equal(game.buildingManager.getBuilding(6, 2).autoStaff, false);
+  assert.equal(game.buildingManager.getBuilding(4, 4).assignedWorkers, 2);
+  assert.deepEqual(game.researchManager.exportData().queue, fixture.research.queue);
+});
+
+test('migrating leaves the original save data untouched', () => {
+  const fixture = loadFixture('1.0');
+  const original = JSON.parse(JSON.stringify(fixture));
+
+  migrateSaveData(fixture);
+
+  assert.deepEqual(fixture, original);
+});
+
+test('current saves pass through without any steps', () => {
+  const saveData = createGame().saveManager.createSaveData();
+  const result = migrateSaveData(saveData);
+
+  assert.ok(result.success);
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(result.data, saveData);
+});
+
+test('versions without a migration path are rejected', () => {
+  const future = { ...loadFixture('1.2'), version: '9.0' };
+  const result = migrateSaveData(future);
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /9\.0/);
+  assert.equal(canMigrate('9.0'), false);
+  assert.equal(createGame().saveManager.validateSaveData(future), false);
+});
+
+test('a migrated 1.0 save loads with full houses and re-staffed buildings', () => {
+  const { data } = migrateSaveData(loadFixture('1.0'));
+  const game = createGame();
+  game.saveManager.restoreGameState(data);
+
+  // 2 houses x 2 residents; the worker count in the old save is ignored
+  assert.equal(game.resourceManager.getResource('worker'), 4);
+  assert.equal(game.buildingManager.getLaborStats().employed, game.resourceManager.getEmployedWorkers());
+  assert.ok(game.researchManager.isBuildingUnlocked('warehouse'));
+  assert.equal(game.resourceManager.getResource('wood'), 41.5);
+});
+
+test('a migrated 1.1 save keeps partly empty houses and manual staffing', () => {
+  const { data } = migrateSaveData(loadFixture('1.1'));
+  const game = createGame();
+  game.saveManager.restoreGameState(data);
+
+  assert.equal(game.resourceManager.getResource('worker'), 3);
+  assert.equal(game.buildingManager.getBuilding(6, 2).autoStaff, false);
+  assert.equal(game.resourceManager.getResource('planks'), 4);
+});
+
+test('a migrated 1.2 save restores the research queue and warehouse caps', () => {
+  const { data } = migrateSaveData(loadFixture('1.2'));
+  const game = createGame();
+  game.saveManager.restoreGameState(data);
+
+  assert.deepEqual(game.researchManager.exportData().queue, [{ id: 'stoneMining', progress: 30 }]);
+  // Base 100 + warehouse 100 + storage expansion 50
+  assert.equal(game.resourceManager.getResourceCap('food'), 250);
+  assert.equal(game.resourceManager.getResource('food'), 120);
+});
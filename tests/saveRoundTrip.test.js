@@ -0,0 +1,290 @@
+// Round-trip tests for SaveManager: saving and loading must rebuild the same game state
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+import { ResearchManager } from '../research.js';
+import { SaveManager, OFFLINE_PROGRESS_CONFIG } from '../saveManager.js';
+import { MemoryStorageAdapter } from '../storageAdapters.js';
+import { Grid } from '../grid.js';
+import { Tile } from '../tile.js';
+
+// Minimal stand-in for Grid - only what createSaveData and applySaveData use
+const gridStub = {
+  getWorldStats: () => ({ seed: 1234 }),
+  getViewportInfo: () => ({ x: 0, y: 0, zoomLevel: 1 }),
+  exportTileData: () => ({ farmland: [], colors: [] }),
+  setWorldSeed: () => {},
+  importTileData: () => {},
+  render: () => {}
+};
+
+// Grid stand-in that keeps painted tiles with Grid's own tile-state methods - no canvas or terrain
+function createTileGrid(buildingManager) {
+  return {
+    ...gridStub,
+    buildingManager,
+    paintedTiles: new Map(),
+    farmlandTiles: new Map(),
+    getOrGenerateTile: () => null,
+    exportTileData: Grid.prototype.exportTileData,
+    importTileData: Grid.prototype.importTileData,
+    syncBuildingsToTiles: Grid.prototype.syncBuildingsToTiles,
+    placeFarmlandTiles: Grid.prototype.placeFarmlandTiles
+  };
+}
+
+before(() => {
+  // Managers log every placement and load step
+  console.log = () => {};
+});
+
+function createGame(saveOptions = {}) {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+  const researchManager = new ResearchManager(resourceManager);
+  buildingManager.setResearchManager(researchManager);
+
+  const saveManager = new SaveManager({ storage: new MemoryStorageAdapter(), fallbackStorage: null, ...saveOptions });
+  saveManager.setManagers({ resourceManager, buildingManager, researchManager, grid: gridStub });
+
+  return { resourceManager, buildingManager, researchManager, saveManager };
+}
+
+// Build a settlement with storage, staffed buildings, a starving house and completed research
+function createPopulatedGame(saveOptions = {}) {
+  const game = createGame(saveOptions);
+  const { resourceManager, buildingManager, researchManager } = game;
+
+  // Storage expansion raises food/wood/stone caps by 50 when it completes
+  researchManager.completeResearch('advancedConstruction');
+  researchManager.completeResearch('storageExpansion');
+
+  resourceManager.setResource('wood', 150);
+  resourceManager.setResource('stone', 10);
+  for (let i = 0; i < 4; i++) {
+    buildingManager.placeBuilding(i, 0, 'house');
+  }
+  buildingManager.placeBuilding(0, 5, 'farm');
+  buildingManager.placeBuilding(5, 5, 'lumberyard');
+  buildingManager.placeBuilding(9, 9, 'warehouse');
+
+  // One house lost a resident to starvation
+  buildingManager.getBuilding(3, 0).loseResident(resourceManager);
+  buildingManager.rebalanceWorkers();
+
+  resourceManager.setResource('food', 180);
+  resourceManager.setResource('wood', 42.5);
+
+  researchManager.queue.push({ id: 'stoneMining', progress: 12 });
+  return game;
+}
+
+function snapshot({ resourceManager, buildingManager, researchManager }) {
+  return {
+    resources: resourceManager.getAllResources(),
+    caps: { ...resourceManager.resourceCaps },
+    employed: resourceManager.getEmployedWorkers(),
+    idle: resourceManager.getIdleWorkers(),
+    buildings: buildingManager.exportData().map(({ createdAt, ...rest }) => rest),
+    unlocked: Array.from(researchManager.unlockedBuildings).sort(),
+    completed: Array.from(researchManager.completedResearch).sort(),
+    queue: researchManager.exportData().queue
+  };
+}
+
+function roundTrip(source, target = createGame()) {
+  const saveData = JSON.parse(JSON.stringify(source.saveManager.createSaveData()));
+  target.saveManager.restoreGameState(saveData);
+  return target;
+}
+
+test('loading a save reproduces resources, caps, workers, buildings and research', () => {
+  const original = createPopulatedGame();
+  const loaded = roundTrip(original);
+
+  assert.deepEqual(snapshot(loaded), snapshot(original));
+});
+
+test('a game saved to storage loads back the same in a new session', async () => {
+  const storage = new MemoryStorageAdapter();
+  const original = createPopulatedGame({ storage });
+  assert.equal(await original.saveManager.saveGame(), true);
+
+  // A fresh set of managers reading the same storage, as after a page reload
+  const loaded = createGame({ storage });
+  assert.equal(await loaded.saveManager.hasSavedGame(), true);
+  loaded.saveManager.restoreGameState(await loaded.saveManager.loadGame());
+
+  assert.deepEqual(snapshot(loaded), snapshot(original));
+  assert.equal((await loaded.saveManager.getSaveInfo()).buildingCount, original.buildingManager.getBuildingCount());
+});
+
+test('warehouse and research cap bonuses are re-derived, not lost or doubled', () => {
+  const original = createPopulatedGame();
+  const loaded = roundTrip(original);
+
+  // Base 100 + warehouse 100 + storage expansion 50
+  assert.equal(loaded.resourceManager.getResourceCap('food'), 250);
+  assert.equal(loaded.resourceManager.getResourceCap('wood'), 250);
+  // Food above the base cap survives because caps are rebuilt before stockpiles load
+  assert.equal(loaded.resourceManager.getResource('food'), 180);
+});
+
+test('worker totals come from house residents without re-running onPlaced', () => {
+  const original = createPopulatedGame();
+  const loaded = roundTrip(original);
+
+  // 3 full houses + 1 house with a resident missing
+  assert.equal(loaded.resourceManager.getResource('worker'), 7);
+  assert.equal(loaded.buildingManager.getBuilding(3, 0).residents, 1);
+  assert.equal(
+    loaded.resourceManager.getEmployedWorkers(),
+    loaded.buildingManager.getLaborStats().employed
+  );
+});
+
+test('loading does not refund or charge building costs', () => {
+  const original = createPopulatedGame();
+  const wood = original.resourceManager.getResource('wood');
+  const loaded = roundTrip(original);
+
+  assert.equal(loaded.resourceManager.getResource('wood'), wood);
+});
+
+test('loading over a game in progress gives the same result as a fresh load', () => {
+  const original = createPopulatedGame();
+
+  const busy = createPopulatedGame();
+  busy.buildingManager.placeBuilding(20, 20, 'warehouse');
+  busy.buildingManager.placeBuilding(21, 20, 'house');
+
+  assert.deepEqual(snapshot(roundTrip(original, busy)), snapshot(roundTrip(original)));
+});
+
+test('repeated save/load cycles are stable', () => {
+  let game = createPopulatedGame();
+  const first = snapshot(game);
+
+  for (let i = 0; i < 3; i++) {
+    game = roundTrip(game);
+  }
+
+  assert.deepEqual(snapshot(game), first);
+});
+
+test('unlocked buildings are derived from completed research', () => {
+  const original = createPopulatedGame();
+  const saveData = JSON.parse(JSON.stringify(original.saveManager.createSaveData()));
+  saveData.research.unlockedBuildings = ['house', 'mason'];
+
+  const loaded = createGame();
+  loaded.saveManager.restoreGameState(saveData);
+
+  assert.ok(loaded.researchManager.isBuildingUnlocked('warehouse'));
+  assert.ok(loaded.researchManager.isBuildingUnlocked('farm'));
+  assert.ok(!loaded.researchManager.isBuildingUnlocked('mason'));
+});
+
+test('saves without residents or staffing fill houses and re-staff buildings', () => {
+  const loaded = createGame();
+  loaded.saveManager.restoreGameState({
+    resources: { food: 50, wood: 20, worker: 99 },
+    buildings: [
+      { x: 0, y: 0, type: 'house' },
+      { x: 1, y: 0, type: 'house' },
+      { x: 2, y: 0, type: 'lumberyard' }
+    ],
+    research: { completedResearch: [] }
+  });
+
+  assert.equal(loaded.resourceManager.getResource('worker'), 4);
+  assert.equal(loaded.buildingManager.getBuilding(2, 0).assignedWorkers, 2);
+  assert.equal(loaded.resourceManager.getIdleWorkers(), 2);
+});
+
+test('offline progress adds what the same ticks would have produced', () => {
+  const away = createPopulatedGame();
+  const played = createPopulatedGame();
+
+  const summary = away.saveManager.applyOfflineProgress(Date.now() - 600 * 1000);
+  for (let i = 0; i < 600; i++) {
+    played.buildingManager.tickGeneration();
+  }
+
+  assert.equal(summary.ticks, 600);
+  assert.deepEqual(snapshot(away), snapshot(played));
+  assert.ok(summary.resourceChanges.wood > 0);
+});
+
+test('offline progress is capped at maxSeconds and skipped under minSeconds', () => {
+  const capped = createPopulatedGame({ maxOfflineSeconds: 120 });
+  const summary = capped.saveManager.applyOfflineProgress(Date.now() - 3600 * 1000);
+  assert.equal(summary.ticks, 120);
+  assert.equal(summary.seconds, 120);
+
+  const recent = createPopulatedGame();
+  const before = snapshot(recent);
+  assert.equal(recent.saveManager.applyOfflineProgress(Date.now() - (OFFLINE_PROGRESS_CONFIG.minSeconds - 5) * 1000), null);
+  assert.deepEqual(snapshot(recent), before);
+});
+
+test('offline catch-up notifies resource listeners once per resource', () => {
+  const game = createPopulatedGame();
+  const notified = [];
+  game.resourceManager.addListener(type => notified.push(type));
+
+  game.saveManager.applyOfflineProgress(Date.now() - 600 * 1000);
+
+  assert.ok(notified.length > 0);
+  assert.equal(new Set(notified).size, notified.length);
+});
+
+test('only resuming your own slot grants offline progress', async (t) => {
+  const game = createPopulatedGame();
+  const saveData = game.saveManager.createSaveData();
+  const own = await game.saveManager.saveToSlot(null, 'Mine');
+  const imported = await game.saveManager.importSaveData(saveData, 'From a friend');
+  const wood = game.resourceManager.getResource('wood');
+
+  // An hour later
+  const now = Date.now() + 3600 * 1000;
+  t.mock.method(Date, 'now', () => now);
+
+  assert.equal(await game.saveManager.resumeSlot(imported.slot.id), true);
+  assert.equal(game.resourceManager.getResource('wood'), wood);
+
+  assert.equal(await game.saveManager.resumeSlot(own.slot.id), true);
+  assert.ok(game.resourceManager.getResource('wood') > wood);
+});
+
+test('farm fields and painted tiles survive a save/load round-trip', () => {
+  const original = createPopulatedGame();
+  const originalGrid = createTileGrid(original.buildingManager);
+  original.saveManager.grid = originalGrid;
+
+  // Lay out the farm's fields and paint a couple of tiles, one under a field
+  originalGrid.importTileData(null);
+  for (const [x, y, color] of [[20, 20, '#ff0000'], [0, 6, '#00ff00']]) {
+    const tile = originalGrid.paintedTiles.get(`${x},${y}`) || new Tile(x, y);
+    tile.onPaint(color);
+    originalGrid.paintedTiles.set(`${x},${y}`, tile);
+  }
+
+  const loaded = createGame();
+  const loadedGrid = createTileGrid(loaded.buildingManager);
+  loaded.saveManager.grid = loadedGrid;
+  const saveData = JSON.parse(JSON.stringify(original.saveManager.createSaveData()));
+  assert.equal(loaded.saveManager.applySaveData(saveData), true);
+
+  // Same fields, owners, rotations and colours
+  const sorted = (tiles) => tiles.map(String).sort();
+  const exported = originalGrid.exportTileData();
+  assert.ok(exported.farmland.length > 0);
+  assert.deepEqual(sorted(loadedGrid.exportTileData().farmland), sorted(exported.farmland));
+  assert.deepEqual(sorted(loadedGrid.exportTileData().colors), sorted(exported.colors));
+  assert.deepEqual(new Map(loadedGrid.farmlandTiles), new Map(originalGrid.farmlandTiles));
+  assert.equal(loadedGrid.paintedTiles.get('20,20').color, '#ff0000');
+});
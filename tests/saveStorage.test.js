@@ -0,0 +1,151 @@
+// Tests for save slots on top of the storage adapters, including the move to fallback storage when full
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+import { ResearchManager } from '../research.js';
+import { SaveManager } from '../saveManager.js';
+import { MemoryStorageAdapter, isQuotaExceededError } from '../storageAdapters.js';
+
+const gridStub = {
+  getWorldStats: () => ({ seed: 4321 }),
+  getViewportInfo: () => ({ x: 0, y: 0, zoomLevel: 1 }),
+  exportTileData: () => ({ farmland: [], colors: [] })
+};
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+function createSaveManager(options = {}) {
+  const resourceManager = new ResourceManager();
+  const buildingManager = new BuildingManager(resourceManager);
+  const researchManager = new ResearchManager(resourceManager);
+  buildingManager.setResearchManager(researchManager);
+
+  const saveManager = new SaveManager({
+    storage: new MemoryStorageAdapter(),
+    fallbackStorage: null,
+    ...options
+  });
+  saveManager.setManagers({ resourceManager, buildingManager, researchManager, grid: gridStub });
+  return saveManager;
+}
+
+test('memory storage rejects writes past its quota with a quota error', async () => {
+  const storage = new MemoryStorageAdapter({ quota: 10 });
+  await storage.setItem('a', '12345');
+
+  await assert.rejects(storage.setItem('b', '1234567890'), error => isQuotaExceededError(error));
+  assert.equal(await storage.getItem('b'), null);
+
+  // Overwriting an existing key only counts the difference
+  await storage.setItem('a', '123456789');
+  assert.equal(await storage.getItem('a'), '123456789');
+});
+
+test('slots can be created, listed, renamed, loaded and deleted', async () => {
+  const saveManager = createSaveManager();
+
+  const first = await saveManager.saveToSlot(null, 'Harbor town');
+  const second = await saveManager.saveToSlot();
+  assert.ok(first.success && second.success);
+  assert.equal(second.slot.name, 'Save 2');
+
+  assert.ok((await saveManager.renameSlot(first.slot.id, 'River town')).success);
+  const names = (await saveManager.listSlots()).map(slot => slot.name).sort();
+  assert.deepEqual(names, ['River town', 'Save 2']);
+
+  const saveData = await saveManager.loadSlot(first.slot.id);
+  assert.equal(saveData.worldSeed, 4321);
+
+  assert.ok((await saveManager.deleteSlot(first.slot.id)).success);
+  assert.equal((await saveManager.deleteSlot(first.slot.id)).success, false);
+  assert.equal((await saveManager.listSlots()).length, 1);
+});
+
+test('concurrent saves keep every slot in the index', async () => {
+  const saveManager = createSaveManager();
+
+  await Promise.all([
+    saveManager.saveToSlot(null, 'A'),
+    saveManager.saveToSlot(null, 'B'),
+    saveManager.autoSave()
+  ]);
+
+  assert.equal((await saveManager.listSlots()).length, 3);
+});
+
+test('autosaves rotate through their slots, replacing the oldest', async () => {
+  const saveManager = createSaveManager({ autoSaveSlotCount: 2 });
+
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    ids.push((await saveManager.autoSave()).slot.id);
+    await new Promise(resolve => setTimeout(resolve, 2)); // Distinct timestamps
+  }
+
+  assert.deepEqual(ids, ['autosave-1', 'autosave-2', 'autosave-1']);
+  assert.equal((await saveManager.listSlots()).length, 2);
+});
+
+test('a save written under the old single key is moved into a slot', async () => {
+  const storage = new MemoryStorageAdapter();
+  const legacy = createSaveManager().createSaveData();
+  await storage.setItem('tileGameSave', JSON.stringify({ ...legacy, version: '1.2' }));
+
+  const saveManager = createSaveManager({ storage });
+  const slots = await saveManager.listSlots();
+
+  assert.equal(slots.length, 1);
+  assert.equal(slots[0].name, 'Saved game');
+  assert.equal(await storage.getItem('tileGameSave'), null);
+  assert.equal((await saveManager.loadSlot(slots[0].id)).version, saveManager.version);
+});
+
+test('a full primary storage moves every save to the fallback storage', async () => {
+  const storage = new MemoryStorageAdapter({ name: 'localStorage' });
+  const fallbackStorage = new MemoryStorageAdapter({ name: 'indexedDB' });
+  const saveManager = createSaveManager({ storage, fallbackStorage });
+
+  const first = await saveManager.saveToSlot(null, 'Before');
+  assert.ok(first.success);
+
+  // Leave no room for another slot
+  storage.quota = storage.getUsage();
+  const second = await saveManager.saveToSlot(null, 'After');
+
+  assert.ok(second.success, second.error);
+  assert.equal((await saveManager.getStorage()).name, 'indexedDB');
+  assert.deepEqual((await saveManager.listSlots()).map(slot => slot.name).sort(), ['After', 'Before']);
+  assert.ok(await saveManager.loadSlot(first.slot.id));
+  assert.equal(await storage.getItem(saveManager.getSlotKey(first.slot.id)), null);
+
+  // The next session finds the saves in the fallback storage
+  const nextSession = createSaveManager({ storage, fallbackStorage });
+  assert.equal((await nextSession.listSlots()).length, 2);
+});
+
+test('a full storage without a fallback reports the error instead of failing quietly', async () => {
+  const storage = new MemoryStorageAdapter({ quota: 100 });
+  const saveManager = createSaveManager({ storage });
+
+  const result = await saveManager.saveToSlot(null, 'Too big');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Storage is full/);
+  assert.equal(await saveManager.saveGame(), false);
+});
+
+test('a slot without a buildings list still loads', async () => {
+  const saveManager = createSaveManager();
+  const { buildings, ...saveData } = saveManager.createSaveData();
+  const { slot } = await saveManager.importSaveData(saveData, 'No buildings');
+
+  const loaded = await saveManager.loadSlot(slot.id);
+  assert.ok(loaded);
+  assert.equal(loaded.buildings, undefined);
+});
@@ -0,0 +1,75 @@
+// Tests for the headless simulation core
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { createGameCore, loadScenario, runSimulation } from '../simulation.js';
+import { EventQueue } from '../eventQueue.js';
+
+const starter = JSON.parse(readFileSync(new URL('../tools/scenarios/starter.json', import.meta.url), 'utf8'));
+
+before(() => {
+  console.log = () => {};
+  console.warn = () => {};
+});
+
+function runStarter(options = {}) {
+  const core = createGameCore();
+  assert.ok(loadScenario(core, starter).success);
+  return runSimulation(core, { ticks: starter.ticks, sampleEvery: starter.sampleEvery, actions: starter.actions, ...options });
+}
+
+test('a scenario loads as free, staffed starting buildings', () => {
+  const core = createGameCore();
+  loadScenario(core, starter);
+
+  assert.equal(core.resourceManager.getResource('wood'), 50);
+  assert.equal(core.resourceManager.getResource('worker'), 6);
+  assert.equal(core.buildingManager.getLaborStats().understaffed, 0);
+});
+
+test('runs are deterministic', () => {
+  assert.deepEqual(runStarter(), runStarter());
+});
+
+test('samples cover every interval and the final tick', () => {
+  const result = runStarter({ ticks: 130, sampleEvery: 60 });
+
+  assert.deepEqual(result.samples.map(sample => sample.tick), [0, 60, 120, 130]);
+});
+
+test('actions are paid for and report failures', () => {
+  const result = runStarter({
+    ticks: 2,
+    actions: [
+      { tick: 0, build: 'house', x: 10, y: 10 },
+      { tick: 1, build: 'stonequarry', x: 11, y: 10 }
+    ]
+  });
+
+  assert.equal(result.actions[0].success, true);
+  assert.equal(result.samples[0].resources.wood, 50); // Sampled before the first action
+  assert.equal(result.actions[1].success, false);
+  assert.match(result.actions[1].error, /requires research/);
+});
+
+test('research labs notify listeners instead of touching the DOM', () => {
+  const core = createGameCore();
+  const events = [];
+  core.buildingManager.addListener(event => events.push(event));
+
+  core.buildingManager.placeBuilding(0, 0, 'researchLab', null, true, true);
+  core.buildingManager.removeBuilding(0, 0, false, true);
+
+  assert.deepEqual(events.filter(event => event !== 'staffingChanged'), ['researchLabPlaced', 'researchLabRemoved']);
+});
+
+test('the event queue keeps message history without a document', () => {
+  const eventQueue = new EventQueue();
+  const core = createGameCore({ eventQueue });
+  core.buildingManager.placeBuilding(0, 0, 'house', null, true);
+
+  assert.equal(eventQueue.getMessageCount(), 1);
+  assert.equal(eventQueue.getStats().isConnected, false);
+});
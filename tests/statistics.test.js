@@ -0,0 +1,34 @@
+// Tests for statistics snapshots
+// Run with: node --test tests/
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ResourceManager } from '../resources.js';
+import { BuildingManager } from '../buildings.js';
+import { StatisticsManager } from '../statistics.js';
+import { GameClock } from '../gameClock.js';
+
+before(() => {
+  console.log = () => {};
+});
+
+test('the tracked span is game time, whatever the snapshot timestamps say', () => {
+  const resourceManager = new ResourceManager();
+  const statisticsManager = new StatisticsManager(resourceManager, new BuildingManager(resourceManager));
+
+  // A loaded save: snapshots taken a day ago, then one more this session
+  const yesterday = Date.now() - 24 * 60 * 60 * 1000;
+  statisticsManager.importData({
+    snapshots: [0, 1, 2].map(index => ({ time: yesterday + index * 5000, resources: {}, buildings: {}, population: 0 }))
+  });
+  assert.equal(statisticsManager.getTrackedDuration(), 10000);
+
+  const clock = new GameClock();
+  statisticsManager.startTracking(clock);
+  clock.pause();
+  clock.update(60000);
+  statisticsManager.stopTracking();
+
+  // The snapshot taken on start adds one interval; the paused minute adds nothing
+  assert.equal(statisticsManager.getTrackedDuration(), 15000);
+});
@@ -0,0 +1,57 @@
+// Tests for Tile.canPlaceBuilding terrain rules
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Tile } from '../tile.js';
+import { TerrainType } from '../worldGenerator.js';
+import { BUILDING_CONFIGS } from '../buildings.js';
+
+const tileOf = (terrainType) => new Tile(3, 4, { terrainType, isGenerated: true });
+
+test('tiles without terrain (painted tiles) accept any building', () => {
+  const tile = new Tile(0, 0, { color: '#ff0000', isPainted: true });
+
+  for (const type of Object.keys(BUILDING_CONFIGS)) {
+    assert.deepEqual(tile.canPlaceBuilding(type), { allowed: true });
+  }
+});
+
+test('allow-lists only accept the listed terrain', () => {
+  assert.equal(tileOf(TerrainType.GRASS).canPlaceBuilding('farm').allowed, true);
+  assert.equal(tileOf(TerrainType.FOREST).canPlaceBuilding('lumberyard').allowed, true);
+  assert.equal(tileOf(TerrainType.HILLS).canPlaceBuilding('stonequarry').allowed, true);
+  assert.equal(tileOf(TerrainType.MOUNTAINS).canPlaceBuilding('stonequarry').allowed, true);
+
+  const result = tileOf(TerrainType.FOREST).canPlaceBuilding('farm');
+  assert.equal(result.allowed, false);
+  assert.equal(result.reason, `Farm can only be placed on grass tiles (current: ${TerrainType.FOREST.name})`);
+});
+
+test('block-lists reject the listed terrain and accept the rest', () => {
+  for (const terrain of [TerrainType.DEEP_WATER, TerrainType.WATER, TerrainType.RIVER, TerrainType.HILLS, TerrainType.MOUNTAINS]) {
+    const result = tileOf(terrain).canPlaceBuilding('house');
+    assert.equal(result.allowed, false, terrain.id);
+    assert.match(result.reason, /House cannot be placed on water or mountains/);
+  }
+
+  for (const terrain of [TerrainType.GRASS, TerrainType.FOREST, TerrainType.SAND, TerrainType.SNOW]) {
+    assert.equal(tileOf(terrain).canPlaceBuilding('house').allowed, true, terrain.id);
+  }
+});
+
+test('buildings without terrain rules and unknown types go anywhere', () => {
+  const water = tileOf(TerrainType.DEEP_WATER);
+
+  assert.equal(water.canPlaceBuilding('cobblepath').allowed, true);
+  assert.equal(water.canPlaceBuilding('warehouse').allowed, true);
+  assert.equal(water.canPlaceBuilding('castle').allowed, true);
+});
+
+test('terrain opened up by research overrides the rules', () => {
+  const sand = tileOf(TerrainType.SAND);
+
+  assert.equal(sand.canPlaceBuilding('farm').allowed, false);
+  assert.equal(sand.canPlaceBuilding('farm', ['sand']).allowed, true);
+  assert.equal(sand.canPlaceBuilding('farm', ['forest']).allowed, false);
+});
@@ -0,0 +1,73 @@
+// Tests for river tracing and how rivers and lakes are layered onto terrain
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WorldGenerator, RiverNetworkGenerator, TerrainType } from '../worldGenerator.js';
+
+// Stand-in for WorldGenerator's elevation field
+const fieldOf = (elevation) => ({
+  generateContinentalMask: () => 0.5,
+  generateElevation: elevation
+});
+
+test('rivers that run out of length end on land without a pond', () => {
+  const rivers = new RiverNetworkGenerator({ maxRiverLength: 8 });
+  const slope = fieldOf((x) => 0.9 - x * 0.001);
+
+  const network = rivers.traceRiver(0, 0, slope);
+
+  assert.equal(network.endsIn, 'land');
+  assert.equal(network.path.length, 8);
+  assert.deepEqual(network.lakes, []);
+});
+
+test('rivers that reach a basin they cannot leave form a lake in it', () => {
+  const rivers = new RiverNetworkGenerator({ maxLakeSize: 12 });
+  const bowl = fieldOf((x, y) => 0.6 + (x * x + y * y) * 0.001);
+
+  const network = rivers.traceRiver(3, 0, bowl);
+
+  assert.equal(network.endsIn, 'lake');
+  assert.equal(network.lakes.length, 12);
+  assert.ok(network.lakes.some(pos => pos.x === 0 && pos.y === 0));
+});
+
+test('lakes flood lowland but leave mountains standing', () => {
+  const generator = new WorldGenerator({ seed: 0.5, enableRivers: false });
+  const lake = { riverValue: 0, isRiver: false, isLake: true };
+  const tileAt = (elevation) => ({ elevation, temperature: 0.5, moisture: 0.5, detail: 0 });
+
+  assert.equal(generator.applyRiverData(tileAt(0.3), lake).terrainType, TerrainType.WATER);
+  assert.equal(generator.applyRiverData(tileAt(0.8), lake).terrainType, TerrainType.MOUNTAINS);
+});
+
+test('only sources whose rivers can reach a region are traced for it', () => {
+  const generator = new WorldGenerator({ seed: 0.4242 });
+  const rivers = generator.riverGenerator;
+  rivers.ensureRegionsAround(0, 0, generator);
+
+  const size = rivers.regionSize;
+  const distanceToRegion = (pos) => Math.max(0, -pos.x, pos.x - (size - 1)) + Math.max(0, -pos.y, pos.y - (size - 1));
+
+  // Sources in the whole neighbourhood of regions scanned around (0, 0)
+  const cellsPerRegion = Math.ceil(size / rivers.sourceSpacing);
+  const cellRange = (rivers.regionMargin + 1) * cellsPerRegion;
+  let candidates = 0;
+  for (let cellY = -rivers.regionMargin * cellsPerRegion; cellY < cellRange; cellY++) {
+    for (let cellX = -rivers.regionMargin * cellsPerRegion; cellX < cellRange; cellX++) {
+      if (rivers.getSource(cellX, cellY)) candidates++;
+    }
+  }
+
+  assert.ok(rivers.tracedSources.size < candidates);
+  for (const network of rivers.tracedSources.values()) {
+    if (!network) continue;
+    assert.ok(distanceToRegion(network.source) <= rivers.maxReach);
+
+    // Nothing a river touches lies further from its source than maxReach
+    for (const pos of [...network.path, ...network.lakes]) {
+      assert.ok(Math.abs(pos.x - network.source.x) + Math.abs(pos.y - network.source.y) <= rivers.maxReach);
+    }
+  }
+});
@@ -0,0 +1,150 @@
+// Headless balance runner for tile game
+// Loads a scenario (or an exported save), simulates it without a browser and prints resource curves,
+// so BUILDING_CONFIGS costs and rates can be tuned from the command line.
+//
+// Usage: node tools/simulate.js <scenario.json|save.tilesave> [--ticks N] [--every N] [--json] [--verbose]
+//   --ticks N    Generation ticks to simulate (one per second of game time)
+//   --every N    Ticks between samples in the printed table
+//   --json       Print the full result as JSON instead of a table
+//   --verbose    Keep the managers' console logging
+
+import { readFile } from 'node:fs/promises';
+
+import { createGameCore, loadScenario, runSimulation, SIMULATION_CONFIG } from '../simulation.js';
+
+function parseArgs(argv) {
+  const args = { file: null, ticks: null, sampleEvery: null, json: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--ticks') {
+      args.ticks = Number(argv[++i]);
+    } else if (arg === '--every') {
+      args.sampleEvery = Number(argv[++i]);
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (!arg.startsWith('--') && !args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('Missing scenario file');
+  }
+  if (args.ticks !== null && !(Number.isInteger(args.ticks) && args.ticks >= 0)) {
+    throw new Error('--ticks needs a whole number');
+  }
+  if (args.sampleEvery !== null && !(Number.isInteger(args.sampleEvery) && args.sampleEvery > 0)) {
+    throw new Error('--every needs a positive whole number');
+  }
+
+  return args;
+}
+
+// Format game seconds as e.g. "15m 0s"
+function formatGameTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+}
+
+// Render the samples as a fixed-width table, one column per resource that was ever non-zero
+function formatCurves(result, resourceManager) {
+  const types = resourceManager.getResourceDefinitions()
+    .map(definition => definition.id)
+    .filter(type => type !== 'worker') // Same as population
+    .filter(type => result.samples.some(sample => sample.resources[type]));
+
+  const header = ['tick', ...types, 'pop'];
+  const rows = result.samples.map(sample => [
+    String(sample.tick),
+    ...types.map(type => sample.resources[type].toFixed(resourceManager.getResourceDefinition(type).precision)),
+    `${sample.population}${sample.starving ? '!' : ''}`
+  ]);
+
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padStart(widths[column])).join('  ');
+
+  return [formatRow(header), ...rows.map(formatRow)].join('\n');
+}
+
+function formatReport(scenario, result, resourceManager) {
+  const { summary } = result;
+  const lines = [
+    `${scenario.name || 'Scenario'} - ${result.ticks} ticks (${formatGameTime(result.ticks)} of game time)`,
+    '',
+    formatCurves(result, resourceManager)
+  ];
+
+  if (result.samples.some(sample => sample.starving)) {
+    lines.push('(! = starving)');
+  }
+
+  if (result.actions.length > 0) {
+    lines.push('', 'Actions:');
+    for (const action of result.actions) {
+      lines.push(`  tick ${action.tick}: ${action.success ? '✅' : '❌'} ${action.description}${action.error ? ` - ${action.error}` : ''}`);
+    }
+  }
+
+  const buildings = Object.entries(summary.buildings).map(([type, count]) => `${type} ${count}`).join(', ');
+  lines.push(
+    '',
+    `Population: ${summary.population}${summary.starving ? ' (starving)' : ''}`,
+    `Buildings: ${buildings || 'none'}`,
+    `Research: ${summary.completedResearch.join(', ') || 'none'}` +
+      (summary.researchQueue.length > 0 ? ` (queued: ${summary.researchQueue.map(entry => entry.id).join(', ')})` : '')
+  );
+
+  return lines.join('\n');
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error('Usage: node tools/simulate.js <scenario.json|save.tilesave> [--ticks N] [--every N] [--json] [--verbose]');
+    process.exitCode = 1;
+    return;
+  }
+
+  let scenario;
+  try {
+    scenario = JSON.parse(await readFile(args.file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read scenario ${args.file}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // The managers log every step; keep the output to the report unless asked
+  const log = console.log;
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const core = createGameCore();
+  const loaded = loadScenario(core, scenario);
+  if (!loaded.success) {
+    console.error(`❌ Could not load scenario: ${loaded.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = runSimulation(core, {
+    ticks: args.ticks ?? scenario.ticks ?? SIMULATION_CONFIG.defaultTicks,
+    sampleEvery: args.sampleEvery ?? scenario.sampleEvery ?? SIMULATION_CONFIG.defaultSampleEvery,
+    actions: scenario.actions || []
+  });
+
+  log(args.json ? JSON.stringify(result, null, 2) : formatReport(scenario, result, core.resourceManager));
+}
+
+main();
@@ -1,501 +1,962 @@
-import { SimplexNoise, NoiseUtils } from './noise.js';
-
-/**
- * TerrainType definitions for different biomes and features
- * Colors are used as fallback when atlas textures are not available
- * Atlas mapping: deep_water/water → WATER section, grass → GRASS section,
- * forest → FOREST section, sand → SAND section, hills/mountains → STONE section, snow → SNOW section
- */
-export const TerrainType = {
-  DEEP_WATER: { id: 'deep_water', name: 'Deep Water', color: '#1e3a8a', elevation: 0.0 },
-  WATER: { id: 'water', name: 'Water', color: '#3b82f6', elevation: 0.2 },
-  SAND: { id: 'sand', name: 'Sand', color: '#fbbf24', elevation: 0.3 },
-  GRASS: { id: 'grass', name: 'Grass', color: '#22c55e', elevation: 0.4 },
-  FOREST: { id: 'forest', name: 'Forest', color: '#16a34a', elevation: 0.5 },
-  HILLS: { id: 'hills', name: 'Hills', color: '#a3a3a3', elevation: 0.7 },
-  MOUNTAINS: { id: 'mountains', name: 'Mountains', color: '#737373', elevation: 0.8 },
-  SNOW: { id: 'snow', name: 'Snow', color: '#f8fafc', elevation: 0.9 }
-};
-
-/**
- * WorldGenerator class handles procedural terrain generation
- */
-export class WorldGenerator {
-  constructor(options = {}) {
-    // Generation parameters
-    this.seed = options.seed || Math.random();
-    this.scale = options.scale || 0.02; // Scale factor for noise coordinates
-    this.octaves = options.octaves || 4;
-    this.persistence = options.persistence || 0.5;
-    this.lacunarity = options.lacunarity || 2.0;
-
-    // Terrain features
-    this.elevationAmplitude = options.elevationAmplitude || 1.0;
-    this.temperatureScale = options.temperatureScale || 0.005;
-    this.moistureScale = options.moistureScale || 0.008;
-
-    // Biome blending
-    this.biomeBlending = options.biomeBlending || true;
-    this.riverThreshold = options.riverThreshold || 0.1;
-
-    // Initialize noise generators
-    this.elevationNoise = new SimplexNoise(this.seed);
-    this.temperatureNoise = new SimplexNoise(this.seed + 1000);
-    this.moistureNoise = new SimplexNoise(this.seed + 2000);
-    this.riverNoise = new SimplexNoise(this.seed + 3200);
-    this.detailNoise = new SimplexNoise(this.seed + 4000);
-    this.continentalNoise = new SimplexNoise(this.seed + 5000);
-    this.oceanDepthNoise = new SimplexNoise(this.seed + 6000);
-
-    // Cache for generated terrain data
-    this.terrainCache = new Map();
-    this.maxCacheSize = options.maxCacheSize || 10000;
-  }
-
-  /**
-   * Generate terrain data for a specific coordinate
-   */
-  generateTerrain(x, y) {
-    const key = `${x},${y}`;
-
-    // Check cache first and update access time
-    if (this.terrainCache.has(key)) {
-      const cachedData = this.terrainCache.get(key);
-      cachedData.lastAccessed = Date.now();
-      return cachedData;
-    }
-
-    // Generate noise values
-    const continentalMask = this.generateContinentalMask(x, y);
-    const elevation = this.generateElevation(x, y, continentalMask);
-    const temperature = this.generateTemperature(x, y);
-    const moisture = this.generateMoisture(x, y);
-    // Note: riverValue generation removed - rivers now handled by background system
-
-    // Determine terrain type based on noise values (no rivers from old system)
-    const terrainType = this.determineTerrainType(elevation, temperature, moisture, 1.0);
-
-    // Add some detail variation
-    const detail = this.detailNoise.noise2D(x * this.scale * 4, y * this.scale * 4);
-
-    const terrainData = {
-      x,
-      y,
-      elevation,
-      temperature,
-      moisture,
-      detail,
-      terrainType,
-      color: this.getTerrainColor(terrainType, detail),
-      isRiver: false, // Will be set by background river system
-      metadata: {
-        generated: true,
-        generatedAt: Date.now(),
-        seed: this.seed
-      }
-    };
-
-    // Cache the result
-    this.cacheTerrainData(key, terrainData);
-
-    return terrainData;
-  }
-
-  /**
-   * Generate continental mask to create distinct landmasses
-   */
-  generateContinentalMask(x, y) {
-    // Very low frequency noise for continental shapes
-    const continentalScale = this.scale * 0.1; // Much larger scale for continents
-
-    // Primary continental pattern
-    const primaryContinental = this.continentalNoise.octaveNoise2D(
-      x * continentalScale,
-      y * continentalScale,
-      3,
-      0.6
-    );
-
-    // Secondary pattern for more variety
-    const secondaryContinental = this.continentalNoise.octaveNoise2D(
-      x * continentalScale * 1.7,
-      y * continentalScale * 1.3,
-      2,
-      0.4
-    );
-
-    // Combine patterns
-    const continental = NoiseUtils.normalize(primaryContinental) * 0.7 +
-                       NoiseUtils.normalize(secondaryContinental) * 0.3;
-
-    return continental;
-  }
-
-  /**
-   * Generate elevation using octave noise
-   */
-  generateElevation(x, y, continentalMask = 0.5) {
-    const baseElevation = this.elevationNoise.octaveNoise2D(
-      x * this.scale,
-      y * this.scale,
-      this.octaves,
-      this.persistence
-    );
-
-    // Add some ridged noise for mountain features
-    const ridges = this.elevationNoise.ridgedNoise2D(
-      x * this.scale * 0.5,
-      y * this.scale * 0.5,
-      3,
-      0.6
-    );
-
-    // Enhanced mountain generation along continental edges
-    const continentalEdge = Math.abs(continentalMask - 0.5) * 2; // Peaks at continental edges
-    const mountainMultiplier = NoiseUtils.smoothstep(0.3, 0.8, continentalEdge);
-
-    // Combine base elevation with ridges
-    let elevation = NoiseUtils.normalize(baseElevation) * this.elevationAmplitude;
-    elevation += ridges * (0.3 + mountainMultiplier * 0.4); // Enhanced ridges at continental edges
-
-    // Apply continental mask to create distinct landmasses
-    // Areas with high continental values become land, low values become ocean
-    const continentalInfluence = NoiseUtils.smoothstep(0.3, 0.7, continentalMask);
-
-    // Ocean depth generation for deep ocean areas
-    if (continentalMask < 0.4) {
-      const oceanDepth = this.oceanDepthNoise.octaveNoise2D(
-        x * this.scale * 0.3,
-        y * this.scale * 0.3,
-        2,
-        0.5
-      );
-      // Create deeper oceans far from continents
-      const depthFactor = (0.4 - continentalMask) / 0.4;
-      elevation = -NoiseUtils.normalize(oceanDepth) * 0.3 * depthFactor;
-    } else {
-      // Apply continental influence to land elevation
-      elevation = elevation * continentalInfluence + (continentalMask - 0.4) * 0.5;
-    }
-
-    return Math.max(-0.3, Math.min(1, elevation));
-  }
-
-  /**
-   * Generate temperature value with improved climate zones
-   */
-  generateTemperature(x, y) {
-    // Base temperature with large-scale variation
-    const baseTemp = this.temperatureNoise.octaveNoise2D(
-      x * this.temperatureScale,
-      y * this.temperatureScale,
-      3,
-      0.6
-    );
-
-    // Enhanced latitude effect - create distinct climate bands
-    const latitudePosition = Math.abs(y * 0.0005); // Reduced for larger climate zones
-
-    // Create temperature bands: tropical (center), temperate, arctic (poles)
-    let latitudeTemp;
-    if (latitudePosition < 0.3) {
-      // Tropical zone - hot
-      latitudeTemp = 0.8 - latitudePosition * 0.3;
-    } else if (latitudePosition < 0.6) {
-      // Temperate zone - moderate
-      latitudeTemp = 0.5 - (latitudePosition - 0.3) * 0.6;
-    } else {
-      // Arctic zone - cold
-      latitudeTemp = 0.2 - Math.min(0.2, (latitudePosition - 0.6) * 0.5);
-    }
-
-    // Combine base noise with latitude effect (60% latitude, 40% noise)
-    let temperature = latitudeTemp * 0.6 + NoiseUtils.normalize(baseTemp) * 0.4;
-
-    return Math.max(0, Math.min(1, temperature));
-  }
-
-  /**
-   * Generate moisture value
-   */
-  generateMoisture(x, y) {
-    const moisture = this.moistureNoise.octaveNoise2D(
-      x * this.moistureScale,
-      y * this.moistureScale,
-      3,
-      0.5
-    );
-
-    return NoiseUtils.normalize(moisture);
-  }
-
-  /**
-   * Generate river value for water features
-   */
-  generateRiverValue(x, y) {
-    const riverNoise = Math.abs(this.riverNoise.noise2D(
-      x * this.scale * 0.3,
-      y * this.scale * 0.5
-    ));
-
-    return riverNoise;
-  }
-
-  /**
-   * Determine terrain type based on noise values
-   */
-  determineTerrainType(elevation, temperature, moisture, riverValue) {
-    // Skip old river generation if background river system is enabled
-    // This will be overridden by the background river overlay system
-    // if (riverValue < this.riverThreshold && elevation > 0.15) {
-    //   return TerrainType.WATER;
-    // }
-
-    // Ocean and water levels with improved gradients
-    if (elevation < -0.1) return TerrainType.DEEP_WATER; // Deep ocean
-    if (elevation < 0.0) return TerrainType.WATER; // Shallow ocean
-    if (elevation < 0.05) return TerrainType.WATER; // Coastal water
-    if (elevation < 0.15) return TerrainType.SAND; // Beach/coastal
-
-    // Snow at high elevations or in cold climates
-    if (elevation > 0.85 || (elevation > 0.6 && temperature < 0.2)) return TerrainType.SNOW;
-    if (elevation > 0.75) return TerrainType.MOUNTAINS;
-    if (elevation > 0.55) return TerrainType.HILLS;
-
-    // Enhanced biome determination based on temperature and moisture
-    if (temperature > 0.7 && moisture < 0.3) {
-      return TerrainType.SAND; // Hot deserts
-    }
-
-    if (temperature < 0.3 && moisture < 0.4) {
-      return TerrainType.SAND; // Cold/tundra areas
-    }
-
-    if (moisture > 0.65 && temperature > 0.5) {
-      return TerrainType.FOREST; // Tropical/temperate rainforests
-    }
-
-    if (moisture > 0.5 && temperature > 0.3 && temperature < 0.7) {
-      return TerrainType.FOREST; // Temperate forests
-    }
-
-    if (temperature < 0.25) {
-      return elevation > 0.4 ? TerrainType.HILLS : TerrainType.GRASS; // Cold grasslands/tundra
-    }
-
-    // Default grassland for moderate climates
-    return TerrainType.GRASS;
-  }
-
-  /**
-   * Get terrain color with variation
-   */
-  getTerrainColor(terrainType, detail) {
-    const baseColor = terrainType.color;
-
-    // Add some variation based on detail noise
-    const variation = Math.floor(detail * 30); // -15 to +15 variation
-
-    // Parse hex color and apply variation
-    const hex = baseColor.replace('#', '');
-    const r = Math.max(0, Math.min(255, parseInt(hex.substr(0, 2), 16) + variation));
-    const g = Math.max(0, Math.min(255, parseInt(hex.substr(2, 2), 16) + variation));
-    const b = Math.max(0, Math.min(255, parseInt(hex.substr(4, 2), 16) + variation));
-
-    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
-  }
-
-  /**
-   * Cache terrain data with size limit and distance-based cleanup
-   */
-  cacheTerrainData(key, data) {
-    // Add timestamp for LRU tracking
-    data.cachedAt = Date.now();
-    data.lastAccessed = Date.now();
-
-    if (this.terrainCache.size >= this.maxCacheSize) {
-      // Remove oldest entries by access time (LRU)
-      const entries = Array.from(this.terrainCache.entries());
-      entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
-
-      // Remove oldest 20% of entries
-      const removeCount = Math.max(1, Math.floor(this.maxCacheSize * 0.2));
-      for (let i = 0; i < removeCount; i++) {
-        this.terrainCache.delete(entries[i][0]);
-      }
-    }
-
-    this.terrainCache.set(key, data);
-  }
-
-  /**
-   * Clean cache entries that are far from the given center point
-   */
-  cleanDistantCacheEntries(centerX, centerY, maxDistance) {
-    const entriesToRemove = [];
-
-    for (const [key, data] of this.terrainCache) {
-      if (data.x !== undefined && data.y !== undefined) {
-        const dx = data.x - centerX;
-        const dy = data.y - centerY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        if (distance > maxDistance) {
-          entriesToRemove.push(key);
-        }
-      }
-    }
-
-    // Remove distant entries
-    for (const key of entriesToRemove) {
-      this.terrainCache.delete(key);
-    }
-
-    return entriesToRemove.length;
-  }
-
-  /**
-   * Generate multiple tiles efficiently
-   */
-  generateRegion(startX, startY, width, height) {
-    const region = [];
-
-    for (let y = startY; y < startY + height; y++) {
-      for (let x = startX; x < startX + width; x++) {
-        region.push(this.generateTerrain(x, y));
-      }
-    }
-
-    return region;
-  }
-
-  /**
-   * Generate a region with realistic river networks
-   */
-  generateRegionWithRivers(startX, startY, width, height, riverOptions = {}) {
-    // First generate the base terrain
-    const region = this.generateRegion(startX, startY, width, height);
-
-    // Then add realistic rivers
-    const riverGenerator = new RiverNetworkGenerator(riverOptions);
-    const riverNetworks = riverGenerator.generateRivers(region, this);
-
-    return {
-      region,
-      riverNetworks,
-      stats: {
-        totalTiles: region.length,
-        riverTiles: region.filter(tile => tile.isRiver).length,
-        riverNetworkCount: riverNetworks.length
-      }
-    };
-  }
-
-  /**
-   * Update generation parameters
-   */
-  updateParameters(newParams) {
-    let regenerateNoise = false;
-
-    if (newParams.seed !== undefined && newParams.seed !== this.seed) {
-      this.seed = newParams.seed;
-      regenerateNoise = true;
-    }
-
-    // Update other parameters
-    Object.assign(this, newParams);
-
-    // Regenerate noise instances if seed changed
-    if (regenerateNoise) {
-      this.elevationNoise = new SimplexNoise(this.seed);
-      this.temperatureNoise = new SimplexNoise(this.seed + 1000);
-      this.moistureNoise = new SimplexNoise(this.seed + 2000);
-      this.riverNoise = new SimplexNoise(this.seed + 3200);
-      this.detailNoise = new SimplexNoise(this.seed + 4000);
-      this.continentalNoise = new SimplexNoise(this.seed + 5000);
-      this.oceanDepthNoise = new SimplexNoise(this.seed + 6000);
-    }
-
-    // Clear cache to force regeneration
-    this.terrainCache.clear();
-  }
-
-  /**
-   * Get generation statistics
-   */
-  getStats() {
-    return {
-      seed: this.seed,
-      cacheSize: this.terrainCache.size,
-      maxCacheSize: this.maxCacheSize,
-      parameters: {
-        scale: this.scale,
-        octaves: this.octaves,
-        persistence: this.persistence,
-        elevationAmplitude: this.elevationAmplitude,
-        temperatureScale: this.temperatureScale,
-        moistureScale: this.moistureScale
-      }
-    };
-  }
-
-  /**
-   * Clear the terrain cache
-   */
-  clearCache() {
-    this.terrainCache.clear();
-  }
-}
-
-// Predefined world generation presets
-export const WorldPresets = {
-  ARCHIPELAGO: {
-    scale: 0.008,
-    octaves: 5,
-    persistence: 0.6,
-    elevationAmplitude: 0.8,
-    riverThreshold: 0.05,
-    description: "Many small islands scattered across vast oceans"
-  },
-
-  CONTINENTAL: {
-    scale: 0.003,
-    octaves: 6,
-    persistence: 0.7,
-    elevationAmplitude: 1.0,
-    riverThreshold: 0.1,
-    description: "Large continents with diverse climates and terrains"
-  },
-
-  MOUNTAINOUS: {
-    scale: 0.012,
-    octaves: 4,
-    persistence: 0.8,
-    elevationAmplitude: 1.4,
-    riverThreshold: 0.2,
-    description: "Rugged terrain with prominent mountain ranges"
-  },
-
-  PANGAEA: {
-    scale: 0.001,
-    octaves: 7,
-    persistence: 0.6,
-    elevationAmplitude: 0.9,
-    riverThreshold: 0.12,
-    description: "Single massive supercontinent surrounded by ocean"
-  },
-
-  OCEANIC: {
-    scale: 0.015,
-    octaves: 3,
-    persistence: 0.4,
-    elevationAmplitude: 0.5,
-    riverThreshold: 0.03,
-    description: "Mostly ocean with scattered small landmasses"
-  }
-};
-
-/**
- * RiverNetworkGenerator - Post-terrain generation of realistic river systems
- * Creates rivers that flow from high elevation peaks to low elevation valleys/coasts
- */
\ No newline at end of file
+import { SimplexNoise, NoiseUtils } from './noise.js';
+
+/**
+ * TerrainType definitions for different biomes and features
+ * Colors are used as fallback when atlas textures are not available
+ * Atlas mapping: deep_water/water → WATER section, grass → GRASS section,
+ * forest → FOREST section, sand → SAND section, hills/mountains → STONE section, snow → SNOW section,
+ * river → WATER section
+ */
+export const TerrainType = {
+  DEEP_WATER: { id: 'deep_water', name: 'Deep Water', color: '#1e3a8a', elevation: 0.0 },
+  WATER: { id: 'water', name: 'Water', color: '#3b82f6', elevation: 0.2 },
+  SAND: { id: 'sand', name: 'Sand', color: '#fbbf24', elevation: 0.3 },
+  GRASS: { id: 'grass', name: 'Grass', color: '#22c55e', elevation: 0.4 },
+  FOREST: { id: 'forest', name: 'Forest', color: '#16a34a', elevation: 0.5 },
+  HILLS: { id: 'hills', name: 'Hills', color: '#a3a3a3', elevation: 0.7 },
+  MOUNTAINS: { id: 'mountains', name: 'Mountains', color: '#737373', elevation: 0.8 },
+  SNOW: { id: 'snow', name: 'Snow', color: '#f8fafc', elevation: 0.9 },
+  RIVER: { id: 'river', name: 'River', color: '#60a5fa', elevation: 0.2 }
+};
+
+/**
+ * WorldGenerator class handles procedural terrain generation
+ */
+export class WorldGenerator {
+  constructor(options = {}) {
+    // Generation parameters
+    this.seed = options.seed || Math.random();
+    this.scale = options.scale || 0.02; // Scale factor for noise coordinates
+    this.octaves = options.octaves || 4;
+    this.persistence = options.persistence || 0.5;
+    this.lacunarity = options.lacunarity || 2.0;
+
+    // Terrain features
+    this.elevationAmplitude = options.elevationAmplitude || 1.0;
+    this.temperatureScale = options.temperatureScale || 0.005;
+    this.moistureScale = options.moistureScale || 0.008;
+
+    // Biome blending
+    this.biomeBlending = options.biomeBlending || true;
+    this.riverThreshold = options.riverThreshold || 0.1;
+    this.enableRivers = options.enableRivers !== false;
+    this.riverOptions = options.riverOptions || {};
+
+    // Initialize noise generators
+    this.elevationNoise = new SimplexNoise(this.seed);
+    this.temperatureNoise = new SimplexNoise(this.seed + 1000);
+    this.moistureNoise = new SimplexNoise(this.seed + 2000);
+    this.riverNoise = new SimplexNoise(this.seed + 3200);
+    this.detailNoise = new SimplexNoise(this.seed + 4000);
+    this.continentalNoise = new SimplexNoise(this.seed + 5000);
+    this.oceanDepthNoise = new SimplexNoise(this.seed + 6000);
+
+    // Cache for generated terrain data
+    this.terrainCache = new Map();
+    this.maxCacheSize = options.maxCacheSize || 10000;
+
+    // River system (traced lazily from the elevation field as tiles are requested)
+    this.riverGenerator = this.createRiverGenerator();
+  }
+
+  /**
+   * Create the river network generator for the current seed and parameters
+   */
+  createRiverGenerator(riverOptions = this.riverOptions) {
+    if (!this.enableRivers) {
+      return null;
+    }
+
+    return new RiverNetworkGenerator({
+      riverThreshold: this.riverThreshold,
+      ...riverOptions,
+      seed: this.seed
+    });
+  }
+
+  /**
+   * Generate terrain data for a specific coordinate
+   */
+  generateTerrain(x, y) {
+    const key = `${x},${y}`;
+
+    // Check cache first and update access time
+    if (this.terrainCache.has(key)) {
+      const cachedData = this.terrainCache.get(key);
+      cachedData.lastAccessed = Date.now();
+      return cachedData;
+    }
+
+    // Generate noise values
+    const continentalMask = this.generateContinentalMask(x, y);
+    const elevation = this.generateElevation(x, y, continentalMask);
+    const temperature = this.generateTemperature(x, y);
+    const moisture = this.generateMoisture(x, y);
+
+    // Add some detail variation
+    const detail = this.detailNoise.noise2D(x * this.scale * 4, y * this.scale * 4);
+
+    const terrainData = {
+      x,
+      y,
+      elevation,
+      temperature,
+      moisture,
+      detail,
+      metadata: {
+        generated: true,
+        generatedAt: Date.now(),
+        seed: this.seed
+      }
+    };
+
+    // Determine terrain type, with rivers and lakes from the river network layered on top
+    const riverData = this.riverGenerator
+      ? this.riverGenerator.getRiverData(x, y, this)
+      : { riverValue: 1.0, isRiver: false, isLake: false };
+    this.applyRiverData(terrainData, riverData);
+
+    // Cache the result
+    this.cacheTerrainData(key, terrainData);
+
+    return terrainData;
+  }
+
+  /**
+   * Set river value, terrain type and color on generated terrain data
+   */
+  applyRiverData(terrainData, riverData) {
+    const { elevation, temperature, moisture, detail } = terrainData;
+
+    let terrainType;
+    if (riverData.isLake) {
+      // Lakes fill basins but never drown mountains - peaks around a basin keep their own terrain
+      const landType = this.determineTerrainType(elevation, temperature, moisture);
+      terrainType = landType === TerrainType.MOUNTAINS || landType === TerrainType.SNOW ? landType : TerrainType.WATER;
+    } else {
+      terrainType = this.determineTerrainType(elevation, temperature, moisture, riverData.riverValue);
+    }
+
+    terrainData.riverValue = riverData.riverValue;
+    terrainData.terrainType = terrainType;
+    terrainData.isRiver = terrainType === TerrainType.RIVER;
+    terrainData.color = this.getTerrainColor(terrainType, detail);
+
+    return terrainData;
+  }
+
+  /**
+   * Generate continental mask to create distinct landmasses
+   */
+  generateContinentalMask(x, y) {
+    // Very low frequency noise for continental shapes
+    const continentalScale = this.scale * 0.1; // Much larger scale for continents
+
+    // Primary continental pattern
+    const primaryContinental = this.continentalNoise.octaveNoise2D(
+      x * continentalScale,
+      y * continentalScale,
+      3,
+      0.6
+    );
+
+    // Secondary pattern for more variety
+    const secondaryContinental = this.continentalNoise.octaveNoise2D(
+      x * continentalScale * 1.7,
+      y * continentalScale * 1.3,
+      2,
+      0.4
+    );
+
+    // Combine patterns
+    const continental = NoiseUtils.normalize(primaryContinental) * 0.7 +
+                       NoiseUtils.normalize(secondaryContinental) * 0.3;
+
+    return continental;
+  }
+
+  /**
+   * Generate elevation using octave noise
+   */
+  generateElevation(x, y, continentalMask = 0.5) {
+    const baseElevation = this.elevationNoise.octaveNoise2D(
+      x * this.scale,
+      y * this.scale,
+      this.octaves,
+      this.persistence
+    );
+
+    // Add some ridged noise for mountain features
+    const ridges = this.elevationNoise.ridgedNoise2D(
+      x * this.scale * 0.5,
+      y * this.scale * 0.5,
+      3,
+      0.6
+    );
+
+    // Enhanced mountain generation along continental edges
+    const continentalEdge = Math.abs(continentalMask - 0.5) * 2; // Peaks at continental edges
+    const mountainMultiplier = NoiseUtils.smoothstep(0.3, 0.8, continentalEdge);
+
+    // Combine base elevation with ridges
+    let elevation = NoiseUtils.normalize(baseElevation) * this.elevationAmplitude;
+    elevation += ridges * (0.3 + mountainMultiplier * 0.4); // Enhanced ridges at continental edges
+
+    // Apply continental mask to create distinct landmasses
+    // Areas with high continental values become land, low values become ocean
+    const continentalInfluence = NoiseUtils.smoothstep(0.3, 0.7, continentalMask);
+
+    // Ocean depth generation for deep ocean areas
+    if (continentalMask < 0.4) {
+      const oceanDepth = this.oceanDepthNoise.octaveNoise2D(
+        x * this.scale * 0.3,
+        y * this.scale * 0.3,
+        2,
+        0.5
+      );
+      // Create deeper oceans far from continents
+      const depthFactor = (0.4 - continentalMask) / 0.4;
+      elevation = -NoiseUtils.normalize(oceanDepth) * 0.3 * depthFactor;
+    } else {
+      // Apply continental influence to land elevation
+      elevation = elevation * continentalInfluence + (continentalMask - 0.4) * 0.5;
+    }
+
+    return Math.max(-0.3, Math.min(1, elevation));
+  }
+
+  /**
+   * Generate temperature value with improved climate zones
+   */
+  generateTemperature(x, y) {
+    // Base temperature with large-scale variation
+    const baseTemp = this.temperatureNoise.octaveNoise2D(
+      x * this.temperatureScale,
+      y * this.temperatureScale,
+      3,
+      0.6
+    );
+
+    // Enhanced latitude effect - create distinct climate bands
+    const latitudePosition = Math.abs(y * 0.0005); // Reduced for larger climate zones
+
+    // Create temperature bands: tropical (center), temperate, arctic (poles)
+    let latitudeTemp;
+    if (latitudePosition < 0.3) {
+      // Tropical zone - hot
+      latitudeTemp = 0.8 - latitudePosition * 0.3;
+    } else if (latitudePosition < 0.6) {
+      // Temperate zone - moderate
+      latitudeTemp = 0.5 - (latitudePosition - 0.3) * 0.6;
+    } else {
+      // Arctic zone - cold
+      latitudeTemp = 0.2 - Math.min(0.2, (latitudePosition - 0.6) * 0.5);
+    }
+
+    // Combine base noise with latitude effect (60% latitude, 40% noise)
+    let temperature = latitudeTemp * 0.6 + NoiseUtils.normalize(baseTemp) * 0.4;
+
+    return Math.max(0, Math.min(1, temperature));
+  }
+
+  /**
+   * Generate moisture value
+   */
+  generateMoisture(x, y) {
+    const moisture = this.moistureNoise.octaveNoise2D(
+      x * this.moistureScale,
+      y * this.moistureScale,
+      3,
+      0.5
+    );
+
+    return NoiseUtils.normalize(moisture);
+  }
+
+  /**
+   * Generate river value for water features
+   */
+  generateRiverValue(x, y) {
+    const riverNoise = Math.abs(this.riverNoise.noise2D(
+      x * this.scale * 0.3,
+      y * this.scale * 0.5
+    ));
+
+    return riverNoise;
+  }
+
+  /**
+   * Determine terrain type based on noise values
+   */
+  determineTerrainType(elevation, temperature, moisture, riverValue = 1.0) {
+    // Ocean and water levels with improved gradients
+    if (elevation < -0.1) return TerrainType.DEEP_WATER; // Deep ocean
+    if (elevation < 0.0) return TerrainType.WATER; // Shallow ocean
+    if (elevation < 0.05) return TerrainType.WATER; // Coastal water
+
+    // Rivers traced by RiverNetworkGenerator cut through every land biome
+    if (riverValue < this.riverThreshold) return TerrainType.RIVER;
+
+    if (elevation < 0.15) return TerrainType.SAND; // Beach/coastal
+
+    // Snow at high elevations or in cold climates
+    if (elevation > 0.85 || (elevation > 0.6 && temperature < 0.2)) return TerrainType.SNOW;
+    if (elevation > 0.75) return TerrainType.MOUNTAINS;
+    if (elevation > 0.55) return TerrainType.HILLS;
+
+    // Enhanced biome determination based on temperature and moisture
+    if (temperature > 0.7 && moisture < 0.3) {
+      return TerrainType.SAND; // Hot deserts
+    }
+
+    if (temperature < 0.3 && moisture < 0.4) {
+      return TerrainType.SAND; // Cold/tundra areas
+    }
+
+    if (moisture > 0.65 && temperature > 0.5) {
+      return TerrainType.FOREST; // Tropical/temperate rainforests
+    }
+
+    if (moisture > 0.5 && temperature > 0.3 && temperature < 0.7) {
+      return TerrainType.FOREST; // Temperate forests
+    }
+
+    if (temperature < 0.25) {
+      return elevation > 0.4 ? TerrainType.HILLS : TerrainType.GRASS; // Cold grasslands/tundra
+    }
+
+    // Default grassland for moderate climates
+    return TerrainType.GRASS;
+  }
+
+  /**
+   * Get terrain color with variation
+   */
+  getTerrainColor(terrainType, detail) {
+    const baseColor = terrainType.color;
+
+    // Add some variation based on detail noise
+    const variation = Math.floor(detail * 30); // -15 to +15 variation
+
+    // Parse hex color and apply variation
+    const hex = baseColor.replace('#', '');
+    const r = Math.max(0, Math.min(255, parseInt(hex.substr(0, 2), 16) + variation));
+    const g = Math.max(0, Math.min(255, parseInt(hex.substr(2, 2), 16) + variation));
+    const b = Math.max(0, Math.min(255, parseInt(hex.substr(4, 2), 16) + variation));
+
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+  }
+
+  /**
+   * Cache terrain data with size limit and distance-based cleanup
+   */
+  cacheTerrainData(key, data) {
+    // Add timestamp for LRU tracking
+    data.cachedAt = Date.now();
+    data.lastAccessed = Date.now();
+
+    if (this.terrainCache.size >= this.maxCacheSize) {
+      // Remove oldest entries by access time (LRU)
+      const entries = Array.from(this.terrainCache.entries());
+      entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+
+      // Remove oldest 20% of entries
+      const removeCount = Math.max(1, Math.floor(this.maxCacheSize * 0.2));
+      for (let i = 0; i < removeCount; i++) {
+        this.terrainCache.delete(entries[i][0]);
+      }
+    }
+
+    this.terrainCache.set(key, data);
+  }
+
+  /**
+   * Clean cache entries that are far from the given center point
+   */
+  cleanDistantCacheEntries(centerX, centerY, maxDistance) {
+    const entriesToRemove = [];
+
+    for (const [key, data] of this.terrainCache) {
+      if (data.x !== undefined && data.y !== undefined) {
+        const dx = data.x - centerX;
+        const dy = data.y - centerY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance > maxDistance) {
+          entriesToRemove.push(key);
+        }
+      }
+    }
+
+    // Remove distant entries
+    for (const key of entriesToRemove) {
+      this.terrainCache.delete(key);
+    }
+
+    // Drop river regions that can no longer reach the retained area
+    if (this.riverGenerator) {
+      this.riverGenerator.cleanDistantRegions(centerX, centerY, maxDistance);
+    }
+
+    return entriesToRemove.length;
+  }
+
+  /**
+   * Generate multiple tiles efficiently
+   */
+  generateRegion(startX, startY, width, height) {
+    const region = [];
+
+    for (let y = startY; y < startY + height; y++) {
+      for (let x = startX; x < startX + width; x++) {
+        region.push(this.generateTerrain(x, y));
+      }
+    }
+
+    return region;
+  }
+
+  /**
+   * Generate a region with realistic river networks
+   */
+  generateRegionWithRivers(startX, startY, width, height, riverOptions = {}) {
+    // First generate the base terrain
+    const region = this.generateRegion(startX, startY, width, height);
+
+    // Then add realistic rivers (reuse the world's river system unless custom options are given)
+    const riverGenerator = Object.keys(riverOptions).length > 0 || !this.riverGenerator
+      ? new RiverNetworkGenerator({ riverThreshold: this.riverThreshold, ...riverOptions, seed: this.seed })
+      : this.riverGenerator;
+    const riverNetworks = riverGenerator.generateRivers(region, this);
+
+    return {
+      region,
+      riverNetworks,
+      stats: {
+        totalTiles: region.length,
+        riverTiles: region.filter(tile => tile.isRiver).length,
+        riverNetworkCount: riverNetworks.length
+      }
+    };
+  }
+
+  /**
+   * Update generation parameters
+   */
+  updateParameters(newParams) {
+    let regenerateNoise = false;
+
+    if (newParams.seed !== undefined && newParams.seed !== this.seed) {
+      this.seed = newParams.seed;
+      regenerateNoise = true;
+    }
+
+    // Update other parameters
+    Object.assign(this, newParams);
+
+    // Regenerate noise instances if seed changed
+    if (regenerateNoise) {
+      this.elevationNoise = new SimplexNoise(this.seed);
+      this.temperatureNoise = new SimplexNoise(this.seed + 1000);
+      this.moistureNoise = new SimplexNoise(this.seed + 2000);
+      this.riverNoise = new SimplexNoise(this.seed + 3200);
+      this.detailNoise = new SimplexNoise(this.seed + 4000);
+      this.continentalNoise = new SimplexNoise(this.seed + 5000);
+      this.oceanDepthNoise = new SimplexNoise(this.seed + 6000);
+    }
+
+    // Rivers depend on the seed and elevation parameters, so retrace them
+    this.riverGenerator = this.createRiverGenerator();
+
+    // Clear cache to force regeneration
+    this.terrainCache.clear();
+  }
+
+  /**
+   * Get generation statistics
+   */
+  getStats() {
+    return {
+      seed: this.seed,
+      cacheSize: this.terrainCache.size,
+      maxCacheSize: this.maxCacheSize,
+      rivers: this.riverGenerator ? this.riverGenerator.getStats() : null,
+      parameters: {
+        scale: this.scale,
+        octaves: this.octaves,
+        persistence: this.persistence,
+        elevationAmplitude: this.elevationAmplitude,
+        temperatureScale: this.temperatureScale,
+        moistureScale: this.moistureScale
+      }
+    };
+  }
+
+  /**
+   * Clear the terrain cache
+   */
+  clearCache() {
+    this.terrainCache.clear();
+    if (this.riverGenerator) {
+      this.riverGenerator.clearCache();
+    }
+  }
+}
+
+// Predefined world generation presets
+export const WorldPresets = {
+  ARCHIPELAGO: {
+    scale: 0.008,
+    octaves: 5,
+    persistence: 0.6,
+    elevationAmplitude: 0.8,
+    riverThreshold: 0.05,
+    description: "Many small islands scattered across vast oceans"
+  },
+
+  CONTINENTAL: {
+    scale: 0.003,
+    octaves: 6,
+    persistence: 0.7,
+    elevationAmplitude: 1.0,
+    riverThreshold: 0.1,
+    description: "Large continents with diverse climates and terrains"
+  },
+
+  MOUNTAINOUS: {
+    scale: 0.012,
+    octaves: 4,
+    persistence: 0.8,
+    elevationAmplitude: 1.4,
+    riverThreshold: 0.2,
+    description: "Rugged terrain with prominent mountain ranges"
+  },
+
+  PANGAEA: {
+    scale: 0.001,
+    octaves: 7,
+    persistence: 0.6,
+    elevationAmplitude: 0.9,
+    riverThreshold: 0.12,
+    description: "Single massive supercontinent surrounded by ocean"
+  },
+
+  OCEANIC: {
+    scale: 0.015,
+    octaves: 3,
+    persistence: 0.4,
+    elevationAmplitude: 0.5,
+    riverThreshold: 0.03,
+    description: "Mostly ocean with scattered small landmasses"
+  }
+};
+
+// Orthogonal neighbours used for river flow and lake filling
+const RIVER_FLOW_OFFSETS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+/**
+ * RiverNetworkGenerator - Post-terrain generation of realistic river systems
+ * Creates rivers that flow from high elevation peaks to low elevation valleys/coasts
+ */
+export class RiverNetworkGenerator {
+  constructor(options = {}) {
+    this.seed = options.seed || 0;
+    this.seedHash = Math.floor(this.seed * 2147483647) | 0;
+
+    // River sources are picked from a jittered lattice so results don't depend on generation order
+    this.regionSize = options.regionSize || 64; // Tiles per tracing region (multiple of sourceSpacing)
+    this.sourceSpacing = options.sourceSpacing || 16; // One candidate source per lattice cell
+    this.sourceChance = options.sourceChance ?? 0.35; // Chance a candidate cell spawns a river
+    this.sourceElevation = options.sourceElevation || 0.55; // Sources start in hills and above
+
+    // Flow parameters
+    this.seaLevel = options.seaLevel ?? 0.05; // Matches coastal water in determineTerrainType
+    this.maxRiverLength = options.maxRiverLength || 200;
+    this.maxLakeSize = options.maxLakeSize || 24;
+    this.riverThreshold = options.riverThreshold || 0.1; // River tiles get riverValue below this
+
+    // Furthest a river reaches from its source (Manhattan distance): the path stays within
+    // maxRiverLength tiles and a lake spreads at most maxLakeSize tiles beyond it
+    this.maxReach = this.maxRiverLength + this.maxLakeSize;
+
+    // Regions around a tile whose sources are checked - only sources within maxReach are traced
+    this.regionMargin = Math.ceil(this.maxReach / this.regionSize);
+
+    // Traced state
+    this.tracedSources = new Map(); // Map<"cellX,cellY", RiverNetwork|null> (null: no river from this cell)
+    this.readyRegions = new Set(); // Regions whose every reachable source has been traced
+    this.riverTiles = new Map(); // Map<"x,y", riverValue> (lowest value wins where rivers meet)
+    this.lakeTiles = new Set(); // Set<"x,y">
+
+    // Elevation samples used while tracing
+    this.elevationCache = new Map();
+    this.maxElevationCacheSize = options.maxElevationCacheSize || 50000;
+  }
+
+  /**
+   * Get river state for a single tile, tracing nearby regions on demand
+   * @returns {Object} - { riverValue, isRiver, isLake }
+   */
+  getRiverData(x, y, worldGenerator) {
+    const rx = Math.floor(x / this.regionSize);
+    const ry = Math.floor(y / this.regionSize);
+    this.ensureRegionsAround(rx, ry, worldGenerator);
+
+    const key = `${x},${y}`;
+    const isLake = this.lakeTiles.has(key);
+    const riverValue = isLake ? 0 : (this.riverTiles.get(key) ?? 1.0);
+
+    return {
+      riverValue,
+      isRiver: !isLake && riverValue < this.riverThreshold,
+      isLake
+    };
+  }
+
+  /**
+   * Apply rivers to a generated region and return the networks that cross it
+   * @param {Array} region - Terrain data from WorldGenerator.generateRegion
+   * @param {WorldGenerator} worldGenerator - Source of the elevation field
+   * @returns {Array} - River networks intersecting the region
+   */
+  generateRivers(region, worldGenerator) {
+    if (region.length === 0) {
+      return [];
+    }
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const terrainData of region) {
+      const riverData = this.getRiverData(terrainData.x, terrainData.y, worldGenerator);
+      worldGenerator.applyRiverData(terrainData, riverData);
+
+      minX = Math.min(minX, terrainData.x);
+      minY = Math.min(minY, terrainData.y);
+      maxX = Math.max(maxX, terrainData.x);
+      maxY = Math.max(maxY, terrainData.y);
+    }
+
+    const inRegion = (pos) => pos.x >= minX && pos.x <= maxX && pos.y >= minY && pos.y <= maxY;
+    const networks = [];
+
+    for (const network of this.tracedSources.values()) {
+      if (network && (network.path.some(inRegion) || network.lakes.some(inRegion))) {
+        networks.push(network);
+      }
+    }
+
+    return networks;
+  }
+
+  /**
+   * Make sure every river that could flow into region (rx, ry) has been traced
+   * Only sources within maxReach of the region are traced, not whole neighbouring regions
+   * @private
+   */
+  ensureRegionsAround(rx, ry, worldGenerator) {
+    const regionKey = `${rx},${ry}`;
+    if (this.readyRegions.has(regionKey)) {
+      return;
+    }
+
+    const minX = rx * this.regionSize;
+    const minY = ry * this.regionSize;
+    const maxX = minX + this.regionSize - 1;
+    const maxY = minY + this.regionSize - 1;
+
+    const cellsPerRegion = Math.ceil(this.regionSize / this.sourceSpacing);
+    const cellMargin = this.regionMargin * cellsPerRegion;
+
+    for (let cellY = ry * cellsPerRegion - cellMargin; cellY < (ry + 1) * cellsPerRegion + cellMargin; cellY++) {
+      for (let cellX = rx * cellsPerRegion - cellMargin; cellX < (rx + 1) * cellsPerRegion + cellMargin; cellX++) {
+        const source = this.getSource(cellX, cellY);
+        if (!source) continue;
+
+        // Manhattan distance from the source to the nearest tile of the region
+        const distance = Math.max(0, minX - source.x, source.x - maxX) + Math.max(0, minY - source.y, source.y - maxY);
+        if (distance <= this.maxReach) {
+          this.traceSource(cellX, cellY, source, worldGenerator);
+        }
+      }
+    }
+
+    this.readyRegions.add(regionKey);
+  }
+
+  /**
+   * Get the river source candidate of a lattice cell, or null if the cell doesn't spawn one
+   * @private
+   * @returns {Object|null} - {x, y}
+   */
+  getSource(cellX, cellY) {
+    if (this.hash(cellX, cellY, 0) >= this.sourceChance) {
+      return null;
+    }
+
+    // Jitter the source inside its lattice cell
+    return {
+      x: cellX * this.sourceSpacing + Math.floor(this.hash(cellX, cellY, 1) * this.sourceSpacing),
+      y: cellY * this.sourceSpacing + Math.floor(this.hash(cellX, cellY, 2) * this.sourceSpacing)
+    };
+  }
+
+  /**
+   * Trace the river from a lattice cell's source (once per cell)
+   * @private
+   */
+  traceSource(cellX, cellY, source, worldGenerator) {
+    const cellKey = `${cellX},${cellY}`;
+    if (this.tracedSources.has(cellKey)) {
+      return;
+    }
+
+    let network = null;
+    if (this.sampleElevation(source.x, source.y, worldGenerator) >= this.sourceElevation) {
+      network = this.traceRiver(source.x, source.y, worldGenerator);
+      if (network.path.length > 1) {
+        this.indexNetwork(network);
+      } else {
+        network = null;
+      }
+    }
+
+    this.tracedSources.set(cellKey, network);
+  }
+
+  /**
+   * Follow the steepest downhill gradient from a source until the river reaches
+   * the ocean, settles into a lake it cannot spill out of, or runs out of length
+   * @private
+   */
+  traceRiver(sourceX, sourceY, worldGenerator) {
+    const path = [];
+    const lakes = [];
+    const visited = new Set();
+    let endsIn = null;
+
+    let x = sourceX;
+    let y = sourceY;
+    let elevation = this.sampleElevation(x, y, worldGenerator);
+
+    while (path.length < this.maxRiverLength) {
+      path.push({ x, y });
+      visited.add(`${x},${y}`);
+
+      if (elevation < this.seaLevel) {
+        endsIn = 'ocean';
+        break;
+      }
+
+      // Only step orthogonally so river tiles always share an edge
+      let next = null;
+      let lowest = elevation;
+      for (const [dx, dy] of RIVER_FLOW_OFFSETS) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (visited.has(`${nx},${ny}`)) continue;
+
+        const neighborElevation = this.sampleElevation(nx, ny, worldGenerator);
+        if (neighborElevation < lowest) {
+          lowest = neighborElevation;
+          next = { x: nx, y: ny };
+        }
+      }
+
+      // No way downhill - fill the basin and continue from where it spills over
+      if (!next) {
+        const basin = this.floodLake(x, y, worldGenerator);
+        for (const pos of basin.lake) {
+          lakes.push(pos);
+          visited.add(`${pos.x},${pos.y}`);
+        }
+
+        if (!basin.outlet) {
+          endsIn = 'lake';
+          break;
+        }
+
+        next = { x: basin.outlet.x, y: basin.outlet.y };
+        lowest = basin.outlet.elevation;
+      }
+
+      // Stay within maxRiverLength of the source so ensureRegionsAround knows how far rivers reach
+      if (Math.abs(next.x - sourceX) + Math.abs(next.y - sourceY) > this.maxRiverLength) {
+        break;
+      }
+
+      x = next.x;
+      y = next.y;
+      elevation = lowest;
+    }
+
+    return {
+      id: `${sourceX},${sourceY}`,
+      source: { x: sourceX, y: sourceY },
+      mouth: path[path.length - 1],
+      endsIn: endsIn || 'land', // Rivers that run out of length fade into the ground
+      path,
+      lakes
+    };
+  }
+
+  /**
+   * Fill a basin from its lowest point outwards (priority flood) until water
+   * finds a lower tile to spill into or the lake reaches maxLakeSize
+   * @private
+   * @returns {Object} - { lake: Array<{x, y}>, outlet: {x, y, elevation}|null }
+   */
+  floodLake(x, y, worldGenerator) {
+    const lake = [];
+    const seen = new Set([`${x},${y}`]);
+    const frontier = [{ x, y, elevation: this.sampleElevation(x, y, worldGenerator) }];
+
+    while (frontier.length > 0 && lake.length < this.maxLakeSize) {
+      frontier.sort((a, b) => a.elevation - b.elevation);
+      const cell = frontier.shift();
+
+      // The lowest rim tile drains outwards if anything beyond it is lower
+      if (lake.length > 0) {
+        for (const [dx, dy] of RIVER_FLOW_OFFSETS) {
+          const nx = cell.x + dx;
+          const ny = cell.y + dy;
+          if (seen.has(`${nx},${ny}`)) continue;
+
+          if (this.sampleElevation(nx, ny, worldGenerator) < cell.elevation) {
+            return { lake, outlet: cell };
+          }
+        }
+      }
+
+      lake.push({ x: cell.x, y: cell.y });
+
+      for (const [dx, dy] of RIVER_FLOW_OFFSETS) {
+        const nx = cell.x + dx;
+        const ny = cell.y + dy;
+        const key = `${nx},${ny}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        frontier.push({ x: nx, y: ny, elevation: this.sampleElevation(nx, ny, worldGenerator) });
+      }
+    }
+
+    return { lake, outlet: null };
+  }
+
+  /**
+   * Add a traced network to the tile lookups
+   * @private
+   */
+  indexNetwork(network) {
+    const length = network.path.length;
+
+    // Rivers widen (lower riverValue) as they flow downstream
+    network.path.forEach((pos, index) => {
+      const key = `${pos.x},${pos.y}`;
+      const riverValue = this.riverThreshold * (1 - (index + 1) / (length + 1));
+      const existing = this.riverTiles.get(key);
+      if (existing === undefined || riverValue < existing) {
+        this.riverTiles.set(key, riverValue);
+      }
+    });
+
+    for (const pos of network.lakes) {
+      this.lakeTiles.add(`${pos.x},${pos.y}`);
+    }
+  }
+
+  /**
+   * Sample the same elevation field WorldGenerator uses for terrain
+   * @private
+   */
+  sampleElevation(x, y, worldGenerator) {
+    const key = `${x},${y}`;
+    const cached = this.elevationCache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const continentalMask = worldGenerator.generateContinentalMask(x, y);
+    const elevation = worldGenerator.generateElevation(x, y, continentalMask);
+
+    if (this.elevationCache.size >= this.maxElevationCacheSize) {
+      this.elevationCache.clear();
+    }
+    this.elevationCache.set(key, elevation);
+
+    return elevation;
+  }
+
+  /**
+   * Deterministic hash of a lattice cell, returns a value in [0, 1)
+   * @private
+   */
+  hash(x, y, salt) {
+    let h = this.seedHash ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(salt, 1274126177);
+    h = Math.imul(h ^ (h >>> 13), 1103515245);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  /**
+   * Forget traced sources whose rivers can no longer reach near the given point
+   * @returns {number} - Number of sources removed
+   */
+  cleanDistantRegions(centerX, centerY, maxDistance) {
+    const reach = maxDistance + this.maxReach;
+    let removed = 0;
+
+    for (const cellKey of Array.from(this.tracedSources.keys())) {
+      const [cellX, cellY] = cellKey.split(',').map(Number);
+      const source = this.getSource(cellX, cellY);
+      const dx = source.x - centerX;
+      const dy = source.y - centerY;
+
+      if (Math.sqrt(dx * dx + dy * dy) > reach) {
+        this.tracedSources.delete(cellKey);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      // Neighbourhoods may now be incomplete, so rebuild lookups from what remains
+      this.readyRegions.clear();
+      this.riverTiles.clear();
+      this.lakeTiles.clear();
+      for (const network of this.tracedSources.values()) {
+        if (network) this.indexNetwork(network);
+      }
+      this.elevationCache.clear();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Clear all traced rivers (they will be retraced identically on demand)
+   */
+  clearCache() {
+    this.tracedSources.clear();
+    this.readyRegions.clear();
+    this.riverTiles.clear();
+    this.lakeTiles.clear();
+    this.elevationCache.clear();
+  }
+
+  /**
+   * Get river system statistics
+   */
+  getStats() {
+    let networkCount = 0;
+    for (const network of this.tracedSources.values()) {
+      if (network) networkCount++;
+    }
+
+    return {
+      tracedSources: this.tracedSources.size,
+      networks: networkCount,
+      riverTiles: this.riverTiles.size,
+      lakeTiles: this.lakeTiles.size
+    };
+  }
+}
\ No newline at end of file